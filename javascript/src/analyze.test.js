@@ -0,0 +1,99 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeQuery, parsePlainText, stringifyPlainText, defineSchema } from '../dist/index.js';
+
+const schema = defineSchema([
+  {
+    name: 'users',
+    relations: [{ name: 'posts', target: 'posts', cardinality: 'many' }],
+    fields: {
+      age: { type: 'number' },
+      status: { type: 'string', values: ['active', 'pending', 'banned'], closed: true },
+      nick: { type: 'string', nullable: true },
+      born: { type: 'date' },
+      vip: { type: 'boolean' },
+    },
+  },
+  { name: 'posts', fields: { score: { type: 'number' } } },
+]);
+
+const analyze = (text) => analyzeQuery(parsePlainText(text, schema), schema);
+const codes = (result) => result.warnings.map((w) => [w.code, w.path, w.related]);
+
+describe('analyzeQuery', () => {
+
+  test('reports contradictions within an AND', () => {
+    const r = analyze('entity:users where:(age>30 age<20)');
+    assert.deepEqual(codes(r), [['CONTRADICTION', 'where.and[1]', ['where.and[0]']]]);
+    assert.equal(r.warnings[0].message, 'age<20 contradicts age>30: no record matches both');
+    assert.deepEqual(codes(analyze('entity:users where:(born>=2024-01-01 born<2023-06-01 vip=true)')), [
+      ['CONTRADICTION', 'where.and[1]', ['where.and[0]']],
+    ]);
+    assert.deepEqual(codes(analyze('entity:users where:(age in (1, 2) count(posts)>5 age=3)')), [
+      ['CONTRADICTION', 'where.and[2]', ['where.and[0]']],
+    ]);
+    // Together, though no two of them contradict
+    assert.deepEqual(codes(analyze('entity:users where:(status!=active status!=pending status!=banned)')), [
+      ['CONTRADICTION', 'where.and[2]', ['where.and[0]', 'where.and[1]']],
+    ]);
+    // The simplified query keeps only the contradiction
+    assert.equal(
+      stringifyPlainText(analyze('entity:users where:(vip=true age>30 age<20)').simplified),
+      'entity:users where:(age>30 age<20)',
+    );
+  });
+
+  test('reports tautologies within an OR, minding nulls', () => {
+    const r = analyze('entity:users where:(status=active OR status!=active) limit:5');
+    assert.deepEqual(codes(r), [['TAUTOLOGY', 'where.or[1]', ['where.or[0]']]]);
+    assert.equal(r.warnings[0].message, 'status=active OR status!=active matches every record');
+    assert.deepEqual(r.simplified, { entity: 'users', limit: 5 });
+    // nick may be null, for which neither side holds
+    const nullable = analyze('entity:users where:(nick=a OR nick!=a)');
+    assert.match(nullable.warnings[0].message, /matches every record where nick is not null/);
+    assert.equal(nullable.simplified, undefined);
+    assert.deepEqual(codes(analyze('entity:users where:(status=active OR status=pending OR status=banned)')), [
+      ['TAUTOLOGY', 'where.or[2]', ['where.or[0]', 'where.or[1]']],
+    ]);
+  });
+
+  test('reports and drops redundant conditions', () => {
+    const and = analyze('entity:users where:(age>30 vip=true age>18)');
+    assert.deepEqual(codes(and), [['REDUNDANT', 'where.and[2]', ['where.and[0]']]]);
+    assert.equal(and.warnings[0].message, 'age>18 is redundant: age>30 already implies it');
+    assert.equal(stringifyPlainText(and.simplified), 'entity:users where:(age>30 vip=true)');
+    const or = analyze('entity:users where:(age>30 OR age>18)');
+    assert.deepEqual(codes(or), [['REDUNDANT', 'where.or[0]', ['where.or[1]']]]);
+    assert.equal(stringifyPlainText(or.simplified), 'entity:users where:(age>18)');
+    assert.equal(stringifyPlainText(analyze('entity:users where:(age=5 age=5)').simplified), 'entity:users where:(age=5)');
+  });
+
+  test('reports comparisons that can never match closed values', () => {
+    const r = analyzeQuery({ entity: 'users', where: { field: 'status', op: '>', value: 'zzz' } }, schema);
+    assert.deepEqual(codes(r), [['NEVER_MATCHES', 'where', undefined]]);
+    assert.equal(r.warnings[0].message, 'status>zzz can never match: status is one of active, pending, banned');
+    const ok = analyzeQuery({ entity: 'users', where: { or: [{ field: 'status', value: 'archived' }, { field: 'age', value: 1 }] } }, schema);
+    assert.deepEqual(codes(ok), [['NEVER_MATCHES', 'where.or[0]', undefined]]);
+    assert.deepEqual(ok.simplified.where, { field: 'age', value: 1 });
+  });
+
+  test('looks inside relation conditions and include queries, not under NOT', () => {
+    const r = analyze('entity:users where:(NOT (age>30 age<20) all(posts, score>5 OR score<=5)) include:posts(score>1 score>2)');
+    assert.deepEqual(codes(r), [
+      ['CONTRADICTION', 'where.and[0].not.and[1]', ['where.and[0].not.and[0]']],
+      ['TAUTOLOGY', 'where.and[1].all.where.or[1]', ['where.and[1].all.where.or[0]']],
+      ['REDUNDANT', 'include.posts.where.and[0]', ['include.posts.where.and[1]']],
+    ]);
+    // NOT of a contradiction is still unknown for null ages, so it stays
+    assert.equal(
+      stringifyPlainText(r.simplified),
+      'entity:users include:posts(score>2) where:(NOT (age>30 age<20))',
+    );
+    assert.deepEqual(analyze('entity:users where:(any(posts, score>1 OR score<=1))').simplified.where, { exists: 'posts' });
+  });
+
+  test('leaves alone what it cannot compare', () => {
+    const r = analyzeQuery(parsePlainText('entity:users where:(posts.score>5 posts.score<1 name~a name~b age=$a age=$b x=1 x="1")'));
+    assert.deepEqual(r, { warnings: [] });
+  });
+});
@@ -0,0 +1,417 @@
+/**
+ * Static analysis of where conditions: contradictions, tautologies, redundant conditions
+ * and comparisons that can never match, with a simplified query where that helps.
+ */
+
+import { isoInstant } from "./dates.js";
+import { LIST_OPS, NULL_OPS, OPS, includeQuery, isIncludeQuery, isParam } from "./parse.js";
+import type { RQLCondition, RQLInclude, RQLQuery } from "./parse.js";
+import { relationTarget } from "./schema.js";
+import type { EntityDef, FieldDef, Schema } from "./schema.js";
+import { joinPath } from "./validate.js";
+
+export type AnalysisCode = "CONTRADICTION" | "TAUTOLOGY" | "REDUNDANT" | "NEVER_MATCHES";
+
+/** One finding of analyzeQuery. */
+export interface AnalysisWarning {
+  /** Location of the condition, e.g. `where.and[1]`. */
+  path: string;
+  code: AnalysisCode;
+  message: string;
+  /** Paths of the other conditions involved: the one it contradicts, or that implies it. */
+  related?: string[];
+}
+
+export interface AnalysisResult {
+  warnings: AnalysisWarning[];
+  /**
+   * The query with redundant conditions removed and conditions that always (or never)
+   * hold folded away; only present when that changes the query.
+   */
+  simplified?: RQLQuery;
+}
+
+/** Truth of a comparison for one value: true, false, or (on null) as the engine decides. */
+type Truth = "T" | "F" | "M";
+
+type Value = string | number | boolean;
+
+/** Stands for a null field among the values a comparison is tested on. */
+const NULL = Symbol("null");
+
+/** A comparison whose truth analysis can work out for every value of its field. */
+interface Atom {
+  /** The field, or `count(relation)`; atoms on the same subject are compared. */
+  subject: string;
+  kind: "number" | "string" | "boolean" | "any";
+  /** The constants it compares with, converted (dates to instants). */
+  values: Value[];
+  /** Every value the field can have, when the schema lists them (closed values, booleans). */
+  domain?: Value[];
+  nullable: boolean;
+  test: (v: Value | typeof NULL) => Truth;
+  /** How it reads in plain text, for messages. */
+  text: string;
+}
+
+function valueText(value: unknown): string {
+  return typeof value === "string" && !/^[\w.:+-]+$/.test(value) ? JSON.stringify(value) : String(value);
+}
+
+function conditionText(cond: RQLCondition): string {
+  const subject = cond.count !== undefined ? `count(${cond.count})` : (cond.field as string);
+  const op = cond.op ?? "=";
+  if ((NULL_OPS as readonly string[]).includes(op)) return `${subject} ${op}`;
+  if (Array.isArray(cond.value)) return `${subject} ${op} (${cond.value.map(valueText).join(", ")})`;
+  return `${subject}${op}${valueText(cond.value)}`;
+}
+
+/**
+ * The comparison as an Atom, or undefined when it cannot be reasoned about: text
+ * operators, parameters, dotted fields (through to-many relations a comparison holds
+ * for any related record, so two of them do not constrain the same value), and values
+ * of different types.
+ */
+function atomOf(cond: RQLCondition, entity: EntityDef | undefined): Atom | undefined {
+  const op = cond.op ?? "=";
+  let def: FieldDef | undefined;
+  let subject: string;
+  if (cond.count !== undefined) {
+    subject = `count(${cond.count})`;
+    def = { type: "number" };
+  } else if (typeof cond.field === "string" && !cond.field.includes(".")) {
+    subject = cond.field;
+    const fields = entity?.fields ?? {};
+    def = Object.prototype.hasOwnProperty.call(fields, subject) ? fields[subject] : undefined;
+  } else {
+    return undefined;
+  }
+  const isList = (LIST_OPS as readonly string[]).includes(op);
+  const isNull = (NULL_OPS as readonly string[]).includes(op);
+  if (!isList && !isNull && !(OPS as readonly string[]).includes(op)) return undefined;
+
+  const raw = isNull ? [] : isList ? cond.value : [cond.value];
+  if (!Array.isArray(raw) || raw.some((v) => isParam(v) || v === null || typeof v === "object")) return undefined;
+  let values = raw as Value[];
+  if (def?.type === "date" || def?.type === "datetime") {
+    const instants = values.map((v) => (typeof v === "string" ? isoInstant(v) : undefined));
+    if (instants.some((t) => t === undefined)) return undefined;
+    values = instants as number[];
+  }
+  const types = new Set(values.map((v) => typeof v));
+  if (types.size > 1) return undefined;
+  const kind = (types.size === 0 ? "any" : [...types][0]) as Atom["kind"];
+  const ordered = ["<", ">", "<=", ">="].includes(op);
+  // Strings are only ordered alphabetically on string fields (not, say, on dates)
+  if (ordered && kind !== "number" && !(kind === "string" && (def?.type === "string" || def?.closed))) return undefined;
+
+  let domain: Value[] | undefined;
+  if (def?.closed && def.values && kind !== "number" && kind !== "boolean") domain = def.values;
+  else if (def?.type === "boolean" || kind === "boolean") domain = [true, false];
+  if (domain && kind !== "any" && domain.some((v) => typeof v !== kind)) return undefined;
+
+  const c = values[0];
+  const compare = (v: Value): boolean => {
+    switch (op) {
+      case "=": return v === c;
+      case "!=": return v !== c;
+      case "<": return v < c;
+      case ">": return v > c;
+      case "<=": return v <= c;
+      case ">=": return v >= c;
+      case "in": return values.includes(v);
+      case "not in": return !values.includes(v);
+      default: return op === "is not null";
+    }
+  };
+  // On null, comparisons are never true, except != and not in, which the engine decides
+  const onNull: Truth = op === "is null" ? "T" : op === "!=" || op === "not in" ? "M" : "F";
+  return {
+    subject,
+    kind,
+    values,
+    ...(domain ? { domain } : {}),
+    // A count is never null; a field is unless the schema says otherwise
+    nullable: cond.count !== undefined ? false : def ? def.nullable === true : true,
+    test: (v) => (v === NULL ? onNull : compare(v) ? "T" : "F"),
+    text: conditionText(cond),
+  };
+}
+
+/**
+ * Values to test atoms on subject to the same field: between them they cover every case,
+ * since atoms only change their truth at their constants. Undefined when the atoms
+ * compare different types of value.
+ */
+function samplePoints(atoms: Atom[]): Array<Value | typeof NULL> | undefined {
+  const kinds = new Set(atoms.map((a) => a.kind).filter((k) => k !== "any"));
+  if (kinds.size > 1) return undefined;
+  const kind = [...kinds][0] ?? "any";
+  const domain = atoms.find((a) => a.domain)?.domain;
+  let points: Value[];
+  if (domain) {
+    points = [...domain];
+  } else if (kind === "number") {
+    const cs = [...new Set(atoms.flatMap((a) => a.values as number[]))].sort((a, b) => a - b);
+    points = cs.length === 0 ? [0] : [cs[0] - 1, ...cs, cs[cs.length - 1] + 1];
+    for (let i = 1; i < cs.length; i++) points.push((cs[i - 1] + cs[i]) / 2);
+  } else if (kind === "string") {
+    // "" is below every other string, and c + "\0" right above c
+    const cs = [...new Set(atoms.flatMap((a) => a.values as string[]))];
+    points = ["", ...cs, ...cs.map((c) => `${c}\0`)];
+  } else {
+    points = ["\0"];
+  }
+  return atoms.some((a) => a.nullable) ? [...points, NULL] : points;
+}
+
+const possible = (t: Truth): boolean => t !== "F";
+
+/** How two atoms on the same field relate, over every value the field can have. */
+interface Relation {
+  /** They never hold together. */
+  disjoint: boolean;
+  /** Whenever the first holds, so does the second. */
+  implies: boolean;
+  impliedBy: boolean;
+  /** One of them holds for every value, null included. */
+  covers: boolean;
+  coversNonNull: boolean;
+}
+
+function relate(a: Atom, b: Atom): Relation | undefined {
+  const points = samplePoints([a, b]);
+  if (!points) return undefined;
+  const rows = points.map((p) => [a.test(p), b.test(p), p === NULL] as const);
+  // "M" and "M" agree: both are != or not in, which the engine treats alike
+  const implies = (x: Truth, y: Truth): boolean => !possible(x) || y === "T" || (x === "M" && y === "M");
+  return {
+    disjoint: rows.every(([x, y]) => !(possible(x) && possible(y))),
+    implies: rows.every(([x, y]) => implies(x, y)),
+    impliedBy: rows.every(([x, y]) => implies(y, x)),
+    covers: rows.every(([x, y]) => x === "T" || y === "T"),
+    coversNonNull: rows.every(([x, y, isNull]) => isNull || x === "T" || y === "T"),
+  };
+}
+
+/** A condition after analysis: simplified, and whether it always or never holds. */
+interface Folded {
+  cond: RQLCondition;
+  truth?: "always" | "never";
+}
+
+/**
+ * Report warnings for the conditions in `cond` on `entity`. Returns it simplified when
+ * `positive`, i.e. when only the records it holds for matter: under NOT, a condition
+ * that is never true may still be unknown rather than false, so nothing is changed.
+ */
+function analyzeCondition(
+  cond: RQLCondition,
+  path: string,
+  entity: EntityDef | undefined,
+  schema: Schema | undefined,
+  positive: boolean,
+  warnings: AnalysisWarning[],
+): Folded {
+  const fold = (folded: Folded): Folded => (positive ? folded : { cond });
+
+  for (const kind of ["and", "or"] as const) {
+    const children = cond[kind];
+    if (!Array.isArray(children)) continue;
+    const paths = children.map((_, i) => joinPath(joinPath(path, kind), i));
+    const results = children.map((c, i) => analyzeCondition(c, paths[i], entity, schema, positive, warnings));
+    const atoms = children.map((c) => atomOf(c, entity));
+    // In an AND, a child that never holds decides; in an OR, one that always holds
+    const deciding = kind === "and" ? "never" : "always";
+    const decided = results.find((r) => r.truth === deciding);
+    if (decided && positive) return decided;
+
+    let witness: RQLCondition | undefined;
+    const dropped = new Set<number>();
+    const pairs: Array<[number, number, Relation]> = [];
+    atoms.forEach((a, i) => {
+      atoms.forEach((b, j) => {
+        if (j <= i || !a || !b || a.subject !== b.subject) return;
+        const rel = relate(a, b);
+        if (rel) pairs.push([i, j, rel]);
+      });
+    });
+    for (const [i, j, rel] of pairs) {
+      const a = atoms[i] as Atom;
+      const b = atoms[j] as Atom;
+      if (kind === "and" && rel.disjoint) {
+        warnings.push({
+          path: paths[j],
+          code: "CONTRADICTION",
+          message: `${b.text} contradicts ${a.text}: no record matches both`,
+          related: [paths[i]],
+        });
+        witness ??= { and: [children[i], children[j]] };
+      }
+      if (kind === "or" && rel.coversNonNull) {
+        const every = rel.covers ? "every record" : `every record where ${a.subject} is not null`;
+        warnings.push({
+          path: paths[j],
+          code: "TAUTOLOGY",
+          message: `${a.text} OR ${b.text} matches ${every}`,
+          related: [paths[i]],
+        });
+        if (rel.covers) witness ??= cond;
+      }
+    }
+    // Three or more comparisons on a field can contradict (or cover) where no two do
+    const bySubject = new Map<string, number[]>();
+    atoms.forEach((a, i) => {
+      if (a) bySubject.set(a.subject, [...(bySubject.get(a.subject) ?? []), i]);
+    });
+    for (const group of bySubject.values()) {
+      const found = pairs.some(([i, , rel]) => group.includes(i) && (kind === "and" ? rel.disjoint : rel.coversNonNull));
+      const groupAtoms = group.map((i) => atoms[i] as Atom);
+      const points = group.length >= 3 && !found ? samplePoints(groupAtoms) : undefined;
+      if (!points) continue;
+      const rows = points.map((p) => [groupAtoms.map((a) => a.test(p)), p === NULL] as const);
+      const last = paths[group[group.length - 1]];
+      const related = group.slice(0, -1).map((i) => paths[i]);
+      if (kind === "and" && rows.every(([truths]) => truths.some((t) => !possible(t)))) {
+        warnings.push({
+          path: last,
+          code: "CONTRADICTION",
+          message: `${groupAtoms.map((a) => a.text).join(" and ")} contradict each other: no record matches them all`,
+          related,
+        });
+        witness ??= { and: group.map((i) => children[i]) };
+      }
+      if (kind === "or" && rows.every(([truths, isNull]) => isNull || truths.includes("T"))) {
+        const covers = rows.every(([truths]) => truths.includes("T"));
+        const every = covers ? "every record" : `every record where ${groupAtoms[0].subject} is not null`;
+        warnings.push({
+          path: last,
+          code: "TAUTOLOGY",
+          message: `${groupAtoms.map((a) => a.text).join(" OR ")} matches ${every}`,
+          related,
+        });
+        if (covers) witness ??= cond;
+      }
+    }
+    if (witness) return fold({ cond: witness, truth: kind === "and" ? "never" : "always" });
+
+    // In an AND the weaker of two conditions is redundant, in an OR the stronger
+    for (const [i, j, rel] of pairs) {
+      if (dropped.has(i) || dropped.has(j)) continue;
+      const [weaker, stronger] = rel.implies ? [j, i] : rel.impliedBy ? [i, j] : [];
+      if (weaker === undefined || stronger === undefined) continue;
+      const [drop, keep] = kind === "and" ? [weaker, stronger] : [stronger, weaker];
+      // Of two equivalent conditions, the later one goes
+      const [gone, kept] = rel.implies && rel.impliedBy ? [j, i] : [drop, keep];
+      dropped.add(gone);
+      warnings.push({
+        path: paths[gone],
+        code: "REDUNDANT",
+        message:
+          kind === "and"
+            ? `${(atoms[gone] as Atom).text} is redundant: ${(atoms[kept] as Atom).text} already implies it`
+            : `${(atoms[gone] as Atom).text} is redundant: ${(atoms[kept] as Atom).text} already includes it`,
+        related: [paths[kept]],
+      });
+    }
+    // Children that are always true in an AND (never true in an OR) change nothing
+    const neutral = kind === "and" ? "always" : "never";
+    const kept = results.filter((r, i) => !dropped.has(i) && r.truth !== neutral);
+    if (kept.length === 0) return fold({ cond: results[0]?.cond ?? cond, truth: neutral });
+    return fold(kept.length === 1 ? kept[0] : { cond: { [kind]: kept.map((r) => r.cond) } });
+  }
+
+  if (cond.not) {
+    analyzeCondition(cond.not, joinPath(path, "not"), entity, schema, false, warnings);
+    return { cond };
+  }
+
+  for (const key of ["any", "all"] as const) {
+    const quantifier = cond[key];
+    if (!quantifier) continue;
+    const target = schema && entity ? relationTarget(schema, entity, quantifier.relation) : undefined;
+    const inner = analyzeCondition(
+      quantifier.where,
+      joinPath(joinPath(path, key), "where"),
+      target,
+      schema,
+      positive,
+      warnings,
+    );
+    const { relation } = quantifier;
+    // any(rel, <always>) only needs a related record; all(rel, <never>) needs none
+    if (key === "any" && inner.truth === "always") return fold({ cond: { exists: relation } });
+    if (key === "any" && inner.truth === "never") return fold({ cond, truth: "never" });
+    if (key === "all" && inner.truth === "always") return fold({ cond, truth: "always" });
+    if (key === "all" && inner.truth === "never") return fold({ cond: { not: { exists: relation } } });
+    return fold({ cond: { [key]: { relation, where: inner.cond } } });
+  }
+
+  const atom = atomOf(cond, entity);
+  const points = atom && samplePoints([atom]);
+  if (!atom || !points) return { cond };
+  const truths = points.map((p) => atom.test(p));
+  if (truths.every((t) => t === "F")) {
+    const among = atom.domain ? `: ${atom.subject} is one of ${atom.domain.map(valueText).join(", ")}` : "";
+    warnings.push({ path, code: "NEVER_MATCHES", message: `${atom.text} can never match${among}` });
+    return fold({ cond, truth: "never" });
+  }
+  // A null check holds for every non-null value by definition; that is no finding
+  if (atom.kind !== "any" && truths.every((t, i) => t === "T" || points[i] === NULL)) {
+    const always = truths.every((t) => t === "T");
+    const every = always ? "every record" : `every record where ${atom.subject} is not null`;
+    warnings.push({ path, code: "TAUTOLOGY", message: `${atom.text} matches ${every}` });
+    if (always) return fold({ cond, truth: "always" });
+  }
+  return { cond };
+}
+
+/**
+ * Find conditions in the query's `where` (and in include queries) that are likely
+ * mistakes: comparisons on one field that contradict each other within an AND
+ * (`age>30 age<20`), that together match everything within an OR
+ * (`status=active OR status!=active`), that another condition makes redundant
+ * (`age>30 age>18`), or that can never match the field's closed `values`. Only
+ * comparisons with literal values on the entity's own fields, and counts, are compared;
+ * `schema` supplies field types (dates compare chronologically), closed values and
+ * nullability (a field not in the schema may be null). Returns the warnings and, when it
+ * differs, a simplified query that matches the same records.
+ */
+export function analyzeQuery(query: RQLQuery, schema?: Schema): AnalysisResult {
+  const warnings: AnalysisWarning[] = [];
+  const simplified = structuredClone(query);
+  let changed = false;
+  const simplify = (where: RQLCondition, path: string, entity: EntityDef | undefined): RQLCondition | undefined => {
+    const result = analyzeCondition(where, path, entity, schema, true, warnings);
+    const out = result.truth === "always" ? undefined : result.cond;
+    if (JSON.stringify(out) !== JSON.stringify(where)) changed = true;
+    return out;
+  };
+
+  const root = schema?.entities.find((e) => e.name === query.entity);
+  if (simplified.where) {
+    const where = simplify(simplified.where, "where", root);
+    if (where) simplified.where = where;
+    else delete simplified.where;
+  }
+  // Include conditions are on the fields of each relation's target entity
+  const walkInclude = (include: RQLInclude, path: string, entity: EntityDef | undefined): void => {
+    for (const [relation, value] of Object.entries(include)) {
+      const sub = includeQuery(value);
+      if (!sub) continue;
+      const target = schema && entity ? relationTarget(schema, entity, relation) : undefined;
+      const relPath = joinPath(path, relation);
+      if (sub.where) {
+        const where = simplify(sub.where, joinPath(relPath, "where"), target);
+        if (where) sub.where = where;
+        else delete sub.where;
+        // An include query left without options loads every record
+        if (Object.keys(sub).length === 0) include[relation] = true;
+      }
+      const nestedPath = isIncludeQuery(value) ? joinPath(relPath, "include") : relPath;
+      if (sub.include) walkInclude(sub.include, nestedPath, target);
+    }
+  };
+  if (simplified.include) walkInclude(simplified.include, "include", root);
+  return changed ? { warnings, simplified } : { warnings };
+}
@@ -17,9 +17,10 @@ const mockSchema = {
           type: "enum",
           values: ["active", "inactive", "pending"],
         },
-        age: { type: "number" },
+        age: { type: "number", nullable: true },
+        createdAt: { type: "datetime" },
       },
-      relations: ["posts", "comments"],
+      relations: [{ name: "posts", target: "Post", cardinality: "many" }, "comments"],
     },
     {
       name: "Post",
@@ -28,7 +29,7 @@ const mockSchema = {
         title: { type: "string" },
         published: { type: "boolean", values: ["true", "false"] },
       },
-      relations: ["author", "comments"],
+      relations: [{ name: "author", target: "User", cardinality: "one" }, "comments"],
     },
     {
       name: "Comment",
@@ -77,6 +78,48 @@ describe("getContext", () => {
     });
   });
 
+  describe("select-value context", () => {
+    it("should recognize select: and the fields already listed", () => {
+      assert.deepStrictEqual(getContext("entity:User select:", 19), { kind: "select-value", partial: "", entityValue: "User" });
+      const query = "entity:User select:name,posts.ti";
+      assert.deepStrictEqual(getContext(query, query.length), {
+        kind: "select-value",
+        partial: "posts.ti",
+        entityValue: "User",
+        selected: ["name"],
+      });
+    });
+  });
+
+  describe("group-value and aggregate-value contexts", () => {
+    it("should recognize group: and the fields already listed", () => {
+      const query = "entity:User group:status,na";
+      assert.deepStrictEqual(getContext(query, query.length), {
+        kind: "group-value",
+        partial: "na",
+        entityValue: "User",
+        grouped: ["status"],
+      });
+    });
+
+    it("should recognize aggregate: items and the field inside a function", () => {
+      const query = "entity:User aggregate:count,av";
+      assert.deepStrictEqual(getContext(query, query.length), {
+        kind: "aggregate-value",
+        partial: "av",
+        entityValue: "User",
+        used: ["count"],
+      });
+      const inside = "entity:User aggregate:count,sum(a";
+      assert.deepStrictEqual(getContext(inside, inside.length), {
+        kind: "aggregate-value",
+        partial: "a",
+        entityValue: "User",
+        fn: "sum",
+      });
+    });
+  });
+
   describe("entity-value context", () => {
     it("should recognize entity: with empty value", () => {
       const ctx = getContext("entity:", 7);
@@ -111,6 +154,44 @@ describe("getContext", () => {
     });
   });
 
+  describe("offset-value and after-value contexts", () => {
+    it("should recognize offset: and after: with empty values", () => {
+      assert.deepStrictEqual(getContext("offset:", 7), { kind: "offset-value", partial: "" });
+      assert.deepStrictEqual(getContext("entity:User after:", 18), { kind: "after-value", partial: "" });
+    });
+
+    it("should recognize offset: and after: with values, with no suggestions", () => {
+      const query = "entity:User order:id offset:20";
+      const ctx = getContext(query, query.length);
+      assert.deepStrictEqual(ctx, { kind: "offset-value", partial: "20" });
+      assert.deepStrictEqual(getSuggestions(ctx, mockSchema), []);
+      const after = "entity:User order:id after:WzFd";
+      assert.deepStrictEqual(getContext(after, after.length), { kind: "after-value", partial: "WzFd" });
+      assert.deepStrictEqual(getSuggestions(getContext(after, after.length), mockSchema), []);
+    });
+  });
+
+  describe("search context", () => {
+    it("should recognize an open quoted phrase", () => {
+      const query = 'entity:User "usb c';
+      assert.deepStrictEqual(getContext(query, query.length), { kind: "search", partial: '"usb c' });
+      const colon = 'entity:User "entity:Post';
+      assert.deepStrictEqual(getContext(colon, colon.length), { kind: "search", partial: '"entity:Post' });
+    });
+
+    it("should leave search terms between clauses", () => {
+      const phrase = 'entity:User "a:b" laptop sel';
+      assert.deepStrictEqual(getContext(phrase, phrase.length), { kind: "top-level", partial: "sel", usedKeys: ["entity"] });
+      const where = 'entity:User "usb c" where:(na';
+      assert.deepStrictEqual(getContext(where, where.length), { kind: "where-field", partial: "na", entityValue: "User" });
+    });
+
+    it("should ignore entity: inside a phrase", () => {
+      const query = '"entity:Post" entity:User select:';
+      assert.deepStrictEqual(getContext(query, query.length), { kind: "select-value", partial: "", entityValue: "User" });
+    });
+  });
+
   describe("order-value context", () => {
     it("should recognize order: with empty value", () => {
       const query = "entity:User order:";
@@ -175,6 +256,44 @@ describe("getContext", () => {
       assert.strictEqual(ctx.kind, "include-value");
       assert.strictEqual(ctx.partial, "comm");
     });
+
+    it("should split nested relations at dots", () => {
+      const query = "entity:User include:comments,posts.author.p";
+      const ctx = getContext(query, query.length);
+      assert.strictEqual(ctx.kind, "include-value");
+      assert.strictEqual(ctx.partial, "p");
+      assert.deepStrictEqual(ctx.relationPath, ["posts", "author"]);
+    });
+
+    it("should complete the where, order and limit of include options", () => {
+      const where = getContext("entity:User include:posts(pub", 30);
+      assert.strictEqual(where.kind, "where-field");
+      assert.strictEqual(where.partial, "pub");
+      assert.deepStrictEqual(where.relationPath, ["posts"]);
+
+      const value = "entity:User include:posts.author(status=";
+      assert.strictEqual(getContext(value, value.length).kind, "where-value");
+      assert.deepStrictEqual(getContext(value, value.length).relationPath, ["posts", "author"]);
+
+      const order = "entity:User include:posts(published=true order:title ";
+      const orderCtx = getContext(order, order.length);
+      assert.strictEqual(orderCtx.kind, "order-value");
+      assert.strictEqual(orderCtx.afterField, true);
+      assert.deepStrictEqual(orderCtx.relationPath, ["posts"]);
+
+      const limit = "entity:User include:posts(order:title, id limit:";
+      assert.strictEqual(getContext(limit, limit.length).kind, "limit-value");
+    });
+
+    it("should leave include options after the closing paren", () => {
+      const next = "entity:User include:posts(order:title),com";
+      const ctx = getContext(next, next.length);
+      assert.strictEqual(ctx.kind, "include-value");
+      assert.strictEqual(ctx.partial, "com");
+
+      const after = "entity:User include:posts(title=\"a) b\" limit:2) li";
+      assert.deepStrictEqual(getContext(after, after.length), { kind: "top-level", partial: "li", usedKeys: ["entity", "include"] });
+    });
   });
 
   describe("where-field context", () => {
@@ -197,6 +316,18 @@ describe("getContext", () => {
       assert.strictEqual(ctx.partial, "");
     });
 
+    it("should recognize field after NOT", () => {
+      const ctx = getContext("entity:User where:(NOT (role = admin) not ", 42);
+      assert.strictEqual(ctx.kind, "where-field");
+      assert.strictEqual(ctx.partial, "");
+    });
+
+    it("should treat a field starting with not as a field", () => {
+      const ctx = getContext("entity:User where:(nota", 23);
+      assert.strictEqual(ctx.kind, "where-field");
+      assert.strictEqual(ctx.partial, "nota");
+    });
+
     it("should recognize field after closing paren", () => {
       const ctx = getContext("entity:User where:((name = \"John\") ", 35);
       assert.strictEqual(ctx.kind, "where-field");
@@ -204,6 +335,27 @@ describe("getContext", () => {
     });
   });
 
+  describe("where-operator context", () => {
+    it("should recognize a word operator being typed after a field", () => {
+      const cases = [
+        ["entity:User where:(status i", "i"],
+        ["entity:User where:(status no", "no"],
+        ["entity:User where:(status not ", "not "],
+        ["entity:User where:(status not i", "not i"],
+        ["entity:User where:(age>1 status n", "n"],
+      ];
+      for (const [query, partial] of cases) {
+        assert.deepStrictEqual(getContext(query, query.length), { kind: "where-operator", partial, field: "status", entityValue: "User" }, query);
+      }
+    });
+
+    it("should still recognize a new field after a complete condition", () => {
+      for (const query of ["entity:User where:(status=active st", "entity:User where:(posts exists st", "entity:User where:(@active st"]) {
+        assert.deepStrictEqual(getContext(query, query.length), { kind: "where-field", partial: "st", entityValue: "User" }, query);
+      }
+    });
+  });
+
   describe("where-value context", () => {
     it("should recognize value after operator", () => {
       const ctx = getContext("entity:User where:(status = ", 28);
@@ -233,6 +385,21 @@ describe("getContext", () => {
       assert.strictEqual(ctx.partial, "18");
       assert.strictEqual(ctx.op, ">=");
     });
+
+    it("should recognize values inside an in list", () => {
+      const query = "entity:User where:(status not in (active, pen";
+      const ctx = getContext(query, query.length);
+      assert.strictEqual(ctx.kind, "where-value");
+      assert.strictEqual(ctx.partial, "pen");
+      assert.strictEqual(ctx.field, "status");
+      assert.strictEqual(ctx.op, "not in");
+      assert.deepStrictEqual(ctx.listValues, ["active"]);
+    });
+
+    it("should return to field context after an in list is closed", () => {
+      const query = "entity:User where:(status in (active) ";
+      assert.strictEqual(getContext(query, query.length).kind, "where-field");
+    });
   });
 
   describe("complex queries", () => {
@@ -302,7 +469,11 @@ describe("getSuggestions", () => {
 
       const labels = suggestions.map((s) => s.label);
       assert.ok(labels.includes("entity:"));
+      assert.ok(labels.includes("select:"));
       assert.ok(labels.includes("limit:"));
+      assert.ok(labels.includes("group:"));
+      assert.ok(labels.includes("aggregate:"));
+      assert.ok(labels.includes("offset:"));
       assert.ok(labels.includes("order:"));
       assert.ok(labels.includes("include:"));
       assert.ok(labels.includes("where:("));
@@ -396,6 +567,40 @@ describe("getSuggestions", () => {
     });
   });
 
+  describe("select-value suggestions", () => {
+    it("should suggest fields and relation paths not yet selected", () => {
+      const labels = getSuggestions({ kind: "select-value", partial: "", entityValue: "User", selected: ["name"] }, mockSchema).map(
+        (s) => s.label,
+      );
+      assert.deepStrictEqual(labels, ["id", "status", "age", "createdAt", "posts."]);
+    });
+
+    it("should complete fields of the related entity after a dot", () => {
+      const suggestions = getSuggestions({ kind: "select-value", partial: "posts.ti", entityValue: "User" }, mockSchema);
+      assert.deepStrictEqual(suggestions, [{ label: "posts.title", insertText: "posts.title", replaceLength: 8 }]);
+    });
+  });
+
+  describe("group-value and aggregate-value suggestions", () => {
+    it("should suggest fields not yet grouped by", () => {
+      const labels = getSuggestions({ kind: "group-value", partial: "", entityValue: "User", grouped: ["status"] }, mockSchema).map(
+        (s) => s.label,
+      );
+      assert.deepStrictEqual(labels, ["id", "name", "age", "createdAt", "posts."]);
+    });
+
+    it("should suggest unused aggregates, then number fields inside a function", () => {
+      const labels = (ctx) => getSuggestions(ctx, mockSchema).map((s) => s.label);
+      assert.deepStrictEqual(labels({ kind: "aggregate-value", partial: "", entityValue: "User", used: ["count"] }), [
+        "sum(",
+        "avg(",
+        "min(",
+        "max(",
+      ]);
+      assert.deepStrictEqual(labels({ kind: "aggregate-value", partial: "", entityValue: "User", fn: "sum" }), ["age", "posts."]);
+    });
+  });
+
   describe("entity-value suggestions", () => {
     it("should suggest all entities", () => {
       const ctx = { kind: "entity-value", partial: "" };
@@ -461,6 +666,19 @@ describe("getSuggestions", () => {
       const labels = suggestions.map((s) => s.label);
       assert.ok(labels.includes("posts"));
     });
+
+    it("should suggest relations of the target entity after a dot", () => {
+      const ctx = { kind: "include-value", partial: "", entityValue: "User", relationPath: ["posts"] };
+      const labels = getSuggestions(ctx, mockSchema).map((s) => s.label);
+      assert.deepStrictEqual(labels, ["author", "comments"]);
+      const twoHops = getSuggestions({ ...ctx, relationPath: ["posts", "author"], partial: "po" }, mockSchema);
+      assert.deepStrictEqual(twoHops.map((s) => s.label), ["posts"]);
+    });
+
+    it("should suggest nothing after a relation without a target", () => {
+      const ctx = { kind: "include-value", partial: "", entityValue: "User", relationPath: ["comments"] };
+      assert.strictEqual(getSuggestions(ctx, mockSchema).length, 0);
+    });
   });
 
   describe("where-field suggestions", () => {
@@ -503,6 +721,10 @@ describe("getSuggestions", () => {
       assert.ok(labels.includes("="));
       assert.ok(labels.includes("!="));
       assert.ok(labels.includes(">="));
+      assert.ok(labels.includes("in"));
+      assert.ok(labels.includes("not in"));
+      assert.strictEqual(suggestions.find((s) => s.label === "in").insertText, " in (");
+      assert.ok(!labels.includes("contains"), "text operators are for string fields");
       assert.ok(!labels.includes("status"), "should not re-suggest field when already typed");
       suggestions.forEach((s) => {
         assert.strictEqual(s.replacePartial, false, "operators should insert after partial");
@@ -510,7 +732,170 @@ describe("getSuggestions", () => {
     });
   });
 
+  describe("related field suggestions", () => {
+    it("should offer relations with a target entity as path prefixes", () => {
+      const ctx = { kind: "where-field", partial: "po", entityValue: "User" };
+      const suggestions = getSuggestions(ctx, mockSchema);
+      assert.deepStrictEqual(suggestions.map((s) => s.insertText), ["posts."]);
+      const all = getSuggestions({ ...ctx, partial: "" }, mockSchema).map((s) => s.label);
+      assert.ok(!all.includes("comments."), "relations without a target have no fields to offer");
+    });
+
+    it("should suggest the target entity's fields after the dot, replacing the whole path", () => {
+      const ctx = { kind: "where-field", partial: "posts.ti", entityValue: "User" };
+      const suggestions = getSuggestions(ctx, mockSchema);
+      assert.deepStrictEqual(suggestions.map((s) => [s.insertText, s.replaceLength]), [["posts.title", 8]]);
+      const twoHops = getSuggestions({ ...ctx, partial: "posts.author." }, mockSchema).map((s) => s.label);
+      assert.ok(twoHops.includes("posts.author.status"));
+      assert.ok(twoHops.includes("posts.author.posts."));
+    });
+
+    it("should suggest operators and values for a related field", () => {
+      const ops = getSuggestions({ kind: "where-field", partial: "posts.title", entityValue: "User" }, mockSchema);
+      assert.ok(ops.some((s) => s.label === "contains"));
+      const query = "entity:Post where:(author.status=";
+      const labels = getSuggestionsAtCursor(query, query.length, mockSchema).map((s) => s.label);
+      assert.deepStrictEqual(labels, ["active", "inactive", "pending"]);
+    });
+  });
+
+  describe("relation condition suggestions", () => {
+    it("should offer exists after a relation name and the relation functions at the start of a condition", () => {
+      const exact = getSuggestions({ kind: "where-field", partial: "posts", entityValue: "User" }, mockSchema);
+      assert.deepStrictEqual(exact.map((s) => s.insertText), ["posts.", " exists"]);
+      const labels = getSuggestions({ kind: "where-field", partial: "", entityValue: "User" }, mockSchema).map((s) => s.label);
+      assert.ok(["any(", "all(", "count("].every((fn) => labels.includes(fn)));
+    });
+
+    it("should suggest relations inside the parentheses", () => {
+      const any = "entity:User where:(any(";
+      assert.deepStrictEqual(getSuggestionsAtCursor(any, any.length, mockSchema).map((s) => s.insertText), ["posts, "]);
+      const count = "entity:User where:(count(co";
+      assert.deepStrictEqual(getSuggestionsAtCursor(count, count.length, mockSchema).map((s) => s.insertText), ["comments)"]);
+    });
+
+    it("should suggest the related entity's fields and values inside any() and all()", () => {
+      const fields = "entity:User where:(any(posts, pub";
+      assert.deepStrictEqual(getSuggestionsAtCursor(fields, fields.length, mockSchema).map((s) => s.label), ["published"]);
+      const values = "entity:User where:(all(posts, author.status=";
+      const labels = getSuggestionsAtCursor(values, values.length, mockSchema).map((s) => s.label);
+      assert.deepStrictEqual(labels, ["active", "inactive", "pending"]);
+      const after = "entity:User where:(any(posts, title=x) st";
+      assert.deepStrictEqual(getSuggestionsAtCursor(after, after.length, mockSchema).map((s) => s.label), ["status"]);
+    });
+  });
+
+  describe("where-operator suggestions", () => {
+    it("should offer in / not in matching the partial", () => {
+      const suggest = (query) => getSuggestionsAtCursor(query, query.length, mockSchema);
+      assert.deepStrictEqual(suggest("entity:User where:(status i"), [{ label: "in", insertText: "in (", replaceLength: 1 }]);
+      assert.deepStrictEqual(suggest("entity:User where:(status not "), [{ label: "not in", insertText: "not in (", replaceLength: 4 }]);
+      assert.deepStrictEqual(suggest("entity:User where:(status n").map((s) => s.label), ["not in"]);
+    });
+
+    it("should offer text operators matching the partial on string fields", () => {
+      const labels = (query) => getSuggestionsAtCursor(query, query.length, mockSchema).map((s) => s.label);
+      assert.deepStrictEqual(labels("entity:User where:(name c"), ["contains"]);
+      assert.deepStrictEqual(labels("entity:User where:(name s"), ["startsWith"]);
+      assert.deepStrictEqual(labels("entity:User where:(name i"), ["in", "ieq"]);
+      assert.deepStrictEqual(labels("entity:User where:(posts.title e"), ["endsWith"]);
+      assert.deepStrictEqual(labels("entity:User where:(age c"), []);
+      const contains = "entity:User where:(name cont";
+      assert.deepStrictEqual(getSuggestionsAtCursor(contains, contains.length, mockSchema), [
+        { label: "contains", insertText: "contains ", replaceLength: 4 },
+      ]);
+    });
+  });
+
+  describe("null check suggestions", () => {
+    it("should offer is null / is not null only for nullable fields", () => {
+      const ctx = { kind: "where-field", partial: "age", entityValue: "User" };
+      const age = getSuggestions(ctx, mockSchema);
+      assert.strictEqual(age.find((s) => s.label === "is null").insertText, " is null");
+      assert.ok(age.some((s) => s.label === "is not null"));
+      const name = getSuggestions({ ...ctx, partial: "name" }, mockSchema).map((s) => s.label);
+      assert.ok(!name.includes("is null"));
+    });
+
+    it("should recognize a new field after a null check", () => {
+      for (const query of ["entity:User where:(age is null ", "entity:User where:(age is not null "]) {
+        const ctx = getContext(query, query.length);
+        assert.strictEqual(ctx.kind, "where-field");
+        assert.strictEqual(ctx.partial, "");
+      }
+    });
+
+    it("should complete a null check after is / is not on a nullable field", () => {
+      const labels = (query) => getSuggestionsAtCursor(query, query.length, mockSchema).map((s) => s.label);
+      const is = "entity:User where:(age is ";
+      assert.deepStrictEqual(getContext(is, is.length), { kind: "where-value", partial: "", field: "age", op: "is", entityValue: "User" });
+      assert.deepStrictEqual(labels(is), ["null", "not null"]);
+      assert.deepStrictEqual(labels("entity:User where:(age is no"), ["not null"]);
+      const isNot = "entity:User where:(age is not ";
+      assert.strictEqual(getContext(isNot, isNot.length).op, "is not");
+      assert.deepStrictEqual(labels(isNot), ["null"]);
+      assert.deepStrictEqual(labels("entity:User where:(age is not nu"), ["null"]);
+      assert.deepStrictEqual(labels("entity:User where:(name is "), []);
+    });
+
+    it("should offer is null / is not null while the operator is typed on a nullable field", () => {
+      const suggest = (query) => getSuggestionsAtCursor(query, query.length, mockSchema);
+      assert.deepStrictEqual(suggest("entity:User where:(age i").map((s) => s.label), ["in", "is null", "is not null"]);
+      assert.deepStrictEqual(suggest("entity:User where:(age is"), [
+        { label: "is null", insertText: "is null", replaceLength: 2 },
+        { label: "is not null", insertText: "is not null", replaceLength: 2 },
+      ]);
+      assert.deepStrictEqual(suggest("entity:User where:(name is"), []);
+    });
+  });
+
+  describe("text operator suggestions", () => {
+    it("should offer text operators only for string fields", () => {
+      const ctx = { kind: "where-field", partial: "name", entityValue: "User" };
+      const name = getSuggestions(ctx, mockSchema).map((s) => s.label);
+      assert.ok(name.includes("contains"));
+      assert.ok(name.includes("startsWith"));
+      assert.ok(name.includes("endsWith"));
+      assert.ok(name.includes("ieq"));
+      const age = getSuggestions({ ...ctx, partial: "age" }, mockSchema).map((s) => s.label);
+      assert.ok(!age.includes("contains"));
+    });
+
+    it("should recognize values after text operators", () => {
+      for (const query of ["entity:User where:(status contains ac", "entity:User where:(status~ac"]) {
+        const ctx = getContext(query, query.length);
+        assert.strictEqual(ctx.kind, "where-value");
+        assert.strictEqual(ctx.field, "status");
+        assert.strictEqual(ctx.partial, "ac");
+      }
+    });
+
+    it("should read text operator symbols in values and lists as text, like the parser", () => {
+      for (const query of ["entity:User where:(status=a~b ", "entity:User where:(status=a~b"]) {
+        const ctx = getContext(query, query.length);
+        assert.strictEqual(ctx.kind, "where-value");
+        assert.strictEqual(ctx.field, "status");
+        assert.strictEqual(ctx.op, "=");
+        assert.strictEqual(ctx.partial, "a~b");
+      }
+      const list = "entity:User where:(status in (a~b, ac";
+      assert.deepStrictEqual(getContext(list, list.length).listValues, ["a~b"]);
+    });
+  });
+
   describe("where-value suggestions", () => {
+    it("should suggest relative dates for date fields", () => {
+      const ctx = { kind: "where-value", partial: "", field: "createdAt", op: ">", entityValue: "User" };
+      const labels = getSuggestions(ctx, mockSchema).map((s) => s.label);
+      assert.ok(labels.includes("today"));
+      assert.ok(labels.includes("-7d"));
+      assert.ok(labels.includes("now+1h"));
+      const partial = getSuggestions({ ...ctx, partial: "to" }, mockSchema).map((s) => s.label);
+      assert.deepStrictEqual(partial, ["today", "tomorrow"]);
+      const age = getSuggestions({ ...ctx, field: "age" }, mockSchema);
+      assert.strictEqual(age.length, 0);
+    });
+
     it("should suggest enum values", () => {
       const ctx = {
         kind: "where-value",
@@ -541,6 +926,19 @@ describe("getSuggestions", () => {
       assert.strictEqual(suggestions[0].label, "active");
     });
 
+    it("should not suggest values already in an in list", () => {
+      const ctx = {
+        kind: "where-value",
+        partial: "",
+        field: "status",
+        op: "in",
+        entityValue: "User",
+        listValues: ["active"],
+      };
+      const labels = getSuggestions(ctx, mockSchema).map((s) => s.label);
+      assert.deepStrictEqual(labels, ["inactive", "pending"]);
+    });
+
     it("should return empty array for fields without values", () => {
       const ctx = {
         kind: "where-value",
@@ -603,6 +1001,22 @@ describe("getSuggestionsAtCursor", () => {
     assert.ok(labels.includes("Post"));
   });
 
+  it("should suggest named filters with their descriptions", () => {
+    const schema = {
+      entities: [{ name: "User", fields: { age: {} }, filters: { adult: { where: "age>=18", description: "18 and over" }, admin: { where: "age>0" } } }],
+    };
+    const query = "entity:User where:(age>1 @ad";
+    assert.deepStrictEqual(getSuggestionsAtCursor(query, query.length, schema), [
+      { label: "@adult", insertText: "@adult", detail: "18 and over", replaceLength: 3 },
+      { label: "@admin", insertText: "@admin", replaceLength: 3 },
+    ]);
+  });
+
+  it("should suggest nothing inside a search phrase", () => {
+    const query = 'entity:User "sta';
+    assert.deepStrictEqual(getSuggestionsAtCursor(query, query.length, mockSchema), []);
+  });
+
   it("should work with complex queries", () => {
     const query = "entity:User where:(status = ";
     const suggestions = getSuggestionsAtCursor(query, query.length, mockSchema);
@@ -621,6 +1035,12 @@ describe("getSuggestionsAtCursor", () => {
     assert.ok(labels.includes("User"));
   });
 
+  it("should suggest fields of the included relation inside include options", () => {
+    const query = "entity:User include:posts(published=true order:";
+    const labels = getSuggestionsAtCursor(query, query.length, mockSchema).map((s) => s.label);
+    assert.deepStrictEqual(labels, ["id", "title", "published"]);
+  });
+
   it("should suggest top-level keys (e.g. limit:) when typing after where block", () => {
     const query = "entity:User where:(status!=active) l";
     const suggestions = getSuggestionsAtCursor(query, query.length, mockSchema);
@@ -2,10 +2,28 @@
  * Autocomplete for RQL plain-text: cursor context and suggestions from a schema.
  */
 
+import { LIST_OPS, NULL_OPS, OPS, TEXT_OPS, TEXT_OP_SYMBOLS } from "./parse.js";
+import { followFieldPath, getRelations } from "./schema.js";
 import type { Schema, EntityDef, FieldDef } from "./schema.js";
 
-const TOP_LEVEL_KEYS = ["entity:", "limit:", "order:", "include:", "where:("] as const;
-const WHERE_OPS = ["!=", "<=", ">=", "=", "<", ">"] as const; // Order matters: check longer ops first
+const TOP_LEVEL_KEYS = [
+  "entity:",
+  "select:",
+  "group:",
+  "aggregate:",
+  "limit:",
+  "offset:",
+  "order:",
+  "include:",
+  "where:(",
+] as const;
+/** Relative date expressions, suggested as values for date and datetime fields. */
+const DATE_VALUES = ["today", "yesterday", "tomorrow", "now", "-1d", "-7d", "-30d", "now-1h", "now+1h"] as const;
+/** Relation conditions that open with a function call: `any(reviews, ...)`, `count(reviews)`. */
+const RELATION_FUNCTIONS = ["any", "all", "count"] as const;
+type RelationFunction = (typeof RELATION_FUNCTIONS)[number];
+/** Aggregates; the functions that take a field are suggested with their opening paren. */
+const AGGREGATES = ["count", "sum(", "avg(", "min(", "max("] as const;
 
 interface SegmentResult {
   segment: string;
@@ -13,10 +31,12 @@ interface SegmentResult {
 }
 
 interface WhereParseResult {
-  kind: "field" | "value";
+  kind: "field" | "operator" | "value";
   partial: string;
   field?: string;
   op?: string;
+  /** Items already in an `in (...)` list, when the cursor is inside one. */
+  listValues?: string[];
 }
 
 interface Token {
@@ -28,22 +48,92 @@ interface Token {
 export type CursorContext =
   | { kind: "top-level"; partial: string; usedKeys: string[] }
   | { kind: "entity-value"; partial: string }
+  | {
+      kind: "select-value";
+      partial: string;
+      entityValue: string;
+      /** Fields already in the select list; they are not suggested again. */
+      selected?: string[];
+    }
+  | {
+      kind: "group-value";
+      partial: string;
+      entityValue: string;
+      /** Fields already in the group list; they are not suggested again. */
+      grouped?: string[];
+    }
+  | {
+      kind: "aggregate-value";
+      partial: string;
+      entityValue: string;
+      /** Function whose field is being typed: `aggregate:sum(to`. */
+      fn?: string;
+      /** Aggregates already in the list, e.g. `count`; they are not suggested again. */
+      used?: string[];
+    }
   | { kind: "limit-value"; partial: string }
-  | { kind: "order-value"; partial: string; entityValue: string; afterField?: boolean }
-  | { kind: "include-value"; partial: string; entityValue: string }
-  | { kind: "where-field"; partial: string; entityValue: string }
+  | { kind: "offset-value"; partial: string }
+  | { kind: "after-value"; partial: string }
+  | {
+      kind: "order-value";
+      partial: string;
+      entityValue: string;
+      afterField?: boolean;
+      /** Relations of the include whose options the cursor is inside: `include:reviews(order:`. */
+      relationPath?: string[];
+    }
+  | {
+      kind: "include-value";
+      partial: string;
+      entityValue: string;
+      /** Relations before the last `.` in `include:reviews.au`; suggestions come from the entity they lead to. */
+      relationPath?: string[];
+    }
+  | {
+      kind: "where-field";
+      partial: string;
+      entityValue: string;
+      /**
+       * Relations of the include options and `any(` / `all(` conditions the cursor is inside;
+       * fields come from the entity they lead to.
+       */
+      relationPath?: string[];
+    }
   | {
       kind: "where-value";
       partial: string;
       field: string;
+      /** The operator; `is` or `is not` while a null check is being typed. */
       op: string;
       entityValue: string;
+      /** Items already in the list when inside `field in (...)`; they are not suggested again. */
+      listValues?: string[];
+      /** As for where-field. */
+      relationPath?: string[];
+    }
+  | {
+      /** A word operator being typed after a field: `status n`, `status not `. */
+      kind: "where-operator";
+      partial: string;
+      field: string;
+      entityValue: string;
+      /** As for where-field. */
+      relationPath?: string[];
     }
+  | {
+      /** Relation name right after `any(`, `all(` or `count(`. */
+      kind: "where-relation";
+      partial: string;
+      fn: RelationFunction;
+      entityValue: string;
+      relationPath?: string[];
+    }
+  | { kind: "search"; partial: string }
   | { kind: "unknown"; partial: string };
 
 /**
  * Returns the clause segment that contains the cursor.
- * Uses clause boundaries (entity:, limit:, include:, where:() so that
+ * Uses clause boundaries (entity:, select:, group:, aggregate:, limit:, offset:, after:, include:, where:() so that
  * include values with spaces after commas and cursor-at-end of where stay in one segment.
  */
 function getSegmentAtCursor(query: string, cursor: number): SegmentResult {
@@ -61,9 +151,14 @@ function getSegmentAtCursor(query: string, cursor: number): SegmentResult {
 
     const clauseStart = i;
 
-    // Quoted string (inside a value) – skip it
+    // Quoted search phrase – a clause of its own; the cursor may be inside it
     if (beforeCursor[i] === '"') {
-      i = skipQuotedString(beforeCursor, i);
+      const phrase = scanQuotedString(beforeCursor, i);
+      if (!phrase.closed) {
+        return { segment: beforeCursor.slice(clauseStart, cursor), startIndex: clauseStart };
+      }
+      lastClauseStart = clauseStart;
+      i = phrase.end;
       continue;
     }
 
@@ -119,7 +214,7 @@ function getSegmentAtCursor(query: string, cursor: number): SegmentResult {
     }
 
     // entity:, limit:, include: – clause start
-    const keyMatch = beforeCursor.slice(i).match(/^(entity|limit|include):/i);
+    const keyMatch = beforeCursor.slice(i).match(/^(entity|select|group|aggregate|limit|offset|after|include):/i);
     if (keyMatch) {
       lastClauseStart = clauseStart;
       const keyLen = keyMatch[0].length;
@@ -135,11 +230,22 @@ function getSegmentAtCursor(query: string, cursor: number): SegmentResult {
             beforeCursor[i + 6] === "("
           )
             break;
-          if (/^(entity|limit|order|include):/i.test(beforeCursor.slice(i))) break;
+          if (/^(entity|select|group|aggregate|limit|offset|after|order|include):/i.test(beforeCursor.slice(i))) break;
           if (beforeCursor[i] === '"') {
             i = skipQuotedString(beforeCursor, i);
             continue;
           }
+          // Include options: reviews(rating>=4 order:created_at desc); the cursor may be inside them
+          if (beforeCursor[i] === "(") {
+            const group = scanParenGroup(beforeCursor, i);
+            if (!group.closed) {
+              return { segment: beforeCursor.slice(clauseStart, cursor), startIndex: clauseStart };
+            }
+            i = group.end;
+            // Whitespace right after the options ends the include value
+            if (i < len && /\s/.test(beforeCursor[i])) break;
+            continue;
+          }
           i++;
         }
       } else {
@@ -168,11 +274,11 @@ function getSegmentAtCursor(query: string, cursor: number): SegmentResult {
 }
 
 /**
- * Find the start index of the next top-level key (space followed by entity|limit|order|include|where:).
+ * Find the start index of the next top-level key (space followed by entity|select|group|aggregate|limit|offset|after|order|include|where:).
  * Returns s.length if none found.
  */
 function findNextKeyStart(s: string, fromIndex: number): number {
-  const re = /\s(entity|limit|order|include|where):/gi;
+  const re = /\s(entity|select|group|aggregate|limit|offset|after|order|include|where):/gi;
   re.lastIndex = fromIndex;
   const match = re.exec(s);
   return match ? match.index : s.length;
@@ -183,6 +289,11 @@ function findNextKeyStart(s: string, fromIndex: number): number {
  * Returns the index after the closing quote, or end of string.
  */
 function skipQuotedString(s: string, startIndex: number): number {
+  return scanQuotedString(s, startIndex).end;
+}
+
+/** As skipQuotedString, also telling whether the string was closed before the end of string. */
+function scanQuotedString(s: string, startIndex: number): { end: number; closed: boolean } {
   let i = startIndex + 1; // Skip opening quote
   while (i < s.length) {
     if (s[i] === "\\") {
@@ -190,11 +301,11 @@ function skipQuotedString(s: string, startIndex: number): number {
       continue;
     }
     if (s[i] === '"') {
-      return i + 1; // Return index after closing quote
+      return { end: i + 1, closed: true }; // Index after closing quote
     }
     i++;
   }
-  return i; // Unclosed quote
+  return { end: i, closed: false };
 }
 
 /**
@@ -202,11 +313,23 @@ function skipQuotedString(s: string, startIndex: number): number {
  * Returns the index after the closing paren, or end of string.
  */
 function skipWhereBlock(s: string, startIndex: number): number {
-  let i = startIndex + 6; // Skip 'where:'
+  const i = startIndex + 6; // Skip 'where:'
   if (s[i] !== "(") return i;
+  return skipParenGroup(s, i);
+}
+
+/**
+ * Skip from the `(` at `openIndex` past its closing paren, handling nested parens and
+ * quotes. Returns the index after the closing paren, or end of string.
+ */
+function skipParenGroup(s: string, openIndex: number): number {
+  return scanParenGroup(s, openIndex).end;
+}
 
+/** As skipParenGroup, also telling whether the group was closed before the end of string. */
+function scanParenGroup(s: string, openIndex: number): { end: number; closed: boolean } {
   let depth = 1;
-  i++; // Skip opening paren
+  let i = openIndex + 1; // Skip opening paren
 
   while (i < s.length && depth > 0) {
     if (s[i] === "\\") {
@@ -222,17 +345,18 @@ function skipWhereBlock(s: string, startIndex: number): number {
     i++;
   }
 
-  return i;
+  return { end: i, closed: depth === 0 };
 }
 
-/** Extract entity value from query (first entity:xxx, possibly incomplete). */
+/** Extract entity value from query (first entity:xxx outside quotes, possibly incomplete). */
 function getEntityValueFromQuery(query: string): string {
-  const match = query.match(/entity:([^\s]*)/);
+  const unquoted = query.replace(/"(?:\\.|[^"\\])*"?/g, '""');
+  const match = unquoted.match(/entity:([^\s]*)/);
   return match?.[1]?.trim() ?? "";
 }
 
 /**
- * Returns top-level keys (entity, limit, order, include, where) already present in the query.
+ * Returns top-level keys (entity, select, group, aggregate, limit, offset, after, order, include, where) already present in the query.
  */
 function getTopLevelKeysUsed(query: string): string[] {
   const keys = new Set<string>();
@@ -265,17 +389,17 @@ function getTopLevelKeysUsed(query: string): string[] {
       continue;
     }
 
-    // Extract key:value pair
+    // Extract key:value pair; include options in parens may contain spaces and keys
     const start = i;
     while (i < query.length && !/\s/.test(query[i])) {
-      i++;
+      i = query[i] === "(" ? skipParenGroup(query, i) : i + 1;
     }
 
     const segment = query.slice(start, i);
     const colonIndex = segment.indexOf(":");
     if (colonIndex !== -1) {
       const key = segment.slice(0, colonIndex).trim().toLowerCase();
-      if (key === "entity" || key === "limit" || key === "include") {
+      if (["entity", "select", "group", "aggregate", "limit", "offset", "after", "include"].includes(key)) {
         keys.add(key);
       }
     }
@@ -284,6 +408,25 @@ function getTopLevelKeysUsed(query: string): string[] {
   return Array.from(keys);
 }
 
+/**
+ * Whether the token at `at` is a field with nothing after it yet: not a value, the
+ * relation of `exists`, the `null` of a null check or a named filter.
+ */
+function isBareField(tokens: Token[], at: number): boolean {
+  const t = tokens[at];
+  const before = tokens[at - 1];
+  const isWord = (tok: Token | undefined, w: string): boolean =>
+    (tok?.type === "word" || tok?.type === "keyword") && tok.value.toLowerCase() === w;
+  if (t?.type !== "word" && t?.type !== "value") return false;
+  if (t.type === "word" && t.value.startsWith("@")) return false;
+  if (before?.type === "op") return false;
+  if (before?.type === "word" && TEXT_OPS.some((op) => op.toLowerCase() === before.value.toLowerCase())) return false;
+  if (isWord(t, "exists") && before?.type === "word") return false;
+  if (isWord(t, "null") && (isWord(before, "is") || isWord(before, "not"))) return false;
+  // field value: the equality shorthand
+  return !isBareField(tokens, at - 1);
+}
+
 /**
  * Parse the inner content of where:(...) for autocomplete.
  * Returns what we're editing (field, op, or value) and partial text.
@@ -299,13 +442,75 @@ function parseWhereInner(inner: string): WhereParseResult {
     return { kind: "field", partial: "" };
   }
 
+  const list = parseOpenList(tokens);
+  if (list) return list;
+
   const last = tokens[tokens.length - 1];
   const prev = tokens[tokens.length - 2];
   const prevPrev = tokens[tokens.length - 3];
 
+  const isTextOpWord = (t: Token | undefined): boolean =>
+    t?.type === "word" && TEXT_OPS.some((op) => op.toLowerCase() === t.value.toLowerCase());
+  const isWord = (t: Token | undefined, w: string): boolean =>
+    (t?.type === "word" || t?.type === "keyword") && t.value.toLowerCase() === w;
+
+  // field is null | or field is not null | -> the comparison is complete
+  if (
+    /\s$/.test(inner) &&
+    isWord(last, "null") &&
+    (isWord(prev, "is") || (isWord(prev, "not") && isWord(prevPrev, "is")))
+  ) {
+    return { kind: "field", partial: "" };
+  }
+
+  // field is | or field is not nu| -> completing a null check, with "is" / "is not" as the op
+  const typed = /\s$/.test(inner) ? tokens : tokens.slice(0, -1);
+  for (const op of ["is not", "is"]) {
+    const words = op.split(" ");
+    const at = typed.length - words.length;
+    const fieldTok = typed[at - 1];
+    if (
+      (fieldTok?.type === "word" || fieldTok?.type === "value") &&
+      typed[at - 2]?.type !== "op" &&
+      words.every((w, i) => isWord(typed[at + i], w))
+    ) {
+      return { kind: "value", partial: typed === tokens ? "" : last.value, field: fieldTok.value, op };
+    }
+  }
+
+  // relation exists | -> the condition is complete
+  if (/\s$/.test(inner) && isWord(last, "exists") && prev?.type === "word") {
+    return { kind: "field", partial: "" };
+  }
+
+  // field contains| -> starting a value
+  if (isTextOpWord(last) && (prev?.type === "word" || prev?.type === "value")) {
+    return { kind: "value", partial: "", field: prev.value, op: last.value };
+  }
+
+  // field n| or field not | or field not i| -> typing a word operator after the field
+  const n = tokens.length;
+  let fieldAt: number | undefined;
+  let opPartial: string | undefined;
+  if (/\s$/.test(inner)) {
+    if (isWord(last, "not") && isBareField(tokens, n - 2)) {
+      fieldAt = n - 2;
+      opPartial = /not\s+$/i.exec(inner)?.[0];
+    }
+  } else if (isWord(prev, "not") && last.type === "word" && isBareField(tokens, n - 3)) {
+    fieldAt = n - 3;
+    opPartial = /not\s+\S*$/i.exec(inner)?.[0];
+  } else if ((last.type === "word" || isWord(last, "not")) && isBareField(tokens, n - 2)) {
+    fieldAt = n - 2;
+    opPartial = last.value;
+  }
+  if (fieldAt !== undefined && opPartial) {
+    return { kind: "operator", partial: opPartial, field: tokens[fieldAt].value };
+  }
+
   // If last token is a word, check what comes before it
   if (last.type === "word") {
-    if (prev?.type === "op") {
+    if (prev?.type === "op" || (isTextOpWord(prev) && prevPrev?.type !== "op")) {
       // field = |word  -> completing value
       return {
         kind: "value",
@@ -350,12 +555,110 @@ function parseWhereInner(inner: string): WhereParseResult {
   return { kind: "field", partial: "" };
 }
 
+/** The where text split at the relation conditions that are still open at its end. */
+interface RelationScopes {
+  /** Relations of the open `any(` / `all(` conditions, outermost first. */
+  relationPath: string[];
+  /** Text of the innermost open condition, after `any(relation,`; all of it when there is none. */
+  body: string;
+  /** Set when the text ends on the relation name of `any(`, `all(` or `count(`. */
+  relation?: { fn: RelationFunction; partial: string };
+}
+
+/** Find the `any(relation, ...)`, `all(relation, ...)` and `count(relation` calls open at the end of `inner`. */
+function openRelationScopes(inner: string): RelationScopes {
+  type Frame = { fn?: RelationFunction; nameStart: number; relation?: string; bodyStart?: number };
+  const stack: Frame[] = [];
+  let i = 0;
+  while (i < inner.length) {
+    const c = inner[i];
+    if (c === '"') {
+      i = skipQuotedString(inner, i);
+      continue;
+    }
+    if (c === "(") {
+      const fn = /(?:^|[\s()])(any|all|count)\s*$/i.exec(inner.slice(0, i))?.[1].toLowerCase();
+      stack.push({ fn: fn as RelationFunction | undefined, nameStart: i + 1 });
+    } else if (c === ")") {
+      stack.pop();
+    } else if (c === ",") {
+      const top = stack[stack.length - 1];
+      if (top && (top.fn === "any" || top.fn === "all") && top.relation === undefined) {
+        top.relation = inner.slice(top.nameStart, i).trim().replace(/^"|"$/g, "");
+        top.bodyStart = i + 1;
+      }
+    }
+    i++;
+  }
+  const scopes = stack.filter((f) => f.bodyStart !== undefined);
+  const top = stack[stack.length - 1];
+  const innermost = scopes[scopes.length - 1];
+  return {
+    relationPath: scopes.map((f) => f.relation as string),
+    body: innermost ? inner.slice(innermost.bodyStart) : inner,
+    ...(top?.fn && top.bodyStart === undefined
+      ? { relation: { fn: top.fn, partial: inner.slice(top.nameStart).trim() } }
+      : {}),
+  };
+}
+
+/**
+ * If the tokens end inside an unclosed `field in (` or `field not in (` list, return
+ * the value context for it: the partial item being typed and the items before it.
+ */
+function parseOpenList(tokens: Token[]): WhereParseResult | null {
+  let depth = 0;
+  let open = -1;
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const t = tokens[i];
+    if (t.type !== "paren") continue;
+    if (t.value === ")") depth++;
+    else if (depth === 0) {
+      open = i;
+      break;
+    } else depth--;
+  }
+  const isWord = (t: Token | undefined, w: string): boolean =>
+    (t?.type === "word" || t?.type === "keyword") && t.value.toLowerCase() === w;
+  if (open < 2 || !isWord(tokens[open - 1], "in")) return null;
+  const negated = isWord(tokens[open - 2], "not");
+  const fieldTok = tokens[negated ? open - 3 : open - 2];
+  if (fieldTok?.type !== "word" && fieldTok?.type !== "value") return null;
+
+  // Words may hold several comma-separated items ("active,pending")
+  const items: string[] = [];
+  let endsWithComma = false;
+  for (const t of tokens.slice(open + 1)) {
+    if (t.type === "word") {
+      items.push(...t.value.split(",").filter(Boolean));
+      endsWithComma = t.value.endsWith(",");
+    } else if (t.type === "value") {
+      items.push(t.value);
+      endsWithComma = false;
+    }
+  }
+  const last = tokens[tokens.length - 1];
+  const partial = endsWithComma || last.type === "paren" ? "" : (items.pop() ?? "");
+  return {
+    kind: "value",
+    partial,
+    field: fieldTok.value,
+    op: negated ? "not in" : "in",
+    listValues: items,
+  };
+}
+
 /**
  * Tokenize the inner content of where:(...) into structured tokens.
  */
 function tokenizeWhereInner(s: string): Token[] {
   const tokens: Token[] = [];
   const wordChar = /[^\s()"=<>!]/;
+  // As in the parser, text operator symbols only follow a field: in a value or list item they are text
+  let inList = false;
+  const textOps = (): boolean => !inList && tokens[tokens.length - 1]?.type !== "op";
+  const symbolAt = (i: number): string | undefined =>
+    [...OPS, ...(textOps() ? Object.keys(TEXT_OP_SYMBOLS) : [])].find((op) => s.slice(i, i + op.length) === op);
   let i = 0;
 
   while (i < s.length) {
@@ -367,6 +670,8 @@ function tokenizeWhereInner(s: string): Token[] {
 
     // Parentheses
     if (s[i] === "(" || s[i] === ")") {
+      const prev = tokens[tokens.length - 1];
+      inList = s[i] === "(" && prev?.type === "word" && prev.value.toLowerCase() === "in";
       tokens.push({ type: "paren", value: s[i] });
       i++;
       continue;
@@ -383,10 +688,10 @@ function tokenizeWhereInner(s: string): Token[] {
       continue;
     }
 
-    // Keywords: 'and' (3 chars)
+    // Keywords: 'and', 'not' (3 chars)
     if (
       s.length - i >= 3 &&
-      /^and$/i.test(s.slice(i, i + 3)) &&
+      /^(?:and|not)$/i.test(s.slice(i, i + 3)) &&
       (i + 3 >= s.length || !wordChar.test(s[i + 3]))
     ) {
       tokens.push({ type: "keyword", value: s.slice(i, i + 3) });
@@ -395,13 +700,7 @@ function tokenizeWhereInner(s: string): Token[] {
     }
 
     // Operators (check longer ones first)
-    let opFound: string | null = null;
-    for (const op of WHERE_OPS) {
-      if (s.slice(i, i + op.length) === op) {
-        opFound = op;
-        break;
-      }
-    }
+    const opFound = symbolAt(i);
     if (opFound) {
       tokens.push({ type: "op", value: opFound });
       i += opFound.length;
@@ -435,10 +734,10 @@ function tokenizeWhereInner(s: string): Token[] {
 
     // Unquoted words
     const start = i;
-    while (i < s.length && wordChar.test(s[i])) i++;
+    while (i < s.length && wordChar.test(s[i]) && !symbolAt(i)) i++;
     const word = s.slice(start, i);
     if (word) {
-      const tokenType = /^(and|or)$/i.test(word) ? "keyword" : "word";
+      const tokenType = /^(and|or|not)$/i.test(word) ? "keyword" : "word";
       tokens.push({ type: tokenType, value: word });
     }
   }
@@ -459,6 +758,11 @@ export function getContext(query: string, cursor: number): CursorContext {
     return { kind: "top-level", partial: "", usedKeys };
   }
 
+  // Typing a quoted search phrase: free text, nothing to suggest
+  if (segment.startsWith('"')) {
+    return { kind: "search", partial: segment };
+  }
+
   const colonIndex = segment.indexOf(":");
 
   // No colon: might be typing a key or just typed ':'
@@ -469,8 +773,18 @@ export function getContext(query: string, cursor: number): CursorContext {
     if (justTypedColon) {
       if (trimmedSegment === "entity")
         return { kind: "entity-value", partial: "" };
+      if (trimmedSegment === "select")
+        return { kind: "select-value", partial: "", entityValue };
+      if (trimmedSegment === "group")
+        return { kind: "group-value", partial: "", entityValue };
+      if (trimmedSegment === "aggregate")
+        return { kind: "aggregate-value", partial: "", entityValue };
       if (trimmedSegment === "limit")
         return { kind: "limit-value", partial: "" };
+      if (trimmedSegment === "offset")
+        return { kind: "offset-value", partial: "" };
+      if (trimmedSegment === "after")
+        return { kind: "after-value", partial: "" };
       if (trimmedSegment === "order") {
         return { kind: "order-value", partial: "", entityValue };
       }
@@ -494,63 +808,82 @@ export function getContext(query: string, cursor: number): CursorContext {
     case "entity":
       return { kind: "entity-value", partial: value };
 
+    case "select": {
+      // Comma-separated fields; the partial is the last one
+      const items = value.split(",").map((item) => item.trim());
+      const partial = items.pop() as string;
+      const selected = items.filter(Boolean);
+      return { kind: "select-value", partial, entityValue, ...(selected.length > 0 ? { selected } : {}) };
+    }
+
+    case "group": {
+      const items = value.split(",").map((item) => item.trim());
+      const partial = items.pop() as string;
+      const grouped = items.filter(Boolean);
+      return { kind: "group-value", partial, entityValue, ...(grouped.length > 0 ? { grouped } : {}) };
+    }
+
+    case "aggregate": {
+      // The partial is the last aggregate, or the field inside its parens: sum(to
+      const items = value.split(",").map((item) => item.trim());
+      const item = items.pop() as string;
+      const open = item.indexOf("(");
+      if (open === -1) {
+        const used = items.filter(Boolean);
+        return { kind: "aggregate-value", partial: item, entityValue, ...(used.length > 0 ? { used } : {}) };
+      }
+      if (item.includes(")")) return { kind: "unknown", partial: segment };
+      const fn = item.slice(0, open).trim().toLowerCase();
+      return { kind: "aggregate-value", partial: item.slice(open + 1).trim(), entityValue, fn };
+    }
+
     case "limit":
       return { kind: "limit-value", partial: value.trim() };
 
-    case "order": {
-      // Value is comma-separated terms (field or "field dir"); current partial = last token of last term
-      const afterLastComma = value.includes(",")
-        ? value.slice(value.lastIndexOf(",") + 1)
-        : value;
-      // Trailing space means we're completing direction (asc/desc), so partial is ""
-      const partial =
-        afterLastComma.endsWith(" ") || afterLastComma.trim() === ""
-          ? ""
-          : (() => {
-              const trimmed = afterLastComma.trimEnd();
-              const lastSpace = trimmed.lastIndexOf(" ");
-              return lastSpace === -1 ? trimmed : trimmed.slice(lastSpace + 1);
-            })();
-      // Only suggest asc/desc when we're after a field name (e.g. "order:name " or "order:created_at ")
-      const afterField =
-        afterLastComma.trimEnd().length > 0 && afterLastComma.endsWith(" ");
-      return { kind: "order-value", partial, entityValue, afterField };
-    }
+    case "offset":
+      return { kind: "offset-value", partial: value.trim() };
+
+    case "after":
+      return { kind: "after-value", partial: value.trim() };
+
+    case "order":
+      return getOrderContext(value, entityValue, []);
 
     case "include": {
-      // Handle comma-separated relations
-      const afterLastComma = value.includes(",")
-        ? value.slice(value.lastIndexOf(",") + 1).trim()
-        : value.trim();
-      return { kind: "include-value", partial: afterLastComma, entityValue };
+      // Handle comma-separated relations; commas inside include options do not count
+      const item = value.slice(lastTopLevelComma(value) + 1).trimStart();
+      const open = item.indexOf("(");
+      if (open !== -1 && !scanParenGroup(item, open).closed) {
+        // Inside include options: reviews(rating>=4 order:created_at desc limit:3)
+        const relationPath = item.slice(0, open).trim().split(".");
+        const body = item.slice(open + 1);
+        const option = lastIncludeOption(body);
+        if (option?.key === "limit") return { kind: "limit-value", partial: option.value.trim() };
+        if (option?.key === "order") return getOrderContext(option.value, entityValue, relationPath);
+        return getWhereContext(body, entityValue, relationPath);
+      }
+      // Nested relations (reviews.author) complete one hop at a time
+      const hops = item.trim().split(".");
+      const partial = hops.pop() as string;
+      if (hops.length === 0) return { kind: "include-value", partial, entityValue };
+      return { kind: "include-value", partial, entityValue, relationPath: hops };
     }
 
     case "where": {
-      let inner = value.trim().startsWith("(")
-        ? value.trim().slice(1)
-        : value.trim();
+      // Trailing whitespace is kept: it tells a finished "x is null" from one being typed
+      let inner = value.trimStart().startsWith("(")
+        ? value.trimStart().slice(1)
+        : value.trimStart();
       // If segment includes the closing paren of where:(...), strip it so we parse the value position
-      if (inner.endsWith(")")) {
+      if (inner.trimEnd().endsWith(")")) {
         let balance = 0;
         for (const c of inner) {
           if (c === "(") balance++;
           else if (c === ")") balance--;
         }
-        if (balance === -1) inner = inner.slice(0, -1).trim();
-      }
-      const parsed = parseWhereInner(inner);
-
-      if (parsed.kind === "field") {
-        return { kind: "where-field", partial: parsed.partial, entityValue };
+        if (balance === -1) inner = inner.trimEnd().slice(0, -1).trim();
       }
-
-      return {
-        kind: "where-value",
-        partial: parsed.partial,
-        field: parsed.field ?? "",
-        op: parsed.op ?? "=",
-        entityValue,
-      };
+      return getWhereContext(inner, entityValue, []);
     }
 
     default:
@@ -558,6 +891,104 @@ export function getContext(query: string, cursor: number): CursorContext {
   }
 }
 
+/** Context for an order value; `relationPath` leads to the entity of a filtered include. */
+function getOrderContext(value: string, entityValue: string, relationPath: string[]): CursorContext {
+  // Value is comma-separated terms (field or "field dir"); current partial = last token of last term
+  const afterLastComma = value.includes(",")
+    ? value.slice(value.lastIndexOf(",") + 1)
+    : value;
+  // Trailing space means we're completing direction (asc/desc), so partial is ""
+  const partial =
+    afterLastComma.endsWith(" ") || afterLastComma.trim() === ""
+      ? ""
+      : (() => {
+          const trimmed = afterLastComma.trimEnd();
+          const lastSpace = trimmed.lastIndexOf(" ");
+          return lastSpace === -1 ? trimmed : trimmed.slice(lastSpace + 1);
+        })();
+  // Only suggest asc/desc when we're after a field name (e.g. "order:name " or "order:created_at ")
+  const afterField =
+    afterLastComma.trimEnd().length > 0 && afterLastComma.endsWith(" ");
+  const scoped = relationPath.length > 0 ? { relationPath } : {};
+  return { kind: "order-value", partial, entityValue, afterField, ...scoped };
+}
+
+/**
+ * Context inside a where condition (without its opening paren). `basePath` leads to the
+ * entity of a filtered include; any(...) / all(...) scopes extend it.
+ */
+function getWhereContext(inner: string, entityValue: string, basePath: string[]): CursorContext {
+  // Inside any(relation, ...) the fields are those of the relation's entity
+  const scopes = openRelationScopes(inner);
+  const relationPath = [...basePath, ...scopes.relationPath];
+  const scoped = relationPath.length > 0 ? { relationPath } : {};
+  if (scopes.relation) {
+    return { kind: "where-relation", ...scopes.relation, entityValue, ...scoped };
+  }
+  const parsed = parseWhereInner(scopes.body);
+
+  if (parsed.kind === "field") {
+    return { kind: "where-field", partial: parsed.partial, entityValue, ...scoped };
+  }
+  if (parsed.kind === "operator") {
+    return { kind: "where-operator", partial: parsed.partial, field: parsed.field ?? "", entityValue, ...scoped };
+  }
+
+  return {
+    kind: "where-value",
+    partial: parsed.partial,
+    field: parsed.field ?? "",
+    op: parsed.op ?? "=",
+    entityValue,
+    ...(parsed.listValues ? { listValues: parsed.listValues } : {}),
+    ...scoped,
+  };
+}
+
+/** Index of the last comma outside parens and quotes, or -1. */
+function lastTopLevelComma(s: string): number {
+  let last = -1;
+  let i = 0;
+  while (i < s.length) {
+    if (s[i] === '"') {
+      i = skipQuotedString(s, i);
+      continue;
+    }
+    if (s[i] === "(") {
+      i = skipParenGroup(s, i);
+      continue;
+    }
+    if (s[i] === ",") last = i;
+    i++;
+  }
+  return last;
+}
+
+/** The last `order:` / `limit:` option in an open include-options body, with its value so far. */
+function lastIncludeOption(body: string): { key: "order" | "limit"; value: string } | undefined {
+  let found: { key: "order" | "limit"; value: string } | undefined;
+  let i = 0;
+  while (i < body.length) {
+    if (body[i] === '"') {
+      i = skipQuotedString(body, i);
+      continue;
+    }
+    if (body[i] === "(") {
+      i = skipParenGroup(body, i);
+      continue;
+    }
+    const match = /^(order|limit):/i.exec(body.slice(i));
+    if (match && (i === 0 || /\s/.test(body[i - 1]))) {
+      const key = match[1].toLowerCase() as "order" | "limit";
+      found = { key, value: body.slice(i + match[0].length) };
+      i += match[0].length;
+      continue;
+    }
+    i++;
+  }
+  return found;
+}
+
 /** One suggestion: text to insert (and optional display label). */
 export interface Suggestion {
   label: string;
@@ -566,6 +997,8 @@ export interface Suggestion {
   replacePartial?: boolean;
   /** When replacePartial is true, number of characters before the cursor to replace with insertText. */
   replaceLength?: number;
+  /** Extra text to show with the label, e.g. the description of a named filter. */
+  detail?: string;
 }
 
 /**
@@ -602,13 +1035,23 @@ export function getSuggestions(
     }
 
     case "limit-value":
+    case "offset-value":
       // Could suggest common limits: 10, 25, 50, 100
       return [];
 
+    case "after-value":
+      // Cursors come from nextCursor, not from the schema
+      return [];
+
+    case "search":
+      // Free text: any words may be searched for
+      return [];
+
     case "order-value": {
-      const relevantEntities = findRelevantEntities(
+      const relevantEntities = followRelations(
         schema,
-        context.entityValue,
+        findRelevantEntities(schema, context.entityValue),
+        context.relationPath ?? [],
       );
       const fieldMap = new Map<string, FieldDef>();
       for (const entity of relevantEntities) {
@@ -635,16 +1078,18 @@ export function getSuggestions(
     }
 
     case "include-value": {
-      const relevantEntities = findRelevantEntities(
+      // Follow each hop of reviews.author to the entity the relation targets
+      const relevantEntities = followRelations(
         schema,
-        context.entityValue,
+        findRelevantEntities(schema, context.entityValue),
+        context.relationPath ?? [],
       );
       const relations = new Set<string>();
 
       for (const entity of relevantEntities) {
-        for (const relation of entity.relations ?? []) {
-          if (matchesPartial(relation)) {
-            relations.add(relation);
+        for (const { name } of getRelations(entity)) {
+          if (matchesPartial(name)) {
+            relations.add(name);
           }
         }
       }
@@ -654,57 +1099,157 @@ export function getSuggestions(
       );
     }
 
+    case "group-value":
+    case "select-value": {
+      const selected = new Set((context.kind === "select-value" ? context.selected : context.grouped) ?? []);
+      const { fieldMap, relationPaths } = fieldPaths(schema, context.entityValue, [], context.partial);
+      return [...fieldMap.keys(), ...relationPaths]
+        .filter((f) => !selected.has(f))
+        .map((f) => withReplace({ label: f, insertText: f }));
+    }
+
+    case "aggregate-value": {
+      if (context.fn === undefined) {
+        const used = new Set(context.used ?? []);
+        return AGGREGATES.filter((a) => !used.has(a) && matchesPartial(a)).map((a) =>
+          withReplace({ label: a, insertText: a }),
+        );
+      }
+      if (context.fn === "count") return [];
+      // sum, avg, min and max take number fields (or untyped ones)
+      const { fieldMap, relationPaths } = fieldPaths(schema, context.entityValue, [], context.partial);
+      const fields = [...fieldMap].filter(([, def]) => !def.type || def.type === "number").map(([f]) => f);
+      return [...fields, ...relationPaths].map((f) => withReplace({ label: f, insertText: f }));
+    }
+
     case "where-field": {
-      const relevantEntities = findRelevantEntities(
+      const { prefix, last, relevantEntities, fieldMap, relationPaths } = fieldPaths(
         schema,
         context.entityValue,
+        context.relationPath ?? [],
+        context.partial,
       );
-      const fieldMap = new Map<string, FieldDef>();
-
-      for (const entity of relevantEntities) {
-        for (const [fieldName, fieldDef] of Object.entries(
-          entity.fields ?? {},
-        )) {
-          if (matchesPartial(fieldName)) {
-            fieldMap.set(fieldName, fieldDef);
-          }
-        }
-      }
+      const matchesLast = (name: string): boolean =>
+        !last || name.toLowerCase().startsWith(last);
 
       const exactFieldMatch = context.partial && fieldMap.has(context.partial);
+      const exactRelationMatch =
+        !prefix &&
+        context.partial &&
+        relevantEntities.some((e) => getRelations(e).some((r) => r.name === context.partial));
 
       // If user has typed an exact field name, suggest only operators (don't re-suggest the field)
       if (exactFieldMatch) {
-        return WHERE_OPS.map((op) =>
+        const ops = OPS.map((op) =>
           withReplace({
             label: op,
             insertText: op,
             replacePartial: false,
           }),
         );
+        for (const op of LIST_OPS) {
+          ops.push(withReplace({ label: op, insertText: ` ${op} (`, replacePartial: false }));
+        }
+        if (fieldMap.get(context.partial)?.nullable) {
+          for (const op of NULL_OPS) {
+            ops.push(withReplace({ label: op, insertText: ` ${op}`, replacePartial: false }));
+          }
+        }
+        if (fieldMap.get(context.partial)?.type === "string") {
+          for (const op of TEXT_OPS) {
+            ops.push(withReplace({ label: op, insertText: ` ${op} `, replacePartial: false }));
+          }
+        }
+        return ops;
       }
 
-      const suggestions: Suggestion[] = Array.from(fieldMap.keys()).map((f) =>
+      const suggestions: Suggestion[] = [...fieldMap.keys(), ...relationPaths].map((f) =>
         withReplace({ label: f, insertText: f }),
       );
+      if (exactRelationMatch) {
+        suggestions.push(withReplace({ label: "exists", insertText: " exists", replacePartial: false }));
+      }
+      if (!prefix && relevantEntities.some((e) => getRelations(e).length > 0)) {
+        for (const fn of RELATION_FUNCTIONS) {
+          if (matchesLast(fn)) suggestions.push(withReplace({ label: `${fn}(`, insertText: `${fn}(` }));
+        }
+      }
+      // Named filters of the entity, with what they select
+      const filters = new Map<string, string | undefined>();
+      for (const e of prefix ? [] : relevantEntities) {
+        for (const [name, def] of Object.entries(e.filters ?? {})) {
+          if (!filters.has(name)) filters.set(name, def.description);
+        }
+      }
+      for (const [name, description] of filters) {
+        const label = `@${name}`;
+        if (!matchesLast(label)) continue;
+        suggestions.push(withReplace({ label, insertText: label, ...(description ? { detail: description } : {}) }));
+      }
 
       return suggestions;
     }
 
+    case "where-operator": {
+      // Word operators only; symbols end the field without a space
+      const { fieldMap } = fieldPaths(schema, context.entityValue, context.relationPath ?? [], context.field);
+      const ops: Array<[string, string]> = LIST_OPS.map((op) => [op, `${op} (`]);
+      if (fieldMap.get(context.field)?.nullable) {
+        for (const op of NULL_OPS) ops.push([op, op]);
+      }
+      if (fieldMap.get(context.field)?.type === "string") {
+        for (const op of TEXT_OPS) ops.push([op, `${op} `]);
+      }
+      return ops
+        .filter(([op]) => matchesPartial(op))
+        .map(([op, insertText]) => withReplace({ label: op, insertText }));
+    }
+
+    case "where-relation": {
+      const relevantEntities = followRelations(
+        schema,
+        findRelevantEntities(schema, context.entityValue),
+        context.relationPath ?? [],
+      );
+      // any/all conditions need the target entity's fields; count works on any relation
+      const relations = new Set<string>();
+      for (const entity of relevantEntities) {
+        for (const { name, target } of getRelations(entity)) {
+          const hasTarget = schema.entities.some((e) => e.name === target);
+          if (matchesPartial(name) && (context.fn === "count" || hasTarget)) relations.add(name);
+        }
+      }
+      return Array.from(relations).map((r) =>
+        withReplace({ label: r, insertText: context.fn === "count" ? `${r})` : `${r}, ` }),
+      );
+    }
+
     case "where-value": {
-      const relevantEntities = findRelevantEntities(
+      const relevantEntities = followRelations(
         schema,
-        context.entityValue,
+        findRelevantEntities(schema, context.entityValue),
+        context.relationPath ?? [],
       );
       const valueSet = new Set<string>();
+      const inList = new Set(context.listValues ?? []);
+      // The rest of a null check: field is | or field is not |
+      const nullWords = context.op === "is" ? ["null", "not null"] : context.op === "is not" ? ["null"] : undefined;
 
       for (const entity of relevantEntities) {
-        const fieldDef = entity.fields?.[context.field];
-        if (fieldDef?.values) {
-          for (const value of fieldDef.values) {
-            if (matchesPartial(value)) {
-              valueSet.add(value);
-            }
+        // Dotted fields (author.role) take their values from the entity the path leads to
+        const path = followFieldPath(schema, entity, context.field);
+        const fieldDef = Object.prototype.hasOwnProperty.call(path.entity.fields ?? {}, path.field)
+          ? path.entity.fields?.[path.field]
+          : undefined;
+        if (nullWords) {
+          if (fieldDef?.nullable) nullWords.filter(matchesPartial).forEach((w) => valueSet.add(w));
+          continue;
+        }
+        const dateValues =
+          fieldDef?.type === "date" || fieldDef?.type === "datetime" ? DATE_VALUES : [];
+        for (const value of [...(fieldDef?.values ?? []), ...dateValues]) {
+          if (matchesPartial(value) && !inList.has(value)) {
+            valueSet.add(value);
           }
         }
       }
@@ -719,6 +1264,69 @@ export function getSuggestions(
   }
 }
 
+/**
+ * Field paths completing `partial`. A dotted partial (author.na) goes through relations;
+ * its last segment is completed on the target entity, and the paths replace the whole
+ * partial. Relations with a target are offered as `relation.`.
+ */
+function fieldPaths(
+  schema: Schema,
+  entityValue: string,
+  relationPath: string[],
+  partial: string,
+): {
+  prefix: string;
+  /** Lowercased last segment of the partial. */
+  last: string;
+  relevantEntities: EntityDef[];
+  fieldMap: Map<string, FieldDef>;
+  relationPaths: Set<string>;
+} {
+  const dot = partial.lastIndexOf(".");
+  const prefix = partial.slice(0, dot + 1);
+  const last = partial.slice(dot + 1).toLowerCase();
+  const matchesLast = (name: string): boolean => !last || name.toLowerCase().startsWith(last);
+  const relevantEntities = followRelations(
+    schema,
+    findRelevantEntities(schema, entityValue),
+    [...relationPath, ...(prefix ? prefix.slice(0, -1).split(".") : [])],
+  );
+  const fieldMap = new Map<string, FieldDef>();
+  const relationPaths = new Set<string>();
+
+  for (const entity of relevantEntities) {
+    for (const [fieldName, fieldDef] of Object.entries(entity.fields ?? {})) {
+      if (matchesLast(fieldName)) fieldMap.set(prefix + fieldName, fieldDef);
+    }
+    for (const { name, target } of getRelations(entity)) {
+      if (matchesLast(name) && schema.entities.some((e) => e.name === target)) {
+        relationPaths.add(`${prefix}${name}.`);
+      }
+    }
+  }
+  return { prefix, last, relevantEntities, fieldMap, relationPaths };
+}
+
+/**
+ * Entities reached from `entities` by following the relations named in `hops` to their targets.
+ */
+function followRelations(
+  schema: Schema,
+  entities: EntityDef[],
+  hops: string[],
+): EntityDef[] {
+  let current = entities;
+  for (const hop of hops) {
+    const targets = new Set(
+      current.flatMap((e) =>
+        getRelations(e).filter((r) => r.name === hop && r.target).map((r) => r.target),
+      ),
+    );
+    current = schema.entities.filter((e) => targets.has(e.name));
+  }
+  return current;
+}
+
 /**
  * Find entities relevant to the given entity value (partial or exact match).
  */
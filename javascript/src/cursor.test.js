@@ -0,0 +1,98 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextCursor, applyCursor, executeQuery, parsePlainText, defineSchema } from '../dist/index.js';
+
+const posts = [
+  { id: 1, created_at: '2024-01-02', title: 'a' },
+  { id: 2, created_at: '2024-01-03', title: 'b' },
+  { id: 3, created_at: '2024-01-01', title: 'c' },
+  { id: 4, created_at: '2024-01-02', title: 'd' },
+  { id: 5, created_at: '2024-01-03', title: 'e' },
+];
+
+const schema = defineSchema([
+  { name: 'posts', fields: { id: { type: 'number', unique: true }, created_at: { type: 'date' }, title: { type: 'string' } } },
+]);
+
+const ids = (rows) => rows.map((r) => r.id);
+
+describe('cursors', () => {
+
+  test('pages through the order with the cursor of the last row', () => {
+    const query = parsePlainText('entity:posts order:created_at desc,id limit:2');
+    const seen = [];
+    let page = executeQuery(query, posts);
+    while (page.length > 0) {
+      seen.push(ids(page));
+      const after = nextCursor(query, page.at(-1), { schema });
+      page = executeQuery(applyCursor({ ...query, after }, { schema }), posts);
+    }
+    assert.deepEqual(seen, [[2, 5], [1, 4], [3]]);
+  });
+
+  test('the keyset condition is ANDed with where', () => {
+    const query = { entity: 'posts', order: [{ field: 'created_at', dir: 'desc' }, { field: 'id', dir: 'asc' }] };
+    const after = nextCursor(query, posts[0], { unique: ['id'] });
+    const keyset = {
+      or: [
+        { field: 'created_at', op: '<', value: '2024-01-02' },
+        { and: [{ field: 'created_at', op: '=', value: '2024-01-02' }, { field: 'id', op: '>', value: 1 }] },
+      ],
+    };
+    assert.deepEqual(applyCursor({ ...query, after }, { unique: ['id'] }), { ...query, where: keyset });
+    const where = { field: 'title', op: '!=', value: 'x' };
+    assert.deepEqual(applyCursor({ ...query, where, after }, { unique: ['id'] }).where, { and: [where, keyset] });
+  });
+
+  test('terms after the first unique field are left out', () => {
+    const query = parsePlainText('entity:posts order:id desc,title');
+    const after = nextCursor(query, { id: 3, title: null }, { schema });
+    assert.deepEqual(applyCursor({ ...query, after }, { schema }).where, { field: 'id', op: '<', value: 3 });
+  });
+
+  test('rejects a missing or non-unique order', () => {
+    assert.throws(() => nextCursor({ entity: 'posts' }, posts[0], { schema }), /needs an order/);
+    assert.throws(() => nextCursor(parsePlainText('entity:posts order:created_at'), posts[0], { schema }), /unique field/);
+    assert.throws(() => nextCursor(parsePlainText('entity:posts order:id'), posts[0]), /unique field/);
+    assert.throws(() => nextCursor(parsePlainText('entity:posts order:id,id desc'), posts[0], { schema }), /listed twice/);
+    assert.throws(
+      () => applyCursor(parsePlainText('entity:posts order:created_at after:WyJhIl0'), { schema }),
+      /unique field/,
+    );
+  });
+
+  test('rejects nullable order fields, whose null records the next page would skip', () => {
+    const nullable = defineSchema([
+      { name: 'posts', fields: { id: { type: 'number', unique: true }, rank: { type: 'number', nullable: true } } },
+    ]);
+    const query = parsePlainText('entity:posts order:rank,id');
+    assert.throws(() => nextCursor(query, { id: 1, rank: 2 }, { schema: nullable }), /"rank" is nullable/);
+    assert.throws(() => applyCursor({ ...query, after: 'WzFd' }, { schema: nullable }), /"rank" is nullable/);
+    const after = nextCursor(parsePlainText('entity:posts order:id,rank'), { id: 1, rank: null }, { schema: nullable });
+    assert.deepEqual(applyCursor(parsePlainText(`entity:posts order:id,rank after:${after}`), { schema: nullable }).where, {
+      field: 'id', op: '>', value: 1,
+    });
+  });
+
+  test('rejects malformed cursors and cursors for another order', () => {
+    const after = nextCursor(parsePlainText('entity:posts order:id'), posts[0], { schema });
+    assert.throws(() => applyCursor(parsePlainText(`entity:posts order:id desc after:${after}`), { schema }), /made for order:id/);
+    assert.throws(() => applyCursor(parsePlainText('entity:posts order:id after:not-a-cursor'), { schema }), /Invalid cursor/);
+    assert.throws(() => nextCursor(parsePlainText('entity:posts order:created_at,id'), { id: 1 }, { schema }), /"created_at" is null or missing/);
+  });
+
+  test('dates become ISO strings and non-ASCII values survive', () => {
+    const query = parsePlainText('entity:posts order:title,id');
+    const after = nextCursor(query, { id: 1, title: 'Zoë' }, { schema });
+    assert.match(after, /^[A-Za-z0-9_-]+$/);
+    assert.equal(applyCursor({ ...query, after }, { schema }).where.or[0].value, 'Zoë');
+    const byDate = { entity: 'posts', order: [{ field: 'when', dir: 'asc' }] };
+    const dateCursor = nextCursor(byDate, { when: new Date('2024-01-02T00:00:00Z') }, { unique: ['when'] });
+    assert.deepEqual(applyCursor({ ...byDate, after: dateCursor }, { unique: ['when'] }).where, {
+      field: 'when',
+      op: '>',
+      value: '2024-01-02T00:00:00.000Z',
+    });
+  });
+
+});
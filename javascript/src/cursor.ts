@@ -0,0 +1,157 @@
+/**
+ * Keyset (cursor) pagination: next-page cursors for `after`, and the where condition they stand for.
+ */
+
+import type { RQLCondition, RQLOrderTerm, RQLQuery, RQLScalar } from "./parse.js";
+import { followFieldPath } from "./schema.js";
+import type { Schema } from "./schema.js";
+
+export interface CursorOptions {
+  /** Schema whose `unique` fields of the query's entity make an order a total order. */
+  schema?: Schema;
+  /** Fields whose values are unique per record; defaults to the `unique` fields in `schema`. */
+  unique?: string[];
+}
+
+/** One order term of a cursor and the value of its field in the row the cursor points after. */
+type CursorEntry = [field: string, dir: "asc" | "desc", value: RQLScalar];
+
+/**
+ * The order terms a cursor covers: up to and including the first unique field, after
+ * which the position of a row is fixed. Throws when the order is missing or not unique,
+ * or when one of those fields is `nullable` in the schema.
+ */
+function cursorTerms(query: RQLQuery, options: CursorOptions): RQLOrderTerm[] {
+  const order = query.order ?? [];
+  if (order.length === 0) {
+    throw new Error("Cursor pagination needs an order: a cursor continues from a position in that order");
+  }
+  const seen = new Set<string>();
+  for (const { field } of order) {
+    if (seen.has(field)) throw new Error(`Cursor pagination needs each order field once; "${field}" is listed twice`);
+    seen.add(field);
+  }
+  const entity = options.schema?.entities.find((e) => e.name === query.entity);
+  const unique = new Set(
+    options.unique ??
+      Object.entries(entity?.fields ?? {})
+        .filter(([, def]) => def.unique)
+        .map(([name]) => name),
+  );
+  const end = order.findIndex((term) => unique.has(term.field));
+  if (end === -1) {
+    throw new Error(
+      "Cursor pagination needs an order that is unique: it must include a unique field (e.g. order:created_at desc,id), " +
+        "so that no two records share a position. Mark the field with unique: true in the schema or pass options.unique",
+    );
+  }
+  const terms = order.slice(0, end + 1);
+  for (const { field } of terms) {
+    if (!entity || !options.schema) break;
+    const path = followFieldPath(options.schema, entity, field);
+    const fields = path.entity.fields ?? {};
+    if (Object.prototype.hasOwnProperty.call(fields, path.field) && fields[path.field].nullable) {
+      throw new Error(
+        `Cursor pagination needs order fields that are never null; "${field}" is nullable, ` +
+          "and the next page's comparisons would skip the records where it is null",
+      );
+    }
+  }
+  return terms;
+}
+
+/** A row's value for an order field; a dotted field not in the row is read through nested objects. */
+function readField(row: Record<string, unknown>, field: string): unknown {
+  if (field in row || !field.includes(".")) return row[field];
+  const dot = field.indexOf(".");
+  const related = row[field.slice(0, dot)];
+  return typeof related === "object" && related !== null
+    ? readField(related as Record<string, unknown>, field.slice(dot + 1))
+    : undefined;
+}
+
+function encode(text: string): string {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/** The entries of a cursor token, or undefined if it is not one. */
+function decode(token: string): CursorEntry[] | undefined {
+  try {
+    const binary = atob(token.replace(/-/g, "+").replace(/_/g, "/"));
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+    const entries: unknown = JSON.parse(text);
+    const isEntry = (e: unknown): boolean =>
+      Array.isArray(e) &&
+      e.length === 3 &&
+      typeof e[0] === "string" &&
+      (e[1] === "asc" || e[1] === "desc") &&
+      ["string", "number", "boolean"].includes(typeof e[2]);
+    return Array.isArray(entries) && entries.every(isEntry) ? (entries as CursorEntry[]) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Build the cursor for the page after `lastRow`, the last row of the current page, to
+ * pass as `after` in the next query (with the same `order`). The token is opaque: it
+ * holds the row's values for the order fields up to the first unique one. Date values
+ * are stored as ISO strings. Throws when the order is missing or not unique, when one of
+ * those fields is `nullable` in the schema, or when one of those values is null, missing or
+ * not a string, number or boolean. Without a schema the fields must still never be null:
+ * the next page's `>` / `<` comparisons skip every record with a null in one of them.
+ */
+export function nextCursor(
+  query: RQLQuery,
+  lastRow: Record<string, unknown>,
+  options: CursorOptions = {},
+): string {
+  const entries = cursorTerms(query, options).map(({ field, dir }): CursorEntry => {
+    let value = readField(lastRow, field);
+    if (value instanceof Date) value = value.toISOString();
+    if (value === null || value === undefined) {
+      throw new Error(`Cannot build a cursor: order field "${field}" is null or missing in the last row`);
+    }
+    if (!["string", "number", "boolean"].includes(typeof value)) {
+      throw new Error(`Cannot build a cursor: order field "${field}" of the last row is not a string, number or boolean`);
+    }
+    return [field, dir, value as RQLScalar];
+  });
+  return encode(JSON.stringify(entries));
+}
+
+/**
+ * Turn the query's `after` cursor into the equivalent keyset condition, ANDed with its
+ * `where`, and return the query without `after`. For `order:created_at desc,id` the
+ * condition is `created_at < v1 OR (created_at = v1 AND id > v2)`. Queries without
+ * `after` are returned as is. Throws when the order is missing or not unique, when one
+ * of its covered fields is `nullable` in the schema, or when the cursor is malformed or
+ * was made for a different order.
+ */
+export function applyCursor(query: RQLQuery, options: CursorOptions = {}): RQLQuery {
+  if (query.after === undefined) return query;
+  const { after, ...rest } = query;
+  const terms = cursorTerms(query, options);
+  const entries = decode(after);
+  if (!entries) throw new Error("Invalid cursor: after must be a token from nextCursor");
+  const matches =
+    entries.length === terms.length &&
+    entries.every(([field, dir], i) => field === terms[i].field && dir === terms[i].dir);
+  if (!matches) {
+    const made = entries.map(([field, dir]) => (dir === "desc" ? `${field} desc` : field)).join(",");
+    throw new Error(`Cursor does not match the query's order: it was made for order:${made}`);
+  }
+
+  // Rows after the cursor: equal on the earlier fields, past it on the next one
+  const branches = entries.map(([field, dir, value], i): RQLCondition => {
+    const equal = entries.slice(0, i).map(([f, , v]): RQLCondition => ({ field: f, op: "=", value: v }));
+    const past: RQLCondition = { field, op: dir === "desc" ? "<" : ">", value };
+    return equal.length > 0 ? { and: [...equal, past] } : past;
+  });
+  const keyset = branches.length === 1 ? branches[0] : { or: branches };
+  if (!rest.where) return { ...rest, where: keyset };
+  const where = rest.where.and ? { and: [...rest.where.and, keyset] } : { and: [rest.where, keyset] };
+  return { ...rest, where };
+}
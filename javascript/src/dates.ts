@@ -0,0 +1,62 @@
+/**
+ * Date and datetime field values: ISO 8601 checks and relative date expressions.
+ */
+
+export type DateType = "date" | "datetime";
+
+const DAY_MS = 86_400_000;
+
+const UNIT_MS: Record<string, number> = {
+  s: 1000,
+  m: 60_000,
+  h: 3_600_000,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+};
+
+const DAY_OFFSETS: Record<string, number> = { today: 0, yesterday: -1, tomorrow: 1 };
+
+/** An optional base (`now`, `today`, ...) and an optional signed offset (`-7d`, `+2h`). */
+const RELATIVE_DATE = /^(now|today|yesterday|tomorrow)?(?:([+-])(\d+)([smhdw]))?$/i;
+
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/** Milliseconds since epoch for an ISO 8601 date/datetime string, or undefined if it is not one. */
+export function isoInstant(s: string): number | undefined {
+  const m = ISO_DATE.exec(s);
+  if (!m) return undefined;
+  const hasTime = s.length > 10;
+  const normalized = hasTime && !m[1] ? `${s}Z` : s;
+  const t = Date.parse(normalized.replace(" ", "T"));
+  return Number.isNaN(t) ? undefined : t;
+}
+
+/** Whether `value` is an ISO 8601 date (`YYYY-MM-DD`), or for datetime fields any ISO 8601 date/datetime. */
+export function isDateValue(value: string, type: DateType): boolean {
+  const valid = type === "datetime" ? isoInstant(value) !== undefined : /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (!valid) return false;
+  // Rejects 2024-02-30 and the like, which Date.parse rolls over
+  const day = value.slice(0, 10);
+  const t = Date.parse(`${day}T00:00:00Z`);
+  return !Number.isNaN(t) && new Date(t).toISOString().startsWith(day);
+}
+
+/**
+ * Resolve a relative date expression such as `today`, `yesterday`, `-7d` or `now+2h`
+ * against `now`. Days start at midnight UTC; an offset without a base is relative to
+ * `now`. Returns an ISO date for date fields and an ISO datetime (UTC) for datetime
+ * fields, or undefined if `expr` is not a relative date expression.
+ */
+export function resolveDate(expr: string, type: DateType, now: Date): string | undefined {
+  const m = RELATIVE_DATE.exec(expr);
+  if (!m || (!m[1] && !m[2])) return undefined;
+  const base = (m[1] ?? "now").toLowerCase();
+  let t = now.getTime();
+  if (base !== "now") {
+    t = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + DAY_OFFSETS[base] * DAY_MS;
+  }
+  if (m[2]) t += (m[2] === "-" ? -1 : 1) * Number(m[3]) * UNIT_MS[m[4].toLowerCase()];
+  const iso = new Date(t).toISOString();
+  return type === "date" ? iso.slice(0, 10) : iso;
+}
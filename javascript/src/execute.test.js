@@ -0,0 +1,273 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeQuery, matchesCondition, parsePlainText } from '../dist/index.js';
+
+const users = [
+  { id: 1, name: 'Alice', status: 'active', age: 34, verified: true, created_at: '2024-01-15T10:00:00Z' },
+  { id: 2, name: 'Bob', status: 'pending', age: 17, verified: false, created_at: '2024-01-15T09:00:00-03:00' },
+  { id: 3, name: 'Carol', status: 'active', age: 25, verified: true, created_at: '2023-12-31' },
+  { id: 4, name: 'Dave', status: 'suspended', age: null, verified: false },
+];
+
+const ids = (rows) => rows.map((r) => r.id);
+const run = (text, options) => ids(executeQuery(parsePlainText(text), users, options));
+
+describe('executeQuery', () => {
+
+  test('no where returns every record, without mutating input', () => {
+    const rows = executeQuery({ entity: 'users' }, users);
+    assert.deepEqual(ids(rows), [1, 2, 3, 4]);
+    assert.notEqual(rows, users);
+  });
+
+  test('where - comparisons, AND and OR', () => {
+    assert.deepEqual(run('entity:users where:(status=active)'), [1, 3]);
+    assert.deepEqual(run('entity:users where:(status=active age>30)'), [1]);
+    assert.deepEqual(run('entity:users where:(age<18 OR verified=true)'), [1, 2, 3]);
+    assert.deepEqual(run('entity:users where:((status=pending OR status=suspended) verified=false)'), [2, 4]);
+    assert.deepEqual(run('entity:users where:(age>=25 age<=34)'), [1, 3]);
+  });
+
+  test('where - op defaults to =', () => {
+    assert.deepEqual(ids(executeQuery({ where: { field: 'name', value: 'Bob' } }, users)), [2]);
+  });
+
+  test('order - multiple terms and stable ties', () => {
+    assert.deepEqual(run('entity:users order:status,age desc'), [1, 3, 2, 4]);
+    assert.deepEqual(run('entity:users order:verified desc'), [1, 3, 2, 4]);
+  });
+
+  test('limit applies after where and order', () => {
+    assert.deepEqual(run('entity:users limit:1 order:age desc where:(verified=true)'), [1]);
+    assert.deepEqual(run('entity:users limit:0'), []);
+  });
+
+  test('group and aggregate return one row per group', () => {
+    const exec = (text) => executeQuery(parsePlainText(text), users);
+    assert.deepEqual(exec('entity:users group:status aggregate:count,avg(age) order:count desc,status'), [
+      { status: 'active', count: 2, 'avg(age)': 29.5 },
+      { status: 'pending', count: 1, 'avg(age)': 17 },
+      { status: 'suspended', count: 1, 'avg(age)': null },
+    ]);
+    assert.deepEqual(exec('entity:users aggregate:count,sum(age),min(created_at),max(age) where:(verified=false)'), [
+      { count: 2, 'sum(age)': 17, 'min(created_at)': '2024-01-15T09:00:00-03:00', 'max(age)': 17 },
+    ]);
+    assert.deepEqual(exec('entity:users aggregate:count,sum(age) where:(age>100)'), [{ count: 0, 'sum(age)': null }]);
+    assert.deepEqual(exec('entity:users group:verified'), [{ verified: true }, { verified: false }]);
+    const orders = [{ total: 5, customer: { tier: 'gold' } }, { total: 3, customer: null }, { total: 2, customer: { tier: 'gold' } }];
+    assert.deepEqual(executeQuery({ group: ['customer.tier'], aggregate: [{ fn: 'sum', field: 'total' }] }, orders), [
+      { 'customer.tier': 'gold', 'sum(total)': 7 },
+      { 'customer.tier': null, 'sum(total)': 3 },
+    ]);
+  });
+
+  test('offset skips results before limit', () => {
+    assert.deepEqual(run('entity:users order:id desc offset:1 limit:2'), [3, 2]);
+    assert.deepEqual(run('entity:users offset:3'), [4]);
+    assert.throws(() => executeQuery({ entity: 'users', order: [{ field: 'id', dir: 'asc' }], after: 'x' }, users), /applyCursor/);
+  });
+
+  test('nulls - "unknown" (default) makes every comparison false', () => {
+    assert.deepEqual(run('entity:users where:(age!=17)'), [1, 3]);
+    assert.deepEqual(run('entity:users where:(created_at!="2023-12-31")'), [1, 2]);
+  });
+
+  test('nulls - "distinct" makes != true for null and missing fields', () => {
+    assert.deepEqual(run('entity:users where:(age!=17)', { nulls: 'distinct' }), [1, 3, 4]);
+    assert.deepEqual(run('entity:users where:(age<100)', { nulls: 'distinct' }), [1, 2, 3]);
+  });
+
+  test('nullsOrder - nulls last by default, in either direction', () => {
+    assert.deepEqual(run('entity:users order:age'), [2, 3, 1, 4]);
+    assert.deepEqual(run('entity:users order:age desc'), [1, 3, 2, 4]);
+    assert.deepEqual(run('entity:users order:age desc', { nullsOrder: 'first' }), [4, 1, 3, 2]);
+  });
+
+  test('dates - chronological by default', () => {
+    // Bob's 09:00-03:00 is 12:00Z, after Alice's 10:00Z
+    assert.deepEqual(run('entity:users order:created_at desc'), [2, 1, 3, 4]);
+    assert.deepEqual(run('entity:users where:(created_at>"2024-01-15T11:00:00Z")'), [2]);
+    assert.deepEqual(run('entity:users where:(created_at>="2024-01-01")'), [1, 2]);
+    assert.deepEqual(run('entity:users where:(created_at="2023-12-31T00:00:00Z")'), [3]);
+  });
+
+  test('dates - "string" compares as plain strings', () => {
+    assert.deepEqual(run('entity:users order:created_at desc', { dates: 'string' }), [1, 2, 3, 4]);
+    assert.deepEqual(run('entity:users where:(created_at="2023-12-31T00:00:00Z")', { dates: 'string' }), []);
+  });
+
+  test('mixed number/string comparisons', () => {
+    const rows = [{ id: 1, code: '10' }, { id: 2, code: '9' }, { id: 3, code: 'x' }, { id: 4, code: 10 }];
+    const q = parsePlainText('entity:items where:(code>=10)');
+    assert.deepEqual(ids(executeQuery(q, rows)), [1, 4]);
+    assert.deepEqual(ids(executeQuery(q, rows, { mixed: 'string' })), [1, 2, 3, 4]);
+    assert.deepEqual(ids(executeQuery(q, rows, { mixed: 'never' })), [4]);
+    const ne = parsePlainText('entity:items where:(code!=10)');
+    assert.deepEqual(ids(executeQuery(ne, rows)), [2, 3]);
+    assert.deepEqual(ids(executeQuery(ne, rows, { mixed: 'never' })), [1, 2, 3]);
+  });
+
+  test('include - resolved through resolveRelation on the result rows only', () => {
+    const calls = [];
+    const rows = executeQuery(
+      parsePlainText('entity:users limit:2 include:posts,profile'),
+      users,
+      {
+        resolveRelation: (record, relation) => {
+          calls.push(`${record.id}.${relation}`);
+          return relation === 'posts' ? [] : { userId: record.id };
+        },
+      },
+    );
+    assert.deepEqual(calls, ['1.posts', '1.profile', '2.posts', '2.profile']);
+    assert.deepEqual(rows[0].profile, { userId: 1 });
+    assert.equal(users[0].profile, undefined);
+  });
+
+  test('include - nested relations are resolved on each loaded record by dotted path', () => {
+    const rows = executeQuery(parsePlainText('entity:users limit:1 include:posts.author,profile'), users, {
+      resolveRelation: (record, relation) => {
+        if (relation === 'posts') return [{ id: 10 }, { id: 11 }];
+        if (relation === 'posts.author') return { name: `author of ${record.id}` };
+        return null;
+      },
+    });
+    assert.deepEqual(rows[0].posts, [
+      { id: 10, author: { name: 'author of 10' } },
+      { id: 11, author: { name: 'author of 11' } },
+    ]);
+    assert.equal(rows[0].profile, null);
+  });
+
+  test('include - include queries filter, order and limit the loaded records', () => {
+    const posts = [
+      { id: 10, likes: 5 },
+      { id: 11, likes: 1 },
+      { id: 12, likes: 9 },
+    ];
+    const query = parsePlainText('entity:users limit:1 include:posts(likes>1 order:likes desc limit:1),posts.author,profile(plan=pro)');
+    const rows = executeQuery(query, users, {
+      resolveRelation: (record, relation) => {
+        if (relation === 'posts') return posts;
+        if (relation === 'posts.author') return { id: record.id };
+        return { plan: 'free' };
+      },
+    });
+    assert.deepEqual(rows[0].posts, [{ id: 12, likes: 9, author: { id: 12 } }]);
+    assert.equal(rows[0].profile, null);
+  });
+
+  test('select - keeps the selected fields and included relations', () => {
+    const orders = [{ id: 1, total: 5, customer: { name: 'Ann', tier: 'gold' }, lines: [{ sku: 'a', qty: 2 }] }];
+    const rows = executeQuery(parsePlainText('entity:orders select:total,customer.name,lines.sku,missing include:notes'), orders, {
+      resolveRelation: (record) => [`note for ${record.id}`],
+    });
+    assert.deepEqual(rows, [{ total: 5, customer: { name: 'Ann' }, lines: [{ sku: 'a' }], notes: ['note for 1'] }]);
+    assert.deepEqual(executeQuery({ entity: 'orders', select: ['customer', 'customer.name'] }, orders), [
+      { customer: { name: 'Ann', tier: 'gold' } },
+    ]);
+  });
+
+  test('include - without resolveRelation throws', () => {
+    assert.throws(() => executeQuery({ entity: 'users', include: { posts: true } }, users), /resolveRelation/);
+    assert.doesNotThrow(() => executeQuery({ entity: 'users', include: { posts: false } }, users));
+  });
+
+  test('in / not in', () => {
+    assert.deepEqual(run('entity:users where:(status in (pending, suspended))'), [2, 4]);
+    assert.deepEqual(run('entity:users where:(age in (17, "25"))'), [2, 3]);
+    // Null never matches under the default rules, like SQL
+    assert.deepEqual(run('entity:users where:(age not in (17, 25))'), [1]);
+    assert.deepEqual(run('entity:users where:(age not in (17, 25))', { nulls: 'distinct' }), [1, 4]);
+  });
+
+  test('is null / is not null match null and missing fields, whatever the nulls option', () => {
+    for (const nulls of ['unknown', 'distinct']) {
+      assert.deepEqual(run('entity:users where:(age is null)', { nulls }), [4]);
+      assert.deepEqual(run('entity:users where:(created_at is null)', { nulls }), [4]);
+      assert.deepEqual(run('entity:users where:(age is not null)', { nulls }), [1, 2, 3]);
+    }
+    assert.deepEqual(run('entity:users where:(NOT age is null)'), [1, 2, 3]);
+  });
+
+  test('text operators are case-insensitive and only match strings', () => {
+    assert.deepEqual(run('entity:users where:(name~LI)'), [1]);
+    assert.deepEqual(run('entity:users where:(name startsWith c OR name endsWith B)'), [2, 3]);
+    assert.deepEqual(run('entity:users where:(name~=dave)'), [4]);
+    assert.deepEqual(run('entity:users where:(age contains 3)'), []);
+  });
+
+  test('not - negates conditions and groups', () => {
+    assert.deepEqual(run('entity:users where:(NOT status=active)'), [2, 4]);
+    assert.deepEqual(run('entity:users where:(NOT (status=active OR verified=false))'), []);
+    assert.deepEqual(run('entity:users where:(NOT (age<18 OR status=suspended))'), [1, 3]);
+  });
+
+  test('not - an unknown comparison stays unknown unless nulls is "distinct"', () => {
+    assert.deepEqual(run('entity:users where:(NOT age>18)'), [2]);
+    assert.deepEqual(run('entity:users where:(NOT age>18 OR status=suspended)'), [2, 4]);
+    assert.deepEqual(run('entity:users where:(NOT age>18)', { nulls: 'distinct' }), [2, 4]);
+  });
+
+  test('dotted fields - follow to-one relations; a missing one reads as null', () => {
+    const orders = [
+      { id: 1, customer: { tier: 'gold', address: { city: 'Oslo' } } },
+      { id: 2, customer: { tier: 'silver' } },
+      { id: 3, customer: null },
+      { id: 4, 'customer.tier': 'gold' },
+    ];
+    const find = (text, options) => ids(executeQuery(parsePlainText(text), orders, options));
+    assert.deepEqual(find('entity:orders where:(customer.tier=gold)'), [1, 4]);
+    assert.deepEqual(find('entity:orders where:(customer.address.city=Oslo)'), [1]);
+    assert.deepEqual(find('entity:orders where:(customer.tier is null)'), [3]);
+    assert.deepEqual(find('entity:orders where:(customer.tier!=gold)'), [2]);
+    assert.deepEqual(find('entity:orders where:(customer.tier!=gold)', { nulls: 'distinct' }), [2, 3]);
+  });
+
+  test('dotted fields - a to-many relation matches when any related record does', () => {
+    const products = [
+      { id: 1, reviews: [{ rating: 5 }, { rating: 2 }] },
+      { id: 2, reviews: [{ rating: 2 }] },
+      { id: 3, reviews: [] },
+      { id: 4, reviews: [{ rating: null }] },
+    ];
+    const find = (text) => ids(executeQuery(parsePlainText(text), products));
+    assert.deepEqual(find('entity:products where:(reviews.rating>=4)'), [1]);
+    assert.deepEqual(find('entity:products where:(reviews.rating<4)'), [1, 2]);
+    // Never unknown, so its negation matches when no review has a rating of 4 or more
+    assert.deepEqual(find('entity:products where:(NOT reviews.rating>=4)'), [2, 3, 4]);
+    assert.deepEqual(find('entity:products where:(reviews.rating is null)'), [4]);
+  });
+
+  test('relation conditions - exists, any, all and count read related records from the record', () => {
+    const customers = [
+      { id: 1, orders: [{ status: 'delivered', total: 30 }, { status: 'delivered', total: 5 }] },
+      { id: 2, orders: [{ status: 'shipped', total: 50 }, { status: 'delivered', total: null }] },
+      { id: 3, orders: [] },
+      { id: 4, account: { status: 'closed' } },
+    ];
+    const find = (text) => ids(executeQuery(parsePlainText(text), customers));
+    assert.deepEqual(find('entity:customers where:(orders exists)'), [1, 2]);
+    assert.deepEqual(find('entity:customers where:(account exists OR NOT orders exists)'), [3, 4]);
+    assert.deepEqual(find('entity:customers where:(any(orders, total>20 status=shipped))'), [2]);
+    assert.deepEqual(find('entity:customers where:(any(account, status=closed))'), [4]);
+    // all is true when there are no related records
+    assert.deepEqual(find('entity:customers where:(all(orders, status=delivered))'), [1, 3, 4]);
+    // An unknown comparison does not count as true for the related record
+    assert.deepEqual(find('entity:customers where:(all(orders, total>1))'), [1, 3, 4]);
+    assert.deepEqual(find('entity:customers where:(NOT all(orders, total>1))'), [2]);
+    assert.deepEqual(find('entity:customers where:(count(orders)>=2)'), [1, 2]);
+    assert.deepEqual(find('entity:customers where:(count(orders)=0)'), [3, 4]);
+  });
+
+  test('unknown operator throws', () => {
+    assert.throws(() => executeQuery({ where: { field: 'age', op: '~', value: 1 } }, users), /Unknown operator/);
+  });
+
+  test('matchesCondition on a single record', () => {
+    assert.equal(matchesCondition(users[0], { field: 'age', op: '>', value: 30 }), true);
+    assert.equal(matchesCondition(users[0], { and: [] }), true);
+    assert.equal(matchesCondition(users[0], { or: [] }), false);
+  });
+
+});
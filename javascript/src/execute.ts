@@ -0,0 +1,461 @@
+/**
+ * In-memory evaluator: applies an RQL query to an array of plain records.
+ */
+
+import { aggregateName, includeQuery } from "./parse.js";
+import type { RQLAggregate, RQLCondition, RQLInclude, RQLOrderTerm, RQLQuantifier, RQLQuery } from "./parse.js";
+import type { Schema } from "./schema.js";
+import { isoInstant } from "./dates.js";
+import { expandFilters } from "./filters.js";
+import { assertBound } from "./params.js";
+import { expandSearch } from "./search.js";
+
+type Row = Record<string, unknown>;
+
+/**
+ * Rules for the cases SPEC.md leaves implementation-defined.
+ * Missing fields (`undefined`) are always treated the same as `null`.
+ */
+export interface ExecuteOptions {
+  /**
+   * Loads a relation listed in `include` for one result record. The return value is
+   * attached to a copy of the record under the relation name. Required when the
+   * query has an `include`. For a nested include such as `reviews.author`, it is then
+   * called for each loaded review with the dotted path `"reviews.author"` as `relation`.
+   * It returns every related record: the `where`, `order` and `limit` of an include
+   * query are applied to its result.
+   */
+  resolveRelation?: (record: Row, relation: string, query: RQLQuery) => unknown;
+  /**
+   * Schema whose `searchable` fields of the query's entity the `search` terms are matched
+   * against, and whose filters the query's named filters (`@active`) stand for.
+   */
+  schema?: Schema;
+  /**
+   * Comparisons where the record field is null or missing:
+   * - `"unknown"` (default): the comparison is unknown, as in SQL. A record only matches
+   *   when the whole condition is true, so `!=` and `not in` do not match, and neither
+   *   does `not` of an unknown comparison.
+   * - `"distinct"`: null is a value of its own: `!=` and `not in` are true, everything else false.
+   */
+  nulls?: "unknown" | "distinct";
+  /** Where null and missing values sort, regardless of direction. Default `"last"`. */
+  nullsOrder?: "first" | "last";
+  /**
+   * How two ISO 8601 date/datetime strings compare:
+   * - `"chronological"` (default): by instant in time; datetimes without an offset are read as UTC.
+   * - `"string"`: by plain string comparison.
+   */
+  dates?: "chronological" | "string";
+  /**
+   * How a number compares with a string:
+   * - `"coerce"` (default): a numeric string is compared as a number; other strings never match.
+   * - `"string"`: the number is compared as a string.
+   * - `"never"`: they never match (`!=` is true).
+   */
+  mixed?: "coerce" | "string" | "never";
+}
+
+/**
+ * Compare two non-null values. Returns a negative number, zero or a positive number,
+ * or undefined when the values are not comparable under the options.
+ */
+function compareValues(
+  a: unknown,
+  b: unknown,
+  options: ExecuteOptions,
+): number | undefined {
+  if (typeof a === "string" && typeof b === "string") {
+    if ((options.dates ?? "chronological") === "chronological") {
+      const ta = isoInstant(a);
+      const tb = isoInstant(b);
+      if (ta !== undefined && tb !== undefined) return ta - tb;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  if (typeof a === "boolean" && typeof b === "boolean") return Number(a) - Number(b);
+
+  const mixed = options.mixed ?? "coerce";
+  const isNumStr = (x: unknown, y: unknown): boolean =>
+    typeof x === "number" && typeof y === "string";
+  if (isNumStr(a, b) || isNumStr(b, a)) {
+    if (mixed === "string") return compareValues(String(a), String(b), options);
+    if (mixed === "coerce") {
+      const s = (typeof a === "string" ? a : b) as string;
+      const n = s.trim() === "" ? NaN : Number(s);
+      if (Number.isNaN(n)) return undefined;
+      return typeof a === "string" ? n - (b as number) : (a as number) - n;
+    }
+  }
+  return undefined;
+}
+
+function getField(record: Row, field: string): unknown {
+  return record?.[field];
+}
+
+/** Text operators, applied to lowercased strings. Other record values never match. */
+const TEXT_MATCHERS: Record<string, (actual: string, value: string) => boolean> = {
+  contains: (a, v) => a.includes(v),
+  startsWith: (a, v) => a.startsWith(v),
+  endsWith: (a, v) => a.endsWith(v),
+  ieq: (a, v) => a === v,
+};
+
+/** Truth value of a condition; undefined is SQL's unknown. */
+type Truth = boolean | undefined;
+
+/**
+ * Compare a field of the record. A dotted field that is not a key of the record is a
+ * path through related records: a to-one hop (an object) is followed, a missing one
+ * reads as null, and a to-many hop (an array) is true when the comparison is true for
+ * any item, and false otherwise (never unknown, like SQL's EXISTS).
+ */
+function matchesComparison(
+  record: Row,
+  cond: RQLCondition,
+  options: ExecuteOptions,
+): Truth {
+  const field = cond.field as string;
+  const dot = field.indexOf(".");
+  if (dot !== -1 && !(field in record)) {
+    const rest = { ...cond, field: field.slice(dot + 1) };
+    const follow = (related: unknown): Truth =>
+      typeof related === "object" && related !== null
+        ? matchesComparison(related as Row, rest, options)
+        : compareField(undefined, cond, options);
+    const related = record[field.slice(0, dot)];
+    return Array.isArray(related) ? related.some((item) => follow(item) === true) : follow(related);
+  }
+  return compareField(getField(record, field), cond, options);
+}
+
+/**
+ * The records of a relation, read from the record's property of that name: an array
+ * of records, or one record (to-one). Null, missing and non-object values are no records.
+ */
+function relatedRecords(record: Row, relation: string): Row[] {
+  const value = record[relation];
+  const list = Array.isArray(value) ? value : [value];
+  return list.filter((r): r is Row => typeof r === "object" && r !== null);
+}
+
+/**
+ * exists / any / all / count. They are never unknown: a related record counts
+ * for any/all only when the condition is true for it.
+ */
+function matchesRelation(record: Row, cond: RQLCondition, options: ExecuteOptions): boolean {
+  if (cond.count !== undefined) {
+    const count = relatedRecords(record, cond.count).length;
+    return compareField(count, { op: cond.op, value: cond.value }, options) === true;
+  }
+  if (cond.exists !== undefined) return relatedRecords(record, cond.exists).length > 0;
+  const { relation, where } = (cond.any ?? cond.all) as RQLQuantifier;
+  const matches = (r: Row): boolean => evaluate(r, where, options) === true;
+  const records = relatedRecords(record, relation);
+  return cond.any ? records.some(matches) : records.every(matches);
+}
+
+function compareField(actual: unknown, cond: RQLCondition, options: ExecuteOptions): Truth {
+  const op = cond.op ?? "=";
+  if (op === "is null" || op === "is not null") {
+    return (actual === null || actual === undefined) === (op === "is null");
+  }
+  if (actual === null || actual === undefined) {
+    if (options.nulls !== "distinct") return undefined;
+    return op === "!=" || op === "not in";
+  }
+  if (TEXT_MATCHERS[op]) {
+    if (typeof actual !== "string" || typeof cond.value !== "string") return false;
+    return TEXT_MATCHERS[op](actual.toLowerCase(), cond.value.toLowerCase());
+  }
+  if (op === "in" || op === "not in") {
+    const list = Array.isArray(cond.value) ? cond.value : [cond.value];
+    const found = list.some((v) => compareValues(actual, v, options) === 0);
+    return op === "in" ? found : !found;
+  }
+  const cmp = compareValues(actual, cond.value, options);
+  if (cmp === undefined) return op === "!=";
+  switch (op) {
+    case "=":
+      return cmp === 0;
+    case "!=":
+      return cmp !== 0;
+    case "<":
+      return cmp < 0;
+    case ">":
+      return cmp > 0;
+    case "<=":
+      return cmp <= 0;
+    case ">=":
+      return cmp >= 0;
+    default:
+      throw new Error(`Unknown operator "${op}"`);
+  }
+}
+
+/** Three-valued (true / false / unknown) evaluation, with and/or/not as in SQL. */
+function evaluate(record: Row, cond: RQLCondition, options: ExecuteOptions): Truth {
+  if (cond.and || cond.or) {
+    const all = cond.and !== undefined;
+    let result: Truth = all;
+    for (const c of (cond.and ?? cond.or) as RQLCondition[]) {
+      const v = evaluate(record, c, options);
+      if (v === !all) return v;
+      if (v === undefined) result = undefined;
+    }
+    return result;
+  }
+  if (cond.not) {
+    const v = evaluate(record, cond.not, options);
+    return v === undefined ? undefined : !v;
+  }
+  if (cond.exists !== undefined || cond.any || cond.all || cond.count !== undefined) {
+    return matchesRelation(record, cond, options);
+  }
+  if (cond.filter !== undefined) {
+    throw new Error(`Named filter @${cond.filter} was not expanded; pass options.schema, or call expandFilters first`);
+  }
+  if (cond.field === undefined) throw new Error("Invalid condition: expected field, and/or/not or a relation condition");
+  return matchesComparison(record, cond, options);
+}
+
+/** Returns true if the record satisfies the condition (unknown counts as not satisfied). */
+export function matchesCondition(
+  record: Row,
+  cond: RQLCondition,
+  options: ExecuteOptions = {},
+): boolean {
+  return evaluate(record, cond, options) === true;
+}
+
+const TYPE_RANK: Record<string, number> = { boolean: 0, number: 1, string: 2 };
+
+/** Total order used for sorting: comparable values by compareValues, otherwise by type. */
+function sortCompare(a: unknown, b: unknown, options: ExecuteOptions): number {
+  const cmp = compareValues(a, b, options);
+  if (cmp !== undefined) return cmp;
+  const ra = TYPE_RANK[typeof a] ?? 3;
+  const rb = TYPE_RANK[typeof b] ?? 3;
+  if (ra !== rb) return ra - rb;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function compareRecords(
+  a: Row,
+  b: Row,
+  order: RQLOrderTerm[],
+  options: ExecuteOptions,
+): number {
+  const nullsFirst = options.nullsOrder === "first";
+  for (const term of order) {
+    const va = getField(a, term.field);
+    const vb = getField(b, term.field);
+    const aNull = va === null || va === undefined;
+    const bNull = vb === null || vb === undefined;
+    let cmp: number;
+    if (aNull || bNull) {
+      if (aNull && bNull) continue;
+      // Null placement ignores direction
+      cmp = aNull === nullsFirst ? -1 : 1;
+    } else {
+      cmp = sortCompare(va, vb, options);
+      if (term.dir === "desc") cmp = -cmp;
+    }
+    if (cmp !== 0) return cmp;
+  }
+  return 0;
+}
+
+/**
+ * Apply a query's `search` and `where`, `group`/`aggregate`, `order`, `offset`, `limit`,
+ * `include` and `select` to an array of records. Records are assumed to already be of
+ * `query.entity`. The input array and records are not modified; included relations are
+ * attached to shallow copies, and `select` keeps only the selected fields (and included
+ * relations) of each record. A grouped query returns one new row per group instead.
+ */
+export function executeQuery<T extends Row>(
+  query: RQLQuery,
+  records: readonly T[],
+  options: ExecuteOptions = {},
+): T[] {
+  if (query.after !== undefined) {
+    throw new Error("Query has a cursor (after); turn it into a where condition with applyCursor first");
+  }
+  query = expandFilters(query, options.schema);
+  assertBound(query);
+  query = expandSearch(query, options.schema);
+  let rows = query.where
+    ? records.filter((r) => matchesCondition(r, query.where as RQLCondition, options))
+    : [...records];
+
+  if (query.group !== undefined || query.aggregate !== undefined) {
+    rows = groupRows(rows, query.group ?? [], query.aggregate ?? [], options) as T[];
+  }
+
+  if (query.order && query.order.length > 0) {
+    const order = query.order;
+    // Array.prototype.sort is stable, so ties keep input order
+    rows.sort((a, b) => compareRecords(a, b, order, options));
+  }
+
+  const offset = query.offset ?? 0;
+  if (offset > 0 || query.limit !== undefined) {
+    rows = rows.slice(offset, query.limit === undefined ? undefined : offset + query.limit);
+  }
+
+  const include = query.include ?? {};
+  if (Object.values(include).some(Boolean)) {
+    const resolve = options.resolveRelation;
+    if (!resolve) {
+      throw new Error("Query has include but no resolveRelation option was given");
+    }
+    rows = rows.map((row) => withIncludes(row, include, "", resolve, query, options) as T);
+  }
+
+  const select = query.select;
+  if (select) {
+    // Included relations are kept whether or not they are selected
+    const included = Object.keys(include).filter((rel) => includeQuery(include[rel]));
+    rows = rows.map((row) => {
+      const out = project(row, select);
+      for (const rel of included) out[rel] = row[rel];
+      return out as T;
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * A field of the record or, for a dotted field that is not a key of the record, of a
+ * related record reached through to-one hops (objects). Missing ones are undefined.
+ */
+function readPath(record: Row, field: string): unknown {
+  if (field in record) return record[field];
+  const dot = field.indexOf(".");
+  if (dot === -1) return undefined;
+  const related = record[field.slice(0, dot)];
+  return typeof related === "object" && related !== null && !Array.isArray(related)
+    ? readPath(related as Row, field.slice(dot + 1))
+    : undefined;
+}
+
+/**
+ * One row per distinct combination of the `group` fields' values, in order of first
+ * appearance, keyed by field name (dotted ones too), with each aggregate keyed by its
+ * aggregateName. Without `group`, one row over all records. As in SQL, sum, avg, min
+ * and max skip null values and are null when there are none.
+ */
+function groupRows(
+  records: readonly Row[],
+  group: readonly string[],
+  aggregates: readonly RQLAggregate[],
+  options: ExecuteOptions,
+): Row[] {
+  const groups = new Map<string, { row: Row; members: Row[] }>();
+  if (group.length === 0) groups.set("[]", { row: {}, members: [] });
+  for (const record of records) {
+    const values = group.map((field) => readPath(record, field) ?? null);
+    const key = JSON.stringify(values);
+    let entry = groups.get(key);
+    if (!entry) {
+      entry = { row: Object.fromEntries(group.map((field, i) => [field, values[i]])), members: [] };
+      groups.set(key, entry);
+    }
+    entry.members.push(record);
+  }
+  return [...groups.values()].map(({ row, members }) => {
+    const out: Row = { ...row };
+    for (const aggregate of aggregates) out[aggregateName(aggregate)] = aggregateValue(aggregate, members, options);
+    return out;
+  });
+}
+
+function aggregateValue(aggregate: RQLAggregate, records: readonly Row[], options: ExecuteOptions): unknown {
+  if (aggregate.fn === "count") return records.length;
+  const values = records
+    .map((r) => readPath(r, aggregate.field as string))
+    .filter((v) => v !== null && v !== undefined);
+  if (values.length === 0) return null;
+  switch (aggregate.fn) {
+    case "sum":
+    case "avg": {
+      const sum = values.reduce((total: number, v) => total + Number(v), 0);
+      return aggregate.fn === "sum" ? sum : sum / values.length;
+    }
+    default:
+      return values.reduce((best, v) => {
+        const cmp = sortCompare(v, best, options);
+        return (aggregate.fn === "min" ? cmp < 0 : cmp > 0) ? v : best;
+      });
+  }
+}
+
+/**
+ * The selected fields of a record; missing ones are left out. A dotted field that is
+ * not a key of the record is a path through related records, kept as a nested object
+ * (or an array of them) with only the selected fields.
+ */
+function project(record: Row, fields: readonly string[]): Row {
+  const out: Row = {};
+  const nested = new Map<string, string[]>();
+  for (const field of fields) {
+    const dot = field.indexOf(".");
+    if (dot === -1 || field in record) {
+      if (field in record) out[field] = record[field];
+      continue;
+    }
+    const rel = field.slice(0, dot);
+    nested.set(rel, [...(nested.get(rel) ?? []), field.slice(dot + 1)]);
+  }
+  for (const [rel, rest] of nested) {
+    // A relation selected as a whole keeps all its fields
+    if (!(rel in record) || rel in out) continue;
+    const follow = (related: unknown): unknown =>
+      typeof related === "object" && related !== null ? project(related as Row, rest) : related;
+    const related = record[rel];
+    out[rel] = Array.isArray(related) ? related.map(follow) : follow(related);
+  }
+  return out;
+}
+
+/**
+ * A shallow copy of `record` with the relations in `include` attached, following nested
+ * includes. An include query filters, sorts and limits a loaded array; a single loaded
+ * record that does not match its `where` becomes null.
+ */
+function withIncludes(
+  record: Row,
+  include: RQLInclude,
+  prefix: string,
+  resolve: NonNullable<ExecuteOptions["resolveRelation"]>,
+  query: RQLQuery,
+  options: ExecuteOptions,
+): Row {
+  const out: Row = { ...record };
+  for (const [rel, wanted] of Object.entries(include)) {
+    const sub = includeQuery(wanted);
+    if (!sub) continue;
+    const path = prefix + rel;
+    let value = resolve(record, path, query);
+    const { where, order, limit } = sub;
+    if (Array.isArray(value)) {
+      value = executeQuery({ where, order, limit }, value as Row[], options);
+    } else if (where && typeof value === "object" && value !== null && !matchesCondition(value as Row, where, options)) {
+      value = null;
+    }
+    const nested = sub.include;
+    if (!nested) {
+      out[rel] = value;
+      continue;
+    }
+    const nest = (v: unknown): unknown =>
+      typeof v === "object" && v !== null
+        ? withIncludes(v as Row, nested, `${path}.`, resolve, query, options)
+        : v;
+    out[rel] = Array.isArray(value) ? value.map(nest) : nest(value);
+  }
+  return out;
+}
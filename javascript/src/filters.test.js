@@ -0,0 +1,94 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandFilters, executeQuery, parsePlainText, parsePlainTextWithDiagnostics, stringifyPlainText, toSQL, toMongo, defineSchema } from '../dist/index.js';
+
+const schema = defineSchema([
+  {
+    name: 'users',
+    relations: [{ name: 'posts', target: 'posts', cardinality: 'many' }],
+    fields: {
+      status: { type: 'string', values: ['active', 'banned'] },
+      age: { type: 'number' },
+      created_at: { type: 'date' },
+    },
+    filters: {
+      active: { where: 'status=active', description: 'Users who are not banned' },
+      adult: { where: 'age>=18 @active' },
+      recent: { where: 'created_at>=-30d' },
+      writers: { where: { any: { relation: 'posts', where: { filter: 'live' } } } },
+      loop: { where: '@loop_back' },
+      loop_back: { where: 'age>1 OR @loop' },
+    },
+  },
+  { name: 'posts', fields: { published: { type: 'boolean' } }, filters: { live: { where: 'published=true' } } },
+]);
+
+const clock = () => new Date('2024-05-10T12:00:00Z');
+
+describe('filters', () => {
+
+  test('@name parses to a filter node and prints back', () => {
+    const q = parsePlainText('entity:users where:(@active age>30 OR NOT @adult any(posts, @live))');
+    assert.deepEqual(q.where, {
+      or: [
+        { and: [{ filter: 'active' }, { field: 'age', op: '>', value: 30 }] },
+        { and: [{ not: { filter: 'adult' } }, { any: { relation: 'posts', where: { filter: 'live' } } }] },
+      ],
+    });
+    assert.equal(stringifyPlainText(q), 'entity:users where:(@active age>30 OR NOT @adult any(posts, @live))');
+    // Quoted, it is a field name
+    assert.deepEqual(parsePlainText('entity:users where:("@active"=1)').where, { field: '@active', op: '=', value: 1 });
+    assert.equal(stringifyPlainText({ entity: 'users', where: { field: '@active', value: 1 } }), 'entity:users where:("@active"=1)');
+  });
+
+  test('expandFilters replaces filters with their conditions, nested and per entity', () => {
+    const q = parsePlainText('entity:users where:(@adult OR @writers) include:posts(@live)');
+    const expanded = expandFilters(q, schema);
+    assert.deepEqual(expanded.where, {
+      or: [
+        { and: [{ field: 'age', op: '>=', value: 18 }, { field: 'status', op: '=', value: 'active' }] },
+        { any: { relation: 'posts', where: { field: 'published', op: '=', value: true } } },
+      ],
+    });
+    assert.deepEqual(expanded.include.posts.where, { field: 'published', op: '=', value: true });
+    // The query itself is left as is
+    assert.deepEqual(q.where.or[0], { filter: 'adult' });
+    const plain = { entity: 'users', where: { field: 'age', op: '>', value: 1 } };
+    assert.equal(expandFilters(plain), plain);
+  });
+
+  test('definitions convert values like the query, relative dates with the clock', () => {
+    const q = { entity: 'users', where: { filter: 'recent' } };
+    assert.deepEqual(expandFilters(q, schema, { clock }).where, { field: 'created_at', op: '>=', value: '2024-04-10' });
+    const parsed = parsePlainText('entity:users where:(@recent)', schema, { clock, expandFilters: true });
+    assert.deepEqual(parsed.where, { field: 'created_at', op: '>=', value: '2024-04-10' });
+  });
+
+  test('unknown, recursive and missing-schema filters throw', () => {
+    assert.throws(() => expandFilters({ entity: 'users', where: { filter: 'nope' } }, schema), /Unknown filter @nope for entity users/);
+    assert.throws(
+      () => expandFilters({ entity: 'users', where: { filter: 'loop' } }, schema),
+      /Filter @loop refers to itself: @loop → @loop_back → @loop/,
+    );
+    assert.throws(() => expandFilters({ entity: 'users', where: { filter: 'active' } }), /needs the schema/);
+  });
+
+  test('the parser reports unknown and broken filters at their position', () => {
+    const { diagnostics } = parsePlainTextWithDiagnostics('entity:users where:(@nope OR @loop)', schema);
+    assert.deepEqual(
+      diagnostics.map((d) => [d.code, d.start, d.end]),
+      [['UNKNOWN_FILTER', 20, 25], ['INVALID_FILTER', 29, 34]],
+    );
+    assert.deepEqual(diagnostics[0].expected, ['active', 'adult', 'recent', 'writers', 'loop', 'loop_back']);
+  });
+
+  test('executeQuery, toSQL and toMongo expand filters from the schema', () => {
+    const q = parsePlainText('entity:users where:(@adult)');
+    const rows = [{ status: 'active', age: 40 }, { status: 'banned', age: 40 }, { status: 'active', age: 9 }];
+    assert.deepEqual(executeQuery(q, rows, { schema }), [rows[0]]);
+    assert.throws(() => executeQuery(q, rows), /needs the schema/);
+    const sql = toSQL(q, { dialect: 'postgres', schema, tableMap: { users: 'users' } });
+    assert.deepEqual(sql.params, [18, 'active']);
+    assert.deepEqual(toMongo(q, { schema }).filter, { $and: [{ age: { $gte: 18 } }, { status: { $eq: 'active' } }] });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Named filters: conditions an entity defines in the schema (`filters`), used in
+ * queries as `@name` and replaced with their conditions by expandFilters.
+ */
+
+import { convertToSchema, includeQuery, parseCondition } from "./parse.js";
+import type { ParseOptions, RQLCondition, RQLInclude, RQLQuery } from "./parse.js";
+import { relationTarget } from "./schema.js";
+import type { EntityDef, Schema } from "./schema.js";
+
+/** Whether the condition uses a named filter anywhere (including inside any/all). */
+function hasFilter(cond: RQLCondition): boolean {
+  if (cond.filter !== undefined) return true;
+  const parts = [...(cond.and ?? []), ...(cond.or ?? [])];
+  if (cond.not) parts.push(cond.not);
+  if (cond.any) parts.push(cond.any.where);
+  if (cond.all) parts.push(cond.all.where);
+  return parts.some(hasFilter);
+}
+
+/**
+ * The condition of `entity`'s filter `name`, with the filters it uses expanded in turn.
+ * `stack` holds the filters being expanded (as `entity.name`), to catch a filter that
+ * refers to itself. Throws when the filter is unknown, refers to itself or its
+ * definition does not parse.
+ */
+export function resolveFilter(
+  schema: Schema,
+  entity: EntityDef,
+  name: string,
+  options: ParseOptions = {},
+  stack: string[] = [],
+): RQLCondition {
+  const filters = entity.filters ?? {};
+  if (!Object.prototype.hasOwnProperty.call(filters, name)) {
+    throw new Error(`Unknown filter @${name} for entity ${entity.name}`);
+  }
+  const key = `${entity.name}.${name}`;
+  if (stack.includes(key)) {
+    const chain = [...stack.slice(stack.indexOf(key)), key].map((k) => `@${k.slice(k.indexOf(".") + 1)}`);
+    throw new Error(`Filter @${name} refers to itself: ${chain.join(" → ")}`);
+  }
+  const def = filters[name].where;
+  let where: RQLCondition;
+  try {
+    where = typeof def === "string" ? parseCondition(def) : structuredClone(def);
+  } catch (err) {
+    throw new Error(`Filter @${name} of entity ${entity.name} does not parse: ${(err as Error).message}`);
+  }
+  // Values in the definition are converted to their field's type like those of a query
+  const query: RQLQuery = { entity: entity.name, where };
+  convertToSchema(query, schema, options);
+  return expandCondition(query.where as RQLCondition, schema, entity, options, [...stack, key]);
+}
+
+function expandCondition(
+  cond: RQLCondition,
+  schema: Schema,
+  entity: EntityDef | undefined,
+  options: ParseOptions,
+  stack: string[],
+): RQLCondition {
+  if (cond.filter !== undefined) {
+    if (!entity) throw new Error(`Unknown filter @${cond.filter}: its entity is not in the schema`);
+    return resolveFilter(schema, entity, cond.filter, options, stack);
+  }
+  const out: RQLCondition = { ...cond };
+  if (cond.and) out.and = cond.and.map((c) => expandCondition(c, schema, entity, options, stack));
+  if (cond.or) out.or = cond.or.map((c) => expandCondition(c, schema, entity, options, stack));
+  if (cond.not) out.not = expandCondition(cond.not, schema, entity, options, stack);
+  for (const key of ["any", "all"] as const) {
+    const quantifier = cond[key];
+    if (!quantifier || !hasFilter(quantifier.where)) continue;
+    // Filters inside any/all are those of the relation's target entity
+    const target = entity && relationTarget(schema, entity, quantifier.relation);
+    out[key] = { ...quantifier, where: expandCondition(quantifier.where, schema, target, options, stack) };
+  }
+  return out;
+}
+
+/**
+ * Return a copy of the query with each named filter (`@active`) replaced by its
+ * condition from the schema, in `where`, inside any/all (with the related entity's
+ * filters) and in include queries. Definitions are parsed and their values converted
+ * like the query's own (`options`). Queries without filters are returned as is.
+ * Throws when the query uses filters and no schema is given, or when a filter is
+ * unknown, refers to itself or does not parse.
+ */
+export function expandFilters(query: RQLQuery, schema?: Schema, options: ParseOptions = {}): RQLQuery {
+  const conditions: RQLCondition[] = [];
+  const collect = (include: RQLInclude): void => {
+    for (const value of Object.values(include)) {
+      const sub = includeQuery(value);
+      if (sub?.where) conditions.push(sub.where);
+      if (sub?.include) collect(sub.include);
+    }
+  };
+  if (query.where) conditions.push(query.where);
+  if (query.include) collect(query.include);
+  if (!conditions.some(hasFilter)) return query;
+  if (!schema) throw new Error("Query uses named filters (@name); expanding them needs the schema that defines them");
+
+  const out = structuredClone(query);
+  const root = schema.entities.find((e) => e.name === out.entity);
+  if (out.where) out.where = expandCondition(out.where, schema, root, options, []);
+  // Include conditions are on the fields (and filters) of each relation's target entity
+  const walkInclude = (include: RQLInclude, entity: EntityDef | undefined): void => {
+    for (const [relation, value] of Object.entries(include)) {
+      const sub = includeQuery(value);
+      if (!sub) continue;
+      const target = entity && relationTarget(schema, entity, relation);
+      if (sub.where) sub.where = expandCondition(sub.where, schema, target, options, []);
+      if (sub.include) walkInclude(sub.include, target);
+    }
+  };
+  if (out.include) walkInclude(out.include, root);
+  return out;
+}
@@ -1,6 +1,27 @@
-export type { Schema, EntityDef, FieldDef } from './schema.js';
-export { defineSchema, exampleSchema } from './schema.js';
+export type { Schema, EntityDef, FieldDef, RelationDef, FilterDef, FieldPath } from './schema.js';
+export { defineSchema, exampleSchema, getRelations, followFieldPath } from './schema.js';
 export type { CursorContext, Suggestion } from './autocomplete.js';
 export { getContext, getSuggestions, getSuggestionsAtCursor } from './autocomplete.js';
-export type { RQLQuery, RQLCondition, RQLComparison, RQLOrderTerm } from './parse.js';
-export { ParseError, parsePlainText, isValidPlainText } from './parse.js';
+export type { RQLQuery, RQLCondition, RQLComparison, RQLQuantifier, RQLOrderTerm, RQLInclude, RQLIncludeQuery, RQLAggregate, RQLParam } from './parse.js';
+export type { ParseErrorCode, ParseErrorDetails, ParseOptions, Diagnostic, ParseResult } from './parse.js';
+export { ParseError, parsePlainText, parsePlainTextWithDiagnostics, parseCondition, isValidPlainText, aggregateName, isParam } from './parse.js';
+export { stringifyPlainText } from './stringify.js';
+export type { DateType } from './dates.js';
+export { resolveDate } from './dates.js';
+export type { ValidationIssue, ValidationCode, ValidateOptions } from './validate.js';
+export { validateQuery } from './validate.js';
+export type { ExecuteOptions } from './execute.js';
+export { executeQuery, matchesCondition } from './execute.js';
+export type { SQLDialect, SQLOptions, SQLTable, SQLRelation, SQLResult, SQLIncludeQuery } from './sql.js';
+export { toSQL } from './sql.js';
+export type { MongoOptions, MongoCollection, MongoRelation, MongoQuery } from './mongo.js';
+export { toMongo } from './mongo.js';
+export type { CursorOptions } from './cursor.js';
+export { nextCursor, applyCursor } from './cursor.js';
+export { expandSearch } from './search.js';
+export type { QueryParam } from './params.js';
+export { queryParams, bindParams } from './params.js';
+export { expandFilters } from './filters.js';
+export { normalizeQuery, hashQuery } from './normalize.js';
+export type { AnalysisCode, AnalysisWarning, AnalysisResult } from './analyze.js';
+export { analyzeQuery } from './analyze.js';
@@ -0,0 +1,257 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMongo, parsePlainText, exampleSchema, defineSchema } from '../dist/index.js';
+
+const collectionMap = {
+  products: {
+    collection: 'products',
+    dateFields: ['created_at'],
+    relations: {
+      reviews: { from: 'reviews', localField: '_id', foreignField: 'product_id' },
+      category: { from: 'categories', localField: 'category_id', foreignField: '_id', cardinality: 'one' },
+    },
+  },
+};
+
+const compile = (text, options = { collectionMap }) => toMongo(parsePlainText(text), options);
+
+describe('toMongo', () => {
+
+  test('entity only', () => {
+    assert.deepEqual(compile('entity:users'), { filter: {}, pipeline: [] });
+  });
+
+  test('comparison operators', () => {
+    const ops = { '=': '$eq', '<': '$lt', '>': '$gt', '<=': '$lte', '>=': '$gte' };
+    for (const [op, mongoOp] of Object.entries(ops)) {
+      assert.deepEqual(compile(`entity:users where:(age${op}18)`).filter, { age: { [mongoOp]: 18 } });
+    }
+    // Leaves out null and missing fields, like executeQuery and SQL
+    assert.deepEqual(compile('entity:users where:(age!=18)').filter, { age: { $nin: [18, null] } });
+  });
+
+  test('in / not in become $in / $nin', () => {
+    assert.deepEqual(compile('entity:users where:(status in (active, pending) age not in (1, 2))').filter, {
+      $and: [{ status: { $in: ['active', 'pending'] } }, { age: { $nin: [1, 2, null] } }],
+    });
+    assert.deepEqual(
+      compile('entity:products where:(created_at in ("2024-01-01"))').filter,
+      { created_at: { $in: [new Date('2024-01-01T00:00:00Z')] } },
+    );
+  });
+
+  test('text operators become escaped, anchored, case-insensitive $regex', () => {
+    assert.deepEqual(compile('entity:users where:(name~"a.b" name^=x name$="$" name~=Al)').filter, {
+      $and: [
+        { name: { $regex: 'a\\.b', $options: 'i' } },
+        { name: { $regex: '^x', $options: 'i' } },
+        { name: { $regex: '\\$$', $options: 'i' } },
+        { name: { $regex: '^Al$', $options: 'i' } },
+      ],
+    });
+  });
+
+  test('and/or become $and/$or', () => {
+    assert.deepEqual(
+      compile('entity:users where:(role=admin OR age>=18 verified=true)').filter,
+      {
+        $or: [
+          { role: { $eq: 'admin' } },
+          { $and: [{ age: { $gte: 18 } }, { verified: { $eq: true } }] },
+        ],
+      },
+    );
+  });
+
+  test('is null / is not null compare with null', () => {
+    assert.deepEqual(compile('entity:products where:(created_at is null OR created_at is not null)').filter, {
+      $or: [{ created_at: { $eq: null } }, { created_at: { $ne: null } }],
+    });
+  });
+
+  test('not becomes $nor, which leaves out null fields like executeQuery and SQL', () => {
+    assert.deepEqual(compile('entity:users where:(NOT (role=admin OR age<18))').filter, {
+      $and: [
+        { $nor: [{ role: { $eq: 'admin' } }, { role: { $eq: null } }] },
+        { $nor: [{ age: { $lt: 18 } }, { age: { $eq: null } }] },
+      ],
+    });
+    assert.deepEqual(compile('entity:users where:(NOT (role=admin age<18))').filter, {
+      $or: [
+        { $nor: [{ role: { $eq: 'admin' } }, { role: { $eq: null } }] },
+        { $nor: [{ age: { $lt: 18 } }, { age: { $eq: null } }] },
+      ],
+    });
+    // Paths through to-many relations (embedded arrays) are never unknown either
+    const many = { schema: exampleSchema };
+    assert.deepEqual(compile('entity:products where:(NOT reviews.rating=5)', many).filter, {
+      $nor: [{ 'reviews.rating': { $eq: 5 } }],
+    });
+    assert.deepEqual(compile('entity:products where:(reviews.rating!=5 reviews.rating not in (1))', many).filter, {
+      $and: [{ 'reviews.rating': { $ne: 5 } }, { 'reviews.rating': { $nin: [1] } }],
+    });
+    // Null checks and relation conditions are true or false, never unknown
+    assert.deepEqual(compile('entity:users where:(NOT (NOT role=admin OR role is null OR orders exists))').filter, {
+      $and: [{ role: { $eq: 'admin' } }, { $nor: [{ role: { $eq: null } }] }, { $nor: [{ 'orders.0': { $exists: true } }] }],
+    });
+  });
+
+  test('order becomes sort, limit stays limit, and both go into the pipeline', () => {
+    assert.deepEqual(compile('entity:users limit:5 order:age desc,status where:(status=active)'), {
+      filter: { status: { $eq: 'active' } },
+      sort: { age: -1, status: 1 },
+      limit: 5,
+      pipeline: [
+        { $match: { status: { $eq: 'active' } } },
+        { $sort: { age: -1, status: 1 } },
+        { $limit: 5 },
+      ],
+    });
+  });
+
+  test('group and aggregate become $group and $project; sort and limit follow in the pipeline only', () => {
+    assert.deepEqual(compile('entity:products group:category aggregate:count,sum(stock) where:(price<100) order:count desc limit:3'), {
+      collection: 'products',
+      filter: { price: { $lt: 100 } },
+      pipeline: [
+        { $match: { price: { $lt: 100 } } },
+        { $group: { _id: { g0: '$category' }, count: { $sum: 1 }, 'sum(stock)': { $sum: '$stock' } } },
+        { $project: { _id: 0, category: '$_id.g0', count: 1, 'sum(stock)': 1 } },
+        { $sort: { count: -1 } },
+        { $limit: 3 },
+      ],
+    });
+    assert.deepEqual(compile('entity:products aggregate:min(price),max(price)').pipeline, [
+      { $group: { _id: null, 'min(price)': { $min: '$price' }, 'max(price)': { $max: '$price' } } },
+      { $project: { _id: 0, 'min(price)': 1, 'max(price)': 1 } },
+    ]);
+    assert.throws(() => compile('entity:products group:category.name'), /cannot be grouped by/);
+    assert.throws(() => compile('entity:products aggregate:avg(specs.weight)'), /dotted fields/);
+  });
+
+  test('offset becomes skip, before limit in the pipeline', () => {
+    const { skip, pipeline } = compile('entity:users offset:20 limit:10');
+    assert.equal(skip, 20);
+    assert.deepEqual(pipeline, [{ $skip: 20 }, { $limit: 10 }]);
+    assert.throws(() => compile('entity:users order:age after:abc'), /applyCursor/);
+  });
+
+  test('limit 0 matches nothing, since find() and $limit cannot express it', () => {
+    const q = compile('entity:users limit:0 where:(status=active)');
+    assert.deepEqual(q.filter, { $expr: false });
+    assert.equal(q.limit, undefined);
+    assert.deepEqual(q.pipeline, [{ $match: { status: { $eq: 'active' } } }, { $match: { $expr: false } }]);
+    const grouped = compile('entity:products group:category limit:0');
+    assert.deepEqual(grouped.filter, {});
+    assert.deepEqual(grouped.pipeline.at(-1), { $match: { $expr: false } });
+  });
+
+  test('include becomes $lookup stages; to-one relations are unwound', () => {
+    const { collection, pipeline } = compile('entity:products limit:10 include:reviews,category');
+    assert.equal(collection, 'products');
+    assert.deepEqual(pipeline, [
+      { $limit: 10 },
+      { $lookup: { from: 'reviews', localField: '_id', foreignField: 'product_id', as: 'reviews' } },
+      { $lookup: { from: 'categories', localField: 'category_id', foreignField: '_id', as: 'category' } },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+    ]);
+  });
+
+  test('select becomes a projection, applied after $lookup in the pipeline', () => {
+    const { projection, pipeline } = compile('entity:products select:price,specs.color include:reviews');
+    assert.deepEqual(projection, { price: 1, 'specs.color': 1 });
+    assert.deepEqual(pipeline.at(-1), { $project: { price: 1, 'specs.color': 1, reviews: 1 } });
+    assert.throws(() => compile('entity:products select:reviews.rating'), /cannot be selected/);
+  });
+
+  test('include queries become a $lookup pipeline', () => {
+    const { pipeline } = compile('entity:products include:reviews(rating>=4 order:rating desc,created_at limit:3)');
+    assert.deepEqual(pipeline, [
+      {
+        $lookup: {
+          from: 'reviews',
+          localField: '_id',
+          foreignField: 'product_id',
+          as: 'reviews',
+          pipeline: [{ $match: { rating: { $gte: 4 } } }, { $sort: { rating: -1, created_at: 1 } }, { $limit: 3 }],
+        },
+      },
+    ]);
+    const [{ $lookup: empty }] = compile('entity:products include:reviews(limit:0)').pipeline;
+    assert.deepEqual(empty.pipeline, [{ $match: { $expr: false } }]);
+    assert.throws(() => compile('entity:products include:reviews(limit:1),reviews.author'), /Nested includes are not supported/);
+  });
+
+  test('ISO 8601 values on date fields become Date objects', () => {
+    const { filter } = compile('entity:products where:(created_at>="2024-01-01" created_at<"2024-02-06T12:00:00" name="2024-01-01")');
+    assert.deepEqual(filter, {
+      $and: [
+        { created_at: { $gte: new Date('2024-01-01T00:00:00Z') } },
+        { created_at: { $lt: new Date('2024-02-06T12:00:00Z') } },
+        { name: { $eq: '2024-01-01' } },
+      ],
+    });
+    assert.throws(() => compile('entity:products where:(created_at>yesterday)'), /not ISO 8601/);
+  });
+
+  test('date and datetime fields of the schema become Date objects too', () => {
+    const filter = toMongo(parsePlainText('entity:products where:(created_at<"2024-01-01")'), { schema: exampleSchema }).filter;
+    assert.deepEqual(filter, { created_at: { $lt: new Date('2024-01-01T00:00:00Z') } });
+  });
+
+  test('dotted fields are paths into embedded documents; related collections cannot be filtered by', () => {
+    assert.deepEqual(compile('entity:users where:(address.city=Oslo)').filter, { 'address.city': { $eq: 'Oslo' } });
+    assert.throws(
+      () => compile('entity:products where:(reviews.rating>=4)'),
+      /related collection "reviews" cannot be filtered by/,
+    );
+  });
+
+  test('relation conditions work on embedded arrays', () => {
+    assert.deepEqual(compile('entity:users where:(orders exists)').filter, { 'orders.0': { $exists: true } });
+    assert.deepEqual(compile('entity:users where:(any(orders, status=shipped total>10))').filter, {
+      orders: { $elemMatch: { $and: [{ status: { $eq: 'shipped' } }, { total: { $gt: 10 } }] } },
+    });
+    assert.deepEqual(compile('entity:users where:(all(orders, status=delivered))').filter, {
+      orders: { $not: { $elemMatch: { $nor: [{ status: { $eq: 'delivered' } }] } } },
+    });
+    assert.deepEqual(compile('entity:users where:(count(orders)>=2)').filter, {
+      $expr: { $gte: [{ $size: { $ifNull: ['$orders', []] } }, 2] },
+    });
+    assert.throws(() => compile('entity:products where:(reviews exists)'), /related collection "reviews" cannot be filtered by/);
+    assert.throws(() => compile('entity:users where:(any(orders, count(items)>1))'), /count inside any\/all is not supported/);
+  });
+
+  test('nested includes throw', () => {
+    assert.throws(() => compile('entity:products include:reviews.author'), /Nested includes are not supported/);
+  });
+
+  test('search terms match the searchable fields with case-insensitive $regex', () => {
+    const schema = defineSchema([{ name: 'products', searchable: ['name', 'description'] }]);
+    const { filter } = compile('entity:products laptop "usb.c"', { collectionMap, schema });
+    const term = (pattern) => ({
+      $or: [{ name: { $regex: pattern, $options: 'i' } }, { description: { $regex: pattern, $options: 'i' } }],
+    });
+    assert.deepEqual(filter, { $and: [term('laptop'), term('usb\\.c')] });
+    assert.throws(() => compile('entity:products laptop'), /no searchable fields/);
+  });
+
+  test('include without a mapping throws', () => {
+    assert.throws(() => compile('entity:users include:posts'), /No Mongo mapping for relation "posts"/);
+  });
+
+  test('field names that look like operators are rejected', () => {
+    assert.throws(() => toMongo({ entity: 'users', where: { field: '$where', op: '=', value: '1' } }), /Invalid field name/);
+    assert.throws(() => toMongo({ entity: 'users', order: [{ field: '$natural', dir: 'asc' }] }), /Invalid field name/);
+  });
+
+  test('invalid queries throw, and the schema is applied when given', () => {
+    assert.throws(() => toMongo({ entity: 'users', where: { field: 'a', op: '$gt', value: 1 } }), /operator/);
+    assert.throws(() => toMongo({ entity: 'users', where: { field: 'a', value: { $gt: '' } } }), /value/);
+    assert.throws(
+      () => toMongo({ entity: 'users', where: { field: 'nope', value: 1 } }, { schema: exampleSchema }),
+      /Unknown field "nope"/,
+    );
+  });
+
+});
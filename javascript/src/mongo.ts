@@ -0,0 +1,358 @@
+/**
+ * Compiler for RQL JSON → MongoDB filter, find options and aggregation pipeline.
+ */
+
+import { isoInstant } from "./dates.js";
+import { aggregateName, includeQuery } from "./parse.js";
+import type { RQLCondition, RQLOrderTerm, RQLQuery } from "./parse.js";
+import { followFieldPath, relationTarget } from "./schema.js";
+import type { EntityDef, Schema } from "./schema.js";
+import { expandFilters } from "./filters.js";
+import { assertBound } from "./params.js";
+import { expandSearch } from "./search.js";
+import { validateQuery } from "./validate.js";
+
+type Doc = Record<string, unknown>;
+
+/** How an included relation is joined with `$lookup`. */
+export interface MongoRelation {
+  /** Collection holding the related documents. */
+  from: string;
+  /** Field on the root documents. */
+  localField: string;
+  /** Field on the related documents that `localField` matches. */
+  foreignField: string;
+  /** `"one"` unwinds the lookup result to a single document (or null). Default `"many"`. */
+  cardinality?: "one" | "many";
+}
+
+/** Mongo mapping for one entity. */
+export interface MongoCollection {
+  collection: string;
+  /**
+   * How each relation in `include` is joined. Where conditions cannot use these
+   * relations; other relations in where (dotted fields, exists/any/all/count) are
+   * taken to be embedded documents or arrays of them.
+   */
+  relations?: Record<string, MongoRelation>;
+  /**
+   * Fields stored as BSON dates; ISO 8601 string values on them become Date objects.
+   * Fields of type date or datetime in the `schema` option are included automatically.
+   */
+  dateFields?: string[];
+}
+
+export interface MongoOptions {
+  /** Entity name → collection mapping. Needed for `include` and date conversion. */
+  collectionMap?: Record<string, MongoCollection>;
+  /**
+   * When given, the query is validated against it. Needed for `search`, matched against
+   * `searchable` fields, and for named filters (`@active`).
+   */
+  schema?: Schema;
+}
+
+export interface MongoQuery {
+  /** Collection for the query's entity, when mapped. */
+  collection?: string;
+  filter: Doc;
+  sort?: Record<string, 1 | -1>;
+  /** Documents to skip (`offset`), applied before `limit`. */
+  skip?: number;
+  limit?: number;
+  /** Inclusion projection for `select`. */
+  projection?: Record<string, 1>;
+  /**
+   * The same query as an aggregation pipeline, with a `$lookup` stage per included
+   * relation. For `group` and `aggregate` it is the only form of the query.
+   */
+  pipeline: Doc[];
+}
+
+const MONGO_OPS: Record<string, string> = {
+  "=": "$eq",
+  "!=": "$ne",
+  "<": "$lt",
+  ">": "$gt",
+  "<=": "$lte",
+  ">=": "$gte",
+  in: "$in",
+  "not in": "$nin",
+  // Matches null and missing fields alike, like the evaluator
+  "is null": "$eq",
+  "is not null": "$ne",
+};
+
+/** Anchored, escaped, case-insensitive regex source per text operator. */
+const MONGO_TEXT_PATTERNS: Record<string, (escaped: string) => string> = {
+  contains: (v) => v,
+  startsWith: (v) => `^${v}`,
+  endsWith: (v) => `${v}$`,
+  ieq: (v) => `^${v}$`,
+};
+
+/**
+ * A filter no document matches, for `limit:0`: find() reads a limit of 0 as no limit,
+ * and $limit must be positive.
+ */
+const MATCH_NONE: Doc = { $expr: false };
+
+/** Field names starting with "$" would be read as operators; reject them. */
+function checkField(field: string): string {
+  if (field.startsWith("$") || field.includes("\0")) {
+    throw new Error(`Invalid field name ${JSON.stringify(field)}`);
+  }
+  return field;
+}
+
+/**
+ * What conditions apply to: the root documents, a relation's embedded documents inside
+ * any/all (`relation`), or the documents of a related collection in a `$lookup`.
+ */
+interface Scope {
+  relation?: string;
+  entity?: EntityDef;
+  /** Mapping of the collection the documents are in, when known. */
+  mapping?: MongoCollection;
+  /** Fields whose ISO 8601 values become Date objects. */
+  dates: Set<string>;
+}
+
+/**
+ * Compile an RQL query for MongoDB. `filter`, `sort`, `skip`, `limit` and `projection`
+ * can be passed to `find()`; `pipeline` is the equivalent aggregation including `$lookup` stages
+ * for `include`. A grouped query (`group` or `aggregate`) becomes `$group` and `$project`
+ * stages, and its `sort`, `skip` and `limit` only appear in the pipeline, after them.
+ * Throws if the query is invalid or an included relation is not mapped.
+ */
+export function toMongo(query: RQLQuery, options: MongoOptions = {}): MongoQuery {
+  const issues = validateQuery(query, options.schema);
+  if (issues.length > 0) {
+    const { path, message } = issues[0];
+    throw new Error(path ? `${path}: ${message}` : message);
+  }
+  query = expandFilters(query, options.schema);
+  assertBound(query);
+  // Search terms become text conditions, compiled like any other
+  query = expandSearch(query, options.schema);
+
+  if (query.after !== undefined) {
+    throw new Error("Query has a cursor (after); turn it into a where condition with applyCursor first");
+  }
+  const mapping = options.collectionMap?.[query.entity as string];
+  const entityDef = options.schema?.entities?.find((e) => e.name === query.entity);
+  const schemaDateFields = (entity: EntityDef | undefined): string[] =>
+    Object.entries(entity?.fields ?? {})
+      .filter(([, def]) => def.type === "date" || def.type === "datetime")
+      .map(([name]) => name);
+  const dateFields = new Set([...(mapping?.dateFields ?? []), ...schemaDateFields(entityDef)]);
+
+  const root: Scope = { entity: entityDef, mapping, dates: dateFields };
+
+  const toValue = (field: string, value: unknown, dates: Set<string>): unknown => {
+    if (!dates.has(field) || typeof value !== "string") return value;
+    const t = isoInstant(value);
+    if (t === undefined) {
+      throw new Error(`Value ${JSON.stringify(value)} for date field "${field}" is not ISO 8601`);
+    }
+    return new Date(t);
+  };
+
+  /**
+   * Whether the field is a path through a to-many relation of the schema, an embedded
+   * array: it matches when an element does, and like executeQuery is never unknown.
+   */
+  const throughArray = (field: string, scope: Scope): boolean =>
+    options.schema !== undefined &&
+    scope.entity !== undefined &&
+    followFieldPath(options.schema, scope.entity, field).relations.some((r) => r.cardinality !== "one");
+
+  /** Relations joined with $lookup only exist in the pipeline, after the filter. */
+  const checkEmbedded = (relation: string, scope: Scope, what: string): string => {
+    if (!scope.relation && scope.mapping?.relations?.[relation]) {
+      throw new Error(`Fields of the related collection "${relation}" cannot be filtered by in toMongo (${what})`);
+    }
+    return checkField(relation);
+  };
+
+  const compile = (cond: RQLCondition, scope: Scope = root): Doc => {
+    if (cond.and) return { $and: cond.and.map((c) => compile(c, scope)) };
+    if (cond.or) return { $or: cond.or.map((c) => compile(c, scope)) };
+    if (cond.not) return compileFalse(cond.not, scope);
+    if (cond.exists !== undefined) {
+      const relation = checkEmbedded(cond.exists, scope, `"${cond.exists} exists"`);
+      return { [`${relation}.0`]: { $exists: true } };
+    }
+    if (cond.count !== undefined) {
+      const relation = checkEmbedded(cond.count, scope, `"count(${cond.count})"`);
+      // $expr is not allowed inside $elemMatch
+      if (scope.relation) {
+        throw new Error(`count inside any/all is not supported by toMongo (relation "${scope.relation}")`);
+      }
+      const size = { $size: { $ifNull: [`$${relation}`, []] } };
+      return { $expr: { [MONGO_OPS[cond.op ?? "="]]: [size, cond.value] } };
+    }
+    const quantifier = cond.any ?? cond.all;
+    if (quantifier) {
+      const relation = checkEmbedded(quantifier.relation, scope, `relation "${quantifier.relation}"`);
+      const target =
+        options.schema && scope.entity
+          ? relationTarget(options.schema, scope.entity, quantifier.relation)
+          : undefined;
+      const inner = compile(quantifier.where, {
+        relation: quantifier.relation,
+        entity: target,
+        dates: new Set(schemaDateFields(target)),
+      });
+      // all: no element for which the condition does not hold
+      return cond.any
+        ? { [relation]: { $elemMatch: inner } }
+        : { [relation]: { $not: { $elemMatch: { $nor: [inner] } } } };
+    }
+    const field = checkField(cond.field as string);
+    // Dotted paths into embedded documents are plain Mongo paths; related collections are only joined in the pipeline
+    if (field.includes(".")) checkEmbedded(field.split(".")[0], scope, `"${field}"`);
+    const pattern = MONGO_TEXT_PATTERNS[cond.op as string];
+    if (pattern) {
+      const escaped = String(cond.value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return { [field]: { $regex: pattern(escaped), $options: "i" } };
+    }
+    const value = Array.isArray(cond.value)
+      ? cond.value.map((v) => toValue(field, v, scope.dates))
+      : toValue(field, cond.value ?? null, scope.dates);
+    // $ne and $nin match null and missing fields, for which the comparison is unknown
+    if ((cond.op === "!=" || cond.op === "not in") && !throughArray(field, scope)) {
+      return { [field]: { $nin: [...(Array.isArray(value) ? value : [value]), null] } };
+    }
+    return { [field]: { [MONGO_OPS[cond.op ?? "="]]: value } };
+  };
+
+  /**
+   * Documents for which the condition is false, for `not`. As in executeQuery and SQL, a
+   * comparison on a null or missing field is neither true nor false, so neither is its `not`.
+   */
+  const compileFalse = (cond: RQLCondition, scope: Scope): Doc => {
+    if (cond.and) return { $or: cond.and.map((c) => compileFalse(c, scope)) };
+    if (cond.or) return { $and: cond.or.map((c) => compileFalse(c, scope)) };
+    if (cond.not) return compile(cond.not, scope);
+    if (
+      cond.field !== undefined &&
+      cond.op !== "is null" &&
+      cond.op !== "is not null" &&
+      !throughArray(cond.field, scope)
+    ) {
+      return { $nor: [compile(cond, scope), compile({ field: cond.field, op: "is null" }, scope)] };
+    }
+    return { $nor: [compile(cond, scope)] };
+  };
+
+  const out: MongoQuery = {
+    filter: query.where ? compile(query.where) : {},
+    pipeline: [],
+  };
+  if (mapping) out.collection = mapping.collection;
+
+  const toSort = (order: RQLOrderTerm[]): Record<string, 1 | -1> =>
+    Object.fromEntries(order.map((term) => [checkField(term.field), term.dir === "desc" ? -1 : 1]));
+
+  if (Object.keys(out.filter).length > 0) out.pipeline.push({ $match: out.filter });
+
+  // Group keys are numbered in _id and moved back to the field names by $project
+  const grouped = query.group !== undefined || query.aggregate !== undefined;
+  if (grouped) {
+    const checkGroupField = (field: string, what: string): string => {
+      const dot = field.indexOf(".");
+      if (dot !== -1 && mapping?.relations?.[field.slice(0, dot)]) {
+        throw new Error(`Fields of the related collection "${field.slice(0, dot)}" cannot be ${what} in toMongo (${field})`);
+      }
+      return checkField(field);
+    };
+    const group: Doc = { _id: null };
+    const project: Doc = { _id: 0 };
+    if (query.group) {
+      group._id = Object.fromEntries(query.group.map((field, i) => [`g${i}`, `$${checkGroupField(field, "grouped by")}`]));
+      query.group.forEach((field, i) => (project[field] = `$_id.g${i}`));
+    }
+    for (const aggregate of query.aggregate ?? []) {
+      const name = aggregateName(aggregate);
+      // Field names in $group cannot contain dots
+      if (name.includes(".")) {
+        throw new Error(`Aggregates of dotted fields are not supported by toMongo (${name})`);
+      }
+      const arg = aggregate.field === undefined ? 1 : `$${checkGroupField(aggregate.field, "aggregated")}`;
+      group[name] = { [aggregate.fn === "count" ? "$sum" : `$${aggregate.fn}`]: arg };
+      project[name] = 1;
+    }
+    out.pipeline.push({ $group: group }, { $project: project });
+  }
+
+  // After grouping, these apply to the groups, which find() cannot do
+  if (query.order && query.order.length > 0) {
+    const sort = toSort(query.order);
+    if (!grouped) out.sort = sort;
+    out.pipeline.push({ $sort: sort });
+  }
+  if (query.offset) {
+    if (!grouped) out.skip = query.offset;
+    out.pipeline.push({ $skip: query.offset });
+  }
+  if (query.limit === 0) {
+    if (!grouped) out.filter = MATCH_NONE;
+    out.pipeline.push({ $match: MATCH_NONE });
+  } else if (query.limit !== undefined) {
+    if (!grouped) out.limit = query.limit;
+    out.pipeline.push({ $limit: query.limit });
+  }
+
+  for (const [relation, wanted] of Object.entries(query.include ?? {})) {
+    const sub = includeQuery(wanted);
+    if (!sub) continue;
+    if (sub.include && Object.values(sub.include).some(Boolean)) {
+      throw new Error(`Nested includes are not supported by toMongo (relation "${relation}")`);
+    }
+    const rel = mapping?.relations?.[relation];
+    if (!rel) {
+      throw new Error(`No Mongo mapping for relation "${relation}" of entity "${query.entity}"`);
+    }
+    const lookup: Doc = {
+      from: rel.from,
+      localField: rel.localField,
+      foreignField: rel.foreignField,
+      as: checkField(relation),
+    };
+    // An include query filters, sorts and limits the related documents of each document
+    const stages: Doc[] = [];
+    if (sub.where) {
+      const target =
+        options.schema && entityDef ? relationTarget(options.schema, entityDef, relation) : undefined;
+      const related = target ? options.collectionMap?.[target.name] : undefined;
+      const dates = new Set([...(related?.dateFields ?? []), ...schemaDateFields(target)]);
+      stages.push({ $match: compile(sub.where, { entity: target, mapping: related, dates }) });
+    }
+    if (sub.order?.length) stages.push({ $sort: toSort(sub.order) });
+    if (sub.limit !== undefined) stages.push(sub.limit === 0 ? { $match: MATCH_NONE } : { $limit: sub.limit });
+    if (stages.length > 0) lookup.pipeline = stages;
+    out.pipeline.push({ $lookup: lookup });
+    if (rel.cardinality === "one") {
+      out.pipeline.push({
+        $unwind: { path: `$${relation}`, preserveNullAndEmptyArrays: true },
+      });
+    }
+  }
+
+  if (query.select) {
+    out.projection = {};
+    for (const field of query.select) {
+      const dot = field.indexOf(".");
+      if (dot !== -1 && mapping?.relations?.[field.slice(0, dot)]) {
+        throw new Error(`Fields of the related collection "${field.slice(0, dot)}" cannot be selected in toMongo (${field})`);
+      }
+      out.projection[checkField(field)] = 1;
+    }
+    // Included relations are kept whether or not they are selected
+    const included = Object.keys(query.include ?? {}).filter((rel) => includeQuery(query.include?.[rel]));
+    out.pipeline.push({ $project: { ...out.projection, ...Object.fromEntries(included.map((rel) => [rel, 1])) } });
+  }
+
+  return out;
+}
@@ -0,0 +1,73 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeQuery, hashQuery, parsePlainText } from '../dist/index.js';
+
+describe('normalizeQuery', () => {
+
+  test('flattens, sorts and deduplicates and/or children', () => {
+    const a = normalizeQuery(parsePlainText('entity:users where:(a=1 b=2)'));
+    const b = normalizeQuery(parsePlainText('entity:users where:(b=2 AND (a=1 a=1))'));
+    assert.deepEqual(a, b);
+    assert.deepEqual(a.where, {
+      and: [
+        { field: 'a', op: '=', value: 1 },
+        { field: 'b', op: '=', value: 2 },
+      ],
+    });
+    const nested = normalizeQuery({
+      entity: 'users',
+      where: { or: [{ field: 'c', value: 3 }, { or: [{ and: [{ field: 'a', value: 1 }] }, { field: 'c', value: 3 }] }] },
+    });
+    assert.deepEqual(nested.where, { or: [{ field: 'a', op: '=', value: 1 }, { field: 'c', op: '=', value: 3 }] });
+  });
+
+  test('keeps nodes whose operands are not interchangeable', () => {
+    const q = normalizeQuery(
+      parsePlainText('entity:users where:(NOT (b=1 OR a=1) any(posts, y=1 x=1) count(posts)>2 status in (b, a, b)) order:b,a select:b,a'),
+    );
+    assert.deepEqual(q.where.and, [
+      { any: { relation: 'posts', where: { and: [{ field: 'x', op: '=', value: 1 }, { field: 'y', op: '=', value: 1 }] } } },
+      { count: 'posts', op: '>', value: 2 },
+      { field: 'status', op: 'in', value: ['a', 'b'] },
+      { not: { or: [{ field: 'a', op: '=', value: 1 }, { field: 'b', op: '=', value: 1 }] } },
+    ]);
+    assert.deepEqual(q.order, [{ field: 'b', dir: 'asc' }, { field: 'a', dir: 'asc' }]);
+    assert.deepEqual(q.select, ['b', 'a']);
+  });
+
+  test('sorts include relations and search terms', () => {
+    const q = normalizeQuery(parsePlainText('entity:users laptop "usb c" laptop include:reviews(b=1 a=1),author where:(x=1)'));
+    assert.deepEqual(q.search, ['laptop', 'usb c']);
+    assert.deepEqual(Object.keys(q.include), ['author', 'reviews']);
+    assert.deepEqual(q.include.reviews.where.and.map((c) => c.field), ['a', 'b']);
+    assert.deepEqual(normalizeQuery({ entity: 'users', include: { b: true, a: false } }).include, { b: true });
+  });
+
+  test('leaves the query unchanged', () => {
+    const q = parsePlainText('entity:users where:(b=2 a=1)');
+    const before = structuredClone(q);
+    normalizeQuery(q);
+    assert.deepEqual(q, before);
+  });
+});
+
+describe('hashQuery', () => {
+
+  test('is the same for equivalent queries, whatever their key order', () => {
+    const h = hashQuery(parsePlainText('entity:users where:(a=1 b=2) limit:10'));
+    assert.match(h, /^[0-9a-f]{16}$/);
+    assert.equal(hashQuery(parsePlainText('limit:10 where:(b=2 AND a=1) entity:users')), h);
+    assert.equal(hashQuery({ limit: 10, where: { and: [{ value: 2, field: 'b' }, { field: 'a', value: 1, op: '=' }] }, entity: 'users' }), h);
+  });
+
+  test('differs for different queries', () => {
+    const hashes = [
+      'entity:users where:(a=1 b=2)',
+      'entity:users where:(a=1 OR b=2)',
+      'entity:users where:(a="1" b=2)',
+      'entity:users where:(a=1 b=2) limit:10',
+      'entity:posts where:(a=1 b=2)',
+    ].map((text) => hashQuery(parsePlainText(text)));
+    assert.equal(new Set(hashes).size, hashes.length);
+  });
+});
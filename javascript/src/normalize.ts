@@ -0,0 +1,106 @@
+/**
+ * Query normalization: one canonical form for queries that mean the same, and a stable
+ * hash of it (e.g. as a result cache key).
+ */
+
+import { LIST_OPS, isIncludeQuery } from "./parse.js";
+import type { RQLCondition, RQLInclude, RQLIncludeQuery, RQLQuery } from "./parse.js";
+
+/** JSON with object keys sorted, so that equal values always give the same text. */
+function canonicalJSON(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (typeof value === "object" && value !== null) {
+    const entries = Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${canonicalJSON(v)}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/** Items sorted by their canonical JSON, each distinct item once. */
+function sortUnique<T>(items: T[]): T[] {
+  const byKey = new Map<string, T>();
+  for (const item of items) byKey.set(canonicalJSON(item), item);
+  return [...byKey.keys()].sort().map((key) => byKey.get(key) as T);
+}
+
+function normalizeCondition(cond: RQLCondition): RQLCondition {
+  for (const kind of ["and", "or"] as const) {
+    const children = cond[kind];
+    if (!children) continue;
+    // a AND (b AND c) is a AND b AND c; the order of the operands does not matter
+    const flat = children.map(normalizeCondition).flatMap((c) => c[kind] ?? [c]);
+    const unique = sortUnique(flat);
+    return unique.length === 1 ? unique[0] : { [kind]: unique };
+  }
+  if (cond.not) return { not: normalizeCondition(cond.not) };
+  for (const key of ["any", "all"] as const) {
+    const quantifier = cond[key];
+    if (quantifier) return { [key]: { relation: quantifier.relation, where: normalizeCondition(quantifier.where) } };
+  }
+  if (cond.field === undefined && cond.count === undefined) return { ...cond };
+  const out: RQLCondition = { ...cond, op: cond.op ?? "=" };
+  // The items of an in / not in list form a set
+  if ((LIST_OPS as readonly string[]).includes(out.op as string) && Array.isArray(out.value)) {
+    out.value = sortUnique(out.value);
+  }
+  return out;
+}
+
+function normalizeInclude(include: RQLInclude): RQLInclude {
+  const out: RQLInclude = {};
+  for (const relation of Object.keys(include).sort()) {
+    const value = include[relation];
+    // A relation mapped to false is not loaded
+    if (value === false) continue;
+    if (value === true) {
+      out[relation] = true;
+    } else if (isIncludeQuery(value)) {
+      const query: RQLIncludeQuery = { ...value };
+      if (value.where) query.where = normalizeCondition(value.where);
+      if (value.include) query.include = normalizeInclude(value.include);
+      out[relation] = query;
+    } else {
+      out[relation] = normalizeInclude(value as RQLInclude);
+    }
+  }
+  return out;
+}
+
+/**
+ * Return the canonical form of a query, the same for queries that only differ in how
+ * their conditions are written: nested and / or nodes are flattened, their children
+ * sorted and duplicates removed, and a group left with one child is replaced by it;
+ * comparisons get an explicit `=` op; `in` / `not in` lists and search terms are
+ * sorted without duplicates; include relations are sorted, and those set to `false`
+ * dropped. Select, group, aggregate and order keep their order, which the results
+ * depend on. The query itself is not modified.
+ */
+export function normalizeQuery(query: RQLQuery): RQLQuery {
+  const out: RQLQuery = { ...query };
+  if (query.search) out.search = sortUnique(query.search);
+  if (query.where) out.where = normalizeCondition(query.where);
+  if (query.include) out.include = normalizeInclude(query.include);
+  return out;
+}
+
+/** 64-bit FNV-1a of the UTF-8 bytes of `text`, as 16 hex digits. */
+function fnv1a64(text: string): string {
+  const prime = 0x100000001b3n;
+  const mask = 0xffffffffffffffffn;
+  let hash = 0xcbf29ce484222325n;
+  for (const byte of new TextEncoder().encode(text)) {
+    hash = ((hash ^ BigInt(byte)) * prime) & mask;
+  }
+  return hash.toString(16).padStart(16, "0");
+}
+
+/**
+ * A stable digest of the query's normalized form (16 hex digits): queries that
+ * normalizeQuery makes equal hash the same, whatever their key order. For cache keys;
+ * it is not a cryptographic hash.
+ */
+export function hashQuery(query: RQLQuery): string {
+  return fnv1a64(canonicalJSON(normalizeQuery(query)));
+}
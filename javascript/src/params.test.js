@@ -0,0 +1,89 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryParams, bindParams, executeQuery, parsePlainText, stringifyPlainText, toSQL, toMongo, defineSchema } from '../dist/index.js';
+
+const schema = defineSchema([
+  {
+    name: 'orders',
+    relations: [{ name: 'items', target: 'items' }],
+    fields: {
+      status: { type: 'string', values: ['open', 'paid', 'cancelled'], closed: true },
+      total: { type: 'number' },
+      created_at: { type: 'date' },
+    },
+  },
+  { name: 'items', fields: { sku: { type: 'string' } } },
+]);
+
+const clock = () => new Date('2024-05-10T12:00:00Z');
+
+describe('params', () => {
+
+  test('$name placeholders parse to param values, in lists and counts too', () => {
+    const q = parsePlainText('entity:orders where:(status=$status total in ($min, 10) status not in $skip count(items)>$n)');
+    assert.deepEqual(q.where.and, [
+      { field: 'status', op: '=', value: { param: 'status' } },
+      { field: 'total', op: 'in', value: [{ param: 'min' }, 10] },
+      { field: 'status', op: 'not in', value: { param: 'skip' } },
+      { count: 'items', op: '>', value: { param: 'n' } },
+    ]);
+    // Quoted, or not a valid name: a plain string
+    assert.deepEqual(parsePlainText('where:(a="$x" b=$1)').where.and.map((c) => c.value), ['$x', '$1']);
+  });
+
+  test('queryParams lists each name once with its field', () => {
+    const q = parsePlainText(
+      'entity:orders where:((status=$status OR total>=$min) any(items, sku=$sku) created_at>=$since status!=$status)',
+    );
+    assert.deepEqual(queryParams(q, schema), [
+      { name: 'status', path: 'where.and[0].or[0].value', field: 'status', op: '=', list: false, fieldDef: schema.entities[0].fields.status },
+      { name: 'min', path: 'where.and[0].or[1].value', field: 'total', op: '>=', list: false, fieldDef: { type: 'number' } },
+      { name: 'sku', path: 'where.and[1].any.where.value', field: 'sku', op: '=', list: false, fieldDef: { type: 'string' } },
+      { name: 'since', path: 'where.and[2].value', field: 'created_at', op: '>=', list: false, fieldDef: { type: 'date' } },
+    ]);
+    assert.deepEqual(queryParams(parsePlainText('entity:orders include:items(sku in $skus)')), [
+      { name: 'skus', path: 'include.items.where.value', field: 'sku', op: 'in', list: true },
+    ]);
+    assert.deepEqual(queryParams(parsePlainText('entity:orders where:(total>1)')), []);
+  });
+
+  test('bindParams substitutes and converts values like plain text', () => {
+    const q = parsePlainText('entity:orders where:(status in $statuses total>=$min created_at>=$since count(items)>$n)', schema);
+    const bound = bindParams(q, { statuses: ['open', 'paid'], min: '100', since: '-7d', n: '2' }, schema, { clock });
+    assert.deepEqual(bound.where.and, [
+      { field: 'status', op: 'in', value: ['open', 'paid'] },
+      { field: 'total', op: '>=', value: 100 },
+      { field: 'created_at', op: '>=', value: '2024-05-03' },
+      { count: 'items', op: '>', value: 2 },
+    ]);
+    assert.deepEqual(q.where.and[0].value, { param: 'statuses' });
+    assert.deepEqual(bindParams(q, { statuses: ['open'], min: 1, since: '2024-01-01', n: 0, extra: 1 }).where.and[1].value, 1);
+  });
+
+  test('bindParams type-checks values against the schema', () => {
+    const q = parsePlainText('entity:orders where:(status=$status total>$min)');
+    assert.throws(() => bindParams(q, { status: 'open' }, schema), /Missing values for parameters: \$min/);
+    assert.throws(
+      () => bindParams(q, { status: 'shipped', min: 1 }, schema),
+      /Parameter \$status: Value "shipped" for field "status" must be one of: open, paid, cancelled/,
+    );
+    assert.throws(() => bindParams(q, { status: 'open', min: 'ten' }, schema), /Parameter \$min: .*must be a number/);
+    assert.throws(() => bindParams(q, { status: 'open', min: '10' }, schema, { strictTypes: true }), /Parameter \$min/);
+    assert.throws(() => bindParams(q, { status: ['open'], min: 1 }), /Parameter \$status: array values need/);
+  });
+
+  test('bound queries run, unbound ones throw', () => {
+    const q = parsePlainText('entity:orders where:(total>$min)');
+    const rows = [{ id: 1, total: 5 }, { id: 2, total: 50 }];
+    assert.deepEqual(executeQuery(bindParams(q, { min: 10 }), rows), [rows[1]]);
+    assert.throws(() => executeQuery(q, rows), /unbound parameters \(\$min\); give them values with bindParams first/);
+    assert.throws(() => toSQL(q, { dialect: 'postgres', tableMap: { orders: 'orders' } }), /unbound parameters/);
+    assert.throws(() => toMongo(q), /unbound parameters/);
+  });
+
+  test('params round-trip through stringifyPlainText', () => {
+    const text = 'entity:orders where:(status in $s total in ($a, 2) status=$t sku~$u count(items)>=$n x="$y")';
+    assert.equal(stringifyPlainText(parsePlainText(text)), text.replace('sku~$u', 'sku contains $u'));
+  });
+
+});
@@ -0,0 +1,163 @@
+/**
+ * Named parameters: `$name` placeholders for where values, listed with queryParams and
+ * given their values with bindParams.
+ */
+
+import { resolveDate } from "./dates.js";
+import { LIST_OPS, includeQuery, isIncludeQuery, isParam } from "./parse.js";
+import type { ParseOptions, RQLCondition, RQLInclude, RQLParam, RQLQuery, RQLScalar } from "./parse.js";
+import { followFieldPath, relationTarget } from "./schema.js";
+import type { EntityDef, FieldDef, Schema } from "./schema.js";
+import { coerceValue, joinPath, validateQuery } from "./validate.js";
+
+/** A parameter of a query, as used where it first appears. */
+export interface QueryParam {
+  /** Parameter name, without the `$`. */
+  name: string;
+  /** JSON path of the value it stands for, e.g. `where.and[1].value` or `where.value[0]`. */
+  path: string;
+  /** Field compared with the parameter; for a count condition, the relation counted. */
+  field: string;
+  /** Operator of the comparison (`=` when omitted). */
+  op: string;
+  /** Whether it stands for a whole list (`status in $statuses`) rather than one value. */
+  list: boolean;
+  /** Definition of the field in the schema, when known; a count is `{ type: "number" }`. */
+  fieldDef?: FieldDef;
+}
+
+/** One place a parameter is used, and the condition whose value (or list item) it is. */
+interface ParamUse {
+  info: QueryParam;
+  cond: RQLCondition;
+  /** Index in the condition's list value, for a list item. */
+  index?: number;
+}
+
+/** Every use of a parameter in the query, in order; fields are looked up in `schema`. */
+function paramUses(query: RQLQuery, schema?: Schema): ParamUse[] {
+  const uses: ParamUse[] = [];
+  const fieldDef = (field: string, entity: EntityDef | undefined): FieldDef | undefined => {
+    if (!schema || !entity) return undefined;
+    const target = followFieldPath(schema, entity, field);
+    return Object.prototype.hasOwnProperty.call(target.entity.fields ?? {}, target.field)
+      ? target.entity.fields?.[target.field]
+      : undefined;
+  };
+  // Conditions inside any/all and include queries are on the related entity's fields
+  const walk = (cond: RQLCondition, path: string, entity: EntityDef | undefined): void => {
+    for (const key of ["and", "or"] as const) {
+      cond[key]?.forEach((c, i) => walk(c, joinPath(joinPath(path, key), i), entity));
+    }
+    if (cond.not) walk(cond.not, joinPath(path, "not"), entity);
+    for (const key of ["any", "all"] as const) {
+      const quantifier = cond[key];
+      if (!quantifier) continue;
+      const target = schema && entity && relationTarget(schema, entity, quantifier.relation);
+      walk(quantifier.where, joinPath(joinPath(path, key), "where"), target);
+    }
+    const field = cond.field ?? cond.count;
+    if (field === undefined) return;
+    const op = cond.op ?? "=";
+    const def: FieldDef | undefined = cond.count !== undefined ? { type: "number" } : fieldDef(field, entity);
+    const valuePath = joinPath(path, "value");
+    const add = (param: RQLParam, path: string, list: boolean, index?: number): void => {
+      const info: QueryParam = { name: param.param, path, field, op, list, ...(def ? { fieldDef: def } : {}) };
+      uses.push({ info, cond, ...(index !== undefined ? { index } : {}) });
+    };
+    if (isParam(cond.value)) {
+      add(cond.value, valuePath, (LIST_OPS as readonly string[]).includes(op));
+    } else if (Array.isArray(cond.value)) {
+      cond.value.forEach((v, i) => {
+        if (isParam(v)) add(v, joinPath(valuePath, i), false, i);
+      });
+    }
+  };
+  const walkInclude = (include: RQLInclude, path: string, entity: EntityDef | undefined): void => {
+    for (const [relation, value] of Object.entries(include)) {
+      const sub = includeQuery(value);
+      if (!sub) continue;
+      const target = schema && entity && relationTarget(schema, entity, relation);
+      const relPath = joinPath(path, relation);
+      if (sub.where) walk(sub.where, joinPath(relPath, "where"), target);
+      // Nested includes without options sit directly under the relation
+      const nestedPath = isIncludeQuery(value) ? joinPath(relPath, "include") : relPath;
+      if (sub.include) walkInclude(sub.include, nestedPath, target);
+    }
+  };
+  const root = schema?.entities.find((e) => e.name === query.entity);
+  if (query.where) walk(query.where, "where", root);
+  if (query.include) walkInclude(query.include, "include", root);
+  return uses;
+}
+
+/**
+ * The parameters of a query, one per name in order of first use (in `where`, then in
+ * include queries), with the field each is compared with (and its definition in
+ * `schema`, when given) so that a form can show a fitting input per parameter.
+ */
+export function queryParams(query: RQLQuery, schema?: Schema): QueryParam[] {
+  const params = new Map<string, QueryParam>();
+  for (const { info } of paramUses(query, schema)) {
+    if (!params.has(info.name)) params.set(info.name, info);
+  }
+  return [...params.values()];
+}
+
+/** Throw when the query still has parameters: their values must be bound before it runs. */
+export function assertBound(query: RQLQuery): void {
+  const names = queryParams(query).map((p) => `$${p.name}`);
+  if (names.length > 0) {
+    throw new Error(`Query has unbound parameters (${names.join(", ")}); give them values with bindParams first`);
+  }
+}
+
+/**
+ * Return a copy of the query with each parameter replaced by its value in `values`.
+ * Values are converted like plain-text values: relative dates (`-7d`) resolve on date
+ * and datetime fields and, unless `strictTypes` is set, values that convert cleanly
+ * take their field's type ("42" → 42). A list parameter takes an array. Throws when a
+ * parameter has no value, or when a value does not fit its field in `schema` (type,
+ * closed values) or its comparison (e.g. a string for a text operator). Values for
+ * names the query does not use are ignored.
+ */
+export function bindParams(
+  query: RQLQuery,
+  values: Record<string, unknown>,
+  schema?: Schema,
+  options: ParseOptions = {},
+): RQLQuery {
+  const bound = structuredClone(query);
+  const uses = paramUses(bound, schema);
+  const missing = [...new Set(uses.map((u) => u.info.name).filter((name) => values[name] === undefined))];
+  if (missing.length > 0) {
+    throw new Error(`Missing values for parameters: ${missing.map((name) => `$${name}`).join(", ")}`);
+  }
+
+  let now: Date | undefined;
+  const convert = (value: unknown, def: FieldDef | undefined): unknown => {
+    const type = def?.type;
+    if ((type === "date" || type === "datetime") && typeof value === "string") {
+      now ??= options.clock?.() ?? new Date();
+      return resolveDate(value, type, now) ?? value;
+    }
+    if (!type || options.strictTypes) return value;
+    return coerceValue(value, type) ?? value;
+  };
+  const paths = new Map<string, string>();
+  for (const { info, cond, index } of uses) {
+    const value = values[info.name];
+    const converted =
+      info.list && Array.isArray(value) ? value.map((v) => convert(v, info.fieldDef)) : convert(value, info.fieldDef);
+    if (index !== undefined) (cond.value as unknown[])[index] = converted;
+    else cond.value = converted as RQLScalar;
+    paths.set(info.path, info.name);
+  }
+
+  // Report the first problem with a bound value, by the parameter it came from
+  for (const issue of validateQuery(bound, schema, options)) {
+    const path = [...paths.keys()].find((p) => issue.path === p || issue.path.startsWith(`${p}[`));
+    if (path !== undefined) throw new Error(`Parameter $${paths.get(path)}: ${issue.message}`);
+  }
+  return bound;
+}
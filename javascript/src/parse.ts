@@ -2,28 +2,109 @@
  * Parser for RQL plain-text syntax → RQL JSON.
  */
 
-import type { Schema } from "./schema.js";
+import { resolveDate } from "./dates.js";
+import { followFieldPath, relationTarget } from "./schema.js";
+import type { EntityDef, FieldDef, Schema } from "./schema.js";
+import { expandFilters } from "./filters.js";
+import { checkAgainstSchema, checkGrouping, coerceValue, joinPath } from "./validate.js";
+import type { ValidateOptions, ValidationCode, ValidationIssue } from "./validate.js";
+
+/** Machine-readable ParseError codes. Schema errors use the matching ValidationIssue code. */
+export type ParseErrorCode =
+  | "UNCLOSED_STRING"
+  | "UNBALANCED_PARENS"
+  | "INVALID_CLAUSE"
+  | "DUPLICATE_KEY"
+  | "EMPTY_VALUE"
+  | "EMPTY_WHERE"
+  | "EMPTY_GROUP"
+  | "UNEXPECTED_TOKEN"
+  | "INCOMPLETE_COMPARISON"
+  | ValidationCode;
+
+/** Where and why parsing failed; every field is optional when constructing a ParseError. */
+export interface ParseErrorDetails {
+  code?: ParseErrorCode;
+  start?: number;
+  end?: number;
+  expected?: string[];
+}
 
 /** Thrown when plain-text input is invalid or when the result is invalid according to the schema. */
 export class ParseError extends Error {
-  constructor(message: string) {
+  /** Machine-readable error code (e.g. `UNCLOSED_STRING`, `UNKNOWN_FIELD`, `DUPLICATE_KEY`). */
+  readonly code: ParseErrorCode;
+  /** Offset of the first offending character in the original input. */
+  readonly start: number;
+  /** Offset just past the offending text; equal to `start` when something is missing. */
+  readonly end: number;
+  /** Tokens (or kinds of token, e.g. `value`) that would have been valid at `start`. */
+  readonly expected: string[];
+
+  constructor(message: string, details: ParseErrorDetails = {}) {
     super(message);
     this.name = "ParseError";
+    this.code = details.code ?? "UNEXPECTED_TOKEN";
+    this.start = details.start ?? 0;
+    this.end = details.end ?? this.start;
+    this.expected = details.expected ?? [];
   }
 }
 
+/** A single comparison value. */
+export type RQLScalar = string | number | boolean;
+
+/** A placeholder for a value supplied later with bindParams: `$name` in plain text. */
+export interface RQLParam {
+  param: string;
+}
+
+/** Parameter names: a letter or underscore, then letters, digits and underscores. */
+export const PARAM_NAME = /^[A-Za-z_]\w*$/;
+
+/** Named filter names follow the same rule as parameter names. */
+export const FILTER_NAME = PARAM_NAME;
+
+/** Whether a value (or list item) is an RQLParam. */
+export function isParam(value: unknown): value is RQLParam {
+  return typeof value === "object" && value !== null && !Array.isArray(value) && "param" in value;
+}
+
+/**
+ * A comparison value: a list for `in` / `not in`, a scalar otherwise. Parameters may
+ * stand for the value, a list item or (with `in` / `not in`) the whole list.
+ */
+export type RQLValue = RQLScalar | RQLParam | Array<RQLScalar | RQLParam>;
+
 export interface RQLComparison {
   field: string;
   op: string;
-  value: string | number | boolean;
+  value: RQLValue;
+}
+
+/** A condition on the records of a relation, for `any` / `all`. */
+export interface RQLQuantifier {
+  relation: string;
+  where: RQLCondition;
 }
 
 export interface RQLCondition {
   and?: RQLCondition[];
   or?: RQLCondition[];
+  not?: RQLCondition;
   field?: string;
   op?: string;
-  value?: string | number | boolean;
+  value?: RQLValue;
+  /** Relation that has at least one related record. */
+  exists?: string;
+  /** At least one related record matches. */
+  any?: RQLQuantifier;
+  /** Every related record matches (true when there are none). */
+  all?: RQLQuantifier;
+  /** Relation whose number of related records is compared with `op` and `value`. */
+  count?: string;
+  /** Named filter of the entity (`@name`), standing for its condition (see expandFilters). */
+  filter?: string;
 }
 
 export interface RQLOrderTerm {
@@ -31,78 +112,318 @@ export interface RQLOrderTerm {
   dir: "asc" | "desc";
 }
 
+/**
+ * Which records of an included relation to load: `where` on the related entity's fields,
+ * then `order` and `limit` per record. `include` lists the related entity's own relations.
+ */
+export interface RQLIncludeQuery {
+  where?: RQLCondition;
+  order?: RQLOrderTerm[];
+  limit?: number;
+  include?: RQLInclude;
+}
+
+/**
+ * Relations to load: `true`, the related entity's own relations to load along with it,
+ * or an RQLIncludeQuery (an object with any of its keys).
+ */
+export interface RQLInclude {
+  [relation: string]: boolean | RQLInclude | RQLIncludeQuery;
+}
+
+/** Keys that make an include value an RQLIncludeQuery rather than nested includes. */
+export const INCLUDE_QUERY_KEYS = ["where", "order", "limit", "include"] as const;
+
+/** Whether an include value is an RQLIncludeQuery. */
+export function isIncludeQuery(value: unknown): value is RQLIncludeQuery {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Object.keys(value).some((k) => (INCLUDE_QUERY_KEYS as readonly string[]).includes(k))
+  );
+}
+
+/**
+ * An include value as an RQLIncludeQuery: `true` loads every record (`{}`), and nested
+ * includes become `{ include }`. Undefined when the relation is not loaded.
+ */
+export function includeQuery(value: RQLInclude[string] | undefined): RQLIncludeQuery | undefined {
+  if (!value) return undefined;
+  if (value === true) return {};
+  return isIncludeQuery(value) ? value : { include: value as RQLInclude };
+}
+
+/** Aggregate functions: `count` counts results, the others take a number field. */
+export const AGGREGATE_FNS = ["count", "sum", "avg", "min", "max"] as const;
+
+/** A value computed over the results of a group: `{ fn: "count" }` or `{ fn: "sum", field: "total" }`. */
+export interface RQLAggregate {
+  fn: (typeof AGGREGATE_FNS)[number];
+  /** Field to aggregate; required for every function except `count`. */
+  field?: string;
+}
+
+/** The key of an aggregate in result rows (`count`, `sum(total)`); order terms use it too. */
+export function aggregateName(aggregate: RQLAggregate): string {
+  return aggregate.field === undefined ? aggregate.fn : `${aggregate.fn}(${aggregate.field})`;
+}
+
 export interface RQLQuery {
   entity?: string;
+  /** Free-text search terms (words or phrases), matched against the entity's searchable fields (see expandSearch). */
+  search?: string[];
+  /** Fields to return, possibly through relations (`category.name`); all fields when omitted. */
+  select?: string[];
+  /** Fields to group results by: one result per distinct combination of their values. */
+  group?: string[];
+  /** Values computed per group (over all results without `group`), keyed by aggregateName. */
+  aggregate?: RQLAggregate[];
   limit?: number;
+  /** Number of results to skip, after `order` and before `limit`. */
+  offset?: number;
+  /** Opaque cursor from nextCursor: only results after that row (see applyCursor). */
+  after?: string;
   order?: RQLOrderTerm[];
-  include?: Record<string, boolean>;
+  include?: RQLInclude;
   where?: RQLCondition;
 }
 
-function validateAgainstSchema(rql: RQLQuery, schema: Schema): void {
-  if (!schema?.entities?.length) {
-    return;
-  }
+/** Character range [start, end) in the original input. */
+interface Range {
+  start: number;
+  end: number;
+}
 
-  const entityNames = new Set(schema.entities.map((e) => e.name));
+/** Source range per JSON path of the parsed query (same paths as ValidationIssue.path). */
+type SourceMap = Map<string, Range>;
 
-  // Validate entity exists in schema
-  if (rql.entity) {
-    if (!entityNames.has(rql.entity)) {
-      throw new ParseError(
-        `Unknown entity "${rql.entity}". Known entities: ${[
-          ...entityNames,
-        ].join(", ")}`,
-      );
+/** Receives each ParseError: strict parsing throws it, tolerant parsing records it and recovers. */
+type Reporter = (err: ParseError) => void;
+
+const throwError: Reporter = (err) => {
+  throw err;
+};
+
+/** Options for parsePlainText and the other parse functions. */
+export interface ParseOptions extends ValidateOptions {
+  /** Current time for relative dates (`today`, `-7d`, `now+2h`). Default: the system clock. */
+  clock?: () => Date;
+  /** With a schema, replace named filters (`@active`) with their conditions. Default: false. */
+  expandFilters?: boolean;
+}
+
+/**
+ * Resolve relative dates on date and datetime fields and, unless `strictTypes` is set,
+ * convert other where values to their field's type where they convert cleanly ("42" → 42).
+ */
+export function convertToSchema(rql: RQLQuery, schema: Schema, options: ParseOptions): void {
+  const root = schema.entities?.find((e) => e.name === rql.entity);
+  if (!root) return;
+  let now: Date | undefined;
+  const walk = (cond: RQLCondition, entity: EntityDef): void => {
+    cond.and?.forEach((c) => walk(c, entity));
+    cond.or?.forEach((c) => walk(c, entity));
+    if (cond.not) walk(cond.not, entity);
+    // any/all conditions are on the fields of the relation's target entity
+    const quantified = cond.any ?? cond.all;
+    const target = quantified && relationTarget(schema, entity, quantified.relation);
+    if (quantified && target) walk(quantified.where, target);
+    let def: FieldDef | undefined;
+    if (cond.field !== undefined) {
+      const target = followFieldPath(schema, entity, cond.field);
+      def = Object.prototype.hasOwnProperty.call(target.entity.fields ?? {}, target.field)
+        ? target.entity.fields?.[target.field]
+        : undefined;
     }
+    if (!def?.type || (TEXT_OPS as readonly unknown[]).includes(cond.op)) return;
+    const type = def.type;
+    let convert: (v: RQLScalar) => RQLScalar;
+    // Parameters get their values, and are converted, in bindParams
+    const convertValue = (v: RQLScalar | RQLParam): RQLScalar | RQLParam => (isParam(v) ? v : convert(v));
+    if (type === "date" || type === "datetime") {
+      convert = (v) => {
+        if (typeof v !== "string") return v;
+        now ??= options.clock?.() ?? new Date();
+        return resolveDate(v, type, now) ?? v;
+      };
+    } else if (!options.strictTypes) {
+      convert = (v) => (coerceValue(v, type) as RQLScalar) ?? v;
+    } else {
+      return;
+    }
+    if (Array.isArray(cond.value)) cond.value = cond.value.map(convertValue);
+    else if (cond.value !== undefined) cond.value = convertValue(cond.value);
+  };
+  // Include conditions are on the fields of each relation's target entity
+  const walkInclude = (include: RQLInclude, entity: EntityDef): void => {
+    for (const [relation, value] of Object.entries(include)) {
+      const query = includeQuery(value);
+      const target = query && relationTarget(schema, entity, relation);
+      if (!query || !target) continue;
+      if (query.where) walk(query.where, target);
+      if (query.include) walkInclude(query.include, target);
+    }
+  };
+  if (rql.where) walk(rql.where, root);
+  if (rql.include) walkInclude(rql.include, root);
+}
+
+function validateAgainstSchema(
+  rql: RQLQuery,
+  schema: Schema,
+  sourceMap: SourceMap,
+  report: Reporter,
+  options: ParseOptions,
+): void {
+  convertToSchema(rql, schema, options);
+  reportIssues(checkAgainstSchema(rql, schema, options), sourceMap, report);
+}
+
+/** Report validation issues as ParseErrors at the source range of their path. */
+function reportIssues(issues: ValidationIssue[], sourceMap: SourceMap, report: Reporter): void {
+  for (const issue of issues) {
+    const range = sourceMap.get(issue.path);
+    report(
+      new ParseError(issue.message, {
+        code: issue.code,
+        start: range?.start,
+        end: range?.end,
+        expected: issue.expected,
+      }),
+    );
   }
+}
+
+/** Comparison operators, longest first so the tokenizer matches "<=" before "<". */
+export const OPS = ["!=", "<=", ">=", "=", "<", ">"] as const;
+
+/** Set membership operators; their value is a list. */
+export const LIST_OPS = ["in", "not in"] as const;
+
+/** Null checks; they take no value. */
+export const NULL_OPS = ["is null", "is not null"] as const;
+
+/** Case-insensitive text operators; their value is a string and they apply to string fields. */
+export const TEXT_OPS = ["contains", "startsWith", "endsWith", "ieq"] as const;
+
+/** Plain-text symbols for the text operators, longest first. */
+export const TEXT_OP_SYMBOLS: Record<string, string> = {
+  "~=": "ieq",
+  "^=": "startsWith",
+  "$=": "endsWith",
+  "~": "contains",
+};
+
+/** Plain-text words for the text operators, by lowercase spelling. */
+const TEXT_OP_WORDS = new Map<string, string>(TEXT_OPS.map((op) => [op.toLowerCase(), op]));
 
-  const entityDef = schema.entities.find((e) => e.name === rql.entity);
-  if (!entityDef) return;
+/**
+ * The symbol operator starting at `i` in `s`, if any: a comparison, or with `text` also
+ * a text operator.
+ */
+function symbolOpAt(s: string, i: number, text = true): string | undefined {
+  return [...OPS, ...(text ? Object.keys(TEXT_OP_SYMBOLS) : [])].find(
+    (op) => s.slice(i, i + op.length) === op,
+  );
+}
+
+/** Top-level clause keys; a bare word that is one of these is not a search term. */
+export const KEYS = [
+  "entity",
+  "select",
+  "group",
+  "aggregate",
+  "limit",
+  "offset",
+  "after",
+  "order",
+  "include",
+  "where",
+] as const;
+
+/** What each top-level key's value starts with, for `expected` when it is empty. */
+const EMPTY_VALUE_EXPECTED: Record<string, string> = {
+  entity: "entity",
+  select: "field",
+  group: "field",
+  aggregate: "aggregate",
+  limit: "integer",
+  offset: "integer",
+  after: "cursor",
+  order: "field",
+  include: "relation",
+  where: "(",
+};
+
+interface Clause {
+  text: string;
+  start: number;
+}
 
-  // Validate relations
-  if (rql.include && Object.keys(rql.include).length > 0) {
-    const allowed = new Set(entityDef.relations ?? []);
-    for (const rel of Object.keys(rql.include)) {
-      if (!allowed.has(rel)) {
-        throw new ParseError(
-          `Unknown relation "${rel}" for entity "${
-            rql.entity
-          }". Known relations: ${[...allowed].join(", ")}`,
+/**
+ * Skip from the `(` at `open` past its closing parenthesis, ignoring parentheses in
+ * quoted strings. Reports an unclosed string, or else unclosed parentheses (naming
+ * `clause` in the message), and then returns the end of `str`.
+ */
+function skipParens(str: string, open: number, clause: string, report: Reporter): number {
+  let depth = 1;
+  let i = open + 1;
+  while (i < str.length && depth > 0) {
+    if (str[i] === "\\") {
+      i += 2;
+      continue;
+    }
+    if (str[i] === '"') {
+      const quote = i;
+      let foundClosing = false;
+      i++;
+      while (i < str.length) {
+        if (str[i] === "\\") {
+          i += 2;
+          continue;
+        }
+        if (str[i] === '"') {
+          i++;
+          foundClosing = true;
+          break;
+        }
+        i++;
+      }
+      if (!foundClosing) {
+        report(
+          new ParseError(`Unclosed quoted string in ${clause} clause`, {
+            code: "UNCLOSED_STRING",
+            start: quote,
+            end: str.length,
+            expected: ['"'],
+          }),
         );
+        // Recover: the string runs to the end of the input, and so does the clause
+        return str.length;
       }
+      continue;
     }
+    if (str[i] === "(") depth++;
+    else if (str[i] === ")") depth--;
+    i++;
   }
-
-  // Validate fields in where clause
-  if (rql.where && entityDef.fields) {
-    const allowedFields = new Set(Object.keys(entityDef.fields));
-    const fieldErrors: string[] = [];
-    function collectFields(cond: RQLCondition | undefined): void {
-      if (!cond) return;
-      if (cond.field !== undefined) {
-        if (!allowedFields.has(cond.field)) fieldErrors.push(cond.field);
-        return;
-      }
-      if (cond.and) for (const c of cond.and) collectFields(c);
-      if (cond.or) for (const c of cond.or) collectFields(c);
-    }
-    collectFields(rql.where);
-    const unknown = [...new Set(fieldErrors)];
-    if (unknown.length > 0) {
-      throw new ParseError(
-        `Unknown field(s) for entity "${rql.entity}": ${unknown.join(
-          ", ",
-        )}. Known fields: ${[...allowedFields].join(", ")}`,
-      );
-    }
+  if (depth !== 0) {
+    report(
+      new ParseError(`Unbalanced parentheses in ${clause} clause`, {
+        code: "UNBALANCED_PARENS",
+        start: open,
+        end: str.length,
+        expected: [")"],
+      }),
+    );
+    // Recover: the clause runs to the end of the input
+    return str.length;
   }
+  return i;
 }
 
-const OPS = ["!=", "<=", ">=", "=", "<", ">"] as const;
-
-function splitTopLevel(str: string): string[] {
-  const clauses: string[] = [];
+function splitTopLevel(str: string, report: Reporter): Clause[] {
+  const clauses: Clause[] = [];
   let i = 0;
   while (i < str.length) {
     while (i < str.length && /\s/.test(str[i])) i++;
@@ -126,9 +447,18 @@ function splitTopLevel(str: string): string[] {
         i++;
       }
       if (!foundClosing) {
-        throw new ParseError("Unclosed quoted string");
+        report(
+          new ParseError("Unclosed quoted string", {
+            code: "UNCLOSED_STRING",
+            start,
+            end: str.length,
+            expected: ['"'],
+          }),
+        );
+        // Recover: the rest of the input is lost inside the string
+        break;
       }
-      clauses.push(str.slice(start, i));
+      clauses.push({ text: str.slice(start, i), start });
       continue;
     }
 
@@ -137,13 +467,12 @@ function splitTopLevel(str: string): string[] {
     if (str.slice(i, i + orderPrefix.length) === orderPrefix) {
       const start = i;
       i += orderPrefix.length;
-      // Consume until next key: (entity:, limit:, order:, include:, where:) or end
-      const nextKey = /(\s)(entity|limit|order|include|where):/g;
+      // Consume until next key: (entity:, select:, group:, aggregate:, limit:, offset:, after:, order:, include:, where:) or end
+      const nextKey = /(\s)(entity|select|group|aggregate|limit|offset|after|order|include|where):/g;
       nextKey.lastIndex = i;
       const match = nextKey.exec(str);
       const end = match ? match.index : str.length;
-      while (i < end && /\s/.test(str[i])) i++;
-      clauses.push(str.slice(start, end));
+      clauses.push({ text: str.slice(start, end).trimEnd(), start });
       i = end;
       continue;
     }
@@ -153,102 +482,222 @@ function splitTopLevel(str: string): string[] {
       const start = i;
       i += 6;
       if (str[i] === "(") {
-        let depth = 1;
-        i++;
-        while (i < str.length && depth > 0) {
-          if (str[i] === "\\") {
-            i += 2;
-            continue;
-          }
-          if (str[i] === '"') {
-            let foundClosing = false;
-            i++;
-            while (i < str.length) {
-              if (str[i] === "\\") {
-                i += 2;
-                continue;
-              }
-              if (str[i] === '"') {
-                i++;
-                foundClosing = true;
-                break;
-              }
-              i++;
-            }
-            if (!foundClosing) {
-              throw new ParseError("Unclosed quoted string in where clause");
-            }
-            continue;
-          }
-          if (str[i] === "(") depth++;
-          else if (str[i] === ")") depth--;
-          i++;
-        }
-        if (depth !== 0) {
-          throw new ParseError("Unbalanced parentheses in where clause");
-        }
-        clauses.push(str.slice(start, i));
+        i = skipParens(str, i, "where", report);
+        clauses.push({ text: str.slice(start, i), start });
         continue;
       }
     }
 
-    // Handle regular tokens
+    // Handle regular tokens; include options in parentheses may contain spaces
     const start = i;
-    while (i < str.length && !/\s/.test(str[i])) i++;
-    clauses.push(str.slice(start, i));
+    const key = /^([^:\s]+):/.exec(str.slice(start))?.[1] ?? "query";
+    while (i < str.length && !/\s/.test(str[i])) {
+      i = str[i] === "(" ? skipParens(str, i, key, report) : i + 1;
+    }
+    clauses.push({ text: str.slice(start, i), start });
   }
   return clauses;
 }
 
-function unwrapWhere(value: string): string {
+/**
+ * Split a comma-separated value into trimmed items with their ranges. Commas inside
+ * parentheses or quoted strings do not split.
+ */
+function splitList(value: string, offset: number): Array<Range & { text: string }> {
+  const parts: string[] = [];
+  let depth = 0;
+  let from = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '"') {
+      i++;
+      while (i < value.length && value[i] !== '"') {
+        if (value[i] === "\\") i++;
+        i++;
+      }
+    } else if (value[i] === "(") depth++;
+    else if (value[i] === ")") depth--;
+    else if (value[i] === "," && depth === 0) {
+      parts.push(value.slice(from, i));
+      from = i + 1;
+    }
+  }
+  parts.push(value.slice(from));
+
+  const items: Array<Range & { text: string }> = [];
+  from = 0;
+  for (const part of parts) {
+    const lead = part.length - part.trimStart().length;
+    const text = part.trim();
+    const start = offset + from + lead;
+    items.push({ text, start, end: start + text.length });
+    from += part.length + 1;
+  }
+  return items;
+}
+
+function unwrapWhere(
+  value: string,
+  offset: number,
+  report: Reporter,
+): { inner: string; start: number } {
   const s = value.trim();
 
   if (s.startsWith("(")) {
     let depth = 0;
+    let close = s.length;
+    // An unclosed string hides the closing parenthesis; the string is reported instead
+    let unclosed = false;
     for (let i = 0; i < s.length; i++) {
+      // Parentheses inside quoted values do not count
+      if (s[i] === '"') {
+        i++;
+        while (i < s.length && s[i] !== '"') {
+          if (s[i] === "\\") i++;
+          i++;
+        }
+        unclosed = i >= s.length;
+        continue;
+      }
       if (s[i] === "(") depth++;
       else if (s[i] === ")") depth--;
-      if (depth < 0)
-        throw new ParseError("Unbalanced parentheses in where clause");
-      if (depth === 0 && i < s.length - 1)
-        throw new ParseError("Unbalanced or invalid where expression");
-    }
-    if (depth !== 0)
-      throw new ParseError("Unbalanced parentheses in where clause");
-    if (!s.endsWith(")"))
-      throw new ParseError("Unbalanced parentheses in where clause");
-    return s.slice(1, -1).trim();
-  }
-  return s;
-}
-
-type WhereToken =
-  | { type: "paren"; value: string }
-  | { type: "keyword"; value: string }
-  | { type: "op"; value: string }
-  | { type: "ident"; value: string; raw: string }
-  | { type: "string"; value: string }
-  | { type: "number"; value: number }
-  | { type: "boolean"; value: boolean };
-
-function parseWhere(inner: string): RQLCondition {
-  const tokens = tokenizeWhere(inner);
+      if (depth < 0) {
+        report(
+          new ParseError("Unbalanced parentheses in where clause", {
+            code: "UNBALANCED_PARENS",
+            start: offset + i,
+            end: offset + i + 1,
+          }),
+        );
+        close = i;
+        break;
+      }
+      if (depth === 0 && i < s.length - 1) {
+        report(
+          new ParseError("Unbalanced or invalid where expression", {
+            code: "UNEXPECTED_TOKEN",
+            start: offset + i + 1,
+            end: offset + s.length,
+          }),
+        );
+        // Recover: ignore what follows the closing parenthesis
+        close = i;
+        break;
+      }
+      if (depth === 0) close = i;
+    }
+    if (close === s.length && !unclosed && (depth !== 0 || !s.endsWith(")")))
+      report(
+        new ParseError("Unbalanced parentheses in where clause", {
+          code: "UNBALANCED_PARENS",
+          start: offset + s.length,
+          expected: [")"],
+        }),
+      );
+    const body = s.slice(1, close);
+    const lead = body.length - body.trimStart().length;
+    return { inner: body.trim(), start: offset + 1 + lead };
+  }
+  return { inner: s, start: offset };
+}
+
+type WhereToken = Range &
+  (
+    | { type: "paren"; value: string }
+    | { type: "comma"; value: string }
+    | { type: "keyword"; value: string }
+    | { type: "op"; value: string }
+    | { type: "ident"; value: string; raw: string }
+    | { type: "string"; value: string }
+    | { type: "number"; value: number }
+    | { type: "boolean"; value: boolean }
+  );
+
+/** Source ranges of the parts of one parsed comparison. */
+interface ComparisonRanges {
+  field: Range;
+  op?: Range;
+  /** Absent for null checks, which have no value. */
+  value?: Range;
+  /** Per list item, for `in` / `not in`. */
+  items?: Range[];
+}
+
+/** What can start a condition; reported as `expected` for missing conditions. */
+const CONDITION_START = ["field", "("];
+
+/** Words that open a relation condition when followed by `(`: `any(reviews, rating>=4)`, `count(reviews)>5`. */
+const RELATION_FUNCTIONS = ["any", "all", "count"];
+
+function parseWhere(
+  inner: string,
+  offset: number,
+  sourceMap: SourceMap,
+  reportError: Reporter,
+  path = "where",
+): RQLCondition | null {
+  // Errors that follow from one already reported are left out: nothing after an unclosed
+  // string is seen, and a where that did not parse is not also reported as empty
+  let failed = false;
+  let lostFrom = Infinity;
+  const report: Reporter = (err) => {
+    if (err.start >= lostFrom) return;
+    failed = true;
+    if (err.code === "UNCLOSED_STRING") lostFrom = err.start;
+    reportError(err);
+  };
+  const tokens = tokenizeWhere(inner, offset, report);
+  const endPos = offset + inner.length;
   if (tokens.length === 0) {
-    throw new ParseError("Empty where clause");
+    if (!failed) {
+      report(
+        new ParseError("Empty where clause", {
+          code: "EMPTY_WHERE",
+          start: offset,
+          expected: CONDITION_START,
+        }),
+      );
+    }
+    return null;
   }
   let pos = 0;
+  const ranges = new WeakMap<RQLCondition, ComparisonRanges>();
+  const quantifierRanges = new WeakMap<RQLCondition, { whole: Range; relation: Range }>();
+
+  /** Range of the token at `p`, or an empty range at the end of the where body. */
+  const rangeAt = (p: number): Range =>
+    p < tokens.length
+      ? { start: tokens[p].start, end: tokens[p].end }
+      : { start: endPos, end: endPos };
 
   function parseOr(): RQLCondition | null {
     const left = parseAnd();
     if (pos >= tokens.length) return left;
     const t = tokens[pos];
     if (t.type === "keyword" && (t.value === "or" || t.value === "OR")) {
-      if (left === null)
-        throw new ParseError("Invalid where: OR with no left side");
+      if (left === null) {
+        report(
+          new ParseError("Invalid where: OR with no left side", {
+            code: "UNEXPECTED_TOKEN",
+            ...rangeAt(pos),
+            expected: CONDITION_START,
+          }),
+        );
+        // Recover: drop the OR and parse what follows
+        pos++;
+        return parseOr();
+      }
       pos++;
       const right = parseOr();
-      if (right === null)
-        throw new ParseError("Invalid where: OR with no right side");
+      if (right === null) {
+        report(
+          new ParseError("Invalid where: OR with no right side", {
+            code: "UNEXPECTED_TOKEN",
+            ...rangeAt(pos),
+            expected: CONDITION_START,
+          }),
+        );
+        return left;
+      }
       // Flatten nested ORs for cleaner output
       const leftOrs = left.or ? left.or : [left];
       const rightOrs = right.or ? right.or : [right];
@@ -268,8 +717,16 @@ function parseWhere(inner: string): RQLCondition {
       if (t.type === "keyword" && (t.value === "and" || t.value === "AND")) {
         pos++;
         term = parsePrimary();
-        if (term === null)
-          throw new ParseError("Invalid where: AND with no right side");
+        if (term === null) {
+          report(
+            new ParseError("Invalid where: AND with no right side", {
+              code: "UNEXPECTED_TOKEN",
+              ...rangeAt(pos),
+              expected: CONDITION_START,
+            }),
+          );
+          break;
+        }
         terms.push(term);
         continue;
       }
@@ -277,19 +734,30 @@ function parseWhere(inner: string): RQLCondition {
       if (!term) break;
       terms.push(term);
     }
-    if (terms.length === 1) return terms[0];
-    // Flatten nested ANDs for cleaner output
-    const flattened: RQLCondition[] = [];
-    for (const t of terms) {
-      flattened.push(...(t.and ? t.and : [t]));
-    }
-    return { and: flattened };
+    return joinAnd(terms);
   }
 
   function parsePrimary(): RQLCondition | null {
     if (pos >= tokens.length) return null;
     const t = tokens[pos];
+    // NOT applies to the next comparison or parenthesized group only
+    if (t.type === "keyword" && t.value === "not") {
+      pos++;
+      const operand = parsePrimary();
+      if (operand === null) {
+        report(
+          new ParseError("Invalid where: NOT with no condition", {
+            code: "UNEXPECTED_TOKEN",
+            ...rangeAt(pos),
+            expected: CONDITION_START,
+          }),
+        );
+        return null;
+      }
+      return { not: operand };
+    }
     if (t.type === "paren" && t.value === "(") {
+      const open = pos;
       pos++;
       const innerCond = parseOr();
       if (
@@ -297,17 +765,152 @@ function parseWhere(inner: string): RQLCondition {
         tokens[pos].type !== "paren" ||
         tokens[pos].value !== ")"
       ) {
-        throw new ParseError("Missing closing parenthesis");
+        report(
+          new ParseError("Missing closing parenthesis", {
+            code: "UNBALANCED_PARENS",
+            ...rangeAt(pos),
+            expected: [")"],
+          }),
+        );
+        // Recover: treat the group as closed here
+        return innerCond;
       }
       pos++;
       if (innerCond === null) {
-        throw new ParseError("Empty parenthetical expression");
+        report(
+          new ParseError("Empty parenthetical expression", {
+            code: "EMPTY_GROUP",
+            start: tokens[open].start,
+            end: tokens[pos - 1].end,
+            expected: CONDITION_START,
+          }),
+        );
+        return parsePrimary();
       }
       return innerCond ?? null;
     }
+    // A named filter: @active
+    if (t.type === "ident" && t.raw.startsWith("@") && FILTER_NAME.test(t.raw.slice(1))) {
+      const cond: RQLCondition = { filter: t.raw.slice(1) };
+      ranges.set(cond, { field: rangeAt(pos) });
+      pos++;
+      return cond;
+    }
+    if (
+      t.type === "ident" &&
+      RELATION_FUNCTIONS.includes(t.raw.toLowerCase()) &&
+      tokens[pos + 1]?.type === "paren" &&
+      tokens[pos + 1].value === "("
+    ) {
+      return parseRelationCondition();
+    }
     return parseComparison();
   }
 
+  /** `any(relation, condition)`, `all(relation, condition)` or `count(relation) op value` at pos. */
+  function parseRelationCondition(): RQLCondition | null {
+    const kind = tokens[pos].value as string;
+    const name = kind.toLowerCase();
+    const start = tokens[pos].start;
+    pos += 2;
+    const relTok = tokens[pos];
+    if (relTok?.type !== "ident" && relTok?.type !== "string") {
+      report(
+        new ParseError(`Missing relation name in ${kind}(...)`, {
+          code: "UNEXPECTED_TOKEN",
+          ...rangeAt(pos),
+          expected: ["relation"],
+        }),
+      );
+      return null;
+    }
+    const relation = relTok.type === "ident" ? relTok.raw : relTok.value;
+    const relRange = rangeAt(pos);
+    pos++;
+
+    const close = (): boolean => {
+      if (tokens[pos]?.type === "paren" && tokens[pos].value === ")") {
+        pos++;
+        return true;
+      }
+      report(
+        new ParseError("Missing closing parenthesis", {
+          code: "UNBALANCED_PARENS",
+          ...rangeAt(pos),
+          expected: [")"],
+        }),
+      );
+      return false;
+    };
+
+    if (name === "count") {
+      if (!close()) return null;
+      const opTok = tokens[pos];
+      if (opTok?.type !== "op" || !(OPS as readonly string[]).includes(opTok.value)) {
+        report(
+          new ParseError(`Incomplete comparison: ${kind}(${relation}) needs an operator and a number`, {
+            code: "INCOMPLETE_COMPARISON",
+            ...rangeAt(pos),
+            expected: [...OPS],
+          }),
+        );
+        return null;
+      }
+      const opRange = rangeAt(pos);
+      pos++;
+      const valueTok = tokens[pos];
+      const param = paramAt(pos);
+      if (valueTok?.type !== "number" && !param) {
+        report(
+          new ParseError(`${kind}(${relation}) must be compared with a number`, {
+            code: isValueToken(valueTok) ? "UNEXPECTED_TOKEN" : "INCOMPLETE_COMPARISON",
+            ...rangeAt(pos),
+            expected: ["number"],
+          }),
+        );
+        return null;
+      }
+      pos++;
+      const cond: RQLCondition = { count: relation, op: opTok.value, value: param ?? valueTok.value };
+      ranges.set(cond, {
+        field: relRange,
+        op: opRange,
+        value: { start: valueTok.start, end: valueTok.end },
+      });
+      return cond;
+    }
+
+    if (tokens[pos]?.type === "comma") {
+      pos++;
+    } else {
+      report(
+        new ParseError(`Missing comma after the relation in ${kind}(${relation}, ...)`, {
+          code: "UNEXPECTED_TOKEN",
+          ...rangeAt(pos),
+          expected: [","],
+        }),
+      );
+    }
+    const where = parseOr();
+    if (where === null) {
+      report(
+        new ParseError(`Missing condition in ${kind}(${relation}, ...)`, {
+          code: "UNEXPECTED_TOKEN",
+          ...rangeAt(pos),
+          expected: CONDITION_START,
+        }),
+      );
+    }
+    close();
+    if (where === null) return null;
+    const cond: RQLCondition = { [name]: { relation, where } };
+    quantifierRanges.set(cond, {
+      whole: { start, end: tokens[pos - 1].end },
+      relation: relRange,
+    });
+    return cond;
+  }
+
   function parseComparison(): RQLCondition | null {
     if (pos >= tokens.length) return null;
     const fieldTok = tokens[pos];
@@ -320,42 +923,320 @@ function parseWhere(inner: string): RQLCondition {
     pos++;
 
     let op = "=";
+    let opRange: Range | undefined;
     if (pos < tokens.length) {
       const ot = tokens[pos];
       if (ot.type === "op") {
         op = ot.value;
+        opRange = rangeAt(pos);
+        pos++;
+      } else if (
+        ot.type === "ident" &&
+        TEXT_OP_WORDS.has(ot.raw.toLowerCase()) &&
+        isValueToken(tokens[pos + 1])
+      ) {
+        op = TEXT_OP_WORDS.get(ot.raw.toLowerCase()) as string;
+        opRange = rangeAt(pos);
         pos++;
+      } else if (matchWords(["is", "null"]) || matchWords(["is", "not", "null"])) {
+        const length = matchWords(["is", "null"]) ? 2 : 3;
+        opRange = { start: ot.start, end: tokens[pos + length - 1].end };
+        pos += length;
+        const cond: RQLCondition = { field, op: length === 2 ? "is null" : "is not null" };
+        ranges.set(cond, { field: { start: fieldTok.start, end: fieldTok.end }, op: opRange });
+        return cond;
+      } else if (isWordAt(pos, "exists")) {
+        // field is a relation here: reviews exists
+        const cond: RQLCondition = { exists: field };
+        ranges.set(cond, { field: { start: fieldTok.start, end: fieldTok.end }, op: rangeAt(pos) });
+        pos++;
+        return cond;
+      } else {
+        const listOp = matchListOp();
+        if (listOp) {
+          op = listOp.op;
+          opRange = { start: ot.start, end: tokens[pos + listOp.length - 1].end };
+          pos += listOp.length;
+          const param = paramAt(pos);
+          if (param) {
+            // A parameter for the whole list: in $statuses
+            const cond: RQLCondition = { field, op, value: param };
+            ranges.set(cond, { field: { start: fieldTok.start, end: fieldTok.end }, op: opRange, value: rangeAt(pos) });
+            pos++;
+            return cond;
+          }
+          const list = parseList();
+          if (!list) return parsePrimary();
+          const cond: RQLCondition = { field, op, value: list.values };
+          ranges.set(cond, {
+            field: { start: fieldTok.start, end: fieldTok.end },
+            op: opRange,
+            value: list.range,
+            items: list.items,
+          });
+          return cond;
+        }
       }
     }
 
-    if (pos >= tokens.length)
-      throw new ParseError("Incomplete comparison in where clause");
+    if (pos >= tokens.length) {
+      report(
+        new ParseError("Incomplete comparison in where clause", {
+          code: "INCOMPLETE_COMPARISON",
+          ...rangeAt(pos),
+          expected: opRange ? ["value"] : [...OPS, "value"],
+        }),
+      );
+      return null;
+    }
     const valueTok = tokens[pos];
-    if (
-      valueTok.type !== "ident" &&
-      valueTok.type !== "string" &&
-      valueTok.type !== "number" &&
-      valueTok.type !== "boolean"
-    ) {
-      throw new ParseError("Invalid value in where comparison");
+    if (!isValueToken(valueTok)) {
+      report(
+        new ParseError("Invalid value in where comparison", {
+          code: "UNEXPECTED_TOKEN",
+          ...rangeAt(pos),
+          expected: ["value"],
+        }),
+      );
+      // Recover: drop this comparison (and a stray operator) and go on with the next one
+      if (valueTok.type === "op") pos++;
+      return parsePrimary();
     }
     pos++;
 
-    // Extract typed value
-    const value = valueTok.type === "ident" ? valueTok.raw : valueTok.value;
+    // Extract typed value; text operators always take the text as written
+    const value =
+      valueTok.type === "ident"
+        ? (paramValue(valueTok.raw) ?? valueTok.raw)
+        : (TEXT_OPS as readonly string[]).includes(op) && valueTok.type !== "string"
+          ? inner.slice(valueTok.start - offset, valueTok.end - offset)
+          : valueTok.value;
+
+    const cond: RQLCondition = { field, op, value };
+    ranges.set(cond, {
+      field: { start: fieldTok.start, end: fieldTok.end },
+      op: opRange,
+      value: { start: valueTok.start, end: valueTok.end },
+    });
+    return cond;
+  }
+
+  /** Whether the token at `p` is the word `w` (a keyword or unquoted word, any case). */
+  function isWordAt(p: number, w: string): boolean {
+    const t = tokens[p];
+    if (t?.type === "keyword") return t.value === w;
+    return t?.type === "ident" && t.raw.toLowerCase() === w;
+  }
+
+  /** Whether the tokens from pos on are exactly these words. */
+  function matchWords(words: string[]): boolean {
+    return words.every((w, i) => isWordAt(pos + i, w));
+  }
+
+  /** `in (` or `not in (` (or `in $list`) at pos: the operator and how many word tokens it spans. */
+  function matchListOp(): { op: string; length: number } | null {
+    const list = (p: number): boolean =>
+      (tokens[p]?.type === "paren" && tokens[p].value === "(") || paramAt(p) !== undefined;
+    if (matchWords(["in"]) && list(pos + 1)) return { op: "in", length: 1 };
+    if (matchWords(["not", "in"]) && list(pos + 2)) return { op: "not in", length: 2 };
+    return null;
+  }
+
+  /** The parameter written as the unquoted word at `p` (`$name`), if any. */
+  function paramAt(p: number): RQLParam | undefined {
+    const t = tokens[p];
+    return t?.type === "ident" ? paramValue(t.raw) : undefined;
+  }
+
+  /**
+   * Parse `(a, b, ...)` at pos. Commas inside unquoted words (`a,b`) separate items too,
+   * so each word is split and its pieces typed like standalone words.
+   */
+  function parseList(): { values: Array<RQLScalar | RQLParam>; items: Range[]; range: Range } | null {
+    const open = tokens[pos];
+    pos++;
+    const pieces: Array<Range & ({ type: "comma" } | { type: "item"; value: RQLScalar | RQLParam })> = [];
+    let close: WhereToken | undefined;
+    for (; pos < tokens.length; pos++) {
+      const t = tokens[pos];
+      if (t.type === "paren" && t.value === ")") {
+        close = t;
+        pos++;
+        break;
+      }
+      if (t.type === "ident") {
+        let from = t.start;
+        t.raw.split(",").forEach((text, i) => {
+          if (i > 0) {
+            pieces.push({ type: "comma", start: from, end: from + 1 });
+            from++;
+          }
+          const value = paramValue(text) ?? wordValue(text);
+          if (text) pieces.push({ type: "item", value, start: from, end: from + text.length });
+          from += text.length;
+        });
+      } else if (t.type === "string" || t.type === "number" || t.type === "boolean") {
+        pieces.push({ type: "item", value: t.value, start: t.start, end: t.end });
+      } else {
+        report(
+          new ParseError("Unexpected token in list", {
+            code: "UNEXPECTED_TOKEN",
+            start: t.start,
+            end: t.end,
+            expected: ["value", ",", ")"],
+          }),
+        );
+      }
+    }
+
+    const values: Array<RQLScalar | RQLParam> = [];
+    const items: Range[] = [];
+    let expectItem = true;
+    for (const piece of pieces) {
+      if (piece.type === "item" && expectItem) {
+        values.push(piece.value);
+        items.push({ start: piece.start, end: piece.end });
+        expectItem = false;
+      } else if (piece.type === "comma" && !expectItem) {
+        expectItem = true;
+      } else {
+        report(
+          new ParseError(piece.type === "item" ? "Missing comma in list" : "Missing value in list", {
+            code: "UNEXPECTED_TOKEN",
+            start: piece.start,
+            end: piece.end,
+            expected: piece.type === "item" ? [",", ")"] : ["value"],
+          }),
+        );
+      }
+    }
+    const end = close ? close.end : endPos;
+    if (!close) {
+      report(
+        new ParseError("Missing closing parenthesis", {
+          code: "UNBALANCED_PARENS",
+          start: endPos,
+          expected: expectItem ? ["value"] : [",", ")"],
+        }),
+      );
+    } else if (values.length === 0) {
+      report(
+        new ParseError("List must not be empty", {
+          code: "EMPTY_VALUE",
+          start: open.start,
+          end,
+          expected: ["value"],
+        }),
+      );
+    } else if (expectItem) {
+      report(
+        new ParseError("Missing value in list", {
+          code: "UNEXPECTED_TOKEN",
+          start: close.start,
+          end: close.end,
+          expected: ["value"],
+        }),
+      );
+    }
+    if (values.length === 0) return null;
+    return { values, items, range: { start: open.start, end } };
+  }
 
-    return { field, op, value };
+  const parts: RQLCondition[] = [];
+  let part = parseOr();
+  if (part) parts.push(part);
+  while (pos < tokens.length) {
+    const extra = tokens[pos];
+    const stray = extra.type === "paren" && extra.value === ")";
+    report(
+      new ParseError("Unbalanced or invalid where expression", {
+        code: stray ? "UNBALANCED_PARENS" : "UNEXPECTED_TOKEN",
+        ...rangeAt(pos),
+        expected: stray ? [] : [...CONDITION_START, "OR"],
+      }),
+    );
+    // Recover: skip the token and AND whatever parses after it
+    pos++;
+    part = parseOr();
+    if (part) parts.push(part);
+  }
+  const result = joinAnd(parts);
+  if (result === null) {
+    if (!failed) {
+      report(
+        new ParseError("Empty or invalid where expression", {
+          code: "EMPTY_WHERE",
+          start: offset,
+          end: endPos,
+          expected: CONDITION_START,
+        }),
+      );
+    }
+    return null;
   }
 
-  const result = parseOr();
-  if (pos < tokens.length)
-    throw new ParseError("Unbalanced or invalid where expression");
-  if (result === null)
-    throw new ParseError("Empty or invalid where expression");
+  // Record where each comparison came from, by its path in the final (flattened) tree
+  const mapRanges = (cond: RQLCondition, path: string): void => {
+    const r = ranges.get(cond);
+    if (r) {
+      // The relation of exists / count, or the name of a filter, takes the place of the field
+      const fieldKey =
+        cond.exists !== undefined ? "exists" : cond.count !== undefined ? "count" : cond.filter !== undefined ? "filter" : "field";
+      sourceMap.set(path, { start: r.field.start, end: (r.value ?? r.op ?? r.field).end });
+      sourceMap.set(joinPath(path, fieldKey), r.field);
+      if (r.op && cond.op !== undefined) sourceMap.set(joinPath(path, "op"), r.op);
+      if (r.value) sourceMap.set(joinPath(path, "value"), r.value);
+      r.items?.forEach((item, i) => sourceMap.set(joinPath(joinPath(path, "value"), i), item));
+      return;
+    }
+    for (const key of ["and", "or"] as const) {
+      cond[key]?.forEach((c, i) => mapRanges(c, joinPath(joinPath(path, key), i)));
+    }
+    if (cond.not) mapRanges(cond.not, joinPath(path, "not"));
+    const q = quantifierRanges.get(cond);
+    const key = cond.any ? "any" : "all";
+    const quantified = cond[key];
+    if (q && quantified) {
+      sourceMap.set(path, q.whole);
+      sourceMap.set(joinPath(joinPath(path, key), "relation"), q.relation);
+      mapRanges(quantified.where, joinPath(joinPath(path, key), "where"));
+    }
+  };
+  mapRanges(result, path);
   return result;
 }
 
-function tokenizeWhere(inner: string): WhereToken[] {
+/** Combine AND terms, flattening nested ANDs for cleaner output. */
+function joinAnd(terms: RQLCondition[]): RQLCondition | null {
+  if (terms.length === 0) return null;
+  if (terms.length === 1) return terms[0];
+  const flattened: RQLCondition[] = [];
+  for (const t of terms) {
+    flattened.push(...(t.and ? t.and : [t]));
+  }
+  return { and: flattened };
+}
+
+function isValueToken(t: WhereToken | undefined): boolean {
+  return (
+    t?.type === "ident" || t?.type === "string" || t?.type === "number" || t?.type === "boolean"
+  );
+}
+
+/** The parameter an unquoted word stands for: `$name`, with a valid name. */
+function paramValue(raw: string): RQLParam | undefined {
+  return raw.startsWith("$") && PARAM_NAME.test(raw.slice(1)) ? { param: raw.slice(1) } : undefined;
+}
+
+/** Type of an unquoted word: true/false are booleans, numeric literals numbers, anything else a string. */
+function wordValue(raw: string): RQLScalar {
+  if (/^true$/i.test(raw)) return true;
+  if (/^false$/i.test(raw)) return false;
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return raw.includes(".") ? parseFloat(raw) : parseInt(raw, 10);
+  return raw;
+}
+
+function tokenizeWhere(inner: string, offset: number, report: Reporter): WhereToken[] {
   const tokens: WhereToken[] = [];
   let i = 0;
   const s = inner;
@@ -364,18 +1245,49 @@ function tokenizeWhere(inner: string): WhereToken[] {
     while (i < s.length && /\s/.test(s[i])) i++;
   };
 
+  /**
+   * Whether the tokens end with `any(` or `all(` and then `after` more tokens. The relation
+   * name right after it ends at a comma, which is its own token.
+   */
+  const afterQuantifier = (after: number): boolean => {
+    const open = tokens[tokens.length - 1 - after];
+    const fn = tokens[tokens.length - 2 - after];
+    return (
+      open?.type === "paren" &&
+      open.value === "(" &&
+      fn?.type === "ident" &&
+      /^(?:any|all)$/i.test(fn.raw)
+    );
+  };
+
+  // Whether the tokens are inside the list of an in / not in
+  let inList = false;
+
   while (i < s.length) {
     skipWs();
     if (i >= s.length) break;
+    const start = offset + i;
+    // Text operator symbols only follow a field: in a value (name=a~b) they are plain text
+    const textOps = !inList && tokens[tokens.length - 1]?.type !== "op";
+
+    // The comma after the relation in any(relation, ...) / all(relation, ...)
+    if (s[i] === "," && afterQuantifier(1)) {
+      tokens.push({ type: "comma", value: ",", start, end: start + 1 });
+      i++;
+      continue;
+    }
 
     // Handle parentheses
     if (s[i] === "(") {
-      tokens.push({ type: "paren", value: "(" });
+      const prev = tokens[tokens.length - 1];
+      inList = prev?.type === "ident" && prev.raw.toLowerCase() === "in";
+      tokens.push({ type: "paren", value: "(", start, end: start + 1 });
       i++;
       continue;
     }
     if (s[i] === ")") {
-      tokens.push({ type: "paren", value: ")" });
+      inList = false;
+      tokens.push({ type: "paren", value: ")", start, end: start + 1 });
       i++;
       continue;
     }
@@ -403,153 +1315,714 @@ function tokenizeWhere(inner: string): WhereToken[] {
         i++;
       }
       if (!foundClosing) {
-        throw new ParseError("Unclosed quoted string in where clause");
+        // Recover: the rest of the input is lost inside the string
+        report(
+          new ParseError("Unclosed quoted string in where clause", {
+            code: "UNCLOSED_STRING",
+            start,
+            end: offset + s.length,
+            expected: ['"'],
+          }),
+        );
+        break;
       }
-      tokens.push({ type: "string", value: val });
+      tokens.push({ type: "string", value: val, start, end: offset + i });
       continue;
     }
 
     // Handle operators (check longest first)
-    let opMatch: string | null = null;
-    for (const op of OPS) {
-      if (s.slice(i, i + op.length) === op) {
-        opMatch = op;
-        break;
-      }
-    }
+    const opMatch = symbolOpAt(s, i, textOps);
     if (opMatch) {
-      tokens.push({ type: "op", value: opMatch });
+      const value = TEXT_OP_SYMBOLS[opMatch] ?? opMatch;
+      tokens.push({ type: "op", value, start, end: start + opMatch.length });
       i += opMatch.length;
       continue;
     }
 
     // Handle identifiers, keywords, numbers, booleans
-    let word = "";
-    const start = i;
-    while (i < s.length && !/[\s()"=<>!]/.test(s[i])) {
-      word += s[i];
+    const wordStart = i;
+    const relationName = afterQuantifier(0);
+    while (
+      i < s.length &&
+      !/[\s()"=<>!]/.test(s[i]) &&
+      !symbolOpAt(s, i, textOps) &&
+      !(relationName && s[i] === ",")
+    ) {
       i++;
     }
-    const raw = s.slice(start, i);
+    const raw = s.slice(wordStart, i);
+    const end = offset + i;
     if (!raw) {
-      throw new ParseError("Unexpected character in where clause");
-    }
-    if (/^(?:and|or)$/i.test(raw)) {
-      tokens.push({ type: "keyword", value: raw.toLowerCase() });
-    } else if (/^true$/i.test(raw)) {
-      tokens.push({ type: "boolean", value: true });
-    } else if (/^false$/i.test(raw)) {
-      tokens.push({ type: "boolean", value: false });
-    } else if (/^-?\d+(\.\d+)?$/.test(raw)) {
-      tokens.push({
-        type: "number",
-        value: raw.includes(".") ? parseFloat(raw) : parseInt(raw, 10),
-      });
+      report(
+        new ParseError("Unexpected character in where clause", {
+          code: "UNEXPECTED_TOKEN",
+          start,
+          end: start + 1,
+          expected: [...OPS],
+        }),
+      );
+      // Recover: skip the character
+      i++;
+      continue;
+    }
+    if (/^(?:and|or|not)$/i.test(raw)) {
+      tokens.push({ type: "keyword", value: raw.toLowerCase(), start, end });
+      continue;
+    }
+    const value = wordValue(raw);
+    if (typeof value === "boolean") {
+      tokens.push({ type: "boolean", value, start, end });
+    } else if (typeof value === "number") {
+      tokens.push({ type: "number", value, start, end });
     } else {
-      tokens.push({ type: "ident", value: raw, raw });
+      tokens.push({ type: "ident", value: raw, raw, start, end });
     }
   }
   return tokens;
 }
 
 /**
- * Parse RQL plain-text syntax into RQL JSON.
+ * A limit (or offset) value, or undefined (after reporting it) when it is not a
+ * non-negative integer.
  */
-export function parsePlainText(input: string, schema?: Schema): RQLQuery {
-  const trimmed = (input ?? "").trim();
-  if (!trimmed) return {};
+function parseLimit(
+  value: string,
+  range: Range,
+  report: Reporter,
+  key: "limit" | "offset" = "limit",
+): number | undefined {
+  const n = parseInt(value, 10);
+  const code = key === "limit" ? "INVALID_LIMIT" : "INVALID_OFFSET";
+  const limitError = (message: string): ParseError =>
+    new ParseError(message, { code, ...range, expected: ["integer"] });
+  if (Number.isNaN(n)) {
+    report(limitError(`${key} must be a valid integer`));
+    return undefined;
+  }
+  if (n < 0) {
+    report(limitError(`${key} must be non-negative`));
+    return undefined;
+  }
+  // Ensure no decimal points or extra characters
+  if (!/^\d+$/.test(value.trim())) {
+    report(limitError(`${key} must be an integer without decimals`));
+    return undefined;
+  }
+  return n;
+}
 
-  const clauses = splitTopLevel(trimmed);
+/** Comma-separated order terms; the range of each field is recorded under `path`. */
+function parseOrder(
+  value: string,
+  offset: number,
+  path: string,
+  sourceMap: SourceMap,
+  report: Reporter,
+): RQLOrderTerm[] {
+  const terms: RQLOrderTerm[] = [];
+  for (const part of splitList(value, offset)) {
+    if (!part.text) {
+      report(
+        new ParseError("Empty term in order list", {
+          code: "INVALID_ORDER",
+          start: part.start,
+          expected: ["field"],
+        }),
+      );
+      continue;
+    }
+    const words = [...part.text.matchAll(/\S+/g)].map((m) => ({
+      text: m[0],
+      start: part.start + (m.index ?? 0),
+      end: part.start + (m.index ?? 0) + m[0].length,
+    }));
+    const field = words[0].text;
+    const fieldLower = field.toLowerCase();
+    if (fieldLower === "asc" || fieldLower === "desc") {
+      report(
+        new ParseError(
+          `Invalid order term "${field}": order must be a field name (e.g. order:name or order:created_at desc), not a direction alone.`,
+          { code: "INVALID_ORDER", start: words[0].start, end: words[0].end, expected: ["field"] },
+        ),
+      );
+      continue;
+    }
+    let dir: "asc" | "desc" = "asc";
+    if (words.length >= 2) {
+      const d = words[1].text.toLowerCase();
+      if (d === "asc") dir = "asc";
+      else if (d === "desc") dir = "desc";
+      else {
+        report(
+          new ParseError(`Invalid order direction "${words[1].text}". Use asc or desc.`, {
+            code: "INVALID_ORDER",
+            start: words[1].start,
+            end: words[1].end,
+            expected: ["asc", "desc"],
+          }),
+        );
+        // Recover: keep the term with the default direction
+      }
+    }
+    sourceMap.set(joinPath(joinPath(path, terms.length), "field"), words[0]);
+    terms.push({ field, dir });
+  }
+  return terms;
+}
+
+/** Comma-separated field paths for `select` or `group`; the range of each is recorded under `<key>[i]`. */
+function parseFieldList(
+  value: string,
+  offset: number,
+  key: "select" | "group",
+  sourceMap: SourceMap,
+  report: Reporter,
+): string[] {
+  const code = key === "select" ? "INVALID_SELECT" : "INVALID_GROUP";
+  const fields: string[] = [];
+  for (const part of splitList(value, offset)) {
+    if (!part.text) {
+      report(
+        new ParseError(`Empty field in ${key} list`, {
+          code,
+          start: part.start,
+          expected: ["field"],
+        }),
+      );
+      continue;
+    }
+    if (/[\s()"]/.test(part.text) || part.text.split(".").includes("")) {
+      report(
+        new ParseError(`Invalid field "${part.text}" in ${key} list: expected a field name or path (e.g. category.name)`, {
+          code,
+          start: part.start,
+          end: part.end,
+          expected: ["field"],
+        }),
+      );
+      continue;
+    }
+    if (fields.includes(part.text)) {
+      report(
+        new ParseError(`Duplicate field in ${key} list: ${part.text}`, {
+          code: "DUPLICATE_KEY",
+          start: part.start,
+          end: part.end,
+        }),
+      );
+      continue;
+    }
+    sourceMap.set(joinPath(key, fields.length), part);
+    fields.push(part.text);
+  }
+  return fields;
+}
+
+/** `count`, or a function and the field it applies to: `sum(total)`. */
+const AGGREGATE_ITEM = /^(\w+)\s*(?:\(\s*([^\s()",]*)\s*\))?$/;
+
+/**
+ * Comma-separated aggregates; the range of each is recorded under `aggregate[i]`, and
+ * that of its field under `aggregate[i].field`.
+ */
+function parseAggregate(value: string, offset: number, sourceMap: SourceMap, report: Reporter): RQLAggregate[] {
+  const aggregates: RQLAggregate[] = [];
+  const expected = AGGREGATE_FNS.map((fn) => (fn === "count" ? fn : `${fn}(`));
+  for (const part of splitList(value, offset)) {
+    const invalid = (message: string): void =>
+      report(new ParseError(message, { code: "INVALID_AGGREGATE", start: part.start, end: part.end, expected }));
+    if (!part.text) {
+      invalid("Empty item in aggregate list");
+      continue;
+    }
+    const match = AGGREGATE_ITEM.exec(part.text);
+    const fn = AGGREGATE_FNS.find((f) => f === match?.[1].toLowerCase());
+    if (!match || !fn) {
+      invalid(`Invalid aggregate "${part.text}": expected count, or sum, avg, min or max of a field (e.g. sum(total))`);
+      continue;
+    }
+    const field = match[2];
+    if (fn === "count" && field !== undefined) {
+      invalid(`Invalid aggregate "${part.text}": count takes no field, it counts results`);
+      continue;
+    }
+    if (fn !== "count" && (!field || field.split(".").includes(""))) {
+      invalid(`Invalid aggregate "${part.text}": ${fn} needs a field name or path (e.g. ${fn}(total))`);
+      continue;
+    }
+    const aggregate: RQLAggregate = field === undefined ? { fn } : { fn, field };
+    const name = aggregateName(aggregate);
+    if (aggregates.some((a) => aggregateName(a) === name)) {
+      report(new ParseError(`Duplicate aggregate: ${name}`, { code: "DUPLICATE_KEY", start: part.start, end: part.end }));
+      continue;
+    }
+    const path = joinPath("aggregate", aggregates.length);
+    sourceMap.set(path, part);
+    if (field !== undefined) {
+      const start = part.start + part.text.indexOf(field, part.text.indexOf("(") + 1);
+      sourceMap.set(joinPath(path, "field"), { start, end: start + field.length });
+    }
+    aggregates.push(aggregate);
+  }
+  return aggregates;
+}
+
+/** Clauses allowed after the condition in include options: `reviews(rating>=4 order:created_at desc limit:3)`. */
+const INCLUDE_OPTION_KEYS = ["order", "limit"];
+
+/**
+ * Where a condition written after an include option starts in its value
+ * (`limit:3 rating>3`), if the rest of the value after the limit or order terms parses
+ * as one.
+ */
+function trailingCondition(key: string, value: string): number | undefined {
+  const head =
+    key === "limit"
+      ? /^\S+/
+      : /^[^\s,]+(?:\s+(?:asc|desc)\b)?(?:\s*,\s*[^\s,]+(?:\s+(?:asc|desc)\b)?)*/i;
+  const length = head.exec(value)?.[0].length ?? 0;
+  const rest = value.slice(length);
+  if (!rest.trim()) return undefined;
+  try {
+    parseCondition(rest.trim());
+  } catch {
+    return undefined;
+  }
+  return length + (rest.length - rest.trimStart().length);
+}
+
+/**
+ * Parse the text inside an include's parentheses: a condition on the related entity's
+ * fields, then optional `order:` and `limit:` clauses. Ranges are recorded under `path`.
+ */
+function parseIncludeOptions(
+  body: string,
+  offset: number,
+  path: string,
+  sourceMap: SourceMap,
+  report: Reporter,
+): RQLIncludeQuery {
+  // Clause keys at the top level of the body, outside quoted strings and groups
+  const keys: Array<{ key: string; start: number; valueStart: number }> = [];
+  let depth = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '"') {
+      i++;
+      while (i < body.length && body[i] !== '"') {
+        if (body[i] === "\\") i++;
+        i++;
+      }
+    } else if (body[i] === "(") depth++;
+    else if (body[i] === ")") depth--;
+    else if (depth === 0 && (i === 0 || /\s/.test(body[i - 1]))) {
+      const m = /^(\w+):/.exec(body.slice(i));
+      if (m && INCLUDE_OPTION_KEYS.includes(m[1].toLowerCase())) {
+        keys.push({ key: m[1].toLowerCase(), start: i, valueStart: i + m[0].length });
+      }
+    }
+  }
+
+  const out: RQLIncludeQuery = {};
+  const condition = body.slice(0, keys[0]?.start ?? body.length);
+  if (condition.trim()) {
+    const lead = condition.length - condition.trimStart().length;
+    const where = parseWhere(condition.trim(), offset + lead, sourceMap, report, joinPath(path, "where"));
+    if (where) out.where = where;
+  }
+  keys.forEach(({ key, start, valueStart }, i) => {
+    const raw = body.slice(valueStart, keys[i + 1]?.start ?? body.length);
+    let value = raw.trim();
+    const valueOffset = offset + valueStart + (raw.length - raw.trimStart().length);
+    const conditionAt = trailingCondition(key, value);
+    if (conditionAt !== undefined) {
+      report(
+        new ParseError(
+          `Include condition after ${key}: must come first, before order: and limit: (e.g. reviews(rating>=4 limit:3))`,
+          { code: "UNEXPECTED_TOKEN", start: valueOffset + conditionAt, end: valueOffset + value.length, expected: [")"] },
+        ),
+      );
+      // Recover: keep the option without the condition
+      value = value.slice(0, conditionAt).trimEnd();
+    }
+    const valueRange = { start: valueOffset, end: valueOffset + value.length };
+    if (key in out) {
+      report(
+        new ParseError(`Duplicate key in include options: ${key}`, {
+          code: "DUPLICATE_KEY",
+          start: offset + start,
+          end: valueRange.end,
+        }),
+      );
+      return;
+    }
+    if (!value) {
+      report(
+        new ParseError(`${key} value must be non-empty`, {
+          code: "EMPTY_VALUE",
+          start: offset + valueStart,
+          expected: [EMPTY_VALUE_EXPECTED[key]],
+        }),
+      );
+      return;
+    }
+    if (key === "limit") {
+      const limit = parseLimit(value, valueRange, report);
+      if (limit === undefined) return;
+      out.limit = limit;
+      sourceMap.set(joinPath(path, "limit"), valueRange);
+    } else {
+      const terms = parseOrder(value, valueOffset, joinPath(path, "order"), sourceMap, report);
+      if (terms.length > 0) out.order = terms;
+    }
+  });
+  return out;
+}
+
+/**
+ * Parse an include list. Each item is a relation path (`reviews.author`), optionally
+ * followed by options for its last relation in parentheses. Paths that share a prefix
+ * are merged; below a relation with options, nested relations go under its `include`.
+ */
+function parseInclude(
+  value: string,
+  offset: number,
+  sourceMap: SourceMap,
+  report: Reporter,
+): RQLInclude {
+  type Hop = Range & { text: string };
+  const items: Array<{ hops: Hop[]; options?: { body: string; start: number; range: Range } }> = [];
+  for (const item of splitList(value, offset)) {
+    // reviews.author: each hop is a relation of the entity the previous hop points to
+    const open = item.text.indexOf("(");
+    const hops: Hop[] = [];
+    let from = item.start;
+    for (const text of (open === -1 ? item.text : item.text.slice(0, open)).split(".")) {
+      hops.push({ text, start: from, end: from + text.length });
+      from += text.length + 1;
+    }
+    const empty = hops.find((hop) => !hop.text);
+    if (empty) {
+      report(
+        new ParseError("Empty relation name in include list", {
+          code: "EMPTY_VALUE",
+          start: empty.start,
+          expected: ["relation"],
+        }),
+      );
+      continue;
+    }
+    if (open === -1) {
+      items.push({ hops });
+      continue;
+    }
+    // Unclosed parentheses were reported while splitting clauses
+    let closed = true;
+    const end = skipParens(item.text, open, "include", () => {
+      closed = false;
+    });
+    const body = item.text.slice(open + 1, closed ? end - 1 : end);
+    const range = { start: item.start + open, end: item.start + end };
+    if (end < item.text.length) {
+      report(
+        new ParseError("Include options must come last: list nested relations separately (reviews(...),reviews.author)", {
+          code: "UNEXPECTED_TOKEN",
+          start: item.start + end,
+          end: item.end,
+          expected: [","],
+        }),
+      );
+    }
+    if (!body.trim()) {
+      report(
+        new ParseError(`Empty include options for "${hops.map((h) => h.text).join(".")}"`, {
+          code: "EMPTY_GROUP",
+          ...range,
+          expected: [...CONDITION_START, ...INCLUDE_OPTION_KEYS.map((k) => `${k}:`)],
+        }),
+      );
+      items.push({ hops });
+      continue;
+    }
+    items.push({ hops, options: { body, start: range.start + 1, range } });
+  }
+
+  // Relations with options hold their nested relations under `include`
+  const key = (hops: Hop[], i: number): string => hops.slice(0, i + 1).map((h) => h.text).join("\0");
+  const withOptions = new Set(items.filter((item) => item.options).map((item) => key(item.hops, item.hops.length - 1)));
+  const include: RQLInclude = {};
+  for (const { hops, options } of items) {
+    let node = include;
+    let path = "include";
+    hops.forEach((hop, i) => {
+      path = joinPath(path, hop.text);
+      if (!sourceMap.has(path)) sourceMap.set(path, { start: hop.start, end: hop.end });
+      const last = i === hops.length - 1;
+      if (!withOptions.has(key(hops, i))) {
+        if (last) {
+          node[hop.text] ??= true;
+        } else {
+          if (typeof node[hop.text] !== "object") node[hop.text] = {};
+          node = node[hop.text] as RQLInclude;
+        }
+        return;
+      }
+      if (typeof node[hop.text] !== "object") node[hop.text] = {};
+      const query = node[hop.text] as RQLIncludeQuery;
+      if (!last) {
+        node = query.include ??= {};
+        path = joinPath(path, "include");
+      } else if (options) {
+        if (Object.keys(query).some((k) => k !== "include")) {
+          report(
+            new ParseError(`Duplicate include options for "${hops.map((h) => h.text).join(".")}"`, {
+              code: "DUPLICATE_KEY",
+              ...options.range,
+            }),
+          );
+          return;
+        }
+        Object.assign(query, parseIncludeOptions(options.body, options.start, path, sourceMap, report));
+      }
+    });
+  }
+  return include;
+}
+
+/**
+ * Shared by both entry points. Every error goes to `report`; when it returns instead
+ * of throwing, the offending clause, order/include term or comparison is skipped.
+ */
+function parseQuery(
+  input: string,
+  schema: Schema | undefined,
+  options: ParseOptions,
+  report: Reporter,
+): RQLQuery {
+  const text = input ?? "";
+  if (!text.trim()) return {};
+
+  const clauses = splitTopLevel(text, report);
   const out: RQLQuery = {};
+  const sourceMap: SourceMap = new Map();
+  const validKeys = `Valid keys: ${KEYS.join(", ")}`;
+  // Keys already given, even if their value was rejected
+  const seen = new Set<string>();
+  const addSearch = (term: string, range: Range): void => {
+    out.search ??= [];
+    // Schema issues about searching at all are shown on the first term
+    if (out.search.length === 0) sourceMap.set("search", range);
+    sourceMap.set(joinPath("search", out.search.length), range);
+    out.search.push(term);
+  };
 
   for (const clause of clauses) {
-    const colon = clause.indexOf(":");
+    const clauseRange = { start: clause.start, end: clause.start + clause.text.length };
+    // Quoted phrases and bare words outside key:value clauses are search terms
+    if (clause.text.startsWith('"')) {
+      const phrase = clause.text.slice(1, -1).replace(/\\(.)/g, "$1");
+      if (!phrase.trim()) {
+        report(new ParseError("Search phrase must be non-empty", { code: "INVALID_SEARCH", ...clauseRange }));
+        continue;
+      }
+      addSearch(phrase, clauseRange);
+      continue;
+    }
+    const colon = clause.text.indexOf(":");
+    const isKeyName = (KEYS as readonly string[]).includes(clause.text.toLowerCase());
+    if (colon === -1 && !isKeyName && !/[()"]/.test(clause.text)) {
+      addSearch(clause.text, clauseRange);
+      continue;
+    }
     if (colon === -1) {
-      throw new ParseError(
-        `Invalid clause "${clause}": expected key:value format (e.g., entity:users). ` +
-          `Valid keys: entity, limit, order, include, where`,
+      // A key without its value is more likely unfinished than a search for the key's name
+      const hint = isKeyName ? `. To search for "${clause.text}", quote it.` : "";
+      report(
+        new ParseError(
+          `Invalid clause "${clause.text}": expected key:value format (e.g., entity:users). ` +
+            validKeys +
+            hint,
+          { code: "INVALID_CLAUSE", ...clauseRange, expected: KEYS.map((k) => `${k}:`) },
+        ),
       );
+      continue;
+    }
+    const rawKey = clause.text.slice(0, colon);
+    const key = rawKey.trim().toLowerCase();
+    const rawValue = clause.text.slice(colon + 1);
+    const value = rawValue.trim();
+    const valueStart = clause.start + colon + 1 + (rawValue.length - rawValue.trimStart().length);
+    const valueRange = { start: valueStart, end: valueStart + value.length };
+
+    if ((KEYS as readonly string[]).includes(key)) {
+      if (seen.has(key)) {
+        report(
+          new ParseError(`Duplicate top-level key: ${key}`, {
+            code: "DUPLICATE_KEY",
+            ...clauseRange,
+          }),
+        );
+        continue;
+      }
+      seen.add(key);
+      if (!value) {
+        report(
+          new ParseError(`${key} value must be non-empty`, {
+            code: "EMPTY_VALUE",
+            start: clause.start + colon + 1,
+            expected: [EMPTY_VALUE_EXPECTED[key]],
+          }),
+        );
+        continue;
+      }
     }
-    const key = clause.slice(0, colon).trim().toLowerCase();
-    const value = clause.slice(colon + 1).trim();
 
     if (key === "entity") {
-      if ("entity" in out)
-        throw new ParseError("Duplicate top-level key: entity");
-      if (!value) throw new ParseError("entity value must be non-empty");
       out.entity = value;
+      sourceMap.set("entity", valueRange);
+    } else if (key === "select" || key === "group") {
+      const fields = parseFieldList(value, valueStart, key, sourceMap, report);
+      if (fields.length > 0) out[key] = fields;
+      sourceMap.set(key, valueRange);
+    } else if (key === "aggregate") {
+      const aggregates = parseAggregate(value, valueStart, sourceMap, report);
+      if (aggregates.length > 0) out.aggregate = aggregates;
+      sourceMap.set("aggregate", valueRange);
     } else if (key === "limit") {
-      if ("limit" in out)
-        throw new ParseError("Duplicate top-level key: limit");
-      if (!value) throw new ParseError("limit value must be non-empty");
-      const n = parseInt(value, 10);
-      if (Number.isNaN(n))
-        throw new ParseError("limit must be a valid integer");
-      if (n < 0) throw new ParseError("limit must be non-negative");
-      // Ensure no decimal points or extra characters
-      if (!/^\d+$/.test(value.trim())) {
-        throw new ParseError("limit must be an integer without decimals");
-      }
-      out.limit = n;
+      const limit = parseLimit(value, valueRange, report);
+      if (limit === undefined) continue;
+      out.limit = limit;
+      sourceMap.set("limit", valueRange);
+    } else if (key === "offset") {
+      const offset = parseLimit(value, valueRange, report, "offset");
+      if (offset === undefined) continue;
+      out.offset = offset;
+      sourceMap.set("offset", valueRange);
+    } else if (key === "after") {
+      // The token is opaque here; applyCursor checks it against the order
+      out.after = value;
+      sourceMap.set("after", valueRange);
     } else if (key === "order") {
-      if ("order" in out)
-        throw new ParseError("Duplicate top-level key: order");
-      if (!value) throw new ParseError("order value must be non-empty");
-      const terms: RQLOrderTerm[] = [];
-      for (const part of value.split(",")) {
-        const t = part.trim();
-        if (!t) throw new ParseError("Empty term in order list");
-        const tokens = t.split(/\s+/);
-        const field = tokens[0];
-        const fieldLower = field.toLowerCase();
-        if (fieldLower === "asc" || fieldLower === "desc") {
-          throw new ParseError(
-            `Invalid order term "${field}": order must be a field name (e.g. order:name or order:created_at desc), not a direction alone.`,
-          );
-        }
-        let dir: "asc" | "desc" = "asc";
-        if (tokens.length >= 2) {
-          const d = tokens[1].toLowerCase();
-          if (d === "asc") dir = "asc";
-          else if (d === "desc") dir = "desc";
-          else throw new ParseError(`Invalid order direction "${tokens[1]}". Use asc or desc.`);
-        }
-        terms.push({ field, dir });
-      }
-      out.order = terms;
+      const terms = parseOrder(value, valueStart, "order", sourceMap, report);
+      if (terms.length > 0) out.order = terms;
     } else if (key === "include") {
-      if ("include" in out)
-        throw new ParseError("Duplicate top-level key: include");
-      if (!value) throw new ParseError("include value must be non-empty");
-      out.include = {};
-      for (const rel of value.split(",")) {
-        const r = rel.trim();
-        if (!r) throw new ParseError("Empty relation name in include list");
-        out.include[r] = true;
-      }
+      const include = parseInclude(value, valueStart, sourceMap, report);
+      if (Object.keys(include).length > 0) out.include = include;
+      sourceMap.set("include", valueRange);
     } else if (key === "where") {
-      if ("where" in out)
-        throw new ParseError("Duplicate top-level key: where");
-      if (!value) throw new ParseError("where value must be non-empty");
-      const inner = unwrapWhere(value);
-      out.where = parseWhere(inner);
+      const { inner, start } = unwrapWhere(value, valueStart, report);
+      const where = parseWhere(inner, start, sourceMap, report);
+      if (where) out.where = where;
     } else {
-      throw new ParseError(
-        `Unknown top-level key: "${key}". Valid keys: entity, limit, order, include, where`,
+      report(
+        new ParseError(`Unknown top-level key: "${key}". ${validKeys}`, {
+          code: "UNKNOWN_KEY",
+          start: clause.start,
+          end: clause.start + rawKey.length,
+          expected: KEYS.map((k) => `${k}:`),
+        }),
       );
     }
   }
 
-  if (schema) validateAgainstSchema(out, schema);
+  reportIssues(checkGrouping(out), sourceMap, report);
+  if (schema) validateAgainstSchema(out, schema, sourceMap, report, options);
+  if (schema && options.expandFilters) {
+    try {
+      return expandFilters(out, schema, options);
+    } catch {
+      // Only filters that failed validation (reported above) fail to expand; keep them as is
+    }
+  }
   return out;
 }
 
+/**
+ * Parse RQL plain-text syntax into RQL JSON.
+ * Throws ParseError with a `code`, the `start`/`end` offsets in `input`, and the
+ * `expected` tokens at that point. With a schema, relative dates on date and datetime
+ * fields are resolved against `options.clock`, and other where values are converted to
+ * their field's type unless `options.strictTypes` is set.
+ */
+export function parsePlainText(
+  input: string,
+  schema?: Schema,
+  options: ParseOptions = {},
+): RQLQuery {
+  return parseQuery(input, schema, options, throwError);
+}
+
+/** A problem found by parsePlainTextWithDiagnostics, with the same fields as ParseError. */
+export interface Diagnostic {
+  /** Always `"error"`: each diagnostic is something parsePlainText would throw on. */
+  severity: "error";
+  code: ParseErrorCode;
+  message: string;
+  /** Offset of the first offending character in the original input. */
+  start: number;
+  /** Offset just past the offending text; equal to `start` when something is missing. */
+  end: number;
+  /** Tokens (or kinds of token) that would have been valid at `start`. */
+  expected: string[];
+}
+
+export interface ParseResult {
+  /**
+   * Everything that parsed: clauses, terms and comparisons with syntax errors are left
+   * out, while those that only fail the schema or grouping checks are kept as written.
+   */
+  query: RQLQuery;
+  /** Every problem found, in input order. Empty when parsePlainText would succeed. */
+  diagnostics: Diagnostic[];
+}
+
+/**
+ * Parse RQL plain-text without throwing, for editors. Recovers at clause boundaries,
+ * list items and inside `where:(...)` groups, and returns the partial query together
+ * with a diagnostic per problem. Schema issues are reported for all paths, not just the first.
+ */
+export function parsePlainTextWithDiagnostics(
+  input: string,
+  schema?: Schema,
+  options: ParseOptions = {},
+): ParseResult {
+  const diagnostics: Diagnostic[] = [];
+  const query = parseQuery(input, schema, options, (err) => {
+    // The same problem can be seen while splitting clauses and again while parsing one
+    const seen = diagnostics.some(
+      (d) => d.code === err.code && d.start <= err.end && err.start <= d.end,
+    );
+    if (seen) return;
+    diagnostics.push({
+      severity: "error",
+      code: err.code,
+      message: err.message,
+      start: err.start,
+      end: err.end,
+      expected: err.expected,
+    });
+  });
+  diagnostics.sort((a, b) => a.start - b.start);
+  return { query, diagnostics };
+}
+
+/**
+ * Parse a condition as written inside `where:(...)`, such as the definition of a named
+ * filter. Throws ParseError, with offsets into `text`.
+ */
+export function parseCondition(text: string): RQLCondition {
+  return parseWhere(text, 0, new Map(), throwError) as RQLCondition;
+}
+
 /**
  * Returns true if the string is valid RQL plain-text (and passes schema validation when schema is provided).
  */
-export function isValidPlainText(input: string, schema?: Schema): boolean {
+export function isValidPlainText(
+  input: string,
+  schema?: Schema,
+  options: ParseOptions = {},
+): boolean {
   try {
-    parsePlainText(input, schema);
+    parsePlainText(input, schema, options);
     return true;
   } catch (err) {
     if (err instanceof ParseError) return false;
@@ -1,6 +1,6 @@
 import test, { describe } from 'node:test';
 import assert from 'node:assert/strict';
-import { parsePlainText, ParseError, isValidPlainText, exampleSchema } from '../dist/index.js';
+import { parsePlainText, parsePlainTextWithDiagnostics, ParseError, isValidPlainText, exampleSchema } from '../dist/index.js';
 
 describe('parsePlainText', () => {
 
@@ -9,6 +9,56 @@ describe('parsePlainText', () => {
     assert.deepStrictEqual(parsePlainText('entity:products'), { entity: 'products' });
   });
 
+  test('entity + select', () => {
+    assert.deepStrictEqual(parsePlainText('entity:products select:name,price,category.name order:price'), {
+      entity: 'products',
+      select: ['name', 'price', 'category.name'],
+      order: [{ field: 'price', dir: 'asc' }],
+    });
+    assert.deepStrictEqual(parsePlainText('entity:products order:price select:name').select, ['name']);
+  });
+
+  test('entity + group and aggregate', () => {
+    assert.deepEqual(parsePlainText('entity:orders group:status,customer.tier aggregate:count,SUM(total),avg(total) order:count desc'), {
+      entity: 'orders',
+      group: ['status', 'customer.tier'],
+      aggregate: [{ fn: 'count' }, { fn: 'sum', field: 'total' }, { fn: 'avg', field: 'total' }],
+      order: [{ field: 'count', dir: 'desc' }],
+    });
+    const error = (text) => {
+      try {
+        parsePlainText(text);
+      } catch (err) {
+        return [err.code, err.start, err.end, err.message];
+      }
+    };
+    assert.deepEqual(error('entity:orders aggregate:sum'), [
+      'INVALID_AGGREGATE', 24, 27, 'Invalid aggregate "sum": sum needs a field name or path (e.g. sum(total))',
+    ]);
+    assert.equal(error('entity:orders aggregate:count(id)')[3], 'Invalid aggregate "count(id)": count takes no field, it counts results');
+    assert.equal(error('entity:orders aggregate:median(total)')[0], 'INVALID_AGGREGATE');
+    assert.deepEqual(error('entity:orders aggregate:count,count').slice(0, 3), ['DUPLICATE_KEY', 30, 35]);
+    assert.deepEqual(error('entity:orders group:status aggregate:count order:total').slice(0, 3), ['INVALID_ORDER', 49, 54]);
+    assert.deepEqual(error('entity:orders group:status select:total').slice(0, 3), ['INVALID_SELECT', 34, 39]);
+  });
+
+  test('entity + offset and after', () => {
+    assert.deepEqual(parsePlainText('entity:users order:created_at desc,id offset:20 after:WyJhIl0 limit:10'), {
+      entity: 'users',
+      order: [
+        { field: 'created_at', dir: 'desc' },
+        { field: 'id', dir: 'asc' },
+      ],
+      offset: 20,
+      after: 'WyJhIl0',
+      limit: 10,
+    });
+    assert.throws(
+      () => parsePlainText('entity:users offset:-1'),
+      (err) => err.code === 'INVALID_OFFSET' && err.message === 'offset must be non-negative',
+    );
+  });
+
   test('entity + limit', () => {
     assert.deepStrictEqual(parsePlainText('entity:users limit:10'), {
       entity: 'users',
@@ -31,6 +81,40 @@ describe('parsePlainText', () => {
     });
   });
 
+  test('entity + nested include', () => {
+    assert.deepStrictEqual(parsePlainText('entity:products include:reviews.author.profile,category,reviews.product').include, {
+      reviews: { author: { profile: true }, product: true },
+      category: true,
+    });
+    assert.deepStrictEqual(parsePlainText('entity:products include:reviews,reviews.author').include, {
+      reviews: { author: true },
+    });
+    assert.throws(
+      () => parsePlainText('entity:products include:reviews..author'),
+      (err) => err.code === 'EMPTY_VALUE' && err.start === 32,
+    );
+  });
+
+  test('entity + include query', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:products include:reviews(rating>=4 order:created_at desc limit:3),category').include,
+      {
+        reviews: {
+          where: { field: 'rating', op: '>=', value: 4 },
+          order: [{ field: 'created_at', dir: 'desc' }],
+          limit: 3,
+        },
+        category: true,
+      },
+    );
+    assert.deepStrictEqual(parsePlainText('entity:products include:reviews(limit:2),reviews.author').include, {
+      reviews: { limit: 2, include: { author: true } },
+    });
+    assert.deepStrictEqual(parsePlainText('entity:products include:reviews.author(status in (active, pending))').include, {
+      reviews: { author: { where: { field: 'status', op: 'in', value: ['active', 'pending'] } } },
+    });
+  });
+
   test('entity + order - single term default asc', () => {
     assert.deepStrictEqual(parsePlainText('entity:users order:name'), {
       entity: 'users',
@@ -227,6 +311,82 @@ describe('parsePlainText', () => {
     });
   });
 
+  test('where - parentheses inside quoted value', () => {
+    assert.deepStrictEqual(parsePlainText('entity:users where:(name="a)b" OR name="(c")'), {
+      entity: 'users',
+      where: {
+        or: [
+          { field: 'name', op: '=', value: 'a)b' },
+          { field: 'name', op: '=', value: '(c' },
+        ],
+      },
+    });
+  });
+
+  test('where - in / not in lists', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:users where:(status in (active, pending) age NOT IN (1,2,"3") name in ("a, b"))').where,
+      {
+        and: [
+          { field: 'status', op: 'in', value: ['active', 'pending'] },
+          { field: 'age', op: 'not in', value: [1, 2, '3'] },
+          { field: 'name', op: 'in', value: ['a, b'] },
+        ],
+      },
+    );
+    // Without a following list, "in" is an ordinary value
+    assert.deepStrictEqual(parsePlainText('entity:users where:(status in)').where, { field: 'status', op: '=', value: 'in' });
+  });
+
+  test('where - text operators, as symbols or words', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:users where:(name~"ali" name^=A name$=ce name~=ALICE name contains li code ENDSWITH 42)').where.and,
+      [
+        { field: 'name', op: 'contains', value: 'ali' },
+        { field: 'name', op: 'startsWith', value: 'A' },
+        { field: 'name', op: 'endsWith', value: 'ce' },
+        { field: 'name', op: 'ieq', value: 'ALICE' },
+        { field: 'name', op: 'contains', value: 'li' },
+        // Text operators take the value as written
+        { field: 'code', op: 'endsWith', value: '42' },
+      ],
+    );
+    // "$" and "^" only end a word when "=" follows
+    assert.deepStrictEqual(parsePlainText('entity:users where:(a$b=c^d)').where, { field: 'a$b', op: '=', value: 'c^d' });
+    // The symbols are only operators after a field; in a value or list item they are text
+    assert.deepStrictEqual(parsePlainText('entity:users where:(name=a~b code~x~y)').where.and, [
+      { field: 'name', op: '=', value: 'a~b' },
+      { field: 'code', op: 'contains', value: 'x~y' },
+    ]);
+    assert.deepStrictEqual(parsePlainText('entity:users where:(name in (a~b, c))').where, { field: 'name', op: 'in', value: ['a~b', 'c'] });
+  });
+
+  test('where - is null / is not null take no value', () => {
+    assert.deepStrictEqual(parsePlainText('entity:users where:(photo is null age IS NOT NULL)').where.and, [
+      { field: 'photo', op: 'is null' },
+      { field: 'age', op: 'is not null' },
+    ]);
+    // Only "is null" and "is not null" are operators; other uses of "is" are plain words
+    assert.deepStrictEqual(parsePlainText('entity:users where:(is=null)').where, { field: 'is', op: '=', value: 'null' });
+    assert.throws(() => parsePlainText('entity:users where:(photo is nothing)'), ParseError);
+  });
+
+  test('where - invalid in lists throw', () => {
+    const codeOf = (input) => {
+      try {
+        parsePlainText(input);
+      } catch (err) {
+        return [err.code, err.message];
+      }
+      return null;
+    };
+    assert.deepStrictEqual(codeOf('entity:users where:(status in ())'), ['EMPTY_VALUE', 'List must not be empty']);
+    assert.deepStrictEqual(codeOf('entity:users where:(status in (a b))'), ['UNEXPECTED_TOKEN', 'Missing comma in list']);
+    assert.deepStrictEqual(codeOf('entity:users where:(status in (a,,b))'), ['UNEXPECTED_TOKEN', 'Missing value in list']);
+    assert.deepStrictEqual(codeOf('entity:users where:(status in (a,))'), ['UNEXPECTED_TOKEN', 'Missing value in list']);
+    assert.deepStrictEqual(codeOf('entity:users where:(status in (a = b))'), ['UNEXPECTED_TOKEN', 'Unexpected token in list']);
+  });
+
   test('where - escaped quotes in quoted value', () => {
     assert.deepStrictEqual(parsePlainText('entity:posts where:(title="Hello \\"World\\"")'), {
       entity: 'posts',
@@ -432,6 +592,75 @@ describe('parsePlainText', () => {
     );
   });
 
+  test('where - NOT negates the next comparison or group', () => {
+    assert.deepStrictEqual(parsePlainText('entity:users where:(NOT status=active)').where, {
+      not: { field: 'status', op: '=', value: 'active' },
+    });
+    assert.deepStrictEqual(parsePlainText('entity:users where:(not (role=admin OR role=moderator))').where, {
+      not: {
+        or: [
+          { field: 'role', op: '=', value: 'admin' },
+          { field: 'role', op: '=', value: 'moderator' },
+        ],
+      },
+    });
+  });
+
+  test('precedence: NOT binds tighter than AND and OR', () => {
+    const a = { field: 'a', op: '=', value: 1 };
+    const b = { field: 'b', op: '=', value: 2 };
+    assert.deepStrictEqual(parsePlainText('entity:users where:(NOT a=1 b=2)').where, { and: [{ not: a }, b] });
+    assert.deepStrictEqual(parsePlainText('entity:users where:(NOT a=1 OR b=2)').where, { or: [{ not: a }, b] });
+    assert.deepStrictEqual(parsePlainText('entity:users where:(NOT NOT a=1)').where, { not: { not: a } });
+  });
+
+  test('"not" is still a field name and part of not in', () => {
+    assert.deepStrictEqual(parsePlainText('entity:users where:(notes=x status not in (a))').where, {
+      and: [
+        { field: 'notes', op: '=', value: 'x' },
+        { field: 'status', op: 'not in', value: ['a'] },
+      ],
+    });
+  });
+
+  test('where - relation conditions: exists, any(), all() and count()', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:products where:(reviews exists NOT "tag list" exists)').where.and,
+      [{ exists: 'reviews' }, { not: { exists: 'tag list' } }],
+    );
+    assert.deepStrictEqual(
+      parsePlainText('entity:products where:(ANY(reviews, rating>=4 OR author.verified=true) all(reviews, rating>1))').where,
+      {
+        and: [
+          {
+            any: {
+              relation: 'reviews',
+              where: { or: [{ field: 'rating', op: '>=', value: 4 }, { field: 'author.verified', op: '=', value: true }] },
+            },
+          },
+          { all: { relation: 'reviews', where: { field: 'rating', op: '>', value: 1 } } },
+        ],
+      },
+    );
+    assert.deepStrictEqual(
+      parsePlainText('entity:users where:(count(posts) > 5 OR count(posts)=0)').where.or,
+      [{ count: 'posts', op: '>', value: 5 }, { count: 'posts', op: '=', value: 0 }],
+    );
+    // Only followed by "(" are they functions
+    assert.deepStrictEqual(parsePlainText('entity:users where:(count=1 any="all")').where.and, [
+      { field: 'count', op: '=', value: 1 },
+      { field: 'any', op: '=', value: 'all' },
+    ]);
+  });
+
+  test('invalid where: NOT with no condition throws', () => {
+    assert.throws(
+      () => parsePlainText('entity:users where:(a=1 NOT)'),
+      (err) => err instanceof ParseError && err.message === 'Invalid where: NOT with no condition'
+    );
+    assert.throws(() => parsePlainText('entity:users where:(NOT OR a=1)'), ParseError);
+  });
+
   test('invalid where: OR with no right side throws', () => {
     assert.throws(() => parsePlainText('entity:users where:(a=1 OR)'), ParseError);
     assert.throws(
@@ -486,13 +715,32 @@ describe('parsePlainText', () => {
     );
   });
 
-  test('clause without colon (bare word) throws', () => {
-    assert.throws(() => parsePlainText('foo'), ParseError);
+  test('bare key name without colon throws', () => {
+    assert.throws(() => parsePlainText('entity'), ParseError);
     assert.throws(
-      () => parsePlainText('foo'),
-      (err) => err.message.includes('Invalid clause') && err.message.includes('foo')
+      () => parsePlainText('entity:users limit'),
+      (err) =>
+        err.message.includes('Invalid clause') &&
+        err.message.includes('limit') &&
+        err.message.includes('To search for "limit", quote it')
     );
-    assert.throws(() => parsePlainText('entity'), ParseError);
+    assert.throws(() => parsePlainText('entity:users foo)'), /Invalid clause "foo\)"/);
+  });
+
+  test('bare words and quoted phrases are search terms', () => {
+    assert.deepStrictEqual(parsePlainText('entity:products laptop "usb c" limit:5'), {
+      entity: 'products',
+      search: ['laptop', 'usb c'],
+      limit: 5,
+    });
+    assert.deepStrictEqual(parsePlainText('foo'), { search: ['foo'] });
+    assert.deepStrictEqual(parsePlainText('entity:users "limit" "say \\"hi\\""'), {
+      entity: 'users',
+      search: ['limit', 'say "hi"'],
+    });
+    assert.throws(() => parsePlainText('entity:users ""'), /Search phrase must be non-empty/);
+    assert.throws(() => parsePlainText('entity:users "  "'), /Search phrase must be non-empty/);
+    assert.throws(() => parsePlainText('entity:users "usb c'), /Unclosed quoted string/);
   });
 
   // --- Validator ---
@@ -522,7 +770,7 @@ describe('parsePlainText', () => {
     assert.equal(isValidPlainText('user:foo'), false);
     assert.equal(isValidPlainText('entity:users sort:name'), false);
     assert.equal(isValidPlainText('entity:users order:'), false);
-    assert.equal(isValidPlainText('foo'), false);
+    assert.equal(isValidPlainText('limit'), false);
     assert.equal(isValidPlainText('entity'), false);
   });
 
@@ -545,6 +793,43 @@ describe('parsePlainText', () => {
     );
   });
 
+  test('parsePlainText with schema - nested includes are checked hop by hop', () => {
+    assert.doesNotThrow(() => parsePlainText('entity:products include:reviews.author.posts', exampleSchema));
+    const input = 'entity:products include:reviews.bogus,category.parent';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [['UNKNOWN_RELATION', 'bogus'], ['UNKNOWN_RELATION', 'parent']],
+    );
+  });
+
+  test('parsePlainText with schema - selected fields are checked through relations', () => {
+    assert.doesNotThrow(() => parsePlainText('entity:products select:price,reviews.rating,reviews.author.status', exampleSchema));
+    const input = 'entity:products select:price,stars,reviews.stars,category.name';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [
+        ['UNKNOWN_FIELD', 'stars'],
+        ['UNKNOWN_FIELD', 'reviews.stars'],
+        ['UNKNOWN_RELATION', 'category.name'],
+      ],
+    );
+  });
+
+  test('parsePlainText with schema - include queries are checked against the related entity', () => {
+    assert.doesNotThrow(() =>
+      parsePlainText('entity:products include:reviews(rating>=4 author.status=active order:rating desc limit:3)', exampleSchema),
+    );
+    const input = 'entity:products include:reviews(stars>1 limit:2),reviews.author(status=gone),category(name=x)';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [
+        ['UNKNOWN_FIELD', 'stars'],
+        ['INVALID_VALUE', 'gone'],
+        ['UNKNOWN_RELATION', 'name=x'],
+      ],
+    );
+  });
+
   test('parsePlainText with schema - unknown relation throws', () => {
     assert.throws(() => parsePlainText('entity:users include:invalid_relation', exampleSchema), ParseError);
     assert.throws(
@@ -561,6 +846,15 @@ describe('parsePlainText', () => {
     );
   });
 
+  test('parsePlainText with schema - search needs searchable fields', () => {
+    const schema = { entities: [{ name: 'posts', searchable: ['title'] }] };
+    assert.deepStrictEqual(parsePlainText('entity:posts hello', schema), { entity: 'posts', search: ['hello'] });
+    assert.throws(
+      () => parsePlainText('entity:users where:(age>1) hello "big world"', exampleSchema),
+      (err) => err.code === 'INVALID_SEARCH' && err.message.includes('no searchable fields') && err.start === 27 && err.end === 32
+    );
+  });
+
   test('parsePlainText with schema - valid relation and fields pass', () => {
     assert.doesNotThrow(() => parsePlainText('entity:users include:posts,comments where:(status=active)', exampleSchema));
   });
@@ -573,3 +867,401 @@ describe('parsePlainText', () => {
   });
 
 });
+
+describe('ParseError details', () => {
+
+  /** Parse and return the thrown ParseError. */
+  const errorOf = (input, schema) => {
+    try {
+      parsePlainText(input, schema);
+    } catch (err) {
+      assert.ok(err instanceof ParseError);
+      return err;
+    }
+    assert.fail(`expected "${input}" to throw`);
+  };
+
+  /** The part of the input the error points at. */
+  const marked = (input, err) => input.slice(err.start, err.end);
+
+  test('defaults when constructed with a message only', () => {
+    const err = new ParseError('boom');
+    assert.equal(err.code, 'UNEXPECTED_TOKEN');
+    assert.equal(err.start, 0);
+    assert.equal(err.end, 0);
+    assert.deepStrictEqual(err.expected, []);
+  });
+
+  test('unclosed quoted string', () => {
+    const input = 'entity:users where:(name="Alice)';
+    const err = errorOf(input);
+    assert.equal(err.code, 'UNCLOSED_STRING');
+    assert.equal(marked(input, err), '"Alice)');
+    assert.deepStrictEqual(err.expected, ['"']);
+  });
+
+  test('unbalanced parentheses', () => {
+    const input = 'entity:users where:((a=1)';
+    const err = errorOf(input);
+    assert.equal(err.code, 'UNBALANCED_PARENS');
+    assert.equal(err.start, input.indexOf('('));
+    assert.deepStrictEqual(err.expected, [')']);
+  });
+
+  test('duplicate key points at the second clause', () => {
+    const input = 'entity:users limit:5 entity:posts';
+    const err = errorOf(input);
+    assert.equal(err.code, 'DUPLICATE_KEY');
+    assert.equal(marked(input, err), 'entity:posts');
+  });
+
+  test('unknown key and bare key name', () => {
+    const input = '  entity:users sort:name';
+    const err = errorOf(input);
+    assert.equal(err.code, 'UNKNOWN_KEY');
+    assert.equal(marked(input, err), 'sort');
+    assert.ok(err.expected.includes('where:'));
+    const bare = errorOf('entity:users order');
+    assert.equal(bare.code, 'INVALID_CLAUSE');
+    assert.equal(marked('entity:users order', bare), 'order');
+  });
+
+  test('empty value and invalid limit', () => {
+    const err = errorOf('entity: limit:5');
+    assert.equal(err.code, 'EMPTY_VALUE');
+    assert.equal(err.start, 7);
+    assert.equal(err.end, 7);
+    const input = 'entity:users limit:1.5';
+    const limit = errorOf(input);
+    assert.equal(limit.code, 'INVALID_LIMIT');
+    assert.equal(marked(input, limit), '1.5');
+    assert.deepStrictEqual(limit.expected, ['integer']);
+  });
+
+  test('invalid order direction points at the direction', () => {
+    const input = 'entity:users order:name asc, age up';
+    const err = errorOf(input);
+    assert.equal(err.code, 'INVALID_ORDER');
+    assert.equal(marked(input, err), 'up');
+    assert.deepStrictEqual(err.expected, ['asc', 'desc']);
+  });
+
+  test('incomplete comparison lists what may follow', () => {
+    const input = 'entity:users where:(age>=)';
+    const err = errorOf(input);
+    assert.equal(err.code, 'INCOMPLETE_COMPARISON');
+    assert.equal(err.start, input.length - 1);
+    assert.deepStrictEqual(err.expected, ['value']);
+    const noOp = errorOf('entity:users where:(age)');
+    assert.deepStrictEqual(noOp.expected, ['!=', '<=', '>=', '=', '<', '>', 'value']);
+  });
+
+  test('OR without a side points at the OR or the end', () => {
+    const input = 'entity:users where:(OR a=1)';
+    const err = errorOf(input);
+    assert.equal(err.code, 'UNEXPECTED_TOKEN');
+    assert.equal(marked(input, err), 'OR');
+    assert.deepStrictEqual(err.expected, ['field', '(']);
+    const right = 'entity:users where:(a=1 OR )';
+    const rightErr = errorOf(right);
+    assert.equal(rightErr.start, right.length - 2);
+  });
+
+  test('incomplete relation conditions', () => {
+    const cases = [
+      ['entity:products where:(any(reviews))', 'UNEXPECTED_TOKEN', ')', [',']],
+      ['entity:products where:(all(reviews, ))', 'UNEXPECTED_TOKEN', ')'],
+      ['entity:products where:(any(reviews, rating>1)', 'UNBALANCED_PARENS', '(any(reviews, rating>1)'],
+      ['entity:products where:(count(reviews))', 'INCOMPLETE_COMPARISON', ''],
+      ['entity:products where:(count(reviews)>"5")', 'UNEXPECTED_TOKEN', '"5"', ['number']],
+    ];
+    for (const [input, code, mark, expected] of cases) {
+      const err = errorOf(input);
+      assert.equal(err.code, code, input);
+      assert.equal(marked(input, err), mark, input);
+      if (expected) assert.deepStrictEqual(err.expected, expected, input);
+    }
+  });
+
+  test('invalid select fields', () => {
+    const cases = [
+      ['entity:products select:name,,price', 'INVALID_SELECT', ''],
+      ['entity:products select:name,category..name', 'INVALID_SELECT', 'category..name'],
+      ['entity:products select:name,price,name', 'DUPLICATE_KEY', 'name'],
+      ['entity:products select:', 'EMPTY_VALUE', ''],
+    ];
+    for (const [input, code, mark] of cases) {
+      const err = errorOf(input);
+      assert.equal(err.code, code, input);
+      assert.equal(marked(input, err), mark, input);
+    }
+  });
+
+  test('invalid include queries', () => {
+    const cases = [
+      ['entity:products include:reviews()', 'EMPTY_GROUP', '()'],
+      ['entity:products include:reviews(a=1).author', 'UNEXPECTED_TOKEN', '.author'],
+      ['entity:products include:reviews(limit:1),reviews(limit:2)', 'DUPLICATE_KEY', '(limit:2)'],
+      ['entity:products include:reviews(a=1 limit:1 limit:2)', 'DUPLICATE_KEY', 'limit:2'],
+      ['entity:products include:reviews(order:)', 'EMPTY_VALUE', ''],
+      // The condition comes first; after an option it would be read as part of its value
+      ['entity:products include:reviews(limit:3 rating>3)', 'UNEXPECTED_TOKEN', 'rating>3', [')']],
+      ['entity:products include:reviews(order:rating desc, created_at photo is null limit:1)', 'UNEXPECTED_TOKEN', 'photo is null'],
+      ['entity:products include:reviews(limit:3 x)', 'INVALID_LIMIT', '3 x'],
+    ];
+    for (const [input, code, mark, expected] of cases) {
+      const err = errorOf(input);
+      assert.equal(err.code, code, input);
+      assert.equal(marked(input, err), mark, input);
+      if (expected) assert.deepStrictEqual(err.expected, expected, input);
+    }
+    assert.match(errorOf('entity:products include:reviews(limit:3 rating>3)').message, /must come first, before order: and limit:/);
+  });
+
+  test('empty group and invalid value', () => {
+    const input = 'entity:users where:(a=1 ( ))';
+    const err = errorOf(input);
+    assert.equal(err.code, 'EMPTY_GROUP');
+    assert.equal(marked(input, err), '( )');
+    const value = 'entity:users where:(a=(b))';
+    const valueErr = errorOf(value);
+    assert.equal(valueErr.code, 'UNEXPECTED_TOKEN');
+    assert.equal(marked(value, valueErr), '(');
+  });
+
+  test('schema errors point at the offending token', () => {
+    const entity = 'limit:1 entity:nope';
+    const entityErr = errorOf(entity, exampleSchema);
+    assert.equal(entityErr.code, 'UNKNOWN_ENTITY');
+    assert.equal(marked(entity, entityErr), 'nope');
+    assert.ok(entityErr.expected.includes('users'));
+
+    const rel = 'entity:users include:posts,bogus';
+    const relErr = errorOf(rel, exampleSchema);
+    assert.equal(relErr.code, 'UNKNOWN_RELATION');
+    assert.equal(marked(rel, relErr), 'bogus');
+
+    const field = 'entity:users where:((status=active OR role=admin) "nick name"="x y")';
+    const fieldErr = errorOf(field, exampleSchema);
+    assert.equal(fieldErr.code, 'UNKNOWN_FIELD');
+    assert.equal(marked(field, fieldErr), '"nick name"');
+    assert.deepStrictEqual(fieldErr.expected, ['status', 'role', 'age', 'verified']);
+  });
+
+});
+
+describe('schema value types', () => {
+
+  test('quoted values are converted to the field type', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:users where:(age>"42" verified="true" status=active)', exampleSchema).where,
+      {
+        and: [
+          { field: 'age', op: '>', value: 42 },
+          { field: 'verified', op: '=', value: true },
+          { field: 'status', op: '=', value: 'active' },
+        ],
+      },
+    );
+    // Without a schema nothing is converted
+    assert.equal(parsePlainText('entity:users where:(age>"42")').where.value, '42');
+  });
+
+  test('strictTypes reports values of the wrong type instead', () => {
+    const input = 'entity:users where:(age>"42")';
+    assert.throws(
+      () => parsePlainText(input, exampleSchema, { strictTypes: true }),
+      (err) => err.code === 'INVALID_VALUE' && input.slice(err.start, err.end) === '"42"',
+    );
+    assert.equal(isValidPlainText(input, exampleSchema, { strictTypes: true }), false);
+  });
+
+  test('list items are checked and converted one by one', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:users where:(age in (18, "21"))', exampleSchema).where.value,
+      [18, 21],
+    );
+    const input = 'entity:users where:(status in (active, bogus))';
+    const { diagnostics } = parsePlainTextWithDiagnostics(input, exampleSchema);
+    assert.deepStrictEqual(diagnostics.map((d) => input.slice(d.start, d.end)), ['bogus']);
+  });
+
+  test('fields of related entities are checked and converted through the relation', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:products where:(reviews.rating>="4")', exampleSchema).where,
+      { field: 'reviews.rating', op: '>=', value: 4 },
+    );
+    const input = 'entity:products where:(reviews.author.status=bogus reviews.stars>1)';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [['INVALID_VALUE', 'bogus'], ['UNKNOWN_FIELD', 'reviews.stars']],
+    );
+  });
+
+  test('conditions inside any() and all() apply to the related entity', () => {
+    assert.deepStrictEqual(
+      parsePlainText('entity:products where:(any(reviews, rating="5"))', exampleSchema).where,
+      { any: { relation: 'reviews', where: { field: 'rating', op: '=', value: 5 } } },
+    );
+    const input = 'entity:products where:(any(reviews, stars>1) bogus exists all(category, name=x) count(reviews)>1)';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [['UNKNOWN_FIELD', 'stars'], ['UNKNOWN_RELATION', 'bogus'], ['UNKNOWN_RELATION', 'category']],
+    );
+  });
+
+  test('text operators only apply to string fields', () => {
+    const input = 'entity:users where:(status contains act age~4)';
+    const { query, diagnostics } = parsePlainTextWithDiagnostics(input, exampleSchema);
+    assert.deepStrictEqual(query.where.and[1], { field: 'age', op: 'contains', value: '4' });
+    assert.deepStrictEqual(diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]), [['INVALID_OPERATOR', '~']]);
+  });
+
+  test('relative dates on date fields are resolved against the clock', () => {
+    const clock = () => new Date('2026-03-10T15:30:00Z');
+    const input = 'entity:products where:(created_at>-7d created_at<NOW+2h created_at in (today, yesterday, "2024-01-01"))';
+    assert.deepStrictEqual(parsePlainText(input, exampleSchema, { clock }).where.and, [
+      { field: 'created_at', op: '>', value: '2026-03-03T15:30:00.000Z' },
+      { field: 'created_at', op: '<', value: '2026-03-10T17:30:00.000Z' },
+      { field: 'created_at', op: 'in', value: ['2026-03-10T00:00:00.000Z', '2026-03-09T00:00:00.000Z', '2024-01-01'] },
+    ]);
+    // Other fields, and queries parsed without a schema, keep the text
+    assert.deepStrictEqual(parsePlainText('entity:products where:(created_at>-7d)', undefined, { clock }).where.value, '-7d');
+  });
+
+  test('date field values must be ISO 8601', () => {
+    const input = 'entity:products where:(created_at>lastweek created_at<"2024-02-30" created_at=2024)';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [['INVALID_VALUE', 'lastweek'], ['INVALID_VALUE', '"2024-02-30"'], ['INVALID_VALUE', '2024']],
+    );
+  });
+
+  test('null checks only apply to nullable fields', () => {
+    const input = 'entity:users where:(age is null status is not null)';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [['INVALID_OPERATOR', 'is not null']],
+    );
+  });
+
+  test('wrong types, unknown enum values and ordering on booleans are rejected', () => {
+    const input = 'entity:users where:(age=abc status=bogus verified<true)';
+    assert.deepStrictEqual(
+      parsePlainTextWithDiagnostics(input, exampleSchema).diagnostics.map((d) => [d.code, input.slice(d.start, d.end)]),
+      [['INVALID_VALUE', 'abc'], ['INVALID_VALUE', 'bogus'], ['INVALID_OPERATOR', '<']],
+    );
+  });
+
+});
+
+describe('parsePlainTextWithDiagnostics', () => {
+
+  const marked = (input, d) => input.slice(d.start, d.end);
+  const codes = (diagnostics) => diagnostics.map((d) => d.code);
+
+  test('valid input gives the same query as parsePlainText and no diagnostics', () => {
+    const input = 'entity:users limit:10 order:age desc include:posts where:(status=active OR role=admin)';
+    assert.deepStrictEqual(parsePlainTextWithDiagnostics(input, exampleSchema), {
+      query: parsePlainText(input, exampleSchema),
+      diagnostics: [],
+    });
+    assert.deepStrictEqual(parsePlainTextWithDiagnostics('  '), { query: {}, diagnostics: [] });
+  });
+
+  test('a bad comparison keeps entity, limit and the good comparisons', () => {
+    const input = 'entity:users limit:5 where:(status=active age== role=admin)';
+    const { query, diagnostics } = parsePlainTextWithDiagnostics(input);
+    assert.deepStrictEqual(query, {
+      entity: 'users',
+      limit: 5,
+      where: { and: [{ field: 'status', op: '=', value: 'active' }, { field: 'role', op: '=', value: 'admin' }] },
+    });
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].severity, 'error');
+    assert.equal(diagnostics[0].code, 'UNEXPECTED_TOKEN');
+    assert.equal(diagnostics[0].message, 'Invalid value in where comparison');
+    assert.equal(marked(input, diagnostics[0]), '=');
+  });
+
+  test('recovers at clause boundaries and reports every error in input order', () => {
+    const input = 'entity:users select limit:x order:asc,name desc include:,posts colour:red entity:products';
+    const { query, diagnostics } = parsePlainTextWithDiagnostics(input);
+    assert.deepStrictEqual(query, {
+      entity: 'users',
+      order: [{ field: 'name', dir: 'desc' }],
+      include: { posts: true },
+    });
+    assert.deepStrictEqual(codes(diagnostics), [
+      'INVALID_CLAUSE',
+      'INVALID_LIMIT',
+      'INVALID_ORDER',
+      'EMPTY_VALUE',
+      'UNKNOWN_KEY',
+      'DUPLICATE_KEY',
+    ]);
+    assert.deepStrictEqual(diagnostics.map((d) => marked(input, d)), [
+      'select', 'x', 'asc', '', 'colour', 'entity:products',
+    ]);
+  });
+
+  test('recovers inside where groups', () => {
+    const { query, diagnostics } = parsePlainTextWithDiagnostics(
+      'entity:users where:((a=1 OR ) b=2 ( ) c= )',
+    );
+    assert.deepStrictEqual(query.where, {
+      and: [{ field: 'a', op: '=', value: 1 }, { field: 'b', op: '=', value: 2 }],
+    });
+    assert.deepStrictEqual(codes(diagnostics), ['UNEXPECTED_TOKEN', 'EMPTY_GROUP', 'INCOMPLETE_COMPARISON']);
+  });
+
+  test('unclosed parentheses and strings keep what came before them', () => {
+    const parens = parsePlainTextWithDiagnostics('entity:users where:(a=1 (b=2');
+    assert.deepStrictEqual(parens.query.where, {
+      and: [{ field: 'a', op: '=', value: 1 }, { field: 'b', op: '=', value: 2 }],
+    });
+    assert.deepStrictEqual(codes(parens.diagnostics), ['UNBALANCED_PARENS']);
+
+    const string = parsePlainTextWithDiagnostics('entity:users where:(a=1 b="open');
+    assert.deepStrictEqual(string.query, { entity: 'users', where: { field: 'a', op: '=', value: 1 } });
+    // The string hides the closing parenthesis and the rest of the comparison
+    assert.deepStrictEqual(codes(string.diagnostics), ['UNCLOSED_STRING']);
+  });
+
+  test('one error in a where is reported once, without the errors it leads to', () => {
+    const diagnosticsOf = (input) =>
+      parsePlainTextWithDiagnostics(input).diagnostics.map((d) => [d.code, marked(input, d)]);
+    assert.deepStrictEqual(diagnosticsOf('entity:users where:(age>)'), [['INCOMPLETE_COMPARISON', '']]);
+    assert.deepStrictEqual(diagnosticsOf('entity:users where:("abc'), [['UNCLOSED_STRING', '"abc']]);
+    assert.deepStrictEqual(diagnosticsOf('entity:users where:(a="x) limit:2'), [['UNCLOSED_STRING', '"x) limit:2']]);
+    assert.deepStrictEqual(diagnosticsOf('entity:users where:(=3)'), [['UNEXPECTED_TOKEN', '=']]);
+    assert.deepStrictEqual(diagnosticsOf('entity:users where:()'), [['EMPTY_WHERE', '']]);
+  });
+
+  test('reports every schema issue, not just the first', () => {
+    const input = 'entity:users include:posts,bogus where:(nope=1 status=active)';
+    const { query, diagnostics } = parsePlainTextWithDiagnostics(input, exampleSchema);
+    assert.deepStrictEqual(query, parsePlainText(input));
+    assert.deepStrictEqual(codes(diagnostics), ['UNKNOWN_RELATION', 'UNKNOWN_FIELD']);
+    assert.deepStrictEqual(diagnostics.map((d) => marked(input, d)), ['bogus', 'nope']);
+    assert.ok(diagnostics[1].expected.includes('status'));
+  });
+
+  test('keeps what only fails the schema check, as written', () => {
+    const cases = [
+      ['entity:users where:(status=bogus age=1)', 'INVALID_VALUE', { and: [{ field: 'status', op: '=', value: 'bogus' }, { field: 'age', op: '=', value: 1 }] }],
+      ['entity:users where:(zzz=1)', 'UNKNOWN_FIELD', { field: 'zzz', op: '=', value: 1 }],
+      ['entity:users where:(age>x)', 'INVALID_VALUE', { field: 'age', op: '>', value: 'x' }],
+    ];
+    for (const [input, code, where] of cases) {
+      const { query, diagnostics } = parsePlainTextWithDiagnostics(input, exampleSchema);
+      assert.deepStrictEqual(codes(diagnostics), [code], input);
+      assert.deepStrictEqual(query.where, where, input);
+    }
+    const include = parsePlainTextWithDiagnostics('entity:users include:posts,bogus', exampleSchema);
+    assert.deepStrictEqual(codes(include.diagnostics), ['UNKNOWN_RELATION']);
+    assert.deepStrictEqual(include.query.include, { posts: true, bogus: true });
+    assert.ok(include.diagnostics.every((d) => d.severity === 'error'));
+  });
+
+});
@@ -2,20 +2,57 @@
  * Schema for RQL autocomplete: entities, relations, and optional field metadata for where-clause.
  */
 
-/** Field metadata for where-clause suggestions (optional enum values). */
+import type { RQLCondition } from './parse.js';
+
+/** Field metadata for where-clause suggestions and value validation (optional enum values). */
 export interface FieldDef {
-  type?: 'string' | 'number' | 'boolean';
+  /** `date` values are ISO 8601 dates (`2024-01-31`), `datetime` values ISO 8601 datetimes. */
+  type?: 'string' | 'number' | 'boolean' | 'date' | 'datetime';
   /** Suggested values for this field (e.g. status: active | pending) */
   values?: string[];
+  /** When true, `values` is the complete list: other values fail validation. */
+  closed?: boolean;
+  /** When true, the field can be null or missing. `is null` / `is not null` are only accepted on nullable fields. */
+  nullable?: boolean;
+  /** When true, no two records share a value, so ordering by the field is a total order (needed for cursors). */
+  unique?: boolean;
+}
+
+/** A relation of an entity, for include: and where: (dotted fields, exists, any/all, count). */
+export interface RelationDef {
+  name: string;
+  /**
+   * Name of the related entity. Needed to include the related entity's own relations
+   * (`include:reviews.author`) and to filter by its fields (`where:(reviews.rating>=4)`,
+   * `where:(any(reviews, rating>=4))`).
+   */
+  target?: string;
+  /** Whether the relation points to one record or to many. */
+  cardinality?: 'one' | 'many';
+}
+
+/** A named filter: a condition on an entity that queries reuse as `@name` in where:. */
+export interface FilterDef {
+  /** The condition, as written inside `where:(...)` (`status=active tier!=bronze`), or as RQL JSON. */
+  where: string | RQLCondition;
+  /** What the filter selects, shown with it in autocomplete suggestions. */
+  description?: string;
 }
 
 /** Definition of an entity: name, relations for include:, and fields for where:. */
 export interface EntityDef {
   name: string;
-  /** Relation names that can be used in include: for this entity */
-  relations?: string[];
+  /** Relations that can be used in include: and where:; a plain string is a relation without a target */
+  relations?: Array<string | RelationDef>;
   /** Field names (and optional type/values) for where: suggestions */
   fields?: Record<string, FieldDef>;
+  /**
+   * Fields that free-text search terms (`entity:products laptop`) are matched against,
+   * possibly through relations (`category.name`). Queries with search terms need them.
+   */
+  searchable?: string[];
+  /** Named filters, by name (without the `@`); a filter may use the entity's other filters. */
+  filters?: Record<string, FilterDef>;
 }
 
 /** Unified schema: list of entities with their relations and fields. */
@@ -23,20 +60,61 @@ export interface Schema {
   entities: EntityDef[];
 }
 
+/** An entity's relations, with plain-string relations turned into RelationDefs. */
+export function getRelations(entity: EntityDef): RelationDef[] {
+  return (entity.relations ?? []).map((r) => (typeof r === 'string' ? { name: r } : r));
+}
+
+/** The entity that relation `name` of `entity` targets, if both are in the schema. */
+export function relationTarget(schema: Schema, entity: EntityDef, name: string): EntityDef | undefined {
+  const relation = getRelations(entity).find((r) => r.name === name);
+  return relation && schema.entities.find((e) => e.name === relation.target);
+}
+
+/** How far a dotted field path (`customer.tier`) resolves in a schema. */
+export interface FieldPath {
+  /** Relations passed through, in order. */
+  relations: RelationDef[];
+  /** Entity the rest of the path belongs to: the target of the last relation, or the starting entity. */
+  entity: EntityDef;
+  /** The rest of the path: the field name when fully resolved, or where resolution stopped. */
+  field: string;
+}
+
+/**
+ * Follow a dotted field path from `entity` through relation targets. Stops at a segment
+ * that is not a relation with a target in the schema. A field whose own name contains
+ * dots is matched before any relation.
+ */
+export function followFieldPath(schema: Schema, entity: EntityDef, path: string): FieldPath {
+  const relations: RelationDef[] = [];
+  let current = entity;
+  let rest = path;
+  while (!Object.prototype.hasOwnProperty.call(current.fields ?? {}, rest) && rest.includes('.')) {
+    const name = rest.slice(0, rest.indexOf('.'));
+    const target = relationTarget(schema, current, name);
+    if (!target) break;
+    relations.push(getRelations(current).find((r) => r.name === name) as RelationDef);
+    current = target;
+    rest = rest.slice(name.length + 1);
+  }
+  return { relations, entity: current, field: rest };
+}
+
 /** Build a schema from a list of entity definitions (convenience). */
 export function defineSchema(entities: EntityDef[]): Schema {
   return { entities };
 }
 
-/** Example schema: users with posts/comments, products with reviews/category. */
+/** Example schema: users with posts/comments, products with reviews/category, reviews with their author. */
 export const exampleSchema: Schema = defineSchema([
   {
     name: 'user',
     relations: ['posts', 'comments', 'profile'],
     fields: {
-      status: { type: 'string', values: ['active', 'pending', 'suspended'] },
-      role: { type: 'string', values: ['admin', 'moderator', 'user', 'guest'] },
-      age: { type: 'number' },
+      status: { type: 'string', values: ['active', 'pending', 'suspended'], closed: true },
+      role: { type: 'string', values: ['admin', 'moderator', 'user', 'guest'], closed: true },
+      age: { type: 'number', nullable: true },
       verified: { type: 'boolean' },
     },
   },
@@ -44,28 +122,37 @@ export const exampleSchema: Schema = defineSchema([
     name: 'users',
     relations: ['posts', 'comments', 'profile'],
     fields: {
-      status: { type: 'string', values: ['active', 'pending', 'suspended'] },
-      role: { type: 'string', values: ['admin', 'moderator', 'user', 'guest'] },
-      age: { type: 'number' },
+      status: { type: 'string', values: ['active', 'pending', 'suspended'], closed: true },
+      role: { type: 'string', values: ['admin', 'moderator', 'user', 'guest'], closed: true },
+      age: { type: 'number', nullable: true },
       verified: { type: 'boolean' },
     },
   },
   {
     name: 'product',
-    relations: ['reviews', 'category'],
+    relations: [{ name: 'reviews', target: 'reviews', cardinality: 'many' }, 'category'],
     fields: {
-      category: { type: 'string', values: ['archived', 'electronics', 'books'] },
+      category: { type: 'string', values: ['archived', 'electronics', 'books'], closed: true },
       price: { type: 'number' },
       stock: { type: 'number' },
+      created_at: { type: 'datetime' },
     },
   },
   {
     name: 'products',
-    relations: ['reviews', 'category'],
+    relations: [{ name: 'reviews', target: 'reviews', cardinality: 'many' }, 'category'],
     fields: {
-      category: { type: 'string', values: ['archived', 'electronics', 'books'] },
+      category: { type: 'string', values: ['archived', 'electronics', 'books'], closed: true },
       price: { type: 'number' },
       stock: { type: 'number' },
+      created_at: { type: 'datetime' },
+    },
+  },
+  {
+    name: 'reviews',
+    relations: [{ name: 'author', target: 'users', cardinality: 'one' }],
+    fields: {
+      rating: { type: 'number' },
     },
   },
 ]);
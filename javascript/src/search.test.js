@@ -0,0 +1,68 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandSearch, executeQuery, parsePlainText, defineSchema } from '../dist/index.js';
+
+const products = [
+  { id: 1, name: 'Laptop Pro', description: 'USB-C charging', price: 1200 },
+  { id: 2, name: 'Laptop Air', description: 'Light, USB C ports', price: 900 },
+  { id: 3, name: 'USB C cable', description: 'For any laptop', price: 10 },
+  { id: 4, name: 'Mouse', description: 'Wireless', price: 25 },
+];
+
+const schema = defineSchema([
+  { name: 'products', searchable: ['name', 'description'], fields: { name: { type: 'string' }, price: { type: 'number' } } },
+  { name: 'tags', searchable: ['label'] },
+  { name: 'orders' },
+]);
+
+const ids = (rows) => rows.map((r) => r.id);
+
+describe('search', () => {
+
+  test('each term must be contained in some searchable field, ignoring case', () => {
+    const run = (text) => ids(executeQuery(parsePlainText(text), products, { schema }));
+    assert.deepEqual(run('entity:products laptop'), [1, 2, 3]);
+    assert.deepEqual(run('entity:products laptop "usb c"'), [2, 3]);
+    assert.deepEqual(run('entity:products laptop where:(price>100) order:price'), [2, 1]);
+    assert.deepEqual(run('entity:products keyboard'), []);
+  });
+
+  test('terms become contains conditions ANDed with where', () => {
+    const query = parsePlainText('entity:products laptop "usb c" where:(price>100 price<1000)');
+    const term = (value) => ({
+      or: [
+        { field: 'name', op: 'contains', value },
+        { field: 'description', op: 'contains', value },
+      ],
+    });
+    assert.deepEqual(expandSearch(query, schema), {
+      entity: 'products',
+      where: {
+        and: [
+          { field: 'price', op: '>', value: 100 },
+          { field: 'price', op: '<', value: 1000 },
+          term('laptop'),
+          term('usb c'),
+        ],
+      },
+    });
+  });
+
+  test('a single searchable field needs no or', () => {
+    assert.deepEqual(expandSearch({ entity: 'tags', search: ['red'] }, schema), {
+      entity: 'tags',
+      where: { field: 'label', op: 'contains', value: 'red' },
+    });
+  });
+
+  test('queries without search terms are returned as is', () => {
+    const query = { entity: 'orders', limit: 5 };
+    assert.equal(expandSearch(query), query);
+  });
+
+  test('throws when the entity has no searchable fields', () => {
+    assert.throws(() => expandSearch({ entity: 'orders', search: ['x'] }, schema), /entity "orders" has no searchable fields/);
+    assert.throws(() => executeQuery(parsePlainText('entity:products laptop'), products), /no searchable fields/);
+  });
+
+});
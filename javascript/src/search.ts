@@ -0,0 +1,34 @@
+/**
+ * Free-text search: the `search` terms of a query as string-matching where conditions.
+ */
+
+import type { RQLCondition, RQLQuery } from "./parse.js";
+import type { Schema } from "./schema.js";
+
+/**
+ * Turn the query's `search` terms into conditions on the searchable fields of its entity
+ * (`searchable` in `schema`), ANDed with its `where`, and return the query without
+ * `search`. A term matches when any searchable field contains it, ignoring case, and
+ * every term must match: `laptop "usb c"` on `name` and `description` becomes
+ * `(name contains laptop OR description contains laptop) AND (name contains "usb c" OR ...)`.
+ * Queries without search terms are returned as is. Throws when the entity declares no
+ * searchable fields.
+ */
+export function expandSearch(query: RQLQuery, schema?: Schema): RQLQuery {
+  if (!query.search?.length) return query;
+  const { search, ...rest } = query;
+  const fields = schema?.entities.find((e) => e.name === query.entity)?.searchable ?? [];
+  if (fields.length === 0) {
+    throw new Error(
+      `Query has search terms but entity "${query.entity}" has no searchable fields; ` +
+        "list them in its searchable property in the schema",
+    );
+  }
+
+  const terms = search.map((term): RQLCondition => {
+    const matches = fields.map((field): RQLCondition => ({ field, op: "contains", value: term }));
+    return matches.length === 1 ? matches[0] : { or: matches };
+  });
+  const conditions = [...(rest.where ? (rest.where.and ?? [rest.where]) : []), ...terms];
+  return { ...rest, where: conditions.length === 1 ? conditions[0] : { and: conditions } };
+}
@@ -0,0 +1,316 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSQL, parsePlainText, exampleSchema, defineSchema } from '../dist/index.js';
+
+const tableMap = {
+  users: 'app_users',
+  products: {
+    table: 'shop.products',
+    columns: { category: 'category_slug' },
+    relations: {
+      reviews: { table: 'reviews', localKey: 'id', foreignKey: 'product_id' },
+      category: {
+        table: 'categories',
+        localKey: 'category_slug',
+        foreignKey: 'slug',
+        cardinality: 'one',
+        columns: ['name', 'slug'],
+      },
+    },
+  },
+};
+
+const compile = (text, dialect = 'postgres', schema = exampleSchema) =>
+  toSQL(parsePlainText(text), { dialect, tableMap, schema });
+
+describe('toSQL', () => {
+
+  test('entity only', () => {
+    assert.deepEqual(compile('entity:users'), {
+      sql: 'SELECT "app_users".* FROM "app_users"',
+      params: [],
+      includes: [],
+    });
+  });
+
+  test('where, order and limit with postgres placeholders', () => {
+    const { sql, params } = compile(
+      'entity:users limit:10 order:age desc,status where:(status=active age>=18)',
+    );
+    assert.equal(
+      sql,
+      'SELECT "app_users".* FROM "app_users" WHERE "status" = $1 AND "age" >= $2 ORDER BY "age" DESC, "status" ASC LIMIT 10',
+    );
+    assert.deepEqual(params, ['active', 18]);
+  });
+
+  test('group and aggregate become GROUP BY and aggregate functions', () => {
+    assert.deepEqual(compile('entity:products group:category aggregate:count,avg(price) where:(stock>0) order:count desc limit:3'), {
+      sql:
+        'SELECT "shop"."products"."category_slug" AS "category", COUNT(*) AS "count", AVG("shop"."products"."price") AS "avg(price)" ' +
+        'FROM "shop"."products" WHERE "stock" > $1 GROUP BY "shop"."products"."category_slug" ORDER BY "count" DESC LIMIT 3',
+      params: [0],
+      includes: [],
+    });
+    assert.equal(compile('entity:users aggregate:count', 'mysql', null).sql, 'SELECT COUNT(*) AS `count` FROM `app_users`');
+    assert.equal(
+      compile('entity:products group:category.name aggregate:max(price) order:category.name', 'postgres', null).sql,
+      'SELECT "category"."name" AS "category.name", MAX("shop"."products"."price") AS "max(price)" FROM "shop"."products" ' +
+        'LEFT JOIN "categories" AS "category" ON "category"."slug" = "shop"."products"."category_slug" ' +
+        'GROUP BY "category"."name" ORDER BY "category"."name" ASC',
+    );
+    assert.throws(() => compile('entity:products aggregate:sum(reviews.rating)', 'postgres', null), /to-many relation "reviews"/);
+    assert.throws(() => compile('entity:products aggregate:sum(category)'), /sum needs a number field/);
+  });
+
+  test('offset follows limit; sqlite and mysql need a limit before it', () => {
+    assert.equal(compile('entity:users limit:10 offset:20').sql, 'SELECT "app_users".* FROM "app_users" LIMIT 10 OFFSET 20');
+    assert.equal(compile('entity:users offset:20').sql, 'SELECT "app_users".* FROM "app_users" OFFSET 20');
+    assert.equal(compile('entity:users offset:20', 'sqlite').sql, 'SELECT "app_users".* FROM "app_users" LIMIT -1 OFFSET 20');
+    assert.equal(
+      compile('entity:users offset:20', 'mysql').sql,
+      'SELECT `app_users`.* FROM `app_users` LIMIT 18446744073709551615 OFFSET 20',
+    );
+    assert.throws(() => compile('entity:users order:age after:abc'), /applyCursor/);
+  });
+
+  test('nested and/or get parentheses', () => {
+    const { sql, params } = compile(
+      'entity:users where:((role=admin OR role=moderator) verified=true OR age<18)',
+    );
+    assert.equal(
+      sql,
+      'SELECT "app_users".* FROM "app_users" WHERE (("role" = $1 OR "role" = $2) AND "verified" = $3) OR "age" < $4',
+    );
+    assert.deepEqual(params, ['admin', 'moderator', true, 18]);
+  });
+
+  test('in / not in compile to IN lists with a placeholder per item', () => {
+    const { sql, params } = compile('entity:users where:(status in (active, pending) age not in (1, 2))');
+    assert.equal(
+      sql,
+      'SELECT "app_users".* FROM "app_users" WHERE "status" IN ($1, $2) AND "age" NOT IN ($3, $4)',
+    );
+    assert.deepEqual(params, ['active', 'pending', 1, 2]);
+  });
+
+  test('text operators compile to case-insensitive LIKE with escaped wildcards', () => {
+    const text = 'entity:users where:(status~"50%_off!" status^=a status$=b status~=C)';
+    const pg = compile(text, 'postgres', null);
+    assert.equal(
+      pg.sql,
+      'SELECT "app_users".* FROM "app_users" WHERE "status" ILIKE $1 ESCAPE \'!\' AND "status" ILIKE $2 ESCAPE \'!\' ' +
+        'AND "status" ILIKE $3 ESCAPE \'!\' AND LOWER("status") = LOWER($4)',
+    );
+    assert.deepEqual(pg.params, ['%50!%!_off!!%', 'a%', '%b', 'C']);
+    assert.equal(
+      compile('entity:users where:(status~a)', 'mysql', null).sql,
+      "SELECT `app_users`.* FROM `app_users` WHERE LOWER(`status`) LIKE LOWER(?) ESCAPE '!'",
+    );
+  });
+
+  test('not compiles to NOT with parentheses', () => {
+    const { sql, params } = compile('entity:users where:(NOT (role=admin OR role=moderator) NOT age<18)');
+    assert.equal(
+      sql,
+      'SELECT "app_users".* FROM "app_users" WHERE NOT ("role" = $1 OR "role" = $2) AND NOT ("age" < $3)',
+    );
+    assert.deepEqual(params, ['admin', 'moderator', 18]);
+  });
+
+  test('is null / is not null compile to IS NULL / IS NOT NULL without params', () => {
+    const { sql, params } = compile('entity:users where:(age is null OR age is not null)');
+    assert.equal(sql, 'SELECT "app_users".* FROM "app_users" WHERE "age" IS NULL OR "age" IS NOT NULL');
+    assert.deepEqual(params, []);
+  });
+
+  test('!= compiles to <>', () => {
+    assert.equal(compile('entity:users where:(role!=guest)').sql, 'SELECT "app_users".* FROM "app_users" WHERE "role" <> $1');
+  });
+
+  test('sqlite and mysql placeholders and quoting; sqlite booleans become 0/1', () => {
+    const sqlite = compile('entity:users where:(verified=true age>1)', 'sqlite');
+    assert.equal(sqlite.sql, 'SELECT "app_users".* FROM "app_users" WHERE "verified" = ? AND "age" > ?');
+    assert.deepEqual(sqlite.params, [1, 1]);
+    const mysql = compile('entity:users where:(verified=true age>1)', 'mysql');
+    assert.equal(mysql.sql, 'SELECT `app_users`.* FROM `app_users` WHERE `verified` = ? AND `age` > ?');
+    assert.deepEqual(mysql.params, [true, 1]);
+  });
+
+  test('column mapping and schema-qualified tables', () => {
+    assert.equal(
+      compile('entity:products where:(category=books)').sql,
+      'SELECT "shop"."products".* FROM "shop"."products" WHERE "category_slug" = $1',
+    );
+  });
+
+  test('to-one include becomes a LEFT JOIN with qualified columns', () => {
+    const { sql, params, includes } = compile('entity:products include:category where:(price<100) order:price');
+    assert.equal(
+      sql,
+      'SELECT "shop"."products".*, "category"."name" AS "category.name", "category"."slug" AS "category.slug" ' +
+        'FROM "shop"."products" LEFT JOIN "categories" AS "category" ON "category"."slug" = "shop"."products"."category_slug" ' +
+        'WHERE "shop"."products"."price" < $1 ORDER BY "shop"."products"."price" ASC',
+    );
+    assert.deepEqual(params, [100]);
+    assert.deepEqual(includes, []);
+  });
+
+  test('to-many include becomes a follow-up query', () => {
+    const { includes } = compile('entity:products include:reviews', 'sqlite');
+    assert.equal(includes.length, 1);
+    assert.equal(includes[0].relation, 'reviews');
+    assert.equal(includes[0].key, 'id');
+    assert.deepEqual(includes[0].build([1, 2, 2, 3]), {
+      sql: 'SELECT * FROM "reviews" WHERE "product_id" IN (?, ?, ?)',
+      params: [1, 2, 3],
+    });
+    assert.deepEqual(includes[0].build([]), { sql: 'SELECT * FROM "reviews" WHERE 1 = 0', params: [] });
+  });
+
+  test('select lists columns; to-one relation fields come from the join', () => {
+    // No schema: exampleSchema's category relation has no target entity
+    const { sql } = compile('entity:products select:price,category include:reviews', 'postgres', null);
+    assert.equal(sql, 'SELECT "shop"."products"."price", "shop"."products"."category_slug", "shop"."products"."id" FROM "shop"."products"');
+    assert.equal(
+      compile('entity:products select:price,category.name', 'sqlite', null).sql,
+      'SELECT "shop"."products"."price", "category"."name" AS "category.name" FROM "shop"."products" ' +
+        'LEFT JOIN "categories" AS "category" ON "category"."slug" = "shop"."products"."category_slug"',
+    );
+    assert.throws(() => compile('entity:products select:reviews.rating', 'postgres', null), /to-many relation "reviews"/);
+  });
+
+  test('include queries filter, order and limit the follow-up query', () => {
+    const { params, includes } = compile('entity:products where:(price<10) include:reviews(rating>=4 order:rating desc)');
+    assert.deepEqual(params, [10]);
+    assert.deepEqual(includes[0].build([1, 2]), {
+      sql: 'SELECT * FROM "reviews" WHERE "rating" >= $1 AND "product_id" IN ($2, $3) ORDER BY "rating" DESC',
+      params: [4, 1, 2],
+    });
+    const limited = compile('entity:products include:reviews(rating>=4 limit:2)', 'sqlite').includes[0];
+    assert.deepEqual(limited.build([1, 2]), {
+      sql:
+        'SELECT * FROM (SELECT "reviews".*, ROW_NUMBER() OVER (PARTITION BY "product_id") AS "rql_row" FROM "reviews" ' +
+        'WHERE "rating" >= ? AND "product_id" IN (?, ?)) AS "reviews" WHERE "rql_row" <= 2',
+      params: [4, 1, 2],
+    });
+    assert.throws(
+      () => toSQL(parsePlainText('entity:products include:category(name=x)'), { dialect: 'postgres', tableMap }),
+      /Include queries on joined relations are not supported/,
+    );
+  });
+
+  test('fields through a to-one relation are compared on a joined row', () => {
+    // No schema: exampleSchema's category relation has no target entity
+    const { sql, params } = compile('entity:products where:(category.name=Books price<10)', 'postgres', null);
+    assert.equal(
+      sql,
+      'SELECT "shop"."products".* FROM "shop"."products" ' +
+        'LEFT JOIN "categories" AS "category" ON "category"."slug" = "shop"."products"."category_slug" ' +
+        'WHERE "category"."name" = $1 AND "shop"."products"."price" < $2',
+    );
+    assert.deepEqual(params, ['Books', 10]);
+    const included = compile('entity:products include:category where:(category.name=Books)', 'postgres', null);
+    assert.equal(included.sql.match(/LEFT JOIN/g).length, 1);
+  });
+
+  test('fields through a to-many relation compile to EXISTS, matching when any related row does', () => {
+    const { sql, params } = compile('entity:products where:(NOT reviews.rating<3)');
+    assert.equal(
+      sql,
+      'SELECT "shop"."products".* FROM "shop"."products" WHERE NOT (EXISTS (SELECT 1 FROM "reviews" AS "reviews" ' +
+        'WHERE "reviews"."product_id" = "shop"."products"."id" AND "reviews"."rating" < $1))',
+    );
+    assert.deepEqual(params, [3]);
+  });
+
+  test('relation conditions compile to correlated subqueries', () => {
+    const { sql, params } = compile(
+      'entity:products where:(reviews exists count(reviews)>=2 any(reviews, rating>=4))',
+    );
+    const related = 'FROM "reviews" AS "reviews" WHERE "reviews"."product_id" = "shop"."products"."id"';
+    assert.equal(
+      sql,
+      'SELECT "shop"."products".* FROM "shop"."products" WHERE ' +
+        `EXISTS (SELECT 1 ${related}) AND (SELECT COUNT(*) ${related}) >= $1 AND ` +
+        `EXISTS (SELECT 1 ${related} AND "reviews"."rating" >= $2)`,
+    );
+    assert.deepEqual(params, [2, 4]);
+  });
+
+  test('all() matches when no related row fails the condition, nulls included', () => {
+    const { sql, params } = compile('entity:products where:(all(reviews, rating>=4))', 'sqlite');
+    assert.equal(
+      sql,
+      'SELECT "shop"."products".* FROM "shop"."products" WHERE NOT EXISTS (SELECT 1 FROM "reviews" AS "reviews" ' +
+        'WHERE "reviews"."product_id" = "shop"."products"."id" AND ("reviews"."rating" >= ?) IS NOT TRUE)',
+    );
+    assert.deepEqual(params, [4]);
+    assert.throws(
+      () => compile('entity:products where:(any(reviews, author exists))'),
+      /Relation conditions inside any\/all are not supported/,
+    );
+  });
+
+  test('field paths through unmapped or several relations throw', () => {
+    assert.throws(() => compile('entity:users where:(posts.title=x)', 'postgres', null), /No SQL mapping for relation "posts"/);
+    assert.throws(
+      () => compile('entity:products where:(reviews.author.status=active)'),
+      /goes through more than one relation/,
+    );
+    assert.throws(
+      () => toSQL({ entity: 'products', where: { field: 'reviews.rat ing', value: 1 } }, { dialect: 'postgres', tableMap }),
+      /Invalid field name "reviews\.rat ing"/,
+    );
+  });
+
+  test('values never reach SQL text', () => {
+    // No schema: status is a closed enum in exampleSchema
+    const { sql, params } = compile('entity:users where:(status="x\' OR 1=1; --")', 'postgres', null);
+    assert.equal(sql, 'SELECT "app_users".* FROM "app_users" WHERE "status" = $1');
+    assert.deepEqual(params, ["x' OR 1=1; --"]);
+  });
+
+  test('field names are checked against the schema', () => {
+    assert.throws(() => compile('entity:users where:(password=x)'), /Unknown field "password"/);
+    assert.throws(() => compile('entity:users order:password'), /Invalid field name "password"/);
+  });
+
+  test('without a schema, field names must be plain identifiers and are still quoted', () => {
+    const opts = { dialect: 'postgres', tableMap };
+    assert.equal(
+      toSQL({ entity: 'users', where: { field: 'select', op: '=', value: 1 } }, opts).sql,
+      'SELECT "app_users".* FROM "app_users" WHERE "select" = $1',
+    );
+    assert.throws(
+      () => toSQL({ entity: 'users', where: { field: 'a" = 1 OR "b', op: '=', value: 1 } }, opts),
+      /Invalid field name/,
+    );
+    assert.throws(() => toSQL({ entity: 'users', order: [{ field: 'a;b', dir: 'asc' }] }, opts), /Invalid field name/);
+  });
+
+  test('search terms match the searchable columns case-insensitively', () => {
+    const schema = defineSchema([{ name: 'products', searchable: ['name', 'category'] }]);
+    const { sql, params } = compile('entity:products "50%" where:(price<10)', 'postgres', schema);
+    assert.equal(
+      sql,
+      'SELECT "shop"."products".* FROM "shop"."products" WHERE "price" < $1 ' +
+        'AND ("name" ILIKE $2 ESCAPE \'!\' OR "category_slug" ILIKE $3 ESCAPE \'!\')',
+    );
+    assert.deepEqual(params, [10, '%50!%%', '%50!%%']);
+    assert.throws(() => compile('entity:products laptop'), /Entity "products" has no searchable fields/);
+  });
+
+  test('nested includes throw', () => {
+    assert.throws(() => compile('entity:products include:reviews.author'), /Nested includes are not supported/);
+  });
+
+  test('invalid queries and missing mappings throw', () => {
+    const opts = { dialect: 'postgres', tableMap };
+    assert.throws(() => toSQL({ entity: 'users', limit: '1; DROP TABLE x' }, opts), /limit/);
+    assert.throws(() => toSQL({ entity: 'users', where: { field: 'a', op: '; --', value: 1 } }, opts), /operator/);
+    assert.throws(() => toSQL({ entity: 'orders' }, opts), /No table mapped for entity "orders"/);
+    assert.throws(() => toSQL({ entity: 'users', include: { posts: true } }, opts), /No SQL mapping for relation "posts"/);
+  });
+
+});
@@ -0,0 +1,490 @@
+/**
+ * Compiler for RQL JSON → parameterized SQL (PostgreSQL, SQLite, MySQL).
+ */
+
+import { aggregateName, includeQuery } from "./parse.js";
+import type { RQLCondition, RQLIncludeQuery, RQLQuery } from "./parse.js";
+import { relationTarget } from "./schema.js";
+import type { Schema } from "./schema.js";
+import { expandFilters } from "./filters.js";
+import { assertBound } from "./params.js";
+import { expandSearch } from "./search.js";
+import { validateQuery } from "./validate.js";
+
+export type SQLDialect = "postgres" | "sqlite" | "mysql";
+
+/** How an included relation is loaded. */
+export interface SQLRelation {
+  /** Table holding the related rows. */
+  table: string;
+  /** Column on the root table that links to the related rows. */
+  localKey: string;
+  /** Column on the related table that `localKey` matches. */
+  foreignKey: string;
+  /**
+   * `"one"`: LEFT JOIN into the main query, selecting `columns` as `"<relation>.<column>"`.
+   * `"many"` (default): a follow-up query per relation, returned in `includes`.
+   * Where fields through the relation (`<relation>.<column>`) are compared on the joined
+   * row for `"one"`, and with `EXISTS` over the related rows for `"many"`. exists, any,
+   * all and count become subqueries on the related table whatever the cardinality.
+   */
+  cardinality?: "one" | "many";
+  /** Related columns to select; required for `"one"`. Follow-up queries select `*` when omitted. */
+  columns?: string[];
+}
+
+/** Table mapping for one entity. */
+export interface SQLTable {
+  /** Table name; may be schema-qualified (e.g. `public.users`). */
+  table: string;
+  /** Column name per RQL field, when they differ. */
+  columns?: Record<string, string>;
+  /** How each relation in `include` or in where (dotted fields, exists/any/all/count) is loaded. */
+  relations?: Record<string, SQLRelation>;
+}
+
+export interface SQLOptions {
+  dialect: SQLDialect;
+  /** Entity name → table name or table mapping. Entities not listed cannot be queried. */
+  tableMap: Record<string, string | SQLTable>;
+  /**
+   * When given, the query is validated against it and where/order fields must be fields
+   * of the entity. Otherwise (or when the entity declares no fields), field names must be
+   * plain identifiers (letters, digits, underscore). Needed for `search`, which is matched
+   * against the entity's `searchable` fields, and for named filters (`@active`).
+   */
+  schema?: Schema;
+}
+
+/** A follow-up query that loads a to-many relation for the rows of the main query. */
+export interface SQLIncludeQuery {
+  relation: string;
+  /** Column of the main query's rows whose values are passed to `build`. */
+  key: string;
+  /** Builds the query for the given key values (typically collected from the main query's rows). */
+  build(keys: readonly unknown[]): { sql: string; params: unknown[] };
+}
+
+export interface SQLResult {
+  sql: string;
+  params: unknown[];
+  includes: SQLIncludeQuery[];
+}
+
+const SQL_OPS: Record<string, string> = {
+  "=": "=",
+  "!=": "<>",
+  "<": "<",
+  ">": ">",
+  "<=": "<=",
+  ">=": ">=",
+  in: "IN",
+  "not in": "NOT IN",
+};
+
+/** LIKE pattern per text operator; `!` escapes `%`, `_` and itself in the value. */
+const LIKE_PATTERNS: Record<string, (escaped: string) => string> = {
+  contains: (v) => `%${v}%`,
+  startsWith: (v) => `${v}%`,
+  endsWith: (v) => `%${v}`,
+};
+
+const PLAIN_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function quoteIdent(name: string, dialect: SQLDialect): string {
+  if (typeof name !== "string" || name === "" || name.includes("\0")) {
+    throw new Error(`Invalid SQL identifier ${JSON.stringify(name)}`);
+  }
+  const q = dialect === "mysql" ? "`" : '"';
+  return q + name.split(q).join(q + q) + q;
+}
+
+/** Quote a possibly schema-qualified table name part by part. */
+function quoteTable(name: string, dialect: SQLDialect): string {
+  return name
+    .split(".")
+    .map((part) => quoteIdent(part, dialect))
+    .join(".");
+}
+
+/** Collects params and hands out dialect placeholders. */
+class Params {
+  readonly values: unknown[] = [];
+  constructor(private readonly dialect: SQLDialect) {}
+
+  add(value: unknown): string {
+    // SQLite has no boolean type; drivers expect 0/1
+    this.values.push(
+      this.dialect === "sqlite" && typeof value === "boolean" ? Number(value) : value,
+    );
+    return this.dialect === "postgres" ? `$${this.values.length}` : "?";
+  }
+}
+
+function tableDef(entity: string | undefined, tableMap: SQLOptions["tableMap"]): SQLTable {
+  if (!entity) throw new Error("Query has no entity");
+  const mapped = Object.prototype.hasOwnProperty.call(tableMap, entity)
+    ? tableMap[entity]
+    : undefined;
+  if (mapped === undefined) throw new Error(`No table mapped for entity "${entity}"`);
+  return typeof mapped === "string" ? { table: mapped } : mapped;
+}
+
+/** Inside any/all and include queries, conditions are on the columns of the related rows. */
+interface RelatedScope {
+  relation: string;
+  /** What the conditions are inside, for error messages. */
+  within: string;
+  params: Params;
+  column(field: string): string;
+}
+
+/** Where, order and limit of an include query, compiled for a follow-up query. */
+interface FollowUpFilter {
+  where?: string;
+  /** Params of `where`; they come before the key params. */
+  params: unknown[];
+  orderBy?: string;
+  limit?: number;
+}
+
+/**
+ * Compile an RQL query to a SQL SELECT with placeholders and a params array.
+ * Values are always passed as params; identifiers are checked (see SQLOptions.schema)
+ * and quoted for the dialect. Throws if the query is invalid or cannot be mapped.
+ */
+export function toSQL(query: RQLQuery, options: SQLOptions): SQLResult {
+  const { dialect, tableMap, schema } = options;
+  const issues = validateQuery(query, schema);
+  if (issues.length > 0) {
+    const { path, message } = issues[0];
+    throw new Error(path ? `${path}: ${message}` : message);
+  }
+  query = expandFilters(query, schema);
+  assertBound(query);
+  // Search terms become text conditions, compiled like any other
+  query = expandSearch(query, schema);
+
+  if (query.after !== undefined) {
+    throw new Error("Query has a cursor (after); turn it into a where condition with applyCursor first");
+  }
+  const def = tableDef(query.entity, tableMap);
+  const table = quoteTable(def.table, dialect);
+  const params = new Params(dialect);
+  const joins: string[] = [];
+  const selects = [`${table}.*`];
+  const includes: SQLIncludeQuery[] = [];
+
+  const entityDef = schema?.entities.find((e) => e.name === query.entity);
+  const fields = entityDef?.fields;
+  const isField = (field: string): boolean =>
+    fields ? Object.prototype.hasOwnProperty.call(fields, field) : PLAIN_IDENTIFIER.test(field);
+  const column = (field: string, qualify: boolean): string => {
+    if (!isField(field)) throw new Error(`Invalid field name ${JSON.stringify(field)}`);
+    const col = quoteIdent(def.columns?.[field] ?? field, dialect);
+    return qualify ? `${table}.${col}` : col;
+  };
+
+  const mappedRelation = (relation: string): SQLRelation => {
+    const rel = def.relations?.[relation];
+    if (!rel) {
+      throw new Error(`No SQL mapping for relation "${relation}" of entity "${query.entity}"`);
+    }
+    return rel;
+  };
+
+  /** `FROM <related table> AS "<relation>" WHERE <link to the main row>`, for subqueries. */
+  const relatedRows = (relation: string, rel: SQLRelation): string => {
+    const alias = quoteIdent(relation, dialect);
+    return `FROM ${quoteTable(rel.table, dialect)} AS ${alias} WHERE ${alias}.${quoteIdent(
+      rel.foreignKey,
+      dialect,
+    )} = ${table}.${quoteIdent(rel.localKey, dialect)}`;
+  };
+
+  /** The relation and related column of a dotted where field, or undefined for a field of the entity. */
+  const relatedColumn = (
+    field: string,
+  ): { relation: string; rel: SQLRelation; col: string } | undefined => {
+    const dot = field.indexOf(".");
+    if (dot === -1 || isField(field)) return undefined;
+    const relation = field.slice(0, dot);
+    const col = field.slice(dot + 1);
+    const rel = mappedRelation(relation);
+    if (col.includes(".")) {
+      throw new Error(`Field path "${field}" goes through more than one relation, which toSQL does not support`);
+    }
+    // With a schema, validation has already checked the column against the target entity
+    if (!schema && !PLAIN_IDENTIFIER.test(col)) throw new Error(`Invalid field name ${JSON.stringify(field)}`);
+    return { relation, rel, col };
+  };
+
+  const joined = new Set<string>();
+  const join = (relation: string, rel: SQLRelation): void => {
+    if (joined.has(relation)) return;
+    joined.add(relation);
+    const alias = quoteIdent(relation, dialect);
+    joins.push(
+      `LEFT JOIN ${quoteTable(rel.table, dialect)} AS ${alias} ON ${alias}.${quoteIdent(
+        rel.foreignKey,
+        dialect,
+      )} = ${table}.${quoteIdent(rel.localKey, dialect)}`,
+    );
+  };
+
+  /** Columns of a relation's related rows, checked against its target entity (or as plain identifiers). */
+  const relatedScope = (relation: string, within: string, scopeParams: Params, qualify: boolean): RelatedScope => {
+    const targetFields = schema && entityDef ? relationTarget(schema, entityDef, relation)?.fields : undefined;
+    return {
+      relation,
+      within,
+      params: scopeParams,
+      column: (field) => {
+        const known = targetFields
+          ? Object.prototype.hasOwnProperty.call(targetFields, field)
+          : PLAIN_IDENTIFIER.test(field);
+        if (!known && field.includes(".")) {
+          throw new Error(`Field paths inside ${within} are not supported by toSQL ("${field}")`);
+        }
+        if (!known) throw new Error(`Invalid field name ${JSON.stringify(field)}`);
+        const col = quoteIdent(field, dialect);
+        return qualify ? `${quoteIdent(relation, dialect)}.${col}` : col;
+      },
+    };
+  };
+
+  // Follow-up queries are built once compile is defined, for include query conditions
+  const toMany: Array<{ relation: string; rel: SQLRelation; sub: RQLIncludeQuery }> = [];
+  for (const [relation, wanted] of Object.entries(query.include ?? {})) {
+    const sub = includeQuery(wanted);
+    if (!sub) continue;
+    if (sub.include && Object.values(sub.include).some(Boolean)) {
+      throw new Error(`Nested includes are not supported by toSQL (relation "${relation}")`);
+    }
+    const rel = mappedRelation(relation);
+    const filtered = sub.where !== undefined || sub.order !== undefined || sub.limit !== undefined;
+    if (rel.cardinality === "one") {
+      if (filtered) {
+        throw new Error(`Include queries on joined relations are not supported by toSQL (relation "${relation}")`);
+      }
+      if (!rel.columns?.length) {
+        throw new Error(`Relation "${relation}" is joined and needs a columns list`);
+      }
+      join(relation, rel);
+      const alias = quoteIdent(relation, dialect);
+      for (const col of rel.columns) {
+        selects.push(
+          `${alias}.${quoteIdent(col, dialect)} AS ${quoteIdent(`${relation}.${col}`, dialect)}`,
+        );
+      }
+    } else {
+      toMany.push({ relation, rel, sub });
+    }
+  }
+
+  // Selected fields replace table.*; fields through a to-one relation are read from its join
+  if (query.select) {
+    const selected: string[] = [];
+    for (const field of query.select) {
+      const related = relatedColumn(field);
+      if (!related) {
+        selected.push(column(field, true));
+        continue;
+      }
+      const { relation, rel, col } = related;
+      if (rel.cardinality !== "one") {
+        throw new Error(`Selecting fields through to-many relation "${relation}" is not supported by toSQL; include it instead`);
+      }
+      join(relation, rel);
+      const joinedColumn = `${quoteIdent(relation, dialect)}.${quoteIdent(col, dialect)} AS ${quoteIdent(field, dialect)}`;
+      if (!selects.includes(joinedColumn)) selected.push(joinedColumn);
+    }
+    // Follow-up queries read their key from the main rows
+    for (const { rel } of toMany) {
+      const key = `${table}.${quoteIdent(rel.localKey, dialect)}`;
+      if (!selected.includes(key)) selected.push(key);
+    }
+    selects.splice(0, 1, ...selected);
+  }
+
+  // Grouped queries select the group fields (named as in the query) and aggregates; fields through a to-one relation are joined
+  const groupColumns = new Map<string, string>();
+  const aggregateNames = new Set<string>();
+  if (query.group !== undefined || query.aggregate !== undefined) {
+    const groupColumn = (field: string, what: string): { expr: string; renamed: boolean } => {
+      const related = relatedColumn(field);
+      if (!related) return { expr: column(field, true), renamed: def.columns?.[field] !== undefined };
+      const { relation, rel, col } = related;
+      if (rel.cardinality !== "one") {
+        throw new Error(`${what} fields through to-many relation "${relation}" is not supported by toSQL (${field})`);
+      }
+      join(relation, rel);
+      return { expr: `${quoteIdent(relation, dialect)}.${quoteIdent(col, dialect)}`, renamed: true };
+    };
+    const selected: string[] = [];
+    for (const field of query.group ?? []) {
+      const { expr, renamed } = groupColumn(field, "Grouping by");
+      groupColumns.set(field, expr);
+      selected.push(renamed ? `${expr} AS ${quoteIdent(field, dialect)}` : expr);
+    }
+    for (const aggregate of query.aggregate ?? []) {
+      const name = aggregateName(aggregate);
+      const arg = aggregate.field === undefined ? "*" : groupColumn(aggregate.field, "Aggregating").expr;
+      selected.push(`${aggregate.fn.toUpperCase()}(${arg}) AS ${quoteIdent(name, dialect)}`);
+      aggregateNames.add(name);
+    }
+    selects.splice(0, 1, ...selected);
+  }
+
+  // To-one relations used in where are joined too, so the main query needs them before compiling
+  const joinWhere = (cond: RQLCondition): void => {
+    [...(cond.and ?? []), ...(cond.or ?? []), ...(cond.not ? [cond.not] : [])].forEach(joinWhere);
+    const related = cond.field !== undefined ? relatedColumn(cond.field) : undefined;
+    if (related?.rel.cardinality === "one") join(related.relation, related.rel);
+  };
+  if (query.where) joinWhere(query.where);
+
+  const qualify = joins.length > 0;
+
+  const compile = (cond: RQLCondition, nested: boolean, scope?: RelatedScope): string => {
+    if (cond.and || cond.or) {
+      const children = (cond.and ?? cond.or) as RQLCondition[];
+      if (children.length === 1) return compile(children[0], nested, scope);
+      const text = children
+        .map((c) => compile(c, true, scope))
+        .join(cond.and ? " AND " : " OR ");
+      return nested ? `(${text})` : text;
+    }
+    if (cond.not) return `NOT (${compile(cond.not, false, scope)})`;
+    if (cond.exists !== undefined || cond.any || cond.all || cond.count !== undefined) {
+      if (scope) {
+        throw new Error(`Relation conditions inside ${scope.within} are not supported by toSQL (relation "${scope.relation}")`);
+      }
+      return relationCondition(cond);
+    }
+    if (scope) return comparison(cond, scope.column(cond.field as string), scope.params);
+    const related = relatedColumn(cond.field as string);
+    if (!related) return comparison(cond, column(cond.field as string, qualify));
+    const { relation, rel, col } = related;
+    const target = `${quoteIdent(relation, dialect)}.${quoteIdent(col, dialect)}`;
+    if (rel.cardinality === "one") return comparison(cond, target);
+    // To-many: true when any related row matches
+    return `EXISTS (SELECT 1 ${relatedRows(relation, rel)} AND ${comparison(cond, target)})`;
+  };
+
+  const relationCondition = (cond: RQLCondition): string => {
+    const quantifier = cond.any ?? cond.all;
+    const relation = (cond.exists ?? cond.count ?? quantifier?.relation) as string;
+    const rel = mappedRelation(relation);
+    const from = relatedRows(relation, rel);
+    if (cond.count !== undefined) {
+      return `(SELECT COUNT(*) ${from}) ${SQL_OPS[cond.op ?? "="]} ${params.add(cond.value)}`;
+    }
+    if (!quantifier) return `EXISTS (SELECT 1 ${from})`;
+
+    const scope = relatedScope(relation, "any/all", params, true);
+    if (cond.any) return `EXISTS (SELECT 1 ${from} AND ${compile(quantifier.where, true, scope)})`;
+    // all: no related row for which the condition is false or unknown
+    return `NOT EXISTS (SELECT 1 ${from} AND (${compile(quantifier.where, false, scope)}) IS NOT TRUE)`;
+  };
+
+  const comparison = (cond: RQLCondition, col: string, values: Params = params): string => {
+    if (cond.op === "is null" || cond.op === "is not null") return `${col} ${cond.op.toUpperCase()}`;
+    if (cond.op === "ieq") return `LOWER(${col}) = LOWER(${values.add(cond.value)})`;
+    const pattern = LIKE_PATTERNS[cond.op as string];
+    if (pattern) {
+      const escaped = String(cond.value).replace(/[!%_]/g, "!$&");
+      const param = values.add(pattern(escaped));
+      return dialect === "postgres"
+        ? `${col} ILIKE ${param} ESCAPE '!'`
+        : `LOWER(${col}) LIKE LOWER(${param}) ESCAPE '!'`;
+    }
+    const op = SQL_OPS[cond.op ?? "="];
+    const value = Array.isArray(cond.value)
+      ? `(${cond.value.map((v) => values.add(v)).join(", ")})`
+      : values.add(cond.value);
+    return `${col} ${op} ${value}`;
+  };
+
+  // Include query conditions are on the related table's columns, with params of their own
+  for (const { relation, rel, sub } of toMany) {
+    const scope = relatedScope(relation, "include queries", new Params(dialect), false);
+    const filter: FollowUpFilter = { params: scope.params.values, limit: sub.limit };
+    if (sub.where) filter.where = compile(sub.where, true, scope);
+    if (sub.order?.length) {
+      filter.orderBy = sub.order
+        .map((t) => `${scope.column(t.field)} ${t.dir === "desc" ? "DESC" : "ASC"}`)
+        .join(", ");
+    }
+    includes.push(followUpQuery(relation, rel, dialect, filter));
+  }
+
+  let sql = `SELECT ${selects.join(", ")} FROM ${table}`;
+  if (joins.length > 0) sql += ` ${joins.join(" ")}`;
+  if (query.where) sql += ` WHERE ${compile(query.where, false)}`;
+  if (groupColumns.size > 0) sql += ` GROUP BY ${[...groupColumns.values()].join(", ")}`;
+  if (query.order && query.order.length > 0) {
+    // Grouped results are ordered by an aggregate's alias or a group column
+    const orderColumn = (field: string): string =>
+      aggregateNames.has(field) ? quoteIdent(field, dialect) : groupColumns.get(field) ?? column(field, qualify);
+    const terms = query.order.map(
+      (t) => `${orderColumn(t.field)} ${t.dir === "desc" ? "DESC" : "ASC"}`,
+    );
+    sql += ` ORDER BY ${terms.join(", ")}`;
+  }
+  if (query.limit !== undefined) {
+    // Validated as a non-negative integer, so it is safe to inline
+    sql += ` LIMIT ${query.limit}`;
+  } else if (query.offset && dialect !== "postgres") {
+    // SQLite and MySQL only accept OFFSET after a LIMIT; these mean "no limit"
+    sql += dialect === "sqlite" ? " LIMIT -1" : " LIMIT 18446744073709551615";
+  }
+  if (query.offset) sql += ` OFFSET ${query.offset}`;
+
+  return { sql, params: params.values, includes };
+}
+
+/**
+ * The follow-up query for a to-many relation. With an include query's `limit`, rows are
+ * numbered per key with `ROW_NUMBER()` in a derived table, and only the first `limit`
+ * rows of each key are kept.
+ */
+function followUpQuery(
+  relation: string,
+  rel: SQLRelation,
+  dialect: SQLDialect,
+  filter: FollowUpFilter = { params: [] },
+): SQLIncludeQuery {
+  const table = quoteTable(rel.table, dialect);
+  const cols = rel.columns?.length
+    ? rel.columns.map((c) => quoteIdent(c, dialect)).join(", ")
+    : "*";
+  const foreignKey = quoteIdent(rel.foreignKey, dialect);
+  const orderBy = filter.orderBy ? ` ORDER BY ${filter.orderBy}` : "";
+  return {
+    relation,
+    key: rel.localKey,
+    build(keys) {
+      const params = new Params(dialect);
+      // The where params were numbered first
+      params.values.push(...filter.params);
+      const list = [...new Set(keys)].map((k) => params.add(k));
+      const conditions = [
+        ...(filter.where ? [filter.where] : []),
+        list.length > 0 ? `${foreignKey} IN (${list.join(", ")})` : "1 = 0",
+      ].join(" AND ");
+      if (filter.limit === undefined) {
+        return { sql: `SELECT ${cols} FROM ${table} WHERE ${conditions}${orderBy}`, params: params.values };
+      }
+      const row = quoteIdent("rql_row", dialect);
+      const numbered =
+        `SELECT ${table}.*, ROW_NUMBER() OVER (PARTITION BY ${foreignKey}${orderBy}) AS ${row} ` +
+        `FROM ${table} WHERE ${conditions}`;
+      // Validated as a non-negative integer, so it is safe to inline
+      return {
+        sql: `SELECT ${cols} FROM (${numbered}) AS ${quoteIdent(relation, dialect)} WHERE ${row} <= ${filter.limit}${orderBy}`,
+        params: params.values,
+      };
+    },
+  };
+}
@@ -0,0 +1,234 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlainText, stringifyPlainText } from '../dist/index.js';
+
+const roundTrip = (q) => parsePlainText(stringifyPlainText(q));
+
+describe('stringifyPlainText', () => {
+
+  test('empty query', () => {
+    assert.equal(stringifyPlainText({}), '');
+  });
+
+  test('entity, limit, order and include', () => {
+    assert.equal(
+      stringifyPlainText({
+        entity: 'products',
+        limit: 20,
+        order: [
+          { field: 'price', dir: 'asc' },
+          { field: 'created_at', dir: 'desc' },
+        ],
+        include: { reviews: true, category: true },
+      }),
+      'entity:products limit:20 order:price,created_at desc include:reviews,category',
+    );
+  });
+
+  test('where - comparisons and implicit AND', () => {
+    assert.equal(
+      stringifyPlainText({
+        entity: 'users',
+        where: {
+          and: [
+            { field: 'status', op: '=', value: 'active' },
+            { field: 'age', op: '>=', value: 18 },
+            { field: 'verified', op: '=', value: true },
+          ],
+        },
+      }),
+      'entity:users where:(status=active age>=18 verified=true)',
+    );
+  });
+
+  test('where - op defaults to =', () => {
+    assert.equal(
+      stringifyPlainText({ where: { field: 'name', value: 'Alice' } }),
+      'where:(name=Alice)',
+    );
+  });
+
+  test('where - parentheses only around OR inside AND', () => {
+    assert.equal(
+      stringifyPlainText({
+        where: {
+          or: [
+            { field: 'role', op: '=', value: 'admin' },
+            {
+              and: [
+                { field: 'age', op: '>=', value: 18 },
+                { field: 'verified', op: '=', value: true },
+              ],
+            },
+          ],
+        },
+      }),
+      'where:(role=admin OR age>=18 verified=true)',
+    );
+    assert.equal(
+      stringifyPlainText({
+        where: {
+          and: [
+            {
+              or: [
+                { field: 'a', op: '=', value: 1 },
+                { field: 'a', op: '=', value: 2 },
+              ],
+            },
+            { field: 'b', op: '=', value: 3 },
+          ],
+        },
+      }),
+      'where:((a=1 OR a=2) b=3)',
+    );
+  });
+
+  test('where - quotes strings that look like numbers, booleans or keywords', () => {
+    const where = {
+      and: [
+        { field: 'id', op: '=', value: '18' },
+        { field: 'flag', op: '=', value: 'TRUE' },
+        { field: 'word', op: '=', value: 'or' },
+        { field: 'name', op: '=', value: 'Alice Smith' },
+        { field: 'created_at', op: '>=', value: '2024-01-01' },
+      ],
+    };
+    assert.equal(
+      stringifyPlainText({ where }),
+      'where:(id="18" flag="TRUE" word="or" name="Alice Smith" created_at>=2024-01-01)',
+    );
+    assert.deepEqual(roundTrip({ where }), { where });
+  });
+
+  test('where - escapes quotes and backslashes', () => {
+    const where = { field: 'title', op: '=', value: 'Say "hi" \\ bye' };
+    assert.equal(stringifyPlainText({ where }), 'where:(title="Say \\"hi\\" \\\\ bye")');
+    assert.deepEqual(roundTrip({ where }), { where });
+  });
+
+  test('where - quotes values with parentheses and operator characters', () => {
+    const where = {
+      and: [
+        { field: 'a', op: '=', value: 'x)y' },
+        { field: 'b', op: '!=', value: 'p<q' },
+        { field: 'c', op: '=', value: '' },
+      ],
+    };
+    assert.equal(stringifyPlainText({ where }), 'where:(a="x)y" b!="p<q" c="")');
+    assert.deepEqual(roundTrip({ where }), { where });
+  });
+
+  test('where - numbers in exponent form are expanded', () => {
+    assert.equal(stringifyPlainText({ where: { field: 'n', op: '>', value: 1e21 } }), 'where:(n>1000000000000000000000)');
+    const where = { field: 'n', op: '<', value: 1e-7 };
+    assert.deepEqual(roundTrip({ where }), { where });
+  });
+
+  test('where - relation conditions', () => {
+    const where = {
+      and: [
+        { exists: 'reviews' },
+        { not: { exists: 'line items' } },
+        { count: 'reviews', op: '>=', value: 3 },
+        { any: { relation: 'a,b', where: { or: [{ field: 'x', op: '=', value: 1 }, { field: 'y', op: '=', value: 2 }] } } },
+        { all: { relation: 'reviews', where: { all: { relation: 'votes', where: { field: 'up', op: '=', value: true } } } } },
+      ],
+    };
+    assert.equal(
+      stringifyPlainText({ where }),
+      'where:(reviews exists NOT "line items" exists count(reviews)>=3 any("a,b", x=1 OR y=2) ' +
+        'all(reviews, all(votes, up=true)))',
+    );
+    assert.deepEqual(roundTrip({ where }), { where });
+  });
+
+  test('round-trips parsed queries', () => {
+    const inputs = [
+      'entity:users',
+      'entity:users limit:0',
+      'entity:users order:created_at desc,name asc',
+      'entity:products select:name,price,category.name limit:5',
+      'entity:users limit:10 offset:20 after:WyJhIl0 order:id',
+      'entity:orders group:status,customer.tier aggregate:count,sum(total),max(total) limit:5 order:sum(total) desc',
+      'entity:products limit:20 include:reviews,category where:(price<100 stock>0 category!=archived)',
+      'entity:products include:reviews.author.profile,category',
+      'entity:products include:reviews(rating>=4 OR verified=true order:created_at desc limit:3),reviews.author(status=active)',
+      'entity:users limit:10 where:((role=admin) OR (age>=18 AND verified=true))',
+      'entity:users where:((a=1 OR a=2) AND (b=3 OR b=4) c=5)',
+      'entity:users where:(name="Alice Smith" id="18" flag="true" score<=-3.14)',
+      'entity:users where:(title="Hello \\"World\\"" path="C:\\\\tmp")',
+      'entity:users where:(status in (active, pending) age not in (1, 2, "3", "a, b", "or"))',
+      'entity:users where:(name~"a b" name^=A name$=ce name~=ALICE code contains 42 "x$"=1 y="~")',
+      'entity:users where:(photo is null age is not null "is"=null)',
+      'entity:users where:(NOT (a=1 OR b=2) NOT c=3 OR NOT (d=4 e=5) NOT NOT f=6 g="not")',
+    ];
+    for (const input of inputs) {
+      const q = parsePlainText(input);
+      assert.deepEqual(roundTrip(q), q, input);
+    }
+  });
+
+  test('non-canonical trees stringify to equivalent text', () => {
+    assert.equal(
+      stringifyPlainText({
+        where: {
+          and: [
+            { and: [{ field: 'a', op: '=', value: 1 }] },
+            { or: [{ field: 'b', op: '=', value: 2 }, { or: [{ field: 'c', op: '=', value: 3 }, { field: 'd', op: '=', value: 4 }] }] },
+          ],
+        },
+      }),
+      'where:(a=1 (b=2 OR c=3 OR d=4))',
+    );
+    assert.equal(
+      stringifyPlainText({ where: { not: { and: [{ field: 'a', op: '=', value: 1 }] } } }),
+      'where:(NOT a=1)',
+    );
+  });
+
+  test('search terms follow the entity, quoted unless they read as bare words', () => {
+    const q = { entity: 'products', search: ['laptop', 'usb c', 'a:b', 'limit', 'say "hi"', '(x)'], limit: 5 };
+    assert.equal(
+      stringifyPlainText(q),
+      'entity:products laptop "usb c" "a:b" "limit" "say \\"hi\\"" "(x)" limit:5',
+    );
+    assert.deepEqual(roundTrip(q), q);
+    assert.throws(() => stringifyPlainText({ search: [' '] }), /search term/);
+  });
+
+  test('nested includes become dotted paths', () => {
+    assert.equal(
+      stringifyPlainText({ include: { reviews: { author: { profile: true }, product: true, x: false }, tags: {} } }),
+      'include:reviews.author.profile,reviews.product,tags',
+    );
+    assert.throws(() => stringifyPlainText({ include: { 'a.b': true } }), /relation/);
+  });
+
+  test('include queries become options in parentheses', () => {
+    assert.equal(
+      stringifyPlainText({ include: { reviews: { limit: 2, include: { author: true } }, tags: { where: { field: 'x', op: '=', value: 1 } } } }),
+      'include:reviews(limit:2),reviews.author,tags(x=1)',
+    );
+  });
+
+  test('include relations set to false are omitted', () => {
+    assert.equal(stringifyPlainText({ entity: 'users', include: { posts: true, comments: false } }), 'entity:users include:posts');
+    assert.equal(stringifyPlainText({ entity: 'users', include: { posts: false } }), 'entity:users');
+  });
+
+  test('throws for shapes without a plain-text form', () => {
+    assert.throws(() => stringifyPlainText({ entity: 'two words' }), /entity/);
+    assert.throws(() => stringifyPlainText({ entity: '' }), /entity/);
+    assert.throws(() => stringifyPlainText({ limit: -1 }), /limit/);
+    assert.throws(() => stringifyPlainText({ limit: 1.5 }), /limit/);
+    assert.throws(() => stringifyPlainText({ order: [{ field: 'desc', dir: 'asc' }] }), /order field/);
+    assert.throws(() => stringifyPlainText({ include: { 'a,b': true } }), /relation/);
+    assert.throws(() => stringifyPlainText({ where: { and: [] } }), /empty "and"/);
+    assert.throws(() => stringifyPlainText({ where: { field: 'a', op: '~', value: 1 } }), /operator/);
+    assert.throws(() => stringifyPlainText({ where: { field: 'a', op: '=', value: null } }), /value/);
+    assert.throws(() => stringifyPlainText({ where: { field: 'a', op: '=', value: NaN } }), /number/);
+    assert.throws(() => stringifyPlainText({ where: { field: 'a', op: 'in', value: [] } }), /"in" value/);
+    assert.throws(() => stringifyPlainText({ where: { field: 'a', op: 'contains', value: 1 } }), /"contains" value/);
+  });
+
+});
@@ -0,0 +1,249 @@
+/**
+ * Serializer for RQL JSON → RQL plain-text syntax (inverse of parsePlainText).
+ */
+
+import { FILTER_NAME, KEYS, LIST_OPS, NULL_OPS, OPS, PARAM_NAME, TEXT_OPS, includeQuery, isParam } from "./parse.js";
+import type { RQLCondition, RQLInclude, RQLOrderTerm, RQLQuery } from "./parse.js";
+
+/** Unquoted tokens that the where tokenizer would read as something other than an identifier. */
+const RESERVED_WORD = /^(?:and|or|not|true|false)$/i;
+const NUMBER_LITERAL = /^-?\d+(\.\d+)?$/;
+/** Characters that end a bare word in where:(...) or that break clause splitting. */
+const BARE_WORD = /^[^\s()"=<>!~\\]+$/;
+
+function unrepresentable(what: string): Error {
+  return new Error(`Cannot stringify ${what}: it has no plain-text form`);
+}
+
+function isBareWord(s: string): boolean {
+  return (
+    BARE_WORD.test(s) &&
+    !RESERVED_WORD.test(s) &&
+    !NUMBER_LITERAL.test(s) &&
+    // "$name" is a parameter
+    !(s.startsWith("$") && PARAM_NAME.test(s.slice(1))) &&
+    // "@name" is a named filter
+    !(s.startsWith("@") && FILTER_NAME.test(s.slice(1))) &&
+    // "^=" and "$=" are operators, so "^" or "$" must not be followed by one
+    !/[$^]$/.test(s)
+  );
+}
+
+function quote(s: string): string {
+  return `"${s.replace(/[\\"]/g, (c) => `\\${c}`)}"`;
+}
+
+function stringifyNumber(n: number): string {
+  if (!Number.isFinite(n)) throw unrepresentable(`number ${n}`);
+  const plain = String(n);
+  if (NUMBER_LITERAL.test(plain)) return plain;
+  // Exponent notation (1e21, 1e-7) is not a number literal in plain text; expand it.
+  const expanded = Number.isInteger(n)
+    ? BigInt(n).toString()
+    : n.toFixed(100).replace(/0+$/, "");
+  if (!NUMBER_LITERAL.test(expanded) || parseFloat(expanded) !== n) {
+    throw unrepresentable(`number ${n}`);
+  }
+  return expanded;
+}
+
+function stringifyValue(value: unknown): string {
+  if (typeof value === "boolean") return String(value);
+  if (typeof value === "number") return stringifyNumber(value);
+  if (typeof value === "string") return isBareWord(value) ? value : quote(value);
+  if (isParam(value) && PARAM_NAME.test(value.param)) return `$${value.param}`;
+  throw unrepresentable(`value ${JSON.stringify(value)}`);
+}
+
+/** A list name (entity, relation, order field) must survive splitting on whitespace and commas. */
+function stringifyName(name: unknown, what: string): string {
+  if (typeof name !== "string" || !/^[^\s,]+$/.test(name)) {
+    throw unrepresentable(`${what} ${JSON.stringify(name)}`);
+  }
+  return name;
+}
+
+/** A select, group or aggregate field: parens, quotes and empty path segments do not parse back. */
+function stringifyField(field: unknown, what: string): string {
+  if (typeof field === "string" && (/[()"]/.test(field) || field.split(".").includes(""))) {
+    throw unrepresentable(`${what} ${JSON.stringify(field)}`);
+  }
+  return stringifyName(field, what);
+}
+
+/** A search term is a bare word unless it would split, read as a key:value clause or a bare key. */
+function stringifySearchTerm(term: unknown): string {
+  if (typeof term !== "string" || !term.trim()) throw unrepresentable(`search term ${JSON.stringify(term)}`);
+  const bare = /^[^\s():"]+$/.test(term) && !(KEYS as readonly string[]).includes(term.toLowerCase());
+  return bare ? term : quote(term);
+}
+
+/** A relation name in where: a bare word, or quoted. In any(...) the name ends at a comma. */
+function stringifyRelation(name: unknown): string {
+  if (typeof name !== "string" || name === "") throw unrepresentable(`relation ${JSON.stringify(name)}`);
+  return isBareWord(name) && !name.includes(",") ? name : quote(name);
+}
+
+/**
+ * Stringify one condition. Parentheses are only added around an OR that is
+ * an operand of AND, since AND (space) binds tighter than OR, and around any
+ * group that is the operand of NOT, which binds tightest.
+ */
+function stringifyCondition(cond: RQLCondition, parent?: "and" | "or" | "not"): string {
+  if (cond.and || cond.or) {
+    const kind = cond.and ? "and" : "or";
+    const children = (cond.and ?? cond.or) as RQLCondition[];
+    if (children.length === 0) throw unrepresentable(`empty "${kind}" node`);
+    if (children.length === 1) return stringifyCondition(children[0], parent);
+    const parts = children.map((c) => stringifyCondition(c, kind));
+    const text = parts.join(kind === "and" ? " " : " OR ");
+    if (parent === "not") return `(${text})`;
+    if (kind === "and") return text;
+    return parent === "and" ? `(${text})` : text;
+  }
+  if (cond.not) return `NOT ${stringifyCondition(cond.not, "not")}`;
+  if (typeof cond.filter === "string") return `@${cond.filter}`;
+  if (typeof cond.exists === "string") return `${stringifyRelation(cond.exists)} exists`;
+  if (typeof cond.count === "string") {
+    const op = cond.op ?? "=";
+    if (!(OPS as readonly string[]).includes(op)) throw unrepresentable(`count operator "${op}"`);
+    return `count(${stringifyRelation(cond.count)})${op}${stringifyValue(cond.value)}`;
+  }
+  const quantifier = cond.any ?? cond.all;
+  if (quantifier) {
+    return `${cond.any ? "any" : "all"}(${stringifyRelation(quantifier.relation)}, ${stringifyCondition(quantifier.where)})`;
+  }
+  if (typeof cond.field !== "string") {
+    throw unrepresentable(`condition ${JSON.stringify(cond)}`);
+  }
+  const op = cond.op ?? "=";
+  const field = isBareWord(cond.field) ? cond.field : quote(cond.field);
+  if ((LIST_OPS as readonly string[]).includes(op)) {
+    if (isParam(cond.value)) return `${field} ${op} ${stringifyValue(cond.value)}`;
+    if (!Array.isArray(cond.value) || cond.value.length === 0) {
+      throw unrepresentable(`"${op}" value ${JSON.stringify(cond.value)}`);
+    }
+    // Commas separate list items, so items containing one are quoted
+    const items = cond.value.map((v) =>
+      typeof v === "string" && v.includes(",") ? quote(v) : stringifyValue(v),
+    );
+    return `${field} ${op} (${items.join(", ")})`;
+  }
+  if ((NULL_OPS as readonly string[]).includes(op)) return `${field} ${op}`;
+  if ((TEXT_OPS as readonly string[]).includes(op)) {
+    if (typeof cond.value !== "string" && !isParam(cond.value)) {
+      throw unrepresentable(`"${op}" value ${JSON.stringify(cond.value)}`);
+    }
+    return `${field} ${op} ${stringifyValue(cond.value)}`;
+  }
+  if (!(OPS as readonly string[]).includes(op)) {
+    throw unrepresentable(`operator "${op}"`);
+  }
+  return `${field}${op}${stringifyValue(cond.value)}`;
+}
+
+function stringifyOrder(order: RQLOrderTerm[]): string {
+  return order
+    .map((term) => {
+      const field = stringifyName(term.field, "order field");
+      if (/^(?:asc|desc)$/i.test(field)) {
+        throw unrepresentable(`order field "${field}"`);
+      }
+      return term.dir === "desc" ? `${field} desc` : field;
+    })
+    .join(",");
+}
+
+/**
+ * Dotted relation paths for an include object: `{ reviews: { author: true } }` →
+ * `reviews.author`. An include query's where, order and limit follow its relation in
+ * parentheses, and its nested relations are listed as paths of their own.
+ */
+function includePaths(include: RQLInclude, prefix: string): string[] {
+  return Object.entries(include).flatMap(([rel, wanted]) => {
+    const sub = includeQuery(wanted);
+    if (!sub) return [];
+    if (/[.()]/.test(rel)) throw unrepresentable(`relation ${JSON.stringify(rel)}`);
+    const path = prefix + stringifyName(rel, "relation");
+    const options: string[] = [];
+    if (sub.where) options.push(stringifyCondition(sub.where));
+    if (sub.order && sub.order.length > 0) options.push(`order:${stringifyOrder(sub.order)}`);
+    if (sub.limit !== undefined) {
+      if (!Number.isInteger(sub.limit) || sub.limit < 0) throw unrepresentable(`limit ${sub.limit}`);
+      options.push(`limit:${sub.limit}`);
+    }
+    const nested = sub.include ? includePaths(sub.include, `${path}.`) : [];
+    if (options.length > 0) return [`${path}(${options.join(" ")})`, ...nested];
+    return nested.length > 0 ? nested : [path];
+  });
+}
+
+/**
+ * Serialize RQL JSON into RQL plain-text syntax.
+ *
+ * For any query produced by parsePlainText, `parsePlainText(stringifyPlainText(q))`
+ * deep-equals `q`. Other shapes stringify to equivalent text: nested AND-in-AND and
+ * OR-in-OR nodes are flattened, single-child groups are unwrapped, include
+ * relations set to false are omitted, and a relation whose nested include is empty
+ * is included on its own. Throws when part of the query has no
+ * plain-text form (e.g. an entity name with spaces or an empty and/or node).
+ */
+export function stringifyPlainText(query: RQLQuery): string {
+  const clauses: string[] = [];
+
+  if (query.entity !== undefined) {
+    clauses.push(`entity:${stringifyName(query.entity, "entity")}`);
+  }
+
+  for (const term of query.search ?? []) {
+    clauses.push(stringifySearchTerm(term));
+  }
+
+  for (const key of ["select", "group"] as const) {
+    const fields = query[key];
+    if (fields && fields.length > 0) {
+      clauses.push(`${key}:${fields.map((field) => stringifyField(field, `${key} field`)).join(",")}`);
+    }
+  }
+
+  if (query.aggregate && query.aggregate.length > 0) {
+    const items = query.aggregate.map(({ fn, field }) => {
+      const name = stringifyName(fn, "aggregate");
+      return field === undefined ? name : `${name}(${stringifyField(field, "aggregate field")})`;
+    });
+    clauses.push(`aggregate:${items.join(",")}`);
+  }
+
+  if (query.limit !== undefined) {
+    if (!Number.isInteger(query.limit) || query.limit < 0) {
+      throw unrepresentable(`limit ${query.limit}`);
+    }
+    clauses.push(`limit:${query.limit}`);
+  }
+
+  if (query.offset !== undefined) {
+    if (!Number.isInteger(query.offset) || query.offset < 0) {
+      throw unrepresentable(`offset ${query.offset}`);
+    }
+    clauses.push(`offset:${query.offset}`);
+  }
+
+  if (query.after !== undefined) {
+    clauses.push(`after:${stringifyName(query.after, "cursor")}`);
+  }
+
+  if (query.order && query.order.length > 0) {
+    clauses.push(`order:${stringifyOrder(query.order)}`);
+  }
+
+  if (query.include) {
+    const relations = includePaths(query.include, "");
+    if (relations.length > 0) clauses.push(`include:${relations.join(",")}`);
+  }
+
+  if (query.where) {
+    clauses.push(`where:(${stringifyCondition(query.where)})`);
+  }
+
+  return clauses.join(" ");
+}
@@ -0,0 +1,490 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuery, exampleSchema } from '../dist/index.js';
+
+const paths = (issues) => issues.map((i) => i.path);
+
+describe('validateQuery', () => {
+
+  test('valid queries have no issues', () => {
+    assert.deepEqual(validateQuery({ entity: 'users' }), []);
+    assert.deepEqual(
+      validateQuery({
+        entity: 'users',
+        limit: 10,
+        order: [{ field: 'age', dir: 'desc' }, { field: 'status' }],
+        include: { posts: true, comments: false },
+        where: {
+          or: [
+            { field: 'role', op: '=', value: 'admin' },
+            { and: [{ field: 'age', op: '>=', value: 18 }, { field: 'verified', value: true }] },
+          ],
+        },
+      }, exampleSchema),
+      [],
+    );
+  });
+
+  test('query must be an object', () => {
+    for (const json of [null, 'entity:users', [], 42]) {
+      const issues = validateQuery(json);
+      assert.equal(issues.length, 1);
+      assert.equal(issues[0].path, '');
+    }
+  });
+
+  test('entity is required and non-empty', () => {
+    assert.deepEqual(paths(validateQuery({})), ['entity']);
+    assert.deepEqual(paths(validateQuery({ entity: '' })), ['entity']);
+    assert.deepEqual(paths(validateQuery({ entity: 3 })), ['entity']);
+  });
+
+  test('unknown top-level keys are reported', () => {
+    const issues = validateQuery({ entity: 'users', sort: 'name' });
+    assert.deepEqual(paths(issues), ['sort']);
+    assert.match(issues[0].message, /Unknown top-level key "sort"/);
+  });
+
+  test('limit must be a non-negative integer', () => {
+    for (const limit of [-1, 1.5, '10', null, NaN]) {
+      assert.deepEqual(paths(validateQuery({ entity: 'users', limit })), ['limit'], String(limit));
+    }
+    assert.deepEqual(validateQuery({ entity: 'users', limit: 0 }), []);
+  });
+
+  test('order terms need a field and an asc/desc dir', () => {
+    assert.deepEqual(paths(validateQuery({ entity: 'users', order: { field: 'a' } })), ['order']);
+    assert.deepEqual(
+      paths(validateQuery({ entity: 'users', order: [{ field: 'a', dir: 'up' }, 'b', { dir: 'asc', x: 1 }] })),
+      ['order[0].dir', 'order[1]', 'order[2].x', 'order[2].field'],
+    );
+  });
+
+  test('include values must be booleans', () => {
+    assert.deepEqual(paths(validateQuery({ entity: 'users', include: ['posts'] })), ['include']);
+    assert.deepEqual(
+      paths(validateQuery({ entity: 'users', include: { posts: 'yes', comments: true } })),
+      ['include.posts'],
+    );
+    assert.deepEqual(
+      paths(validateQuery({ entity: 'users', include: { posts: { author: 1, comments: { likes: true } } } })),
+      ['include.posts.author'],
+    );
+  });
+
+  test('group is a list of fields and aggregate a list of functions', () => {
+    const valid = { entity: 'users', group: ['status'], aggregate: [{ fn: 'count' }, { fn: 'avg', field: 'age' }], order: [{ field: 'avg(age)', dir: 'desc' }] };
+    assert.deepEqual(validateQuery(valid), []);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', group: [] })), ['group']);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', group: ['a', 'a'] })), ['group[1]']);
+    const aggregates = [{ fn: 'median', field: 'age' }, { fn: 'count', field: 'age' }, { fn: 'sum' }, { fn: 'max', field: 'age', as: 'x' }];
+    assert.deepEqual(paths(validateQuery({ entity: 'users', aggregate: aggregates })), [
+      'aggregate[0].fn',
+      'aggregate[1].field',
+      'aggregate[2].field',
+      'aggregate[3].as',
+    ]);
+  });
+
+  test('grouped queries cannot select, include or use a cursor, and order by group fields or aggregates', () => {
+    const issues = validateQuery({
+      entity: 'users',
+      group: ['status'],
+      aggregate: [{ fn: 'count' }],
+      select: ['name'],
+      include: { posts: true },
+      after: 'abc',
+      order: [{ field: 'status', dir: 'asc' }, { field: 'name', dir: 'asc' }],
+    });
+    assert.deepEqual(
+      issues.map((i) => [i.path, i.code]),
+      [
+        ['select', 'INVALID_SELECT'],
+        ['include', 'INVALID_INCLUDE'],
+        ['after', 'INVALID_CURSOR'],
+        ['order[1].field', 'INVALID_ORDER'],
+      ],
+    );
+    assert.deepEqual(issues[3].expected, ['status', 'count']);
+  });
+
+  test('with a schema, group fields must exist and aggregated fields must be numbers', () => {
+    const issues = validateQuery(
+      { entity: 'products', group: ['colour'], aggregate: [{ fn: 'sum', field: 'category' }, { fn: 'avg', field: 'reviews.rating' }] },
+      exampleSchema,
+    );
+    assert.deepEqual(
+      issues.map((i) => [i.path, i.code]),
+      [
+        ['group[0]', 'UNKNOWN_FIELD'],
+        ['aggregate[0].field', 'INVALID_AGGREGATE'],
+      ],
+    );
+    assert.match(issues[1].message, /sum needs a number field, not string field "category"/);
+  });
+
+  test('offset is a non-negative integer; after is a string and needs an order', () => {
+    const order = [{ field: 'id', dir: 'asc' }];
+    assert.deepEqual(paths(validateQuery({ entity: 'users', offset: 10, after: 'abc', order })), []);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', offset: 1.5 })), ['offset']);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', after: '', order })), ['after']);
+    const noOrder = validateQuery({ entity: 'users', after: 'abc' });
+    assert.deepEqual(noOrder.map((i) => i.code), ['INVALID_CURSOR']);
+    assert.match(noOrder[0].message, /needs an order/);
+  });
+
+  test('search is a non-empty array of terms, and the entity must have searchable fields', () => {
+    assert.deepEqual(paths(validateQuery({ entity: 'users', search: ['a', 'b c'] })), []);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', search: [] })), ['search']);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', search: ['a', '', 3] })), ['search[1]', 'search[2]']);
+    const schema = { entities: [{ name: 'posts', searchable: ['title'] }, { name: 'tags' }] };
+    assert.deepEqual(validateQuery({ entity: 'posts', search: ['x'] }, schema), []);
+    const issues = validateQuery({ entity: 'tags', search: ['x'] }, schema);
+    assert.deepEqual(issues.map((i) => [i.path, i.code]), [['search', 'INVALID_SEARCH']]);
+    assert.match(issues[0].message, /Entity "tags" has no searchable fields/);
+  });
+
+  test('params stand for values, list items or whole lists', () => {
+    const schema = { entities: [{ name: 'users', relations: ['posts'], fields: { age: { type: 'number' } } }] };
+    const where = {
+      and: [
+        { field: 'age', op: '>', value: { param: 'min' } },
+        { field: 'age', op: 'in', value: [{ param: 'a' }, 3] },
+        { field: 'age', op: 'not in', value: { param: 'ages' } },
+        { count: 'posts', op: '>', value: { param: 'n' } },
+      ],
+    };
+    assert.deepEqual(validateQuery({ entity: 'users', where }, schema), []);
+    const bad = validateQuery({
+      entity: 'users',
+      where: { or: [{ field: 'a', value: { param: '1x' } }, { field: 'a', value: { param: 'x', type: 'number' } }] },
+    });
+    assert.deepEqual(
+      bad.map((i) => [i.path, i.code]),
+      [['where.or[0].value.param', 'INVALID_VALUE'], ['where.or[1].value.type', 'UNKNOWN_KEY']],
+    );
+  });
+
+  test('filter nodes name a known, valid filter of their entity', () => {
+    const schema = {
+      entities: [{ name: 'users', fields: { age: { type: 'number' } }, filters: { adult: { where: 'age>=18' }, odd: { where: 'size>1' } } }],
+    };
+    assert.deepEqual(validateQuery({ entity: 'users', where: { not: { filter: 'adult' } } }, schema), []);
+    const issues = validateQuery(
+      { entity: 'users', where: { and: [{ filter: 'kids' }, { filter: 'odd' }, { filter: 'adult', name: 'x' }, { filter: '9' }] } },
+      schema,
+    );
+    assert.deepEqual(issues.map((i) => [i.path, i.code]), [
+      ['where.and[2].name', 'UNKNOWN_KEY'],
+      ['where.and[3].filter', 'INVALID_CONDITION'],
+      ['where.and[0].filter', 'UNKNOWN_FILTER'],
+      ['where.and[1].filter', 'INVALID_FILTER'],
+      ['where.and[3].filter', 'UNKNOWN_FILTER'],
+    ]);
+    assert.deepEqual(issues[2].expected, ['adult', 'odd']);
+    assert.match(issues[3].message, /Filter @odd is invalid: Unknown field "size"/);
+  });
+
+  test('select must be a non-empty array of field names', () => {
+    assert.deepEqual(paths(validateQuery({ entity: 'users', select: ['name', 'posts.title'] })), []);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', select: 'name' })), ['select']);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', select: [] })), ['select']);
+    assert.deepEqual(paths(validateQuery({ entity: 'users', select: ['name', '', 3] })), ['select[1]', 'select[2]']);
+  });
+
+  test('schema checks: selected fields follow relations to their target entity', () => {
+    const issues = validateQuery({ entity: 'products', select: ['price', 'reviews.author.status', 'reviews.stars', 'category.name'] }, exampleSchema);
+    assert.deepEqual(paths(issues), ['select[2]', 'select[3]']);
+    assert.match(issues[0].message, /Unknown field "stars"/);
+    assert.match(issues[1].message, /Cannot select "category.name"/);
+  });
+
+  test('include queries check where, order, limit and nested include', () => {
+    assert.deepEqual(paths(validateQuery({ entity: 'products', include: { reviews: { where: { field: 'rating', op: '>=', value: 4 }, limit: 3 } } })), []);
+    assert.deepEqual(
+      paths(
+        validateQuery({
+          entity: 'products',
+          include: { reviews: { where: { field: 'rating', op: 'like', value: 4 }, order: [{ field: 'rating', dir: 'up' }], limit: -1, include: { author: 'x' } } },
+        }),
+      ),
+      ['include.reviews.where.op', 'include.reviews.order[0].dir', 'include.reviews.limit', 'include.reviews.include.author'],
+    );
+    const mixed = validateQuery({ entity: 'products', include: { reviews: { limit: 1, author: true } } });
+    assert.deepEqual(paths(mixed), ['include.reviews.author']);
+    assert.match(mixed[0].message, /under include/);
+  });
+
+  test('schema checks: include queries are checked against the relation target', () => {
+    const include = {
+      reviews: { where: { field: 'stars', op: '>', value: 1 }, include: { author: { where: { field: 'status', op: '=', value: 'gone' } } } },
+      category: { where: { field: 'name', op: '=', value: 'x' } },
+    };
+    const issues = validateQuery({ entity: 'products', include }, exampleSchema);
+    assert.deepEqual(paths(issues), [
+      'include.reviews.where.field',
+      'include.reviews.include.author.where.value',
+      'include.category.where',
+    ]);
+    assert.match(issues[2].message, /no target entity/);
+  });
+
+  test('schema checks: nested includes follow each relation to its target entity', () => {
+    const include = { reviews: { author: { posts: true, nope: true } }, category: { parent: true } };
+    const issues = validateQuery({ entity: 'products', include }, exampleSchema);
+    assert.deepEqual(paths(issues), ['include.reviews.author.nope', 'include.category.parent']);
+    assert.match(issues[0].message, /entity "users"/);
+    assert.match(issues[1].message, /no target entity/);
+  });
+
+  test('comparison checks: field, op, value', () => {
+    const issues = validateQuery({
+      entity: 'users',
+      where: {
+        and: [
+          { field: 'a', op: '==', value: 1 },
+          { field: '', op: '=', value: 1 },
+          { field: 'b', op: '=' },
+          { field: 'c', op: '=', value: { x: 1 } },
+          { field: 'd', op: '=', value: 1, extra: true },
+        ],
+      },
+    });
+    assert.deepEqual(paths(issues), [
+      'where.and[0].op',
+      'where.and[1].field',
+      'where.and[2].value',
+      'where.and[3].value',
+      'where.and[4].extra',
+    ]);
+    assert.match(issues[0].message, /Invalid operator "=="/);
+  });
+
+  test('condition must be a comparison or an and/or node', () => {
+    assert.deepEqual(
+      paths(validateQuery({
+        entity: 'users',
+        where: {
+          or: [
+            {},
+            { and: [], or: [] },
+            { field: 'a', value: 1, and: [] },
+            { and: 'x' },
+            { and: [] },
+            'a=1',
+          ],
+        },
+      })),
+      ['where.or[0]', 'where.or[1]', 'where.or[2]', 'where.or[3].and', 'where.or[4].and', 'where.or[5]'],
+    );
+  });
+
+  test('reports every problem, not only the first', () => {
+    const issues = validateQuery({ limit: -1, order: [{ dir: 'x' }], where: { field: 'a', op: '~' } });
+    assert.deepEqual(paths(issues), ['entity', 'limit', 'order[0].field', 'order[0].dir', 'where.op', 'where.value']);
+  });
+
+  test('schema checks: entity, relations and where fields', () => {
+    assert.deepEqual(paths(validateQuery({ entity: 'nope' }, exampleSchema)), ['entity']);
+    const issues = validateQuery({
+      entity: 'users',
+      include: { posts: true, bogus: true },
+      where: { or: [{ field: 'status', value: 'active' }, { field: 'nope', value: 1 }, { field: 'nah', value: 2 }] },
+    }, exampleSchema);
+    assert.deepEqual(paths(issues), ['include.bogus', 'where.or[1].field', 'where.or[2].field']);
+    assert.match(issues[0].message, /Unknown relation "bogus"/);
+    assert.match(issues[1].message, /Unknown field "nope"/);
+  });
+
+  test('schema checks: dotted where fields follow relations to their target entity', () => {
+    const where = {
+      and: [
+        { field: 'reviews.rating', op: '>=', value: 4 },
+        { field: 'reviews.author.status', value: 'bogus' },
+        { field: 'reviews.nope', value: 1 },
+        { field: 'category.name', value: 'books' },
+        { field: 'nope.name', value: 1 },
+      ],
+    };
+    const issues = validateQuery({ entity: 'products', where }, exampleSchema);
+    assert.deepEqual(paths(issues), ['where.and[1].value', 'where.and[2].field', 'where.and[3].field', 'where.and[4].field']);
+    assert.match(issues[0].message, /"reviews\.author\.status" must be one of/);
+    assert.match(issues[1].message, /Unknown field "nope" for entity "reviews" \(reached through "reviews"\)/);
+    assert.deepEqual(issues[1].expected, ['rating', 'author.']);
+    assert.equal(issues[2].code, 'UNKNOWN_RELATION');
+    assert.match(issues[2].message, /no target entity/);
+    assert.match(issues[3].message, /Unknown field "nope\.name" for entity "products"/);
+  });
+
+  test('relation conditions: shape', () => {
+    const issues = validateQuery({
+      entity: 'products',
+      where: {
+        and: [
+          { exists: '' },
+          { any: { relation: 1 } },
+          { all: 'reviews' },
+          { count: 'reviews', op: '~', value: 'a' },
+          { exists: 'reviews', extra: true },
+        ],
+      },
+    });
+    assert.deepEqual(paths(issues), [
+      'where.and[0].exists',
+      'where.and[1].any.relation',
+      'where.and[1].any.where',
+      'where.and[2].all',
+      'where.and[3].op',
+      'where.and[3].value',
+      'where.and[4].extra',
+    ]);
+  });
+
+  test('schema checks: relation conditions use declared relations and their target entity', () => {
+    const where = {
+      and: [
+        { exists: 'reviews' },
+        { count: 'bogus', op: '>', value: 1 },
+        { any: { relation: 'reviews', where: { field: 'stars', value: 1 } } },
+        { all: { relation: 'category', where: { field: 'name', value: 'x' } } },
+        { any: { relation: 'reviews', where: { any: { relation: 'author', where: { field: 'status', value: 'nope' } } } } },
+      ],
+    };
+    const issues = validateQuery({ entity: 'products', where }, exampleSchema);
+    assert.deepEqual(paths(issues), [
+      'where.and[1].count',
+      'where.and[2].any.where.field',
+      'where.and[3].all.relation',
+      'where.and[4].any.where.any.where.value',
+    ]);
+    assert.equal(issues[0].code, 'UNKNOWN_RELATION');
+    assert.deepEqual(issues[0].expected, ['reviews', 'category']);
+    assert.match(issues[1].message, /Unknown field "stars" for entity "reviews"/);
+    assert.match(issues[2].message, /no target entity/);
+  });
+
+  test('schema checks: values against field type and closed values', () => {
+    const issues = validateQuery({
+      entity: 'users',
+      where: {
+        and: [
+          { field: 'age', op: '=', value: 'abc' },
+          { field: 'status', op: '=', value: 'bogus' },
+          { field: 'verified', op: '>', value: true },
+          { field: 'verified', op: '=', value: 'yes' },
+          { field: 'role', op: '!=', value: 'guest' },
+        ],
+      },
+    }, exampleSchema);
+    assert.deepEqual(paths(issues), ['where.and[0].value', 'where.and[1].value', 'where.and[2].op', 'where.and[3].value']);
+    assert.deepEqual(issues.map((i) => i.code), ['INVALID_VALUE', 'INVALID_VALUE', 'INVALID_OPERATOR', 'INVALID_VALUE']);
+    assert.match(issues[0].message, /"abc" for field "age" must be a number/);
+    assert.deepEqual(issues[0].expected, ['number']);
+    assert.deepEqual(issues[1].expected, ['active', 'pending', 'suspended']);
+    assert.deepEqual(issues[2].expected, ['=', '!=']);
+  });
+
+  test('in / not in need a non-empty list of scalars', () => {
+    assert.deepEqual(validateQuery({ entity: 'users', where: { field: 'a', op: 'in', value: [1, 'x', true] } }), []);
+    const issues = validateQuery({
+      entity: 'users',
+      where: {
+        and: [
+          { field: 'a', op: 'in', value: [] },
+          { field: 'a', op: 'not in', value: 'x' },
+          { field: 'a', op: 'in', value: [1, null] },
+          { field: 'a', op: '=', value: [1] },
+        ],
+      },
+    });
+    assert.deepEqual(paths(issues), ['where.and[0].value', 'where.and[1].value', 'where.and[2].value[1]', 'where.and[3].value']);
+    assert.match(issues[3].message, /"in" or "not in"/);
+  });
+
+  test('text operators need a string value, and a string field with a schema', () => {
+    assert.deepEqual(paths(validateQuery({ entity: 'users', where: { field: 'a', op: 'contains', value: 1 } })), ['where.value']);
+    const issues = validateQuery({
+      entity: 'users',
+      where: {
+        and: [
+          { field: 'status', op: 'startsWith', value: 'bog' },
+          { field: 'age', op: 'endsWith', value: '1' },
+          { field: 'verified', op: 'ieq', value: 'TRUE' },
+        ],
+      },
+    }, exampleSchema);
+    assert.deepEqual(paths(issues), ['where.and[1].op', 'where.and[2].op']);
+    assert.equal(issues[0].code, 'INVALID_OPERATOR');
+  });
+
+  test('is null / is not null take no value, and null is not a value', () => {
+    assert.deepEqual(validateQuery({ entity: 'users', where: { field: 'a', op: 'is not null' } }), []);
+    const issues = validateQuery({
+      entity: 'users',
+      where: { and: [{ field: 'a', op: 'is null', value: null }, { field: 'a', op: '=', value: null }] },
+    });
+    assert.deepEqual(paths(issues), ['where.and[0].value', 'where.and[1].value']);
+    assert.match(issues[1].message, /use "is null"/);
+  });
+
+  test('date and datetime values must be ISO 8601, even without strictTypes', () => {
+    const schema = { entities: [{ name: 'events', fields: { day: { type: 'date' }, at: { type: 'datetime' } } }] };
+    const where = (field, value) => ({ entity: 'events', where: { field, op: '>', value } });
+    for (const [field, value] of [['day', '2024-01-31'], ['at', '2024-01-31'], ['at', '2024-01-31T10:00:00+02:00']]) {
+      assert.deepEqual(validateQuery(where(field, value), schema), [], `${field} ${value}`);
+    }
+    for (const [field, value] of [['day', '2024-01-31T10:00:00Z'], ['day', '2024-13-01'], ['at', '2024-02-30T10:00'], ['at', 'today'], ['at', 1]]) {
+      assert.deepEqual(paths(validateQuery(where(field, value), schema)), ['where.value'], `${field} ${value}`);
+    }
+  });
+
+  test('null checks need a nullable field with a schema', () => {
+    assert.deepEqual(validateQuery({ entity: 'users', where: { field: 'age', op: 'is null' } }, exampleSchema), []);
+    const issues = validateQuery({ entity: 'users', where: { field: 'role', op: 'is null' } }, exampleSchema);
+    assert.deepEqual(paths(issues), ['where.op']);
+    assert.equal(issues[0].code, 'INVALID_OPERATOR');
+  });
+
+  test('not wraps exactly one condition, which is checked as usual', () => {
+    assert.deepEqual(validateQuery({ entity: 'users', where: { not: { field: 'a', value: 1 } } }), []);
+    const issues = validateQuery({
+      entity: 'users',
+      where: { and: [{ not: [] }, { not: { field: 'a', op: '<' } }, { not: { field: 'a', value: 1 }, or: [] }] },
+    });
+    assert.deepEqual(paths(issues), ['where.and[0].not', 'where.and[1].not.value', 'where.and[2]']);
+    assert.deepEqual(
+      paths(validateQuery({ entity: 'users', where: { not: { field: 'nope', value: 1 } } }, exampleSchema)),
+      ['where.not.field'],
+    );
+  });
+
+  test('schema checks apply to each list item', () => {
+    const issues = validateQuery({
+      entity: 'users',
+      where: { or: [{ field: 'status', op: 'in', value: ['active', 'bogus'] }, { field: 'age', op: 'not in', value: [1, 'x'] }] },
+    }, exampleSchema);
+    assert.deepEqual(paths(issues), ['where.or[0].value[1]', 'where.or[1].value[1]']);
+  });
+
+  test('values that convert cleanly are accepted unless strictTypes is set', () => {
+    const query = {
+      entity: 'users',
+      where: { and: [{ field: 'age', op: '>', value: '42' }, { field: 'verified', op: '=', value: 'true' }] },
+    };
+    assert.deepEqual(validateQuery(query, exampleSchema), []);
+    const issues = validateQuery(query, exampleSchema, { strictTypes: true });
+    assert.deepEqual(paths(issues), ['where.and[0].value', 'where.and[1].value']);
+    assert.deepEqual(issues[1].expected, ['boolean']);
+  });
+
+  test('open values lists are only suggestions', () => {
+    const schema = { entities: [{ name: 'tags', fields: { label: { type: 'string', values: ['red'] } } }] };
+    assert.deepEqual(validateQuery({ entity: 'tags', where: { field: 'label', value: 'blue' } }, schema), []);
+  });
+
+  test('schema and shape problems are reported together', () => {
+    const issues = validateQuery({ entity: 'users', limit: 'ten', where: { field: 'nope', op: '=', value: 1 } }, exampleSchema);
+    assert.deepEqual(paths(issues), ['limit', 'where.field']);
+  });
+
+});
@@ -0,0 +1,949 @@
+/**
+ * Validator for canonical RQL JSON (SPEC.md): shape checks plus optional schema checks.
+ */
+
+import { isDateValue } from "./dates.js";
+import { resolveFilter } from "./filters.js";
+import {
+  AGGREGATE_FNS,
+  INCLUDE_QUERY_KEYS,
+  LIST_OPS,
+  FILTER_NAME,
+  NULL_OPS,
+  OPS,
+  PARAM_NAME,
+  TEXT_OPS,
+  aggregateName,
+  includeQuery,
+  isIncludeQuery,
+  isParam,
+} from "./parse.js";
+import type { RQLAggregate, RQLCondition, RQLInclude, RQLParam, RQLQuery, RQLScalar } from "./parse.js";
+import { followFieldPath, getRelations, relationTarget } from "./schema.js";
+import type { EntityDef, FieldDef, Schema } from "./schema.js";
+
+/** Machine-readable ValidationIssue codes. */
+export type ValidationCode =
+  | "INVALID_QUERY"
+  | "UNKNOWN_KEY"
+  | "MISSING_ENTITY"
+  | "INVALID_SEARCH"
+  | "INVALID_SELECT"
+  | "INVALID_GROUP"
+  | "INVALID_AGGREGATE"
+  | "INVALID_LIMIT"
+  | "INVALID_OFFSET"
+  | "INVALID_CURSOR"
+  | "INVALID_ORDER"
+  | "INVALID_INCLUDE"
+  | "INVALID_CONDITION"
+  | "INVALID_OPERATOR"
+  | "INVALID_VALUE"
+  | "UNKNOWN_ENTITY"
+  | "UNKNOWN_RELATION"
+  | "UNKNOWN_FIELD"
+  | "UNKNOWN_FILTER"
+  | "INVALID_FILTER";
+
+/** One problem found in an RQL JSON query. */
+export interface ValidationIssue {
+  /** Location of the problem, e.g. `where.and[1].op`. Empty string for the query itself. */
+  path: string;
+  code: ValidationCode;
+  message: string;
+  /** Valid alternatives at `path`, when there is a known list (e.g. field names). */
+  expected?: string[];
+}
+
+/** Options for validateQuery and schema validation in the parser. */
+export interface ValidateOptions {
+  /**
+   * When true, a comparison value must already have its field's declared type, so
+   * `"42"` on a number field is an issue. By default values that convert cleanly
+   * (`"42"` → 42, `"true"` → true, 42 → `"42"` on a string field) are accepted, and
+   * the parser converts them.
+   */
+  strictTypes?: boolean;
+}
+
+const QUERY_KEYS = ["entity", "search", "select", "group", "aggregate", "limit", "offset", "after", "order", "include", "where"];
+
+type JsonObject = Record<string, unknown>;
+
+function isObject(v: unknown): v is JsonObject {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+/** Append an object key or array index to a validation path. */
+export function joinPath(path: string, key: string | number): string {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function typeName(v: unknown): string {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+/** Check a parameter's name: letters, digits and underscores, not starting with a digit. */
+function checkParam(param: RQLParam, path: string, issues: ValidationIssue[]): void {
+  for (const key of Object.keys(param)) {
+    if (key !== "param") issues.push({ path: joinPath(path, key), code: "UNKNOWN_KEY", message: `Unknown param key "${key}"` });
+  }
+  if (typeof param.param !== "string" || !PARAM_NAME.test(param.param)) {
+    issues.push({
+      path: joinPath(path, "param"),
+      code: "INVALID_VALUE",
+      message: "param must be a name of letters, digits and underscores, not starting with a digit",
+    });
+  }
+}
+
+/** Check that a comparison value (or list item) is a string, boolean, finite number or parameter. */
+function checkScalar(value: unknown, path: string, issues: ValidationIssue[]): void {
+  if (isParam(value)) {
+    checkParam(value, path, issues);
+  } else if (!["string", "number", "boolean"].includes(typeof value)) {
+    const hint = value === null ? '; use "is null" / "is not null" to check for null' : "";
+    issues.push({
+      path,
+      code: "INVALID_VALUE",
+      message: `value must be a string, number or boolean, got ${typeName(value)}${hint}`,
+    });
+  } else if (typeof value === "number" && !Number.isFinite(value)) {
+    issues.push({ path, code: "INVALID_VALUE", message: "value must be a finite number" });
+  }
+}
+
+/** Keys of the conditions on a relation's records. */
+const RELATION_KEYS = ["exists", "any", "all", "count"];
+
+/** Check an exists / any / all / count node; `key` is the one it has. */
+function checkRelationCondition(
+  cond: JsonObject,
+  key: string,
+  path: string,
+  issues: ValidationIssue[],
+): void {
+  const allowed = key === "count" ? ["count", "op", "value"] : [key];
+  for (const k of Object.keys(cond)) {
+    if (!allowed.includes(k)) {
+      issues.push({ path: joinPath(path, k), code: "UNKNOWN_KEY", message: `Unknown ${key} key "${k}"` });
+    }
+  }
+  const keyPath = joinPath(path, key);
+  const isName = (v: unknown): boolean => typeof v === "string" && v !== "";
+
+  if (key === "any" || key === "all") {
+    const quantifier = cond[key];
+    if (!isObject(quantifier)) {
+      issues.push({
+        path: keyPath,
+        code: "INVALID_CONDITION",
+        message: `"${key}" must be an object with relation and where, got ${typeName(quantifier)}`,
+      });
+      return;
+    }
+    for (const k of Object.keys(quantifier)) {
+      if (k !== "relation" && k !== "where") {
+        issues.push({ path: joinPath(keyPath, k), code: "UNKNOWN_KEY", message: `Unknown ${key} key "${k}"` });
+      }
+    }
+    if (!isName(quantifier.relation)) {
+      issues.push({ path: joinPath(keyPath, "relation"), code: "INVALID_CONDITION", message: "relation must be a non-empty string" });
+    }
+    if (!("where" in quantifier)) {
+      issues.push({ path: joinPath(keyPath, "where"), code: "INVALID_CONDITION", message: `"${key}" needs a where condition` });
+    } else {
+      checkCondition(quantifier.where, joinPath(keyPath, "where"), issues);
+    }
+    return;
+  }
+
+  if (!isName(cond[key])) {
+    issues.push({ path: keyPath, code: "INVALID_CONDITION", message: `"${key}" must be a relation name (a non-empty string)` });
+  }
+  if (key === "exists") return;
+  if ("op" in cond && !(OPS as readonly unknown[]).includes(cond.op)) {
+    issues.push({
+      path: joinPath(path, "op"),
+      code: "INVALID_OPERATOR",
+      message: `Invalid operator ${JSON.stringify(cond.op)} for count. Valid operators: ${OPS.join(", ")}`,
+      expected: [...OPS],
+    });
+  }
+  const valuePath = joinPath(path, "value");
+  if (!("value" in cond)) {
+    issues.push({ path: valuePath, code: "INVALID_VALUE", message: "value is required" });
+  } else if (isParam(cond.value)) {
+    checkParam(cond.value, valuePath, issues);
+  } else if (typeof cond.value !== "number" || !Number.isFinite(cond.value)) {
+    issues.push({
+      path: valuePath,
+      code: "INVALID_VALUE",
+      message: `value for count must be a finite number, got ${typeName(cond.value)}`,
+      expected: ["number"],
+    });
+  }
+}
+
+function checkCondition(
+  cond: unknown,
+  path: string,
+  issues: ValidationIssue[],
+): void {
+  if (!isObject(cond)) {
+    issues.push({ path, code: "INVALID_CONDITION", message: `Condition must be an object, got ${typeName(cond)}` });
+    return;
+  }
+  const logic = ["and", "or", "not", ...RELATION_KEYS, "filter"].filter((k) => k in cond);
+  // count nodes compare with op and value too
+  const isComparison =
+    "field" in cond || (logic[0] !== "count" && ("op" in cond || "value" in cond));
+
+  if (logic.length > 0) {
+    if (logic.length > 1 || isComparison) {
+      issues.push({
+        path,
+        code: "INVALID_CONDITION",
+        message: "Condition must be either a comparison or a single and/or/not/exists/any/all/count/filter node",
+      });
+      return;
+    }
+    const key = logic[0];
+    if (key === "filter") {
+      for (const k of Object.keys(cond)) {
+        if (k !== "filter") issues.push({ path: joinPath(path, k), code: "UNKNOWN_KEY", message: `Unknown filter key "${k}"` });
+      }
+      if (typeof cond.filter !== "string" || !FILTER_NAME.test(cond.filter)) {
+        issues.push({
+          path: joinPath(path, "filter"),
+          code: "INVALID_CONDITION",
+          message: "filter must be a name of letters, digits and underscores, not starting with a digit",
+        });
+      }
+      return;
+    }
+    if (RELATION_KEYS.includes(key)) {
+      checkRelationCondition(cond, key, path, issues);
+      return;
+    }
+    if (key === "not") {
+      checkCondition(cond.not, joinPath(path, "not"), issues);
+      return;
+    }
+    const children = cond[key];
+    const childrenPath = joinPath(path, key);
+    if (!Array.isArray(children)) {
+      issues.push({ path: childrenPath, code: "INVALID_CONDITION", message: `"${key}" must be an array of conditions` });
+      return;
+    }
+    if (children.length === 0) {
+      issues.push({ path: childrenPath, code: "INVALID_CONDITION", message: `"${key}" must contain at least one condition` });
+    }
+    children.forEach((c, i) => checkCondition(c, joinPath(childrenPath, i), issues));
+    return;
+  }
+
+  if (!isComparison) {
+    issues.push({
+      path,
+      code: "INVALID_CONDITION",
+      message: "Condition must be a comparison (field, op, value), an and/or/not node or a relation condition",
+    });
+    return;
+  }
+  for (const key of Object.keys(cond)) {
+    if (key !== "field" && key !== "op" && key !== "value") {
+      issues.push({ path: joinPath(path, key), code: "UNKNOWN_KEY", message: `Unknown comparison key "${key}"` });
+    }
+  }
+  if (typeof cond.field !== "string" || cond.field === "") {
+    issues.push({ path: joinPath(path, "field"), code: "INVALID_CONDITION", message: "field must be a non-empty string" });
+  }
+  // Built here rather than at module level: parse.js and this module import each other
+  const ALL_OPS: readonly string[] = [...OPS, ...LIST_OPS, ...TEXT_OPS, ...NULL_OPS];
+  if (
+    "op" in cond &&
+    !ALL_OPS.includes(cond.op as string)
+  ) {
+    issues.push({
+      path: joinPath(path, "op"),
+      code: "INVALID_OPERATOR",
+      message: `Invalid operator ${JSON.stringify(cond.op)}. Valid operators: ${ALL_OPS.join(", ")}`,
+      expected: [...ALL_OPS],
+    });
+  }
+  const valuePath = joinPath(path, "value");
+  const isList = (LIST_OPS as readonly unknown[]).includes(cond.op);
+  if ((NULL_OPS as readonly unknown[]).includes(cond.op)) {
+    if ("value" in cond) {
+      issues.push({ path: valuePath, code: "INVALID_VALUE", message: `"${cond.op}" takes no value` });
+    }
+  } else if (!("value" in cond)) {
+    issues.push({ path: valuePath, code: "INVALID_VALUE", message: "value is required" });
+  } else if (isList) {
+    if (isParam(cond.value)) {
+      // A parameter for the whole list
+      checkParam(cond.value, valuePath, issues);
+    } else if (!Array.isArray(cond.value) || cond.value.length === 0) {
+      issues.push({
+        path: valuePath,
+        code: "INVALID_VALUE",
+        message: `value for "${cond.op}" must be a non-empty array, got ${typeName(cond.value)}`,
+      });
+    } else {
+      cond.value.forEach((v, i) => checkScalar(v, joinPath(valuePath, i), issues));
+    }
+  } else if (Array.isArray(cond.value)) {
+    issues.push({
+      path: valuePath,
+      code: "INVALID_VALUE",
+      message: `array values need the "in" or "not in" operator, not ${JSON.stringify(cond.op ?? "=")}`,
+    });
+  } else if (
+    (TEXT_OPS as readonly unknown[]).includes(cond.op) &&
+    typeof cond.value !== "string" &&
+    !isParam(cond.value)
+  ) {
+    issues.push({
+      path: valuePath,
+      code: "INVALID_VALUE",
+      message: `value for "${cond.op}" must be a string, got ${typeName(cond.value)}`,
+    });
+  } else {
+    checkScalar(cond.value, valuePath, issues);
+  }
+}
+
+function checkSelect(select: unknown, issues: ValidationIssue[]): void {
+  if (!Array.isArray(select) || select.length === 0) {
+    issues.push({ path: "select", code: "INVALID_SELECT", message: "select must be a non-empty array of field names" });
+    return;
+  }
+  select.forEach((field, i) => {
+    if (typeof field !== "string" || field === "") {
+      issues.push({ path: joinPath("select", i), code: "INVALID_SELECT", message: "select field must be a non-empty string" });
+    }
+  });
+}
+
+function checkGroup(group: unknown, issues: ValidationIssue[]): void {
+  if (!Array.isArray(group) || group.length === 0) {
+    issues.push({ path: "group", code: "INVALID_GROUP", message: "group must be a non-empty array of field names" });
+    return;
+  }
+  group.forEach((field, i) => {
+    const path = joinPath("group", i);
+    if (typeof field !== "string" || field === "") {
+      issues.push({ path, code: "INVALID_GROUP", message: "group field must be a non-empty string" });
+    } else if (group.indexOf(field) !== i) {
+      issues.push({ path, code: "INVALID_GROUP", message: `Duplicate group field "${field}"` });
+    }
+  });
+}
+
+function checkAggregate(aggregate: unknown, issues: ValidationIssue[]): void {
+  if (!Array.isArray(aggregate) || aggregate.length === 0) {
+    issues.push({ path: "aggregate", code: "INVALID_AGGREGATE", message: "aggregate must be a non-empty array of aggregates" });
+    return;
+  }
+  const names: string[] = [];
+  aggregate.forEach((item, i) => {
+    const path = joinPath("aggregate", i);
+    if (!isObject(item)) {
+      issues.push({ path, code: "INVALID_AGGREGATE", message: `Aggregate must be an object with fn and field, got ${typeName(item)}` });
+      return;
+    }
+    for (const key of Object.keys(item)) {
+      if (key !== "fn" && key !== "field") {
+        issues.push({ path: joinPath(path, key), code: "UNKNOWN_KEY", message: `Unknown aggregate key "${key}"` });
+      }
+    }
+    const fns: readonly unknown[] = AGGREGATE_FNS;
+    if (!fns.includes(item.fn)) {
+      issues.push({
+        path: joinPath(path, "fn"),
+        code: "INVALID_AGGREGATE",
+        message: `Invalid aggregate function ${JSON.stringify(item.fn)}. Valid functions: ${AGGREGATE_FNS.join(", ")}`,
+        expected: [...AGGREGATE_FNS],
+      });
+      return;
+    }
+    if (item.fn === "count") {
+      if ("field" in item) {
+        issues.push({ path: joinPath(path, "field"), code: "INVALID_AGGREGATE", message: "count takes no field: it counts results" });
+        return;
+      }
+    } else if (typeof item.field !== "string" || item.field === "") {
+      issues.push({ path: joinPath(path, "field"), code: "INVALID_AGGREGATE", message: `${item.fn} needs a field (a non-empty string)` });
+      return;
+    }
+    const name = aggregateName(item as unknown as RQLAggregate);
+    if (names.includes(name)) {
+      issues.push({ path, code: "INVALID_AGGREGATE", message: `Duplicate aggregate ${name}` });
+    }
+    names.push(name);
+  });
+}
+
+/**
+ * A grouped query (`group` or `aggregate`) returns one row per group with the group
+ * fields and aggregates, so it cannot also select fields, include relations or start
+ * after a cursor, and its order terms must name a group field or an aggregate.
+ * Tolerates malformed input, like checkAgainstSchema.
+ */
+export function checkGrouping(rql: RQLQuery): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+  if (rql.group === undefined && rql.aggregate === undefined) return issues;
+  const conflict = (key: string, code: ValidationCode, reason: string): void => {
+    if (key in rql) {
+      issues.push({ path: key, code, message: `${key} cannot be combined with group or aggregate: ${reason}` });
+    }
+  };
+  conflict("select", "INVALID_SELECT", "grouped results have only the group fields and aggregates");
+  conflict("include", "INVALID_INCLUDE", "grouped results have no related entities");
+  conflict("after", "INVALID_CURSOR", "use offset to page through grouped results");
+
+  const names = [
+    ...(Array.isArray(rql.group) ? rql.group.filter((f) => typeof f === "string") : []),
+    ...(Array.isArray(rql.aggregate)
+      ? rql.aggregate.filter((a) => isObject(a) && typeof a.fn === "string").map(aggregateName)
+      : []),
+  ];
+  if (!Array.isArray(rql.order)) return issues;
+  rql.order.forEach((term, i) => {
+    if (!isObject(term) || typeof term.field !== "string" || names.includes(term.field)) return;
+    issues.push({
+      path: joinPath(joinPath("order", i), "field"),
+      code: "INVALID_ORDER",
+      message: `Cannot order grouped results by "${term.field}": order by a group field or an aggregate (${names.join(", ")})`,
+      expected: names,
+    });
+  });
+  return issues;
+}
+
+function checkLimit(limit: unknown, path: string, issues: ValidationIssue[]): void {
+  if (typeof limit !== "number" || !Number.isInteger(limit) || limit < 0) {
+    issues.push({ path, code: "INVALID_LIMIT", message: "limit must be a non-negative integer" });
+  }
+}
+
+function checkOrder(order: unknown, path: string, issues: ValidationIssue[]): void {
+  if (!Array.isArray(order)) {
+    issues.push({ path, code: "INVALID_ORDER", message: "order must be an array of sort terms" });
+    return;
+  }
+  order.forEach((term, i) => {
+    const termPath = joinPath(path, i);
+    if (!isObject(term)) {
+      issues.push({ path: termPath, code: "INVALID_ORDER", message: "Sort term must be an object with field and dir" });
+      return;
+    }
+    for (const key of Object.keys(term)) {
+      if (key !== "field" && key !== "dir") {
+        issues.push({ path: joinPath(termPath, key), code: "INVALID_ORDER", message: `Unknown sort term key "${key}"` });
+      }
+    }
+    if (typeof term.field !== "string" || term.field === "") {
+      issues.push({ path: joinPath(termPath, "field"), code: "INVALID_ORDER", message: "field must be a non-empty string" });
+    }
+    if ("dir" in term && term.dir !== "asc" && term.dir !== "desc") {
+      issues.push({ path: joinPath(termPath, "dir"), code: "INVALID_ORDER", message: 'dir must be "asc" or "desc"' });
+    }
+  });
+}
+
+/** Include values are booleans, nested includes, or include queries with where/order/limit/include. */
+function checkInclude(include: JsonObject, path: string, issues: ValidationIssue[]): void {
+  for (const [rel, v] of Object.entries(include)) {
+    const relPath = joinPath(path, rel);
+    if (typeof v === "boolean") continue;
+    if (!isObject(v)) {
+      issues.push({ path: relPath, code: "INVALID_INCLUDE", message: `include value must be a boolean or an object, got ${typeName(v)}` });
+      continue;
+    }
+    if (!isIncludeQuery(v)) {
+      checkInclude(v, relPath, issues);
+      continue;
+    }
+    const keys: readonly string[] = INCLUDE_QUERY_KEYS;
+    for (const key of Object.keys(v)) {
+      if (!keys.includes(key)) {
+        issues.push({
+          path: joinPath(relPath, key),
+          code: "UNKNOWN_KEY",
+          message: `Unknown include query key "${key}" (valid keys: ${keys.join(", ")}); nested relations go under include`,
+        });
+      }
+    }
+    if ("where" in v) checkCondition(v.where, joinPath(relPath, "where"), issues);
+    if ("order" in v) checkOrder(v.order, joinPath(relPath, "order"), issues);
+    if ("limit" in v) checkLimit(v.limit, joinPath(relPath, "limit"), issues);
+    if ("include" in v) {
+      if (isObject(v.include)) {
+        checkInclude(v.include, joinPath(relPath, "include"), issues);
+      } else {
+        issues.push({ path: joinPath(relPath, "include"), code: "INVALID_INCLUDE", message: `include must be an object, got ${typeName(v.include)}` });
+      }
+    }
+  }
+}
+
+function checkShape(json: JsonObject, issues: ValidationIssue[]): void {
+  for (const key of Object.keys(json)) {
+    if (!QUERY_KEYS.includes(key)) {
+      issues.push({
+        path: key,
+        code: "UNKNOWN_KEY",
+        message: `Unknown top-level key "${key}". Valid keys: ${QUERY_KEYS.join(", ")}`,
+      });
+    }
+  }
+
+  if (!("entity" in json)) {
+    issues.push({ path: "entity", code: "MISSING_ENTITY", message: "entity is required" });
+  } else if (typeof json.entity !== "string" || json.entity === "") {
+    issues.push({ path: "entity", code: "MISSING_ENTITY", message: "entity must be a non-empty string" });
+  }
+
+  if ("search" in json) {
+    if (!Array.isArray(json.search) || json.search.length === 0) {
+      issues.push({ path: "search", code: "INVALID_SEARCH", message: "search must be a non-empty array of search terms" });
+    } else {
+      json.search.forEach((term, i) => {
+        if (typeof term !== "string" || !term.trim()) {
+          issues.push({ path: joinPath("search", i), code: "INVALID_SEARCH", message: "search term must be a non-empty string" });
+        }
+      });
+    }
+  }
+  if ("select" in json) checkSelect(json.select, issues);
+  if ("group" in json) checkGroup(json.group, issues);
+  if ("aggregate" in json) checkAggregate(json.aggregate, issues);
+  if ("limit" in json) checkLimit(json.limit, "limit", issues);
+  if ("offset" in json && (typeof json.offset !== "number" || !Number.isInteger(json.offset) || json.offset < 0)) {
+    issues.push({ path: "offset", code: "INVALID_OFFSET", message: "offset must be a non-negative integer" });
+  }
+  if ("after" in json) {
+    if (typeof json.after !== "string" || json.after === "") {
+      issues.push({ path: "after", code: "INVALID_CURSOR", message: "after must be a non-empty cursor string" });
+    } else if (!Array.isArray(json.order) || json.order.length === 0) {
+      issues.push({ path: "after", code: "INVALID_CURSOR", message: "after needs an order: a cursor continues from a position in that order" });
+    }
+  }
+  if ("order" in json) checkOrder(json.order, "order", issues);
+  if ("include" in json) {
+    if (!isObject(json.include)) {
+      issues.push({ path: "include", code: "INVALID_INCLUDE", message: "include must be an object of relation names to booleans, nested includes or include queries" });
+    } else {
+      checkInclude(json.include, "include", issues);
+    }
+  }
+
+  if ("where" in json) checkCondition(json.where, "where", issues);
+  issues.push(...checkGrouping(json as RQLQuery));
+}
+
+const ORDERING_OPS = ["<", ">", "<=", ">="];
+
+/**
+ * Convert a comparison value to a field type, or return undefined if it does not
+ * convert cleanly. Values that already have the type are returned as is.
+ */
+export function coerceValue(value: unknown, type: FieldDef["type"]): unknown {
+  switch (type) {
+    case "number":
+      if (typeof value === "number") return value;
+      if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+      return undefined;
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (typeof value === "string" && /^(?:true|false)$/i.test(value)) {
+        return value.toLowerCase() === "true";
+      }
+      return undefined;
+    case "string":
+      if (typeof value === "string") return value;
+      if (typeof value === "number" || typeof value === "boolean") return String(value);
+      return undefined;
+    case "date":
+    case "datetime":
+      return typeof value === "string" && isDateValue(value, type) ? value : undefined;
+    default:
+      return value;
+  }
+}
+
+/** Check one comparison's operator and value against the field definition. */
+function checkComparisonValue(
+  cond: RQLCondition,
+  path: string,
+  def: FieldDef,
+  options: ValidateOptions,
+  issues: ValidationIssue[],
+): void {
+  const op = cond.op ?? "=";
+  if ((NULL_OPS as readonly string[]).includes(op)) {
+    if (!def.nullable) {
+      issues.push({
+        path: joinPath(path, "op"),
+        code: "INVALID_OPERATOR",
+        message: `Operator "${op}" cannot be used on field "${cond.field}", which is not nullable`,
+        expected: [...OPS, ...LIST_OPS],
+      });
+    }
+    return;
+  }
+  if ((TEXT_OPS as readonly string[]).includes(op)) {
+    // A partial match says nothing about closed values, so only the type matters
+    if (def.type && def.type !== "string") {
+      issues.push({
+        path: joinPath(path, "op"),
+        code: "INVALID_OPERATOR",
+        message: `Operator "${op}" can only be used on string fields, not ${def.type} field "${cond.field}"`,
+        expected: [...OPS, ...LIST_OPS],
+      });
+    }
+    return;
+  }
+  if (def.type === "boolean" && ORDERING_OPS.includes(op)) {
+    issues.push({
+      path: joinPath(path, "op"),
+      code: "INVALID_OPERATOR",
+      message: `Operator "${op}" cannot be used on boolean field "${cond.field}"`,
+      expected: ["=", "!="],
+    });
+  }
+
+  const field = cond.field as string;
+  const valuePath = joinPath(path, "value");
+  if (Array.isArray(cond.value)) {
+    cond.value.forEach((v, i) =>
+      checkFieldValue(v, joinPath(valuePath, i), field, def, options, issues),
+    );
+  } else {
+    checkFieldValue(cond.value, valuePath, field, def, options, issues);
+  }
+}
+
+/** Check one value (or list item) against the field's type and closed values. */
+function checkFieldValue(
+  value: unknown,
+  path: string,
+  field: string,
+  def: FieldDef,
+  options: ValidateOptions,
+  issues: ValidationIssue[],
+): void {
+  if (!["string", "number", "boolean"].includes(typeof value)) return;
+  if (def.type === "date" || def.type === "datetime") {
+    // Dates have no other form to convert from, so strictTypes makes no difference
+    if (coerceValue(value, def.type) === undefined) {
+      issues.push({
+        path,
+        code: "INVALID_VALUE",
+        message: `Value ${JSON.stringify(value)} for field "${field}" must be an ISO 8601 ${def.type}`,
+        expected: [def.type],
+      });
+      return;
+    }
+  } else if (def.type && typeof value !== def.type) {
+    const coerced = options.strictTypes ? undefined : coerceValue(value, def.type);
+    if (coerced === undefined) {
+      issues.push({
+        path,
+        code: "INVALID_VALUE",
+        message: `Value ${JSON.stringify(value)} for field "${field}" must be a ${def.type}`,
+        expected: [def.type],
+      });
+      return;
+    }
+    value = coerced;
+  }
+
+  if (def.closed && def.values && !def.values.includes(String(value as RQLScalar))) {
+    issues.push({
+      path,
+      code: "INVALID_VALUE",
+      message: `Value ${JSON.stringify(value)} for field "${field}" must be one of: ${def.values.join(", ")}`,
+      expected: [...def.values],
+    });
+  }
+}
+
+/**
+ * Check a where field against the schema, following a dotted path (`customer.tier`)
+ * through relation targets, then check the comparison against the field it ends at.
+ * Entities that declare no fields are not checked.
+ */
+function checkFieldPath(
+  cond: RQLCondition,
+  path: string,
+  root: EntityDef,
+  schema: Schema,
+  options: ValidateOptions,
+  issues: ValidationIssue[],
+): void {
+  const def = resolveField(cond.field as string, joinPath(path, "field"), "filter by", root, schema, issues);
+  if (def) checkComparisonValue(cond, path, def, options, issues);
+}
+
+/**
+ * The definition of a field or dotted field path (`customer.tier`), followed through
+ * relation targets. Reports an unknown field at `path` (`action` says what it was used
+ * for) and returns undefined; also undefined when the entity reached declares no fields.
+ */
+function resolveField(
+  field: string,
+  path: string,
+  action: string,
+  root: EntityDef,
+  schema: Schema,
+  issues: ValidationIssue[],
+): FieldDef | undefined {
+  const { relations, entity, field: rest } = followFieldPath(schema, root, field);
+  const fields = entity.fields;
+  if (!fields) return undefined;
+  if (Object.prototype.hasOwnProperty.call(fields, rest)) return fields[rest];
+  const relation = rest.includes(".")
+    ? getRelations(entity).find((r) => r.name === rest.slice(0, rest.indexOf(".")))
+    : undefined;
+  if (relation) {
+    issues.push({
+      path,
+      code: "UNKNOWN_RELATION",
+      message: `Cannot ${action} "${field}": relation "${relation.name}" of entity "${entity.name}" has no target entity in the schema`,
+    });
+    return undefined;
+  }
+  const known = Object.keys(fields);
+  const where = relations.length > 0 ? ` (reached through "${field.slice(0, -rest.length - 1)}")` : "";
+  issues.push({
+    path,
+    code: "UNKNOWN_FIELD",
+    message: `Unknown field "${rest}" for entity "${entity.name}"${where}. Known fields: ${known.join(", ")}`,
+    expected: [
+      ...known,
+      ...getRelations(entity)
+        .filter((r) => schema.entities.some((e) => e.name === r.target))
+        .map((r) => `${r.name}.`),
+    ],
+  });
+  return undefined;
+}
+
+/**
+ * Check a query against a schema: entity exists (and has searchable fields when searched),
+ * selected and group fields exist (through relation targets for dotted paths), aggregated
+ * fields exist and are number fields (when typed), included relations exist on the
+ * entity (and nested ones, and the where fields of include queries, on each relation's
+ * target entity), where fields exist on the
+ * entity or, for dotted paths, on the entity reached through its relations, relations
+ * in exists/any/all/count are declared (with conditions inside any/all checked against
+ * the target entity), and comparison values fit the field's type and closed `values`. Tolerates malformed input; parts that are not
+ * well-formed are skipped (see validateQuery for shape checks).
+ */
+export function checkAgainstSchema(
+  rql: RQLQuery,
+  schema: Schema,
+  options: ValidateOptions = {},
+): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+  if (!schema?.entities?.length) return issues;
+
+  const entityNames = new Set(schema.entities.map((e) => e.name));
+  if (typeof rql.entity === "string" && rql.entity && !entityNames.has(rql.entity)) {
+    issues.push({
+      path: "entity",
+      code: "UNKNOWN_ENTITY",
+      message: `Unknown entity "${rql.entity}". Known entities: ${[...entityNames].join(", ")}`,
+      expected: [...entityNames],
+    });
+  }
+
+  const entityDef = schema.entities.find((e) => e.name === rql.entity);
+  if (!entityDef) return issues;
+
+  /** Whether `relation` is declared on `entity`; reports it at `path` if not. */
+  const checkRelation = (relation: string, entity: EntityDef, path: string): boolean => {
+    const allowed = getRelations(entity).map((r) => r.name);
+    if (allowed.includes(relation)) return true;
+    issues.push({
+      path,
+      code: "UNKNOWN_RELATION",
+      message: `Unknown relation "${relation}" for entity "${entity.name}". Known relations: ${allowed.join(", ")}`,
+      expected: allowed,
+    });
+    return false;
+  };
+
+  /** Check that `entity` has the filter `name` and that its definition is valid. */
+  const checkFilter = (name: string, entity: EntityDef, path: string): void => {
+    const known = Object.keys(entity.filters ?? {});
+    if (!Object.prototype.hasOwnProperty.call(entity.filters ?? {}, name)) {
+      issues.push({
+        path,
+        code: "UNKNOWN_FILTER",
+        message: known.length
+          ? `Unknown filter @${name} for entity "${entity.name}". Known filters: ${known.map((f) => `@${f}`).join(", ")}`
+          : `Unknown filter @${name}: entity "${entity.name}" has no filters`,
+        expected: known,
+      });
+      return;
+    }
+    let where: RQLCondition;
+    try {
+      where = resolveFilter(schema, entity, name, options);
+    } catch (err) {
+      issues.push({ path, code: "INVALID_FILTER", message: (err as Error).message });
+      return;
+    }
+    // The definition is checked like a where: of the entity; its first problem is reported
+    const inner: ValidationIssue[] = [];
+    checkCondition(where, "where", inner);
+    if (inner.length === 0) inner.push(...checkAgainstSchema({ entity: entity.name, where }, schema, options));
+    if (inner.length > 0) {
+      issues.push({ path, code: "INVALID_FILTER", message: `Filter @${name} is invalid: ${inner[0].message}` });
+    }
+  };
+
+  // Conditions inside any/all are checked against the relation's target entity
+  const walk = (cond: RQLCondition, path: string, entity: EntityDef): void => {
+    if (!isObject(cond)) return;
+    if (typeof cond.field === "string") {
+      checkFieldPath(cond, path, entity, schema, options, issues);
+      return;
+    }
+    if (typeof cond.filter === "string") {
+      checkFilter(cond.filter, entity, joinPath(path, "filter"));
+      return;
+    }
+    for (const key of ["and", "or"] as const) {
+      const children = cond[key];
+      if (Array.isArray(children)) {
+        children.forEach((c, i) => walk(c, joinPath(joinPath(path, key), i), entity));
+      }
+    }
+    if (cond.not) walk(cond.not, joinPath(path, "not"), entity);
+    for (const key of ["exists", "count"] as const) {
+      const relation = cond[key];
+      if (typeof relation === "string") checkRelation(relation, entity, joinPath(path, key));
+    }
+    for (const key of ["any", "all"] as const) {
+      const quantifier = cond[key];
+      if (!isObject(quantifier) || typeof quantifier.relation !== "string") continue;
+      const relationPath = joinPath(joinPath(path, key), "relation");
+      if (!checkRelation(quantifier.relation, entity, relationPath)) continue;
+      const target = relationTarget(schema, entity, quantifier.relation);
+      if (!target) {
+        issues.push({
+          path: relationPath,
+          code: "UNKNOWN_RELATION",
+          message: `Cannot filter by the records of relation "${quantifier.relation}" of entity "${entity.name}": it has no target entity in the schema`,
+        });
+        continue;
+      }
+      walk(quantifier.where as RQLCondition, joinPath(joinPath(path, key), "where"), target);
+    }
+  };
+
+  // Checked hop by hop: nested relations, and the conditions of include queries, belong
+  // to the entity their parent relation targets
+  const checkInclude = (include: JsonObject, entity: EntityDef, path: string): void => {
+    for (const [rel, value] of Object.entries(include)) {
+      const relPath = joinPath(path, rel);
+      if (!checkRelation(rel, entity, relPath)) continue;
+      if (!isObject(value)) continue;
+      const query = includeQuery(value as RQLInclude[string]);
+      const nested = query?.include;
+      const nestedPath = isIncludeQuery(value) ? joinPath(relPath, "include") : relPath;
+      const target = relationTarget(schema, entity, rel);
+      if (target) {
+        if (isObject(query?.where)) walk(query.where, joinPath(relPath, "where"), target);
+        if (isObject(nested)) checkInclude(nested, target, nestedPath);
+        continue;
+      }
+      if (query?.where !== undefined) {
+        issues.push({
+          path: joinPath(relPath, "where"),
+          code: "UNKNOWN_RELATION",
+          message: `Cannot filter included relation "${rel}" of entity "${entity.name}": it has no target entity in the schema`,
+        });
+      }
+      for (const inner of isObject(nested) ? Object.keys(nested) : []) {
+        issues.push({
+          path: joinPath(nestedPath, inner),
+          code: "UNKNOWN_RELATION",
+          message: `Cannot include "${inner}" through relation "${rel}" of entity "${entity.name}": it has no target entity in the schema`,
+        });
+      }
+    }
+  };
+  if (rql.search !== undefined && !entityDef.searchable?.length) {
+    issues.push({
+      path: "search",
+      code: "INVALID_SEARCH",
+      message: `Entity "${entityDef.name}" has no searchable fields, so it cannot be searched; filter with where instead`,
+    });
+  }
+
+  if (Array.isArray(rql.select)) {
+    rql.select.forEach((field, i) => {
+      if (typeof field === "string" && field) {
+        resolveField(field, joinPath("select", i), "select", entityDef, schema, issues);
+      }
+    });
+  }
+
+  if (Array.isArray(rql.group)) {
+    rql.group.forEach((field, i) => {
+      if (typeof field === "string" && field) {
+        resolveField(field, joinPath("group", i), "group by", entityDef, schema, issues);
+      }
+    });
+  }
+
+  // sum, avg, min and max only apply to number fields
+  if (Array.isArray(rql.aggregate)) {
+    rql.aggregate.forEach((aggregate, i) => {
+      if (!isObject(aggregate) || typeof aggregate.field !== "string" || !aggregate.field) return;
+      const path = joinPath(joinPath("aggregate", i), "field");
+      const def = resolveField(aggregate.field, path, "aggregate", entityDef, schema, issues);
+      if (def?.type && def.type !== "number") {
+        issues.push({
+          path,
+          code: "INVALID_AGGREGATE",
+          message: `${aggregate.fn} needs a number field, not ${def.type} field "${aggregate.field}"`,
+        });
+      }
+    });
+  }
+
+  if (isObject(rql.include)) checkInclude(rql.include, entityDef, "include");
+
+  if (rql.where) walk(rql.where, "where", entityDef);
+
+  return issues;
+}
+
+/**
+ * Validate RQL JSON (e.g. received from an API client) against the SPEC.md shape and,
+ * when a schema is given, against its entities, relations, fields and field types.
+ * Returns every problem found, each with its JSON path; an empty array means valid.
+ */
+export function validateQuery(
+  json: unknown,
+  schema?: Schema,
+  options: ValidateOptions = {},
+): ValidationIssue[] {
+  if (!isObject(json)) {
+    return [{ path: "", code: "INVALID_QUERY", message: `Query must be an object, got ${typeName(json)}` }];
+  }
+  const issues: ValidationIssue[] = [];
+  checkShape(json, issues);
+  if (schema) issues.push(...checkAgainstSchema(json as RQLQuery, schema, options));
+  return issues;
+}